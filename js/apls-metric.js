@@ -0,0 +1,443 @@
+/**
+ * APLS Metric - Average Path Length Similarity against a reference network
+ *
+ * Pixel IoU and segment matching say nothing about routing; APLS compares
+ * shortest routes (Van Etten et al., SpaceNet 3):
+ * - control points are every graph node plus points every controlSpacing
+ *   meters along longer edges, limited to the other network's extent
+ * - each control point is snapped to the nearest edge of the other graph
+ *   (within snapDistance); unsnapped points make their routes impossible
+ * - for every pair of control points with a route in the source graph, the
+ *   penalty is min(1, |L_source - L_other| / L_source), or 1 when there is no
+ *   route in the other graph; the direction's score is 1 - mean penalty
+ * - APLS is the harmonic mean of the reference -> network and the
+ *   network -> reference scores
+ *
+ * Both graphs come from PedestrianGraph and are always noded: OSM ways
+ * converted to GeoJSON no longer share their mid-way nodes, and routes in
+ * either graph must be able to turn where lines cross. A network compared
+ * with itself scores 1.
+ * Distances are in meters (local equirectangular projection).
+ */
+
+class APLSMetric {
+  static get DEFAULTS() {
+    return {
+      snapDistance: 10,       // control point to the other graph (m)
+      controlSpacing: 50,     // extra control points along longer edges (m)
+      maxControlPoints: 150,  // per direction, thinned evenly above this
+      minPathLength: 5,       // shorter routes are skipped (m)
+      worstPairs: 10          // reference routes kept for the drill-down
+    };
+  }
+
+  /**
+   * @param {Object} options - Overrides for APLSMetric.DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...APLSMetric.DEFAULTS };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) this.options[key] = value;
+    });
+  }
+
+  /**
+   * Compare a network with a reference network
+   * @param {Object} network - GeoJSON FeatureCollection (extracted, e.g. Tile2Net)
+   * @param {Object} reference - GeoJSON FeatureCollection (e.g. OSM)
+   * @param {Object} graphOptions - PedestrianGraph options of the network
+   *   ({ snapTolerance, mergeChains }); noding is always on for both graphs and
+   *   the reference uses the same snap tolerance
+   * @returns {Object|null} {
+   *   apls (0-1, null without routes in either direction),
+   *   referenceToNetwork, networkToReference: { score, routes, impossible, unsnapped, controls },
+   *   worstPairs: [{ from, to, referenceLength, networkLength, penalty, reason,
+   *     referencePath, networkPath }] - worst reference routes, networkLength
+   *     and networkPath null where the route is impossible,
+   *   options
+   * } or null if either network has no lines
+   */
+  compare(network, reference, graphOptions = {}) {
+    const networkGraph = PedestrianGraph.forNetwork(network, { ...graphOptions, noding: true });
+    const referenceGraph = PedestrianGraph.forNetwork(reference, {
+      snapTolerance: graphOptions.snapTolerance,
+      noding: true
+    });
+    if (networkGraph.edges.length === 0 || referenceGraph.edges.length === 0) return null;
+
+    const origin = networkGraph.edges[0].coordinates[0];
+    this.metersPerDegree = {
+      lng: 111320 * Math.cos(origin[1] * Math.PI / 180),
+      lat: 110574
+    };
+    this.origin = origin;
+
+    const networkSide = this.prepareGraph(networkGraph);
+    const referenceSide = this.prepareGraph(referenceGraph);
+
+    const referenceToNetwork = this.scoreDirection(referenceSide, networkSide);
+    const networkToReference = this.scoreDirection(networkSide, referenceSide);
+
+    const a = referenceToNetwork.score;
+    const b = networkToReference.score;
+    const apls = a === null || b === null ? null : a + b > 0 ? 2 * a * b / (a + b) : 0;
+
+    const worstPairs = referenceToNetwork.worst.map(pair => this.describePair(pair, referenceSide, networkSide));
+    delete referenceToNetwork.worst;
+    delete networkToReference.worst;
+
+    return {
+      apls,
+      referenceToNetwork,
+      networkToReference,
+      worstPairs,
+      options: { ...this.options }
+    };
+  }
+
+  // ============================================
+  // GRAPHS
+  // ============================================
+
+  /**
+   * Weighted adjacency, local-meter edge geometry and a segment grid of a graph
+   */
+  prepareGraph(graph) {
+    const edges = graph.edges.map((edge, index) => {
+      const points = edge.coordinates.map(coord => this.project(coord));
+      const cumulative = [0];
+      for (let i = 1; i < points.length; i++) {
+        cumulative.push(cumulative[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+      }
+      return { index, start: edge.start, end: edge.end, coordinates: edge.coordinates, points, cumulative, length: cumulative[cumulative.length - 1] };
+    });
+
+    const adjacency = new Map();
+    const link = (from, to, edge) => {
+      if (!adjacency.has(from)) adjacency.set(from, []);
+      adjacency.get(from).push({ to, edge });
+    };
+    edges.forEach(edge => {
+      link(edge.start, edge.end, edge);
+      link(edge.end, edge.start, edge);
+    });
+
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    edges.forEach(edge => edge.points.forEach(([x, y]) => {
+      bounds.minX = Math.min(bounds.minX, x);
+      bounds.minY = Math.min(bounds.minY, y);
+      bounds.maxX = Math.max(bounds.maxX, x);
+      bounds.maxY = Math.max(bounds.maxY, y);
+    }));
+
+    return { graph, edges, adjacency, bounds, grid: this.buildGrid(edges) };
+  }
+
+  project([lng, lat]) {
+    return [
+      (lng - this.origin[0]) * this.metersPerDegree.lng,
+      (lat - this.origin[1]) * this.metersPerDegree.lat
+    ];
+  }
+
+  /**
+   * Segments by grid cell (cells of snapDistance)
+   */
+  buildGrid(edges) {
+    const size = this.options.snapDistance;
+    const grid = new Map();
+    edges.forEach(edge => {
+      for (let i = 1; i < edge.points.length; i++) {
+        const [ax, ay] = edge.points[i - 1];
+        const [bx, by] = edge.points[i];
+        for (let cx = Math.floor(Math.min(ax, bx) / size); cx <= Math.floor(Math.max(ax, bx) / size); cx++) {
+          for (let cy = Math.floor(Math.min(ay, by) / size); cy <= Math.floor(Math.max(ay, by) / size); cy++) {
+            const key = `${cx},${cy}`;
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push({ edge, segment: i - 1 });
+          }
+        }
+      }
+    });
+    return grid;
+  }
+
+  /**
+   * Nearest point of a graph within snapDistance
+   * @returns {Object|null} { edge, offset } - offset in meters along the edge
+   */
+  locate(side, [x, y]) {
+    const size = this.options.snapDistance;
+    const cx = Math.floor(x / size);
+    const cy = Math.floor(y / size);
+    let best = null;
+    let bestDistance = size;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const { edge, segment } of side.grid.get(`${cx + dx},${cy + dy}`) || []) {
+          const [ax, ay] = edge.points[segment];
+          const [bx, by] = edge.points[segment + 1];
+          const length = edge.cumulative[segment + 1] - edge.cumulative[segment];
+          const t = length > 0 ? Math.max(0, Math.min(1, ((x - ax) * (bx - ax) + (y - ay) * (by - ay)) / (length * length))) : 0;
+          const distance = Math.hypot(x - (ax + t * (bx - ax)), y - (ay + t * (by - ay)));
+          if (distance <= bestDistance) {
+            bestDistance = distance;
+            best = { edge, offset: edge.cumulative[segment] + t * length };
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Control points of a graph inside the other graph's extent (plus snapDistance)
+   * @returns {Array} [{ location: { edge, offset }, point, coord }]
+   */
+  controlPoints(side, otherSide) {
+    const { minX, minY, maxX, maxY } = otherSide.bounds;
+    const margin = this.options.snapDistance;
+    const inside = ([x, y]) => x >= minX - margin && x <= maxX + margin && y >= minY - margin && y <= maxY + margin;
+
+    const locations = [];
+    side.adjacency.forEach((links, nodeId) => {
+      const edge = links[0].edge;
+      locations.push({ edge, offset: edge.start === nodeId ? 0 : edge.length });
+    });
+    side.edges.forEach(edge => {
+      const count = Math.ceil(edge.length / this.options.controlSpacing);
+      for (let k = 1; k < count; k++) {
+        locations.push({ edge, offset: edge.length * k / count });
+      }
+    });
+
+    const controls = locations
+      .map(location => ({ location, point: this.pointAt(location.edge, location.offset, 'points') }))
+      .filter(control => inside(control.point));
+
+    const max = this.options.maxControlPoints;
+    const thinned = controls.length <= max ? controls :
+      Array.from({ length: max }, (_, i) => controls[Math.floor(i * controls.length / max)]);
+
+    return thinned.map(control => ({
+      ...control,
+      coord: this.pointAt(control.location.edge, control.location.offset, 'coordinates')
+    }));
+  }
+
+  /**
+   * Point at a distance along an edge, in local meters ('points') or lng/lat ('coordinates')
+   */
+  pointAt(edge, offset, key) {
+    const line = edge[key];
+    let i = 1;
+    while (i < line.length - 1 && edge.cumulative[i] < offset) i++;
+    const length = edge.cumulative[i] - edge.cumulative[i - 1];
+    const t = length > 0 ? Math.max(0, Math.min(1, (offset - edge.cumulative[i - 1]) / length)) : 0;
+    return [
+      line[i - 1][0] + t * (line[i][0] - line[i - 1][0]),
+      line[i - 1][1] + t * (line[i][1] - line[i - 1][1])
+    ];
+  }
+
+  /**
+   * Coordinates of an edge between two offsets (reversed if from > to)
+   */
+  sliceEdge(edge, from, to) {
+    if (from > to) return this.sliceEdge(edge, to, from).reverse();
+    const inner = edge.coordinates.filter((_, i) => edge.cumulative[i] > from && edge.cumulative[i] < to);
+    return [this.pointAt(edge, from, 'coordinates'), ...inner, this.pointAt(edge, to, 'coordinates')];
+  }
+
+  // ============================================
+  // ROUTES
+  // ============================================
+
+  /**
+   * Shortest route lengths from a location to every node
+   * @returns {Object} { distances: Map nodeId -> meters, previous: Map nodeId -> { from, edge } }
+   */
+  shortestPaths(side, location) {
+    const distances = new Map();
+    const previous = new Map();
+    const heap = [];
+
+    const push = (nodeId, distance, step) => {
+      if (distance >= (distances.get(nodeId) ?? Infinity)) return;
+      distances.set(nodeId, distance);
+      previous.set(nodeId, step);
+      APLSMetric.heapPush(heap, [distance, nodeId]);
+    };
+
+    push(location.edge.start, location.offset, null);
+    push(location.edge.end, location.edge.length - location.offset, null);
+
+    while (heap.length > 0) {
+      const [distance, nodeId] = APLSMetric.heapPop(heap);
+      if (distance > distances.get(nodeId)) continue;
+      for (const { to, edge } of side.adjacency.get(nodeId) || []) {
+        push(to, distance + edge.length, { from: nodeId, edge });
+      }
+    }
+    return { distances, previous };
+  }
+
+  /**
+   * Length of the shortest route to a location (Infinity if unreachable)
+   */
+  routeLength(paths, from, to) {
+    const { edge, offset } = to;
+    let best = Math.min(
+      (paths.distances.get(edge.start) ?? Infinity) + offset,
+      (paths.distances.get(edge.end) ?? Infinity) + edge.length - offset
+    );
+    if (from.edge === edge) best = Math.min(best, Math.abs(from.offset - offset));
+    return best;
+  }
+
+  /**
+   * Coordinates of the shortest route between two locations (null if unreachable)
+   */
+  routeCoordinates(side, from, to) {
+    const paths = this.shortestPaths(side, from);
+    const length = this.routeLength(paths, from, to);
+    if (!Number.isFinite(length)) return null;
+
+    if (from.edge === to.edge && Math.abs(from.offset - to.offset) === length) {
+      return this.sliceEdge(from.edge, from.offset, to.offset);
+    }
+
+    // Arrive through the end of the target edge that gives the route length
+    const viaStart = (paths.distances.get(to.edge.start) ?? Infinity) + to.offset;
+    let node = viaStart <= length ? to.edge.start : to.edge.end;
+    const tail = this.sliceEdge(to.edge, node === to.edge.start ? 0 : to.edge.length, to.offset);
+
+    const middle = [];
+    while (paths.previous.get(node)) {
+      const { from: previousNode, edge } = paths.previous.get(node);
+      middle.unshift(...(edge.start === previousNode ? edge.coordinates : [...edge.coordinates].reverse()));
+      node = previousNode;
+    }
+    const head = this.sliceEdge(from.edge, from.offset, node === from.edge.start ? 0 : from.edge.length);
+
+    return [...head, ...middle, ...tail];
+  }
+
+  /**
+   * Score all routes between control points of one graph against the other
+   * @returns {Object} { score, routes, impossible, unsnapped, controls, worst }
+   */
+  scoreDirection(source, target) {
+    const controls = this.controlPoints(source, target);
+    const snapped = controls.map(control => this.locate(target, control.point));
+
+    const pairs = [];
+    let penaltySum = 0;
+    let impossible = 0;
+
+    controls.forEach((control, i) => {
+      const sourcePaths = this.shortestPaths(source, control.location);
+      const targetPaths = snapped[i] ? this.shortestPaths(target, snapped[i]) : null;
+
+      for (let j = i + 1; j < controls.length; j++) {
+        const sourceLength = this.routeLength(sourcePaths, control.location, controls[j].location);
+        if (!Number.isFinite(sourceLength) || sourceLength < this.options.minPathLength) continue;
+
+        const targetLength = targetPaths && snapped[j] ?
+          this.routeLength(targetPaths, snapped[i], snapped[j]) : Infinity;
+        const penalty = Number.isFinite(targetLength) ?
+          Math.min(1, Math.abs(sourceLength - targetLength) / sourceLength) : 1;
+
+        penaltySum += penalty;
+        if (!Number.isFinite(targetLength)) impossible++;
+        pairs.push({ i, j, sourceLength, targetLength, penalty });
+      }
+    });
+
+    // Worst first; among equal penalties the longer reference route
+    const worst = pairs
+      .sort((a, b) => b.penalty - a.penalty || b.sourceLength - a.sourceLength)
+      .slice(0, this.options.worstPairs)
+      .map(pair => ({
+        ...pair,
+        from: controls[pair.i],
+        to: controls[pair.j],
+        snappedFrom: snapped[pair.i],
+        snappedTo: snapped[pair.j]
+      }));
+
+    return {
+      score: pairs.length > 0 ? 1 - penaltySum / pairs.length : null,
+      routes: pairs.length,
+      impossible,
+      unsnapped: snapped.filter(location => !location).length,
+      controls: controls.length,
+      worst
+    };
+  }
+
+  /**
+   * Drill-down record of a reference route with both route geometries
+   */
+  describePair(pair, referenceSide, networkSide) {
+    const possible = Number.isFinite(pair.targetLength);
+    const reason = !pair.snappedFrom || !pair.snappedTo ? 'unsnapped' :
+      !possible ? 'disconnected' :
+      pair.targetLength > pair.sourceLength ? 'longer' : 'shorter';
+
+    return {
+      from: pair.from.coord,
+      to: pair.to.coord,
+      referenceLength: pair.sourceLength,
+      networkLength: possible ? pair.targetLength : null,
+      penalty: pair.penalty,
+      reason,
+      referencePath: this.routeCoordinates(referenceSide, pair.from.location, pair.to.location),
+      networkPath: possible ? this.routeCoordinates(networkSide, pair.snappedFrom, pair.snappedTo) : null
+    };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Binary min-heap of [priority, value] entries
+   */
+  static heapPush(heap, entry) {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  static heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+        if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.APLSMetric = APLSMetric;
+}
@@ -0,0 +1,438 @@
+/**
+ * Data Cache - IndexedDB cache for OSM and city GIS data
+ *
+ * Keeps reviews fast and reproducible, and lets them work without network
+ * after the first load:
+ * - osmTiles: Overpass results split into slippy-map tiles (TILE_ZOOM), keyed
+ *   by query and tile, so overlapping viewports reuse what was fetched. A tile
+ *   record only lists feature ids; each feature is stored once in osmFeatures.
+ * - files: parsed GeoJSON keyed by URL and checked against the server's
+ *   ETag / Last-Modified / Content-Length when the network is up
+ *
+ * Entries older than maxAgeDays are refetched when possible and still used
+ * when the fetch fails. Nothing is evicted until the cache is cleared.
+ * Without IndexedDB (private windows, some file:// setups) every lookup misses.
+ */
+
+class DataCache {
+  /**
+   * @param {Object} options - { enabled, maxAgeDays }
+   */
+  constructor(options = {}) {
+    this.dbName = 'pedestrianNetworkInspector_cache';
+    this.dbVersion = 2;
+    this.db = null;
+    this.opening = null;
+
+    this.enabled = true;
+    this.maxAgeDays = 7;
+    this.configure(options);
+  }
+
+  /**
+   * Zoom level of the OSM cache tiles (~1 km at mid latitudes)
+   */
+  static get TILE_ZOOM() {
+    return 15;
+  }
+
+  /**
+   * Most OSM tiles one fetch may cover (~20 x 20 km at TILE_ZOOM)
+   */
+  static get MAX_OSM_TILES() {
+    return 400;
+  }
+
+  /**
+   * Apply settings (enabled, maxAgeDays)
+   */
+  configure({ enabled = this.enabled, maxAgeDays = this.maxAgeDays } = {}) {
+    this.enabled = !!enabled;
+    this.maxAgeDays = Math.max(0, Number(maxAgeDays) || 0);
+  }
+
+  /**
+   * True if an entry stored at `storedAt` is older than maxAgeDays
+   */
+  isExpired(storedAt) {
+    return Date.now() - storedAt > this.maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+
+  // ============================================
+  // INDEXEDDB
+  // ============================================
+
+  /**
+   * Open the database once; resolves to null where IndexedDB is unavailable
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (this.opening) return this.opening;
+
+    this.opening = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('osmTiles')) {
+          db.createObjectStore('osmTiles', { keyPath: 'key' });
+        } else if (event.oldVersion < 2) {
+          // Version 1 tiles held full feature copies instead of ids
+          request.transaction.objectStore('osmTiles').clear();
+        }
+        if (!db.objectStoreNames.contains('osmFeatures')) db.createObjectStore('osmFeatures', { keyPath: 'key' });
+        if (!db.objectStoreNames.contains('files')) db.createObjectStore('files', { keyPath: 'key' });
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => {
+        console.warn('⚠️ IndexedDB unavailable, data cache disabled:', request.error);
+        resolve(null);
+      };
+    });
+    return this.opening;
+  }
+
+  /**
+   * Run one request against a store and resolve with its result
+   * @param {string} storeName - 'osmTiles' | 'files'
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} fn - (store) => IDBRequest
+   */
+  async request(storeName, mode, fn) {
+    const db = await this.open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = fn(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Run several requests in one transaction
+   * @param {Array<string>} storeNames - Stores the transaction covers
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} fn - (transaction) => value, resolved once the transaction completes
+   */
+  async transaction(storeNames, mode, fn) {
+    const db = await this.open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const result = fn(transaction);
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async get(storeName, key) {
+    try {
+      return await this.request(storeName, 'readonly', store => store.get(key)) ?? null;
+    } catch (error) {
+      console.warn(`⚠️ Cache read failed (${key}):`, error);
+      return null;
+    }
+  }
+
+  async put(storeName, record) {
+    try {
+      await this.request(storeName, 'readwrite', store => store.put({ ...record, storedAt: Date.now() }));
+    } catch (error) {
+      // Quota errors only cost a refetch next time
+      console.warn(`⚠️ Cache write failed (${record.key}):`, error);
+    }
+  }
+
+  /**
+   * Remove every cached entry
+   */
+  async clear() {
+    await this.transaction(['osmTiles', 'osmFeatures', 'files'], 'readwrite', transaction => {
+      ['osmTiles', 'osmFeatures', 'files'].forEach(name => transaction.objectStore(name).clear());
+    });
+    console.log('🗑️ Data cache cleared');
+  }
+
+  /**
+   * Entry counts for the Settings panel
+   * @returns {Promise<Object|null>} { osmTiles, files } or null without IndexedDB
+   */
+  async getStats() {
+    const db = await this.open();
+    if (!db) return null;
+    return {
+      osmTiles: await this.request('osmTiles', 'readonly', store => store.count()),
+      files: await this.request('files', 'readonly', store => store.count())
+    };
+  }
+
+  // ============================================
+  // OSM TILES
+  // ============================================
+
+  /**
+   * Cached tiles of a query, read in one transaction
+   * @param {string} queryKey - Hash of the query (see DataCache.hash)
+   * @param {Array} tiles - [{ x, y, z }]
+   * @returns {Promise<Map>} tile key -> { features, storedAt }
+   */
+  async getOSMTiles(queryKey, tiles) {
+    const found = new Map();
+    if (!this.enabled || tiles.length === 0) return found;
+
+    const features = new Map(); // feature id -> feature, each read once
+    try {
+      await this.transaction(['osmTiles', 'osmFeatures'], 'readonly', transaction => {
+        const tileStore = transaction.objectStore('osmTiles');
+        const featureStore = transaction.objectStore('osmFeatures');
+
+        tiles.forEach(tile => {
+          const tileKey = DataCache.tileKey(tile);
+          tileStore.get(`${queryKey}/${tileKey}`).onsuccess = (event) => {
+            const record = event.target.result;
+            if (!Array.isArray(record?.ids)) return;
+            found.set(tileKey, { ids: record.ids, storedAt: record.storedAt });
+
+            record.ids.forEach(id => {
+              if (features.has(id)) return;
+              features.set(id, null);
+              featureStore.get(`${queryKey}/${id}`).onsuccess = (e) => {
+                features.set(id, e.target.result?.feature ?? null);
+              };
+            });
+          };
+        });
+      });
+    } catch (error) {
+      console.warn('⚠️ Cache read failed (OSM tiles):', error);
+      return new Map();
+    }
+
+    found.forEach(record => {
+      record.features = record.ids.map(id => features.get(id)).filter(Boolean);
+      delete record.ids;
+    });
+    return found;
+  }
+
+  /**
+   * Store the features of a fetched area, split into the tiles it covered
+   * Each feature is written once; every tile its bounding box overlaps lists
+   * its id. All writes share one transaction.
+   * @param {string} queryKey - Hash of the query
+   * @param {Array} tiles - Tiles fully inside the fetched area
+   * @param {Array} features - GeoJSON line features with properties.id
+   */
+  async putOSMTiles(queryKey, tiles, features) {
+    if (!this.enabled || tiles.length === 0) return;
+
+    const idsByTile = new Map(tiles.map(tile => [DataCache.tileKey(tile), []]));
+    features.forEach(feature => {
+      const bbox = DataCache.featureBounds(feature);
+      if (!bbox) return;
+      DataCache.tilesForBounds(bbox, DataCache.TILE_ZOOM).forEach(tile => {
+        idsByTile.get(DataCache.tileKey(tile))?.push(feature.properties.id);
+      });
+    });
+
+    const storedAt = Date.now();
+    try {
+      await this.transaction(['osmTiles', 'osmFeatures'], 'readwrite', transaction => {
+        const featureStore = transaction.objectStore('osmFeatures');
+        features.forEach(feature => {
+          featureStore.put({ key: `${queryKey}/${feature.properties.id}`, feature, storedAt });
+        });
+
+        const tileStore = transaction.objectStore('osmTiles');
+        idsByTile.forEach((ids, tileKey) => {
+          tileStore.put({ key: `${queryKey}/${tileKey}`, ids, storedAt });
+        });
+      });
+    } catch (error) {
+      // Quota errors only cost a refetch next time
+      console.warn('⚠️ Cache write failed (OSM tiles):', error);
+    }
+  }
+
+  /**
+   * Slippy-map tiles covering a bounding box
+   * @param {Object} bounds - { south, west, north, east }
+   * @param {number} z - Zoom level
+   * @returns {Array} [{ x, y, z }]
+   */
+  static tilesForBounds(bounds, z) {
+    const { x0, x1, y0, y1 } = DataCache.tileIndexRange(bounds, z);
+    const tiles = [];
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        tiles.push({ x, y, z });
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Number of tiles covering a bounding box, without listing them
+   */
+  static countTiles(bounds, z) {
+    const { x0, x1, y0, y1 } = DataCache.tileIndexRange(bounds, z);
+    return (x1 - x0 + 1) * (y1 - y0 + 1);
+  }
+
+  /**
+   * Tile index rectangle of a bounding box
+   * @returns {Object} { x0, x1, y0, y1 } (inclusive)
+   */
+  static tileIndexRange({ south, west, north, east }, z) {
+    const n = 2 ** z;
+    const clamp = value => Math.min(n - 1, Math.max(0, value));
+    const toX = lng => clamp(Math.floor((lng + 180) / 360 * n));
+    const toY = lat => {
+      const rad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+      return clamp(Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n));
+    };
+    return { x0: toX(west), x1: toX(east), y0: toY(north), y1: toY(south) };
+  }
+
+  /**
+   * Bounding box of a tile
+   * @returns {Object} { south, west, north, east }
+   */
+  static tileBounds({ x, y, z }) {
+    const n = 2 ** z;
+    const lat = row => Math.atan(Math.sinh(Math.PI * (1 - 2 * row / n))) * 180 / Math.PI;
+    return { south: lat(y + 1), west: x / n * 360 - 180, north: lat(y), east: (x + 1) / n * 360 - 180 };
+  }
+
+  /**
+   * Every tile in the index rectangle spanned by a set of tiles
+   * (the area one Overpass query for those tiles covers)
+   */
+  static tileRange(tiles) {
+    const xs = tiles.map(tile => tile.x);
+    const ys = tiles.map(tile => tile.y);
+    const range = [];
+    for (let x = Math.min(...xs); x <= Math.max(...xs); x++) {
+      for (let y = Math.min(...ys); y <= Math.max(...ys); y++) {
+        range.push({ x, y, z: tiles[0].z });
+      }
+    }
+    return range;
+  }
+
+  /**
+   * Bounding box of a set of tiles
+   */
+  static unionBounds(tiles) {
+    return tiles.map(DataCache.tileBounds).reduce((a, b) => ({
+      south: Math.min(a.south, b.south),
+      west: Math.min(a.west, b.west),
+      north: Math.max(a.north, b.north),
+      east: Math.max(a.east, b.east)
+    }));
+  }
+
+  static tileKey({ x, y, z }) {
+    return `${z}/${x}/${y}`;
+  }
+
+  static featureBounds(feature) {
+    const lines = LineGeometry.getLineParts(feature.geometry);
+    if (lines.length === 0) return null;
+
+    const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+    lines.forEach(line => line.forEach(([lng, lat]) => {
+      bounds.south = Math.min(bounds.south, lat);
+      bounds.north = Math.max(bounds.north, lat);
+      bounds.west = Math.min(bounds.west, lng);
+      bounds.east = Math.max(bounds.east, lng);
+    }));
+    return bounds;
+  }
+
+  // ============================================
+  // FILES
+  // ============================================
+
+  /**
+   * Fetch and parse a JSON file, reusing the cached copy while it is current
+   * - server validators match (or, without validators, not expired): cached copy
+   * - server unreachable: cached copy of any age
+   * - otherwise: fetched, parsed and stored
+   * blob: URLs (local files) are never cached.
+   * @param {string} url - File URL
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async fetchJSON(url) {
+    if (!this.enabled || url.startsWith('blob:')) {
+      return DataCache.fetchAndParse(url);
+    }
+
+    const cached = await this.get('files', url);
+    let validator = null;
+    let offline = false;
+    try {
+      const head = await fetch(url, { method: 'HEAD' });
+      if (head.ok) validator = DataCache.validatorFor(head);
+    } catch (error) {
+      offline = true;
+    }
+
+    if (cached) {
+      const current = offline ||
+        (validator ? cached.validator === validator : !this.isExpired(cached.storedAt));
+      if (current) {
+        console.log(`💾 Using cached ${url}${offline ? ' (offline)' : ''}`);
+        return cached.data;
+      }
+    }
+
+    const data = await DataCache.fetchAndParse(url);
+    await this.put('files', { key: url, validator, data });
+    return data;
+  }
+
+  static async fetchAndParse(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Identity of a server file from its response headers (null if none are sent)
+   */
+  static validatorFor(response) {
+    const parts = ['etag', 'last-modified', 'content-length'].map(name => response.headers.get(name) || '');
+    return parts.some(Boolean) ? parts.join('|') : null;
+  }
+
+  /**
+   * Short stable hash of a string (cache keys for queries)
+   */
+  static hash(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.DataCache = DataCache;
+}
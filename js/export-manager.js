@@ -30,6 +30,12 @@ class ExportManager {
       case 'errors':
         this.exportErrors(options.format);
         break;
+      case 'networkDiff':
+        this.exportNetworkDiff(options.format);
+        break;
+      case 'networkValidation':
+        this.exportNetworkValidation();
+        break;
       case 'report':
         this.exportReport(options.format);
         break;
@@ -66,6 +72,8 @@ class ExportManager {
 
   /**
    * Enrich network data with analysis results
+   * Multi-part lines are exported one LineString per part (with parentId and
+   * partIndex) so each part carries its own edge analysis.
    */
   enrichNetworkData(networkData) {
     if (!networkData.features) return networkData;
@@ -73,7 +81,11 @@ class ExportManager {
     // Get analysis data if available
     const analysisData = this.stateManager.getState('data.analysis');
 
-    const enrichedFeatures = networkData.features.map(feature => {
+    const lineFeatures = networkData.features.flatMap(feature =>
+      LineGeometry.isLineGeometry(feature.geometry) ? LineGeometry.toLineFeatures([feature]) : [feature]
+    );
+
+    const enrichedFeatures = lineFeatures.map(feature => {
       const props = { ...feature.properties };
 
       // Add analysis results if available
@@ -85,6 +97,10 @@ class ExportManager {
           props.betweennessCentrality = analyzer.getEdgeCentrality(edgeId);
           props.isBridge = analyzer.isBridge(edgeId);
           props.smoothness = analyzer.getEdgeSmoothness(edgeId);
+
+          // Merged degree-2 chain this segment belongs to
+          const chain = analyzer.graph?.getEdgesBySource(edgeId).find(edge => edge.members);
+          if (chain) props.chainId = chain.id;
         }
       }
 
@@ -143,11 +159,78 @@ class ExportManager {
     return rows.join('\n');
   }
 
+  /**
+   * Export the network version diff
+   * json: change summary plus changed edges, geojson: changed edges, csv: topology deltas
+   */
+  exportNetworkDiff(format = 'json') {
+    const diff = this.stateManager.getState('data.network.versionDiff');
+
+    if (!diff) {
+      this.showToast('No network version diff to export', 'warning');
+      return;
+    }
+
+    if (format === 'geojson') {
+      this.downloadJSON(diff.changes, 'network-diff-changes.geojson');
+    } else if (format === 'csv') {
+      this.downloadText(this.networkDiffToCSV(diff), 'network-diff-summary.csv', 'text/csv');
+    } else {
+      this.downloadJSON({
+        exportDate: new Date().toISOString(),
+        source: 'Pedestrian Network Inspector - Network Version Diff',
+        ...diff
+      }, 'network-diff.json');
+    }
+
+    this.showToast('Network diff exported successfully', 'success');
+  }
+
+  /**
+   * Export the network validation report (issue counts, examples, applied repairs)
+   */
+  exportNetworkValidation() {
+    const report = this.stateManager.getState('data.network.validation');
+
+    if (!report) {
+      this.showToast('No network validation report to export', 'warning');
+      return;
+    }
+
+    this.downloadJSON({
+      exportDate: new Date().toISOString(),
+      source: 'Pedestrian Network Inspector - Network Data Check',
+      ...report
+    }, 'network-validation-report.json');
+
+    this.showToast('Validation report exported successfully', 'success');
+  }
+
+  /**
+   * Convert a network diff summary to CSV (one row per count / topology metric)
+   */
+  networkDiffToCSV(diff) {
+    const rows = [['metric', diff.baselineName, diff.currentName, 'delta'].join(',')];
+
+    Object.entries(diff.topology).forEach(([metric, { baseline, current, delta }]) => {
+      rows.push([metric, baseline, current, delta].join(','));
+    });
+    ['added', 'removed', 'moved', 'unchanged'].forEach(change => {
+      rows.push([`edges_${change}`, '', diff.counts[change], ''].join(','));
+    });
+    ['added', 'removed', 'moved'].forEach(change => {
+      rows.push([`length_${change}_m`, '', diff.length[change].toFixed(1), ''].join(','));
+    });
+
+    return rows.join('\n');
+  }
+
   /**
    * Export error analysis as JSON
    */
   exportErrors(format = 'json') {
-    const errorData = this.stateManager.getState('data.errors');
+    const errorData = this.stateManager.getState('data.segmentation.errors') ||
+      this.stateManager.getState('data.errors');
     const statistics = this.stateManager.getState('data.statistics');
 
     if (!errorData && !statistics) {
@@ -210,6 +293,20 @@ class ExportManager {
       scorecardData = window.app.qualityScorecard.getReport();
     }
 
+    // Get network version diff summary (without edge geometries)
+    let versionDiff = null;
+    if (window.app && window.app.networkVersionDiff) {
+      versionDiff = window.app.networkVersionDiff.getSummary();
+    }
+
+    // Get network validation counts (examples stay in the validation export)
+    const validationReport = this.stateManager.getState('data.network.validation');
+    const validation = validationReport ? {
+      totals: validationReport.totals,
+      issues: Object.fromEntries(validationReport.issues.map(issue => [issue.type, issue.count])),
+      applied: validationReport.applied
+    } : null;
+
     // Get network analyzer data
     let networkAnalysis = null;
     if (window.app && window.app.networkAnalyzer) {
@@ -242,9 +339,19 @@ class ExportManager {
       network: networkAnalysis,
       comparison: {
         tile2netSegments: networkData?.features?.length || 0,
-        osmSegments: osmData?.features?.length || 0
+        osmSegments: osmData?.features?.length || 0,
+        // Length-weighted OSM match (percent), present once OSM data was compared
+        osmMatch: osmData && statistics?.comparisonMetrics?.f1 !== undefined ? {
+          precision: statistics.comparisonMetrics.precision,
+          recall: statistics.comparisonMetrics.recall,
+          f1: statistics.comparisonMetrics.f1,
+          // Share of matched length with the same class on both sides
+          classAgreement: statistics.comparisonMetrics.classAgreement ?? null
+        } : null
       },
-      scorecard: scorecardData
+      scorecard: scorecardData,
+      versionDiff,
+      validation
     };
 
     const html = this.generateHTMLReport(data);
@@ -425,6 +532,32 @@ class ExportManager {
           <div class="metric-value">${data.comparison.osmSegments}</div>
           <div class="metric-label">OSM Segments</div>
         </div>
+        ${data.comparison.osmMatch ? `
+        <div class="metric">
+          <div class="metric-value">${data.comparison.osmMatch.precision.toFixed(1)}%</div>
+          <div class="metric-label">OSM Precision</div>
+        </div>
+        <div class="metric">
+          <div class="metric-value">${data.comparison.osmMatch.recall.toFixed(1)}%</div>
+          <div class="metric-label">OSM Recall</div>
+        </div>
+        <div class="metric">
+          <div class="metric-value">${data.comparison.osmMatch.f1.toFixed(1)}%</div>
+          <div class="metric-label">OSM Match (F1)</div>
+        </div>
+        ${data.comparison.osmMatch.classAgreement !== null ? `
+        <div class="metric">
+          <div class="metric-value">${data.comparison.osmMatch.classAgreement.toFixed(1)}%</div>
+          <div class="metric-label">OSM Class Agreement</div>
+        </div>
+        ` : ''}
+        ` : ''}
+        ${data.scorecard?.routeSimilarity ? `
+        <div class="metric">
+          <div class="metric-value">${data.scorecard.routeSimilarity.apls.toFixed(1)}%</div>
+          <div class="metric-label">Route Similarity (APLS)</div>
+        </div>
+        ` : ''}
       </div>
     </div>
 
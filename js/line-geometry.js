@@ -0,0 +1,151 @@
+/**
+ * Line Geometry - line parts of GeoJSON features
+ *
+ * GIS exports of sidewalk networks (NYC open data among them) often use
+ * MultiLineString or GeometryCollection features. Graph construction,
+ * rendering, OSM matching and export all read lines through these helpers,
+ * so a multi-part feature becomes one line per part and each part keeps the
+ * ID of its parent feature:
+ * - single-part features keep their ID
+ * - parts of multi-part features get `${parentId}_${partIndex}`
+ */
+
+class LineGeometry {
+  /**
+   * Coordinate arrays of every line in a geometry (LineString, MultiLineString,
+   * or line members of a GeometryCollection, nested collections included)
+   * @param {Object} geometry - GeoJSON geometry
+   * @returns {Array<Array>} Lines; empty for non-line geometries
+   */
+  static getLineParts(geometry) {
+    if (!geometry) return [];
+    switch (geometry.type) {
+      case 'LineString':
+        return Array.isArray(geometry.coordinates) ? [geometry.coordinates] : [];
+      case 'MultiLineString':
+        return (geometry.coordinates || []).filter(Array.isArray);
+      case 'GeometryCollection':
+        return (geometry.geometries || []).flatMap(member => LineGeometry.getLineParts(member));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * True for LineString / MultiLineString, or a collection with a line member
+   * (even if the lines are empty)
+   */
+  static isLineGeometry(geometry) {
+    if (geometry?.type === 'LineString' || geometry?.type === 'MultiLineString') return true;
+    return geometry?.type === 'GeometryCollection' &&
+      (geometry.geometries || []).some(member => LineGeometry.isLineGeometry(member));
+  }
+
+  /**
+   * Copy of a geometry with every line passed through fn (other members kept)
+   * @param {Object} geometry - GeoJSON geometry
+   * @param {Function} fn - (coordinates) => new coordinates
+   */
+  static mapLines(geometry, fn) {
+    if (!geometry) return geometry;
+    switch (geometry.type) {
+      case 'LineString':
+        return { ...geometry, coordinates: fn(geometry.coordinates || []) };
+      case 'MultiLineString':
+        return { ...geometry, coordinates: (geometry.coordinates || []).map(line => fn(line || [])) };
+      case 'GeometryCollection':
+        return { ...geometry, geometries: (geometry.geometries || []).map(member => LineGeometry.mapLines(member, fn)) };
+      default:
+        return geometry;
+    }
+  }
+
+  /**
+   * Copy of a geometry keeping only the lines fn accepts (other members kept)
+   * @param {Object} geometry - GeoJSON line geometry
+   * @param {Function} fn - (coordinates) => keep line
+   * @returns {Object|null} null when no line is left
+   */
+  static filterLines(geometry, fn) {
+    switch (geometry?.type) {
+      case 'LineString':
+        return fn(geometry.coordinates || []) ? geometry : null;
+      case 'MultiLineString': {
+        const coordinates = (geometry.coordinates || []).filter(line => Array.isArray(line) && fn(line));
+        return coordinates.length > 0 ? { ...geometry, coordinates } : null;
+      }
+      case 'GeometryCollection': {
+        const geometries = (geometry.geometries || [])
+          .map(member => LineGeometry.isLineGeometry(member) ? LineGeometry.filterLines(member, fn) : member)
+          .filter(Boolean);
+        return geometries.some(member => LineGeometry.isLineGeometry(member)) ? { ...geometry, geometries } : null;
+      }
+      default:
+        return geometry;
+    }
+  }
+
+  /**
+   * Feature ID: properties.id, falling back to the GeoJSON feature id
+   * @returns {string|null}
+   */
+  static getFeatureId(feature) {
+    const id = feature?.properties?.id ?? feature?.id;
+    return id === undefined || id === null || id === '' ? null : String(id);
+  }
+
+  /**
+   * One entry per line part of a feature list
+   * @param {Array} features - GeoJSON features
+   * @returns {Array} [{ feature, featureIndex, featureId, partIndex, partCount, id, coordinates }]
+   *   id is null when the parent feature has no ID
+   */
+  static explode(features) {
+    const parts = [];
+    (features || []).forEach((feature, featureIndex) => {
+      const lines = LineGeometry.getLineParts(feature?.geometry);
+      const featureId = LineGeometry.getFeatureId(feature);
+
+      lines.forEach((coordinates, partIndex) => {
+        parts.push({
+          feature,
+          featureIndex,
+          featureId,
+          partIndex,
+          partCount: lines.length,
+          id: featureId === null || lines.length === 1 ? featureId : `${featureId}_${partIndex}`,
+          coordinates
+        });
+      });
+    });
+    return parts;
+  }
+
+  /**
+   * Features as LineString features, one per part
+   * Plain LineString features are returned unchanged; parts of other line
+   * geometries carry parentId and partIndex properties.
+   * @param {Array} features - GeoJSON features
+   * @returns {Array} LineString features
+   */
+  static toLineFeatures(features) {
+    return LineGeometry.explode(features).map(part => {
+      if (part.feature.geometry.type === 'LineString') return part.feature;
+
+      return {
+        type: 'Feature',
+        properties: {
+          ...(part.feature.properties || {}),
+          ...(part.featureId !== null ? { id: part.id, parentId: part.featureId } : {}),
+          partIndex: part.partIndex
+        },
+        geometry: { type: 'LineString', coordinates: part.coordinates }
+      };
+    });
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.LineGeometry = LineGeometry;
+}
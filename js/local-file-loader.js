@@ -0,0 +1,505 @@
+/**
+ * Local File Loader - drag-and-drop / file picker input
+ *
+ * Lets analysts open files they received by email without copying them into
+ * data/. Dropped files and folders (or files chosen in the Settings pickers)
+ * are classified by content and handed to the app as blob: URLs, so the
+ * regular loaders read them exactly like files from the server:
+ * - network: GeoJSON lines (Tile2Net output)
+ * - osm: GeoJSON lines from OSM (file name, highway/osm_id tags), Overpass JSON,
+ *   or an OSM XML / .osm.pbf extract (see OSMExtractReader)
+ * - errors: GeoJSON polygons (FP/FN error regions)
+ * - tileIndex: JSON with a "tiles" array; its paths are matched to the dropped masks
+ * - masks: .png/.tif predictions, ground truth (ground_truth/, gt/, labels/ folders
+ *   or a _gt suffix) and .npy class probabilities
+ *
+ * Everything stays in the browser; no server is involved.
+ */
+
+class LocalFileLoader {
+  /**
+   * @param {Object} options - { onLoad(result), convertOverpass(json, source) -> GeoJSON }
+   */
+  constructor(options = {}) {
+    this.onLoad = options.onLoad || null;
+    this.convertOverpass = options.convertOverpass || null;
+
+    this.dropOverlay = null;
+    this.dragDepth = 0;
+    this.loading = false;
+
+    // Blob URLs by kind (network, osm, errors, segmentation): the ones the app
+    // uses now, and the ones created for the load in progress
+    this.objectUrls = {};
+    this.pendingUrls = {};
+
+    this.maskExtensions = /\.(png|tiff?)$/i;
+    this.groundTruthFolders = /^(ground[_-]?truth|gt|labels?|annotations?)$/i;
+    this.groundTruthSuffix = /[_-](gt|ground[_-]?truth|label)$/i;
+
+    this.init();
+  }
+
+  /**
+   * Wire the drop overlay and the file / folder pickers
+   */
+  init() {
+    this.dropOverlay = document.getElementById('drop-overlay');
+
+    document.addEventListener('dragenter', (e) => {
+      if (!this.isFileDrag(e)) return;
+      e.preventDefault();
+      this.dragDepth++;
+      this.setDropOverlayVisible(true);
+    });
+
+    document.addEventListener('dragover', (e) => {
+      if (!this.isFileDrag(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+
+    document.addEventListener('dragleave', (e) => {
+      if (!this.isFileDrag(e)) return;
+      this.dragDepth = Math.max(0, this.dragDepth - 1);
+      if (this.dragDepth === 0) this.setDropOverlayVisible(false);
+    });
+
+    document.addEventListener('drop', (e) => {
+      if (!this.isFileDrag(e)) return;
+      e.preventDefault();
+      this.dragDepth = 0;
+      this.setDropOverlayVisible(false);
+      this.handleDrop(e.dataTransfer);
+    });
+
+    ['local-files-input', 'local-folder-input'].forEach(id => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener('change', () => {
+        const files = Array.from(input.files).map(file => ({
+          file,
+          path: file.webkitRelativePath || file.name
+        }));
+        input.value = '';
+        this.loadFiles(files);
+      });
+    });
+  }
+
+  /**
+   * True for drags carrying files (not text or links dragged inside the page)
+   */
+  isFileDrag(e) {
+    return Array.from(e.dataTransfer?.types || []).includes('Files');
+  }
+
+  setDropOverlayVisible(visible) {
+    if (this.dropOverlay) this.dropOverlay.classList.toggle('visible', visible);
+  }
+
+  // ============================================
+  // READING FILES AND FOLDERS
+  // ============================================
+
+  /**
+   * Collect dropped files, walking dropped folders recursively
+   * Entries must be taken from the DataTransfer before the first await.
+   */
+  async handleDrop(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+      .filter(item => item.kind === 'file')
+      .map(item => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+
+    let files = [];
+    if (entries.length > 0) {
+      for (const entry of entries) {
+        await this.readEntry(entry, files);
+      }
+    } else {
+      files = Array.from(dataTransfer.files || []).map(file => ({ file, path: file.name }));
+    }
+
+    this.loadFiles(files);
+  }
+
+  /**
+   * Add a file entry, or every file below a directory entry, to `out`
+   * @param {FileSystemEntry} entry - Dropped entry
+   * @param {Array} out - Collected { file, path } items
+   */
+  async readEntry(entry, out) {
+    if (entry.name.startsWith('.')) return;
+
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      out.push({ file, path: entry.fullPath.replace(/^\//, '') });
+      return;
+    }
+
+    if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns the directory in batches until it returns an empty one
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+          await this.readEntry(child, out);
+        }
+      } while (batch.length > 0);
+    }
+  }
+
+  /**
+   * Classify a set of files and pass the result to onLoad
+   * @param {Array} files - [{ file: File, path: relative path }]
+   */
+  async loadFiles(files) {
+    if (files.length === 0 || this.loading) return;
+    this.loading = true;
+
+    this.pendingUrls = {};
+    try {
+      console.log(`📂 Reading ${files.length} local file(s)...`);
+      const result = await this.classifyFiles(files);
+      if (this.onLoad) await this.onLoad(result);
+      this.replaceUrls(result);
+    } catch (error) {
+      console.error('❌ Failed to read local files:', error);
+      this.replaceUrls({});
+      if (this.onLoad) await this.onLoad({ error });
+    } finally {
+      this.loading = false;
+    }
+  }
+
+  /**
+   * Revoke the blob URLs of every kind the new result replaced, and the new
+   * URLs no result entry uses. Kinds the result left alone stay loaded.
+   * @param {Object} result - classifyFiles result the app has applied
+   */
+  replaceUrls(result) {
+    Object.entries(this.pendingUrls).forEach(([kind, urls]) => {
+      if (result[kind]) {
+        this.revokeUrls(this.objectUrls[kind]);
+        this.objectUrls[kind] = urls;
+      } else {
+        this.revokeUrls(urls);
+      }
+    });
+    this.pendingUrls = {};
+  }
+
+  /**
+   * Release blob URLs
+   * @param {Array<string>} urls - URLs as returned by createUrl / createJsonUrl
+   */
+  revokeUrls(urls = []) {
+    urls.forEach(url => URL.revokeObjectURL(url.split('#')[0]));
+  }
+
+  /**
+   * Release every URL the app uses (e.g. on dataset switch)
+   */
+  revokeAllUrls() {
+    Object.values(this.objectUrls).forEach(urls => this.revokeUrls(urls));
+    this.objectUrls = {};
+  }
+
+  // ============================================
+  // CLASSIFICATION
+  // ============================================
+
+  /**
+   * Sort files into network / OSM / errors / segmentation
+   * @returns {Object} { network, osm, errors, segmentation, skipped: [{ name, reason }] }
+   *   network / osm / errors are { name, url, data }; segmentation is
+   *   { config (segmentation config patch), tiles, groundTruth, probabilities, name }
+   */
+  async classifyFiles(files) {
+    const result = { network: null, osm: null, errors: null, segmentation: null, skipped: [] };
+    const masks = [];
+    const probabilities = [];
+    let tileIndex = null;
+
+    for (const item of files) {
+      const name = item.file.name;
+
+      if (this.maskExtensions.test(name)) {
+        masks.push({ ...item, groundTruth: this.isGroundTruthPath(item.path) });
+        continue;
+      }
+      if (/\.npy$/i.test(name)) {
+        probabilities.push(item);
+        continue;
+      }
+      if (OSMExtractReader.isExtractFile(name)) {
+        try {
+          this.addOSMReference(result, name, await OSMExtractReader.read(item.file), `OpenStreetMap extract (${name})`);
+        } catch (error) {
+          result.skipped.push({ name, reason: error.message });
+        }
+        continue;
+      }
+      if (!/\.(geo)?json$/i.test(name)) {
+        result.skipped.push({ name, reason: 'unsupported file type' });
+        continue;
+      }
+
+      let json;
+      try {
+        json = JSON.parse(await item.file.text());
+      } catch (error) {
+        result.skipped.push({ name, reason: 'not valid JSON' });
+        continue;
+      }
+
+      const kind = this.classifyJson(json, name);
+      if (kind === 'tileIndex') {
+        if (tileIndex) result.skipped.push({ name, reason: 'more than one tile index' });
+        else tileIndex = { ...item, data: json };
+      } else if (kind === 'overpass') {
+        this.addOSMReference(result, name, json, `Overpass JSON (${name})`);
+      } else if (kind === 'osm' || kind === 'network' || kind === 'errors') {
+        if (result[kind]) {
+          result.skipped.push({ name, reason: `more than one ${kind} file` });
+        } else {
+          result[kind] = { name, url: this.createUrl(item.file, kind), data: json };
+        }
+      } else {
+        result.skipped.push({ name, reason: kind === 'config' ? 'project configs load with ?config=' : 'unrecognized JSON' });
+      }
+    }
+
+    if (masks.length > 0 || tileIndex) {
+      result.segmentation = this.buildSegmentation(masks, probabilities, tileIndex, result.skipped);
+    } else {
+      probabilities.forEach(item => result.skipped.push({ name: item.file.name, reason: 'probabilities without masks' }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert Overpass-style JSON (a dump or a read extract) into the OSM reference
+   * @param {Object} result - classifyFiles result being built
+   * @param {string} name - File name
+   * @param {Object} osmJson - { elements }
+   * @param {string} source - GeoJSON metadata source label
+   */
+  addOSMReference(result, name, osmJson, source) {
+    if (!this.convertOverpass) {
+      result.skipped.push({ name, reason: 'Overpass JSON converter unavailable' });
+    } else if (result.osm) {
+      result.skipped.push({ name, reason: 'more than one OSM file' });
+    } else {
+      const geojson = this.convertOverpass(osmJson, source);
+      if (geojson.features.length === 0) {
+        result.skipped.push({ name, reason: 'no footways, sidewalks or streets in the file' });
+        return;
+      }
+      const jsonName = name.replace(/\.(osm|osm\.xml|osm\.pbf|pbf)$/i, '.geojson');
+      result.osm = { name, url: this.createJsonUrl(geojson, jsonName, 'osm'), data: geojson };
+    }
+  }
+
+  /**
+   * Decide what a parsed JSON file is
+   * @returns {string} 'tileIndex' | 'overpass' | 'osm' | 'network' | 'errors' | 'config' | 'unknown'
+   */
+  classifyJson(json, name) {
+    if (Array.isArray(json?.tiles)) return 'tileIndex';
+    if (Array.isArray(json?.elements)) return 'overpass';
+    if (json?.segmentation || json?.datasets || json?.tile2net) return 'config';
+    if (json?.type !== 'FeatureCollection' || !Array.isArray(json.features)) return 'unknown';
+
+    const features = json.features.filter(f => f?.geometry);
+    const count = type => features.filter(f => type.test(f.geometry.type)).length;
+    const lines = count(/LineString$/);
+    const polygons = count(/Polygon$/);
+
+    if (polygons > lines) return 'errors';
+    if (lines === 0) return 'unknown';
+
+    const osmTagged = features.filter(f => f.properties?.highway || f.properties?.osm_id).length;
+    if (/osm|openstreetmap|overpass/i.test(name) || osmTagged > features.length / 2) return 'osm';
+    return 'network';
+  }
+
+  /**
+   * Ground truth masks live in a ground_truth/gt/labels folder or carry a _gt suffix
+   */
+  isGroundTruthPath(path) {
+    const parts = path.split('/');
+    const stem = this.fileStem(parts.pop());
+    return parts.some(part => this.groundTruthFolders.test(part)) || this.groundTruthSuffix.test(stem);
+  }
+
+  /**
+   * File name without extension
+   */
+  fileStem(name) {
+    return name.replace(/\.[^.]+$/, '');
+  }
+
+  /**
+   * Key pairing a prediction with its ground truth / probabilities (stem without _gt)
+   */
+  tileKey(name) {
+    return this.fileStem(name).replace(this.groundTruthSuffix, '');
+  }
+
+  /**
+   * Blob URL for a file, with the file name as fragment so extension checks
+   * (.tif, .npy) still work - the fragment is ignored when the blob is read
+   * @param {File} file - Local file
+   * @param {string} kind - Result entry the URL belongs to (see replaceUrls)
+   */
+  createUrl(file, kind) {
+    return this.trackUrl(`${URL.createObjectURL(file)}#${encodeURIComponent(file.name)}`, kind);
+  }
+
+  /**
+   * Blob URL for generated JSON (converted OSM data, tile indexes)
+   */
+  createJsonUrl(data, name, kind) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    return this.trackUrl(`${URL.createObjectURL(blob)}#${encodeURIComponent(name)}`, kind);
+  }
+
+  /**
+   * Remember a URL created for the load in progress
+   */
+  trackUrl(url, kind) {
+    (this.pendingUrls[kind] = this.pendingUrls[kind] || []).push(url);
+    return url;
+  }
+
+  // ============================================
+  // SEGMENTATION MASKS
+  // ============================================
+
+  /**
+   * Turn dropped masks into a segmentation config patch
+   * - With a tile index: its paths are pointed at the dropped files
+   * - GeoTIFF predictions: an index without bounds (read from the GeoTIFF tags)
+   * - PNG predictions named tile_{row}_{col}: a grid (gridSize + tileFiles)
+   */
+  buildSegmentation(masks, probabilities, tileIndex, skipped) {
+    const predictions = masks.filter(m => !m.groundTruth);
+    const groundTruth = new Map(masks.filter(m => m.groundTruth).map(m => [this.tileKey(m.file.name), m]));
+    const probabilityByKey = new Map(probabilities.map(p => [this.tileKey(p.file.name), p]));
+    const summary = {
+      tiles: 0,
+      groundTruth: 0,
+      predictionOnly: 0,  // Dropped predictions without a ground truth file (no metrics)
+      probabilities: 0,
+      name: tileIndex?.file.name || `${predictions.length} mask file(s)`
+    };
+
+    if (tileIndex) {
+      const index = this.remapTileIndex(tileIndex.data, [...masks, ...probabilities], summary);
+      return { ...summary, config: { tileIndexFile: this.createJsonUrl(index, tileIndex.file.name, 'segmentation'), gridSize: null, tileFiles: null } };
+    }
+
+    const tileFiles = {};
+    const geoTiffTiles = [];
+    let rows = 0, cols = 0;
+
+    predictions.forEach((item, index) => {
+      const key = this.tileKey(item.file.name);
+      const files = {
+        segmentationPath: this.createUrl(item.file, 'segmentation'),
+        groundTruthPath: groundTruth.has(key) ? this.createUrl(groundTruth.get(key).file, 'segmentation') : null,
+        probabilityPath: probabilityByKey.has(key) ? this.createUrl(probabilityByKey.get(key).file, 'segmentation') : null
+      };
+
+      if (/\.tiff?$/i.test(item.file.name)) {
+        geoTiffTiles.push({ id: key, row: 0, col: index, bounds: null, center: null, ...files });
+      } else {
+        const match = key.match(/^tile_(\d+)_(\d+)$/);
+        if (!match) {
+          skipped.push({ name: item.file.name, reason: 'PNG masks need a tile index or tile_{row}_{col} names' });
+          return;
+        }
+        rows = Math.max(rows, Number(match[1]) + 1);
+        cols = Math.max(cols, Number(match[2]) + 1);
+        tileFiles[key] = files;
+      }
+
+      summary.tiles++;
+      if (files.groundTruthPath) summary.groundTruth++;
+      else summary.predictionOnly++;
+      if (files.probabilityPath) summary.probabilities++;
+    });
+
+    const predictionKeys = new Set(predictions.map(item => this.tileKey(item.file.name)));
+    groundTruth.forEach((item, key) => {
+      if (!predictionKeys.has(key)) skipped.push({ name: item.file.name, reason: 'ground truth without a matching prediction' });
+    });
+
+    if (summary.tiles === 0) return null;
+
+    if (geoTiffTiles.length > 0) {
+      if (rows > 0) skipped.push({ name: 'PNG masks', reason: 'mixed with GeoTIFFs; only the GeoTIFFs were loaded' });
+      summary.tiles = geoTiffTiles.length;
+      summary.groundTruth = geoTiffTiles.filter(tile => tile.groundTruthPath).length;
+      summary.predictionOnly = summary.tiles - summary.groundTruth;
+      const index = { tiles: geoTiffTiles };
+      return { ...summary, config: { tileIndexFile: this.createJsonUrl(index, 'tile_index.json', 'segmentation'), gridSize: null, tileFiles: null } };
+    }
+
+    return { ...summary, config: { tileIndexFile: null, gridSize: { rows, cols }, tileFiles } };
+  }
+
+  /**
+   * Copy a tile index with its mask paths pointed at the dropped files
+   * A path matches the dropped file whose relative path it ends with (longest
+   * match wins); for bare file names the ground truth / prediction role decides.
+   * Paths without a dropped file are kept, so a served copy is still used.
+   */
+  remapTileIndex(indexData, items, summary) {
+    const resolve = (path, wantGroundTruth) => {
+      if (typeof path !== 'string') return path;
+
+      let best = null;
+      for (const item of items) {
+        if (path !== item.path && !path.endsWith('/' + item.path)) continue;
+        const roleMatch = !!item.groundTruth === wantGroundTruth;
+        if (!best || item.path.length > best.item.path.length ||
+            (item.path.length === best.item.path.length && roleMatch && !best.roleMatch)) {
+          best = { item, roleMatch };
+        }
+      }
+      return best ? this.createUrl(best.item.file, 'segmentation') : path;
+    };
+
+    const tiles = indexData.tiles.map(tile => {
+      const remapped = {
+        ...tile,
+        segmentationPath: resolve(tile.segmentationPath, false),
+        groundTruthPath: resolve(tile.groundTruthPath, true),
+        probabilityPath: resolve(tile.probabilityPath, false)
+      };
+      if (Array.isArray(tile.probabilityPaths)) {
+        remapped.probabilityPaths = tile.probabilityPaths.map(path => resolve(path, false));
+      }
+
+      if (remapped.segmentationPath !== tile.segmentationPath) summary.tiles++;
+      if (remapped.groundTruthPath && remapped.groundTruthPath !== tile.groundTruthPath) summary.groundTruth++;
+      if (remapped.probabilityPath && remapped.probabilityPath !== tile.probabilityPath) summary.probabilities++;
+      return remapped;
+    });
+
+    if (summary.tiles < tiles.length) {
+      console.warn(`⚠️ ${tiles.length - summary.tiles} tile(s) in the index have no dropped mask; their original paths are kept`);
+    }
+    return { ...indexData, tiles };
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.LocalFileLoader = LocalFileLoader;
+}
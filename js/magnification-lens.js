@@ -585,19 +585,24 @@ class MagnificationLens {
     ctx.fill();
 
     // Render based on local mode
-    switch (this.localMode) {
-      case 'prediction':
-        this.renderPredictionInRing(ctx, center, radius, features, dpr);
-        break;
-      case 'groundTruth':
-        this.renderGroundTruthInRing(ctx, center, radius, features, dpr);
-        break;
-      case 'error':
-        this.renderErrorInRing(ctx, center, radius, features, dpr);
-        break;
-      case 'confidence':
-        this.renderConfidenceInRing(ctx, center, radius, features, dpr);
-        break;
+    if (this.segOverlay.hasMaskData && this.segOverlay.hasMaskData()) {
+      // Real tile2net masks are loaded - magnify them directly
+      this.renderMaskInRing(ctx, center, radius, dpr);
+    } else {
+      switch (this.localMode) {
+        case 'prediction':
+          this.renderPredictionInRing(ctx, center, radius, features, dpr);
+          break;
+        case 'groundTruth':
+          this.renderGroundTruthInRing(ctx, center, radius, features, dpr);
+          break;
+        case 'error':
+          this.renderErrorInRing(ctx, center, radius, features, dpr);
+          break;
+        case 'confidence':
+          this.renderConfidenceInRing(ctx, center, radius, features, dpr);
+          break;
+      }
     }
 
     // Draw mode label
@@ -610,6 +615,23 @@ class MagnificationLens {
     ctx.fillText(this.modeLabels[this.localMode].toUpperCase(), center, center + radius - 20);
   }
 
+  /**
+   * Render the overlay's tile masks for the local mode, magnified inside the ring
+   */
+  renderMaskInRing(ctx, center, radius, dpr) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(center, center, radius, 0, Math.PI * 2);
+    ctx.clip();
+
+    // Same screen -> ring mapping as the feature renderers: center + (p - position) * dpr
+    ctx.translate(center - this.position.x * dpr, center - this.position.y * dpr);
+    ctx.scale(dpr, dpr);
+    this.segOverlay.drawMaskTiles(ctx, this.localMode);
+
+    ctx.restore();
+  }
+
   renderPredictionInRing(ctx, center, radius, features, dpr) {
     const colors = this.segOverlay.classColors;
     const scale = dpr;
@@ -885,9 +907,7 @@ class MagnificationLens {
     // Find intersections
     const endpointMap = new Map();
 
-    for (const feature of features) {
-      if (feature.geometry?.type !== 'LineString') continue;
-      const coords = feature.geometry.coordinates;
+    for (const { coordinates: coords } of LineGeometry.explode(features)) {
       if (coords.length < 2) continue;
 
       const startKey = `${coords[0][0].toFixed(4)},${coords[0][1].toFixed(4)}`;
@@ -20,6 +20,10 @@ class ModernPedestrianNetworkInspector {
     // Magnification lens
     this.magLens = null;
 
+    // Tile2Net segmentation mask loader (Idea A)
+    this.dataLoader = null;
+    this.pixelInspector = null;
+
     // State
     this.stateManager = null;
 
@@ -33,6 +37,28 @@ class ModernPedestrianNetworkInspector {
       networkStyle: 'mapbox://styles/mapbox/dark-v11'           // Dark for network
     };
 
+    // Full data/config.json contents (paths for segmentation, network, etc.)
+    this.projectConfig = null;
+
+    // Project config file - ?config=path/to/config.json points one build at another project
+    this.configPath = new URLSearchParams(window.location.search).get('config') || 'data/config.json';
+
+    // Named datasets from config.json "datasets" (see applyDatasetConfig)
+    this.baseConfig = null;
+    this.datasets = [];
+    this.activeDatasetId = null;
+    this.switchingDataset = false;
+
+    // Data paths used when the config leaves a key out (see getDataPath)
+    this.defaultDataPaths = {
+      network: 'data/sample/pedestrian-network.geojson',
+      'tile2net.network': 'data/sample/network.geojson',
+      errors: 'data/sample/errors.geojson',
+      osmNetwork: 'data/sample/osm-network.geojson',
+      citySidewalks: 'data/sample/city-sidewalks-sample.geojson',
+      cityBuildings: 'data/sample/city-buildings-sample.geojson'
+    };
+
     // Sync state
     this.syncing = false;
 
@@ -40,6 +66,30 @@ class ModernPedestrianNetworkInspector {
     this.osmOverlayActive = false;
     this.lastOSMFetchBounds = null;
     this.osmMoveHandler = null;
+    this.osmFromFile = false; // Static osmNetwork file - no refetch on pan
+    this.osmMatch = null; // OSMMatcher result for the current network and OSM data
+    this.osmMatchStats = null;
+    this.osmDiscrepancies = null; // OSMMatcher.toDiscrepancies() of osmMatch
+    this.osmClassComparison = null; // OSMMatcher.compareClasses() of osmMatch
+    this.osmDiscrepancyFilter = 'all'; // comparison class shown in OSM overlay mode
+
+    // Network version diff (previous run vs current network)
+    this.baselineNetworkData = null;
+    this.baselineNetworkName = null;
+    this.networkVersionDiff = null;
+
+    // IndexedDB cache of Overpass tiles and city GIS files (see initDataCache)
+    this.dataCache = null;
+
+    // Files opened by drag-and-drop / file picker (kind -> file name)
+    this.localFileLoader = null;
+    this.localSources = {};
+
+    // Network validation report (see validateNetworkData)
+    this.networkValidation = null;
+
+    // Raw vs noded topology, computed on request (see computeNodingComparison)
+    this.nodingComparison = null;
 
     this.init();
   }
@@ -70,6 +120,7 @@ class ModernPedestrianNetworkInspector {
 
       // Setup controls
       this.setupControls();
+      this.initDatasetSwitcher();
 
       // Initial statistics
       this.updateStatistics();
@@ -83,9 +134,15 @@ class ModernPedestrianNetworkInspector {
       // Initialize settings manager
       this.initSettingsManager();
 
+      // IndexedDB cache for Overpass and city GIS data
+      this.initDataCache();
+
       // Initialize export manager
       this.initExportManager();
 
+      // Drag-and-drop / file picker loading
+      this.initLocalFileLoader();
+
       // Listen for synthetic data usage
       this.syntheticDataWarningShown = false;
       document.addEventListener('syntheticDataUsed', (e) => {
@@ -96,6 +153,17 @@ class ModernPedestrianNetworkInspector {
         }
       });
 
+      // Real predictions without ground truth are shown unscored
+      this.groundTruthWarningShown = false;
+      document.addEventListener('groundTruthMissing', () => {
+        if (!this.groundTruthWarningShown) {
+          this.groundTruthWarningShown = true;
+          this.showToast('No Ground Truth',
+            'Some prediction tiles have no ground truth. They are shown without metrics or error regions.',
+            'warning');
+        }
+      });
+
       this.hideLoading();
       this.showToast('Ready', 'Pedestrian Network Inspector loaded. Press H for keyboard shortcuts.', 'success');
 
@@ -132,12 +200,29 @@ class ModernPedestrianNetworkInspector {
   initSettingsManager() {
     if (typeof SettingsManager !== 'undefined') {
       this.settingsManager = new SettingsManager(this.stateManager);
+      if (this.projectConfig?.settings) {
+        this.settingsManager.applyDatasetSettings(this.projectConfig.settings);
+      }
       console.log('✓ Settings manager initialized');
     } else {
       console.warn('SettingsManager not found, settings panel disabled');
     }
   }
 
+  /**
+   * Initialize the OSM / city data cache with the saved cache settings
+   */
+  initDataCache() {
+    if (typeof DataCache === 'undefined') {
+      console.warn('DataCache not found, OSM and city data will not be cached');
+      return;
+    }
+
+    const settings = this.settingsManager?.settings || {};
+    this.dataCache = new DataCache({ enabled: settings.cacheEnabled, maxAgeDays: settings.cacheMaxAgeDays });
+    console.log(`✓ Data cache ${this.dataCache.enabled ? `enabled (${this.dataCache.maxAgeDays} day expiry)` : 'disabled'}`);
+  }
+
   /**
    * Initialize export manager
    */
@@ -217,19 +302,229 @@ class ModernPedestrianNetworkInspector {
    */
   async loadConfiguration() {
     try {
-      const response = await fetch('data/config.json');
+      const response = await fetch(this.configPath);
       if (response.ok) {
         const config = await response.json();
-        if (config.extent?.center) {
-          this.config.center = [config.extent.center[1], config.extent.center[0]]; // Convert [lat, lng] to [lng, lat]
-        }
-        console.log('✓ Configuration loaded');
+        this.baseConfig = config;
+        this.datasets = Array.isArray(config.datasets) ? config.datasets.filter(d => d && d.id) : [];
+
+        const requested = new URLSearchParams(window.location.search).get('dataset');
+        this.applyDatasetConfig(requested || config.defaultDataset || this.datasets[0]?.id || null);
+        console.log('✓ Configuration loaded from', this.configPath);
+      } else {
+        console.warn(`⚠️ Config ${this.configPath} not found (${response.status}), using default paths`);
       }
     } catch (e) {
       console.warn('Using default configuration');
     }
   }
 
+  /**
+   * Make a dataset the active project config
+   * Dataset entries override the top-level keys of config.json (shallow merge),
+   * so shared paths can live at the top level.
+   * @param {string|null} datasetId - Dataset id, or null for the top-level config only
+   */
+  applyDatasetConfig(datasetId) {
+    const base = { ...this.baseConfig };
+    delete base.datasets;
+    delete base.defaultDataset;
+
+    let dataset = this.datasets.find(d => d.id === datasetId) || null;
+    if (datasetId && !dataset) {
+      console.warn(`⚠️ Unknown dataset "${datasetId}", using ${this.datasets[0]?.id || 'top-level config'}`);
+      dataset = this.datasets[0] || null;
+    }
+
+    this.projectConfig = dataset ? { ...base, ...dataset } : base;
+    this.activeDatasetId = dataset?.id || null;
+    this.localSources = {};
+    this.localFileLoader?.revokeAllUrls(); // Dropped files are no longer referenced
+
+    const extent = this.projectConfig.extent;
+    if (extent?.center) {
+      this.config.center = [extent.center[1], extent.center[0]]; // Convert [lat, lng] to [lng, lat]
+    }
+    if (extent?.zoom) {
+      this.config.zoom = extent.zoom;
+    }
+  }
+
+  /**
+   * Resolve a data path from the project config
+   * Nested keys use dots ('tile2net.network'). Missing keys fall back to
+   * defaultDataPaths; a key set to null in the config disables that source.
+   * @param {string} key - Config key
+   * @returns {string|null} Path, or null if the source is disabled / unknown
+   */
+  getDataPath(key) {
+    let value = this.projectConfig;
+    for (const part of key.split('.')) {
+      value = value?.[part];
+    }
+
+    if (value === null) return null;
+    if (typeof value === 'string' && value) return value;
+    return this.defaultDataPaths[key] || null;
+  }
+
+  // ============================================
+  // DATASET SWITCHER
+  // ============================================
+
+  /**
+   * Fill the dataset dropdown from config.json "datasets" (hidden with fewer than two)
+   */
+  initDatasetSwitcher() {
+    const control = document.getElementById('dataset-control');
+    const select = document.getElementById('dataset-select');
+    if (!control || !select) return;
+
+    if (this.datasets.length < 2) {
+      control.style.display = 'none';
+      return;
+    }
+
+    select.innerHTML = this.datasets
+      .map(d => `<option value="${this.escapeHtml(d.id)}">${this.escapeHtml(d.name || d.id)}</option>`)
+      .join('');
+    select.value = this.activeDatasetId;
+    control.style.display = '';
+
+    select.addEventListener('change', () => this.switchDataset(select.value));
+  }
+
+  /**
+   * Switch to another dataset without a page reload
+   * Tears down the loaded data, analyzers and map layers, re-centers the maps
+   * on the dataset extent and loads its data.
+   * @param {string} datasetId - Dataset id from config.json
+   */
+  async switchDataset(datasetId) {
+    if (this.switchingDataset || datasetId === this.activeDatasetId) return;
+    this.switchingDataset = true;
+
+    const select = document.getElementById('dataset-select');
+    if (select) select.disabled = true;
+
+    try {
+      this.applyDatasetConfig(datasetId);
+      const name = this.projectConfig.name || this.activeDatasetId;
+      this.showLoading(`Loading ${name}...`);
+
+      // Keep the dataset in the URL so a refresh stays on it
+      const url = new URL(window.location.href);
+      url.searchParams.set('dataset', this.activeDatasetId);
+      window.history.replaceState(null, '', url);
+
+      this.settingsManager?.applyDatasetSettings(this.projectConfig.settings);
+
+      const view = { center: this.config.center, zoom: this.config.zoom };
+      this.segmentationMap.jumpTo(view);
+      this.errorMap.jumpTo(view);
+      this.networkMap.jumpTo(view);
+
+      await this.loadAllData();
+
+      this.hideLoading();
+      this.showToast('Dataset', `Switched to ${name}`, 'success');
+    } catch (error) {
+      console.error('❌ Failed to switch dataset:', error);
+      this.hideLoading();
+      this.showToast('Dataset', 'Could not load dataset: ' + error.message, 'error');
+    } finally {
+      this.switchingDataset = false;
+      if (select) {
+        select.disabled = false;
+        select.value = this.activeDatasetId;
+      }
+    }
+  }
+
+  /**
+   * (Re)load all data for the active project config
+   * Used by the dataset switcher and the Settings "Reload Data" button.
+   */
+  async loadAllData() {
+    this.teardownData();
+
+    await Promise.all([
+      this.loadSegmentationData(),
+      this.loadNetworkData()
+    ]);
+
+    // Re-enter an OSM / City Data header mode so its layers load for the new data
+    if (this.currentHeaderMode && this.currentHeaderMode !== 'network-only') {
+      document.querySelector(`.mode-btn[data-mode="${this.currentHeaderMode}"]`)?.click();
+    }
+
+    this.updateStatistics();
+  }
+
+  /**
+   * Drop everything derived from the current dataset
+   * The maps and segmentation overlays stay; their data and layers are cleared.
+   */
+  teardownData() {
+    this.stopFlicker();
+    this.hideOSMLayer();
+    this.hideRoutePair();
+    this.hideCityDataLayer();
+    this.hideVersionDiffLayer();
+
+    this.osmNetworkData = null;
+    this.osmFromFile = false;
+    this.osmMatch = null;
+    this.osmMatchStats = null;
+    this.osmDiscrepancies = null;
+    this.osmClassComparison = null;
+    this.renderOSMDiscrepancySummary();
+    this.citySidewalksData = null;
+    this.cityBuildingsData = null;
+    this.baselineNetworkData = null;
+    this.baselineNetworkName = null;
+    this.networkVersionDiff = null;
+    this.renderVersionDiffSummary();
+
+    this.networkSegOverlay?.destroy();
+    this.networkSegOverlay = null;
+    this.networkAnalyzer?.destroy();
+    this.networkAnalyzer = null;
+    this.qualityScorecard?.destroy();
+    this.qualityScorecard = null;
+    this.networkData = null;
+    this.networkGraph = null;
+    this.networkBounds = null;
+    this.networkValidation = null;
+    this.nodingComparison = null;
+    this.updateNetworkValidationStat();
+    this.renderNodingSummary();
+
+    this.dataLoader = null;
+    this.refreshingTiles = false;
+    this.tileRefreshQueued = false;
+    for (const overlay of [this.segOverlay, this.errorOverlay]) {
+      if (!overlay) continue;
+      overlay.setErrorRegions(null);
+      overlay.setDataLoader(null);
+    }
+    this.updateModelDiffControls();
+    this.pixelInspector?.disable();
+
+    this.stateManager.batchUpdate({
+      'data.segmentation.tiles': null,
+      'data.segmentation.errors': null,
+      'data.segmentation.polygons': null,
+      'data.network.tile2net': null,
+      'data.network.osm': null,
+      'data.network.comparison': null,
+      'data.network.baseline': null,
+      'data.network.versionDiff': null,
+      'data.network.validation': null,
+      'data.statistics.comparisonMetrics': null
+    });
+  }
+
   /**
    * Initialize all maps
    */
@@ -737,6 +1032,9 @@ class ModernPedestrianNetworkInspector {
     // When left overlay regenerates, copy data to right overlay
     this.setupOverlaySync();
 
+    // Load tile2net prediction / ground truth masks for Idea A
+    this.loadSegmentationData();
+
     // Load network data for Idea B
     this.loadNetworkData();
 
@@ -778,22 +1076,191 @@ class ModernPedestrianNetworkInspector {
    * They share the same error region definitions for consistency
    */
   setupOverlaySync() {
-    // Share error regions between overlays so they show consistent FP/FN areas
-    // Both overlays are initialized with the same map center, so their error regions
-    // are already in the same geographic location
-
-    // Copy the error regions from the left overlay to the right overlay
-    // so they reference the exact same geographic areas
-    this.errorOverlay.errorRegions = this.segOverlay.errorRegions;
+    // Share error regions between overlays so they show consistent FP/FN areas:
+    // loadErrorRegions() pushes the same region GeoJSON to both overlays
 
     // Update statistics when either map finishes moving
+    // (pyramid masks: fetch the tiles for the new view first)
     this.segmentationMap.on('moveend', () => {
-      setTimeout(() => this.updateStatistics(), 200);
+      if (this.dataLoader?.isXyzPyramid()) {
+        this.refreshViewportTiles();
+      } else {
+        setTimeout(() => this.updateStatistics(), 200);
+      }
     });
 
     console.log('✓ Overlay sync configured');
   }
 
+  /**
+   * Load tile2net segmentation masks for Idea A
+   *
+   * Tiles come from the segmentation section of data/config.json (tile index file
+   * with per-tile bounds). Missing mask PNGs fall back to synthetic masks inside
+   * the data loader. Once loaded, both overlays render the real per-pixel masks.
+   */
+  async loadSegmentationData() {
+    if (typeof Tile2NetDataLoader === 'undefined') {
+      console.warn('Tile2NetDataLoader not loaded, segmentation masks unavailable');
+      await this.loadErrorRegions();
+      return;
+    }
+
+    console.log('🎨 Loading segmentation masks for Idea A');
+
+    let computedErrors = null;
+
+    try {
+      this.dataLoader = new Tile2NetDataLoader(this.stateManager);
+      this.groundTruthWarningShown = false;
+      await this.dataLoader.loadTilesFromConfig(this.projectConfig || {});
+
+      // Tile2Net polygon output (config "tile2net.polygons"), kept in state for other views
+      const polygonsPath = this.getDataPath('tile2net.polygons');
+      if (polygonsPath) {
+        const polygons = await this.dataLoader.loadPolygons(polygonsPath);
+        if (polygons) this.stateManager.updateState('data.segmentation.polygons', polygons);
+      }
+
+      if (this.dataLoader.isXyzPyramid()) {
+        const b = this.segmentationMap.getBounds();
+        await this.dataLoader.loadTilesForViewport(
+          { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() },
+          this.segmentationMap.getZoom()
+        );
+      }
+
+      const visData = await this.dataLoader.prepareVisualizationData();
+      computedErrors = visData.errors;
+
+      this.stateManager.updateState('data.segmentation.tiles', visData.tiles);
+
+      // Both overlays render from the same loader so left/right panels agree
+      this.segOverlay.setDataLoader(this.dataLoader);
+      this.errorOverlay.setDataLoader(this.dataLoader);
+      this.renderClassLegend();
+      this.updateModelDiffControls();
+
+      // Confidence measure selector only matters with real class probabilities
+      const confMetric = document.getElementById('conf-metric');
+      if (confMetric) {
+        confMetric.style.display = this.dataLoader.hasProbabilityMaps() ? '' : 'none';
+      }
+
+      this.initPixelInspector();
+
+      this.updateStatistics();
+      console.log(`✓ Segmentation masks loaded for ${visData.tiles.length} tiles`);
+    } catch (error) {
+      console.error('❌ Failed to load segmentation masks:', error);
+      this.showToast('Segmentation', 'Could not load segmentation masks: ' + error.message, 'warning');
+    }
+
+    await this.loadErrorRegions(computedErrors);
+  }
+
+  /**
+   * Fetch pyramid mask tiles for the current view and refresh regions/metrics
+   * Moves during a fetch are coalesced into one follow-up refresh.
+   */
+  async refreshViewportTiles() {
+    if (this.refreshingTiles) {
+      this.tileRefreshQueued = true;
+      return;
+    }
+    this.refreshingTiles = true;
+
+    const loader = this.dataLoader;
+    try {
+      const b = this.segmentationMap.getBounds();
+      await loader.loadTilesForViewport(
+        { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() },
+        this.segmentationMap.getZoom()
+      );
+
+      // Dataset switched while fetching - these tiles are stale
+      if (loader !== this.dataLoader) return;
+
+      const visData = loader.collectVisualizationData();
+      this.stateManager.updateState('data.segmentation.tiles', visData.tiles);
+      this.stateManager.updateState('data.segmentation.errors', visData.errors);
+      this.segOverlay?.setErrorRegions(visData.errors);
+      this.errorOverlay?.setErrorRegions(visData.errors);
+
+      this.updateStatistics();
+    } catch (error) {
+      console.warn('⚠️ Could not load mask tiles for viewport:', error);
+    } finally {
+      this.refreshingTiles = false;
+    }
+
+    if (this.tileRefreshQueued) {
+      this.tileRefreshQueued = false;
+      this.refreshViewportTiles();
+    }
+  }
+
+  /**
+   * Create the pixel inspector for the segmentation map (toggle with I)
+   * Starts disabled so hovering does not compete with error region clicks.
+   */
+  initPixelInspector() {
+    if (typeof PixelInspector === 'undefined') return;
+    if (this.pixelInspector) {
+      this.pixelInspector.dataLoader = this.dataLoader;
+      return;
+    }
+
+    this.pixelInspector = new PixelInspector(this.segOverlay, this.stateManager);
+    this.pixelInspector.disable();
+  }
+
+  /**
+   * Load FP/FN error regions for both overlays
+   * Prefers polygon regions computed from the loaded masks when those are real
+   * (no synthetic masks or ground truth); otherwise falls back to the errors
+   * GeoJSON from config ("errors", data/sample/errors.geojson by default).
+   * @param {Object} computedErrors - FeatureCollection from prepareVisualizationData()
+   */
+  async loadErrorRegions(computedErrors = null) {
+    let regions = null;
+
+    const hasPolygons = !!this.dataLoader?.hasRealErrorData() && computedErrors?.features?.some(f =>
+      f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
+    );
+
+    if (hasPolygons) {
+      regions = computedErrors;
+      console.log(`✓ Using ${computedErrors.features.length} error regions computed from masks`);
+    } else {
+      const errorsPath = this.getDataPath('errors');
+      if (!errorsPath) return;
+      try {
+        const response = await fetch(errorsPath);
+        if (!response.ok) {
+          throw new Error(`Failed to load error regions: ${response.status}`);
+        }
+        regions = await response.json();
+        console.log(`✓ Loaded ${regions.features?.length || 0} error regions from ${errorsPath}`);
+      } catch (error) {
+        console.warn('⚠️ Could not load error regions:', error);
+        return;
+      }
+    }
+
+    this.showErrorRegions(regions);
+  }
+
+  /**
+   * Put error regions in state and on both overlays
+   * @param {Object} regions - Error region FeatureCollection
+   */
+  showErrorRegions(regions) {
+    this.stateManager.updateState('data.segmentation.errors', regions);
+    this.segOverlay.setErrorRegions(regions);
+    this.errorOverlay.setErrorRegions(regions);
+  }
+
   /**
    * Load network data for Idea B
    *
@@ -810,18 +1277,38 @@ class ModernPedestrianNetworkInspector {
 
     let networkData = null;
 
-    // Load the real pedestrian network from Tile2Net pipeline
-    try {
-      const response = await fetch('data/sample/pedestrian-network.geojson');
-      if (response.ok) {
-        networkData = await response.json();
-        console.log('✓ Loaded pedestrian network:', networkData.features?.length, 'features');
-      } else {
-        this.showNetworkLoadError('Failed to load pedestrian network: ' + response.status);
+    // Configured network first, then the Tile2Net project output as fallback
+    const networkPaths = [...new Set([this.getDataPath('network'), this.getDataPath('tile2net.network')])]
+      .filter(Boolean);
+
+    for (const path of networkPaths) {
+      try {
+        const response = await fetch(path);
+        if (!response.ok) {
+          console.warn(`⚠️ Could not load network ${path}: ${response.status}`);
+          continue;
+        }
+
+        const data = await response.json();
+        if (!data.features || data.features.length < 5) {
+          console.warn(`⚠️ Network ${path} has too few features (${data.features?.length || 0})`);
+          if (!networkData) networkData = data;
+          continue;
+        }
+
+        // Tile2Net writes the feature type as f_type
+        data.features.forEach(feature => {
+          if (feature.properties?.f_type && !feature.properties.featureType) {
+            feature.properties.featureType = feature.properties.f_type;
+          }
+        });
+
+        networkData = data;
+        console.log(`✓ Loaded pedestrian network from ${path}:`, networkData.features.length, 'features');
+        break;
+      } catch (e) {
+        console.warn(`Could not load network file ${path}:`, e.message);
       }
-    } catch (e) {
-      console.warn('Could not load pedestrian network file:', e.message);
-      this.showNetworkLoadError('Network file not found: ' + e.message);
     }
 
     // OSM network data will be fetched dynamically from Overpass API when OSM Overlay is enabled
@@ -829,22 +1316,6 @@ class ModernPedestrianNetworkInspector {
     this.osmNetworkData = null;
     console.log('ℹ️ OSM data will be fetched dynamically from Overpass API when enabled');
 
-    // Fallback: try the general network.geojson
-    if (!networkData || !networkData.features || networkData.features.length < 5) {
-      try {
-        const response = await fetch('data/sample/network.geojson');
-        if (response.ok) {
-          const fallbackData = await response.json();
-          if (fallbackData.features && fallbackData.features.length > 5) {
-            networkData = fallbackData;
-            console.log('✓ Loaded fallback network data:', networkData.features?.length, 'features');
-          }
-        }
-      } catch (e) {
-        console.warn('Could not load fallback network file:', e.message);
-      }
-    }
-
     if (!networkData || !networkData.features || networkData.features.length === 0) {
       console.error('❌ No network data available');
       this.showNetworkLoadError('No network data available. Please check data files.');
@@ -855,6 +1326,9 @@ class ModernPedestrianNetworkInspector {
     // OSM match statistics will be computed when OSM overlay is enabled
     // (OSM data is now fetched dynamically from Overpass API)
 
+    // Report (and optionally repair) geometry the graph would skip or misread
+    networkData = this.validateNetworkData(networkData);
+
     console.log('✓ Network data ready:', networkData.features?.length, 'segments');
 
     // Store reference for later use
@@ -896,9 +1370,8 @@ class ModernPedestrianNetworkInspector {
     let minLng = Infinity, maxLng = -Infinity;
     let minLat = Infinity, maxLat = -Infinity;
 
-    for (const feature of networkData.features) {
-      if (feature.geometry?.type !== 'LineString') continue;
-      for (const coord of feature.geometry.coordinates) {
+    for (const { coordinates } of LineGeometry.explode(networkData.features)) {
+      for (const coord of coordinates) {
         const [lng, lat] = coord;
         if (lng < minLng) minLng = lng;
         if (lng > maxLng) maxLng = lng;
@@ -939,80 +1412,29 @@ class ModernPedestrianNetworkInspector {
 
   /**
    * Extract graph structure (nodes and edges) from real pedestrian network data
-   * Nodes are placed at:
-   * - Intersections (where 3+ segments share a coordinate)
+   * Uses the shared PedestrianGraph (same snapping as the analyzer and scorecard).
+   * Nodes are classified as:
+   * - Intersections (where 3+ segments meet)
    * - Junctions (where 2 segments meet)
    * - Endpoints (segment ends that don't connect to anything)
    */
   extractNetworkGraph(networkData) {
     console.log('📊 Extracting graph from real network data...');
 
-    // Map to track all coordinates and which segments use them
-    // Key: "lng,lat" (rounded for matching)
-    // Value: { coord: [lng, lat], segmentIds: [], degree: number }
-    const coordMap = new Map();
-
-    // Tolerance for coordinate matching (in degrees, ~1m at this latitude)
-    const tolerance = 0.00001;
-
-    // Round coordinate for consistent matching
-    const roundCoord = (coord) => {
-      return [
-        Math.round(coord[0] / tolerance) * tolerance,
-        Math.round(coord[1] / tolerance) * tolerance
-      ];
-    };
-
-    const coordKey = (coord) => {
-      const rounded = roundCoord(coord);
-      return `${rounded[0].toFixed(5)},${rounded[1].toFixed(5)}`;
-    };
-
-    // First pass: collect all endpoints from all segments
-    for (const feature of networkData.features) {
-      if (feature.geometry?.type !== 'LineString') continue;
-
-      const coords = feature.geometry.coordinates;
-      if (coords.length < 2) continue;
-
-      const segmentId = feature.properties?.id || `seg_${Math.random().toString(36).substr(2, 9)}`;
-
-      // Register start point
-      const startKey = coordKey(coords[0]);
-      if (!coordMap.has(startKey)) {
-        coordMap.set(startKey, { coord: coords[0], segmentIds: [], degree: 0 });
-      }
-      coordMap.get(startKey).segmentIds.push(segmentId);
-      coordMap.get(startKey).degree++;
-
-      // Register end point
-      const endKey = coordKey(coords[coords.length - 1]);
-      if (!coordMap.has(endKey)) {
-        coordMap.set(endKey, { coord: coords[coords.length - 1], segmentIds: [], degree: 0 });
-      }
-      coordMap.get(endKey).segmentIds.push(segmentId);
-      coordMap.get(endKey).degree++;
-    }
+    const graph = PedestrianGraph.forNetwork(networkData, this.getGraphOptions());
 
     // Build node list with classification
-    const nodes = [];
-    for (const [key, data] of coordMap) {
-      const nodeType = data.degree >= 3 ? 'intersection' :
-                       data.degree === 2 ? 'junction' :
-                       'endpoint';
-
-      nodes.push({
-        id: key,
-        coord: data.coord,
-        type: nodeType,
-        degree: data.degree,
-        segmentIds: data.segmentIds
-      });
-    }
+    const nodes = Array.from(graph.nodes.values()).map(node => ({
+      id: node.id,
+      coord: node.coords,
+      type: PedestrianGraph.getNodeType(node),
+      degree: node.degree,
+      segmentIds: node.edges
+    }));
 
     // Store the extracted graph
+    this.networkGraph = graph;
     this.networkNodes = nodes;
-    this.networkNodeMap = coordMap;
 
     // Create GeoJSON for nodes
     this.networkNodesGeoJSON = {
@@ -1058,21 +1480,21 @@ class ModernPedestrianNetworkInspector {
       return;
     }
 
-    // Count valid LineString features
-    const lineFeatures = networkData.features.filter(f => f.geometry?.type === 'LineString');
-    console.log('📏 Valid LineString features:', lineFeatures.length);
+    // Count line parts (Mapbox draws MultiLineString / GeometryCollection natively)
+    const lineParts = LineGeometry.explode(networkData.features);
+    console.log('📏 Valid line parts:', lineParts.length);
 
-    if (lineFeatures.length === 0) {
-      console.error('❌ No LineString features in data!');
+    if (lineParts.length === 0) {
+      console.error('❌ No line features in data!');
       return;
     }
 
     // Log sample edge data
-    const sample = lineFeatures[0];
+    const sample = lineParts[0];
     console.log('📋 Sample edge:', {
-      id: sample.properties?.id,
-      coords: sample.geometry.coordinates.slice(0, 2),
-      quality: sample.properties?.quality
+      id: sample.id,
+      coords: sample.coordinates.slice(0, 2),
+      quality: sample.feature.properties?.quality
     });
 
     // Remove existing layers/sources if present
@@ -1346,6 +1768,20 @@ class ModernPedestrianNetworkInspector {
     if (typeof NetworkAnalyzer !== 'undefined') {
       this.networkAnalyzer = new NetworkAnalyzer(this.stateManager);
 
+      // Thresholds from Settings (saved values plus dataset overrides)
+      const settings = this.settingsManager?.settings;
+      if (settings) {
+        this.networkAnalyzer.config.shortStubThreshold = settings.shortStubThreshold;
+        this.networkAnalyzer.config.longLinkThreshold = settings.longLinkThreshold;
+        this.networkAnalyzer.config.sharpAngleThreshold = settings.sharpAngleThreshold;
+      }
+      Object.assign(this.networkAnalyzer.config, this.getGraphOptions());
+
+      if (typeof QualityScorecard !== 'undefined') {
+        this.qualityScorecard = new QualityScorecard(this.stateManager);
+        Object.assign(this.qualityScorecard.config, this.getGraphOptions());
+      }
+
       // Store network data in state
       this.stateManager.updateState('data.network.tile2net', networkData);
 
@@ -1361,7 +1797,10 @@ class ModernPedestrianNetworkInspector {
             if (this.networkSegOverlay && this.networkAnalyzer) {
               const problems = this.networkAnalyzer.getProblems();
               this.networkSegOverlay.setProblemData(problems);
+              // Edge colors come from the analyzed network, not per-session values
+              this.networkSegOverlay.setNetworkQualitySource(networkData, this.networkAnalyzer);
             }
+            this.renderNodingSummary();
           }, 200);
         }
       }, 100);
@@ -1371,8 +1810,73 @@ class ModernPedestrianNetworkInspector {
       console.warn('NetworkAnalyzer not loaded');
     }
 
-    // Set up Idea B controls
-    this.setupIdeaBControls();
+    // Set up Idea B controls once; later dataset loads only re-apply the visual mode
+    if (!this.ideaBControlsReady) {
+      this.ideaBControlsReady = true;
+      this.setupIdeaBControls();
+    } else {
+      setTimeout(() => this.updateNetworkVisualization(), 1000);
+    }
+  }
+
+  /**
+   * Options of the shared network graph, from Settings
+   * @returns {Object} { snapTolerance (meters), noding, mergeChains }
+   */
+  getGraphOptions() {
+    const settings = this.settingsManager?.settings;
+    return {
+      snapTolerance: settings?.snapTolerance ?? PedestrianGraph.DEFAULT_SNAP_TOLERANCE,
+      noding: !!settings?.noding,
+      mergeChains: !!settings?.mergeChains
+    };
+  }
+
+  /**
+   * Rebuild the node layer, analyzer and scorecard graphs with new graph options
+   * @param {Object} options - { snapTolerance (meters), noding, mergeChains }
+   */
+  setGraphOptions(options) {
+    if (this.networkAnalyzer) Object.assign(this.networkAnalyzer.config, options);
+    if (this.qualityScorecard) Object.assign(this.qualityScorecard.config, options);
+
+    const graph = this.networkGraph;
+    const unchanged = graph && ['snapTolerance', 'noding', 'mergeChains'].every(key => graph[key] === options[key]);
+    if (!this.networkData || unchanged) return;
+
+    console.log('🔧 Rebuilding network graph:', options);
+    this.extractNetworkGraph(this.networkData);
+    this.networkAnalyzer?.analyze(this.networkData);
+    this.qualityScorecard?.analyzeNetwork();
+
+    if (this.networkSegOverlay && this.networkAnalyzer) {
+      this.networkSegOverlay.setProblemData(this.networkAnalyzer.getProblems());
+      this.networkSegOverlay.setNetworkQualitySource(this.networkData, this.networkAnalyzer);
+      this.updateNetworkVisualization();
+    }
+    this.renderNodingSummary();
+  }
+
+  /**
+   * Turn noding or chain merging on or off from the Network Quality Inspector
+   * (saved with Settings)
+   * @param {string} key - 'noding' or 'mergeChains'
+   */
+  setGraphOption(key, enabled) {
+    if (this.settingsManager) {
+      this.settingsManager.settings[key] = enabled;
+      this.settingsManager.saveSettings();
+    }
+    this.setGraphOptions({ ...this.getGraphOptions(), [key]: enabled });
+
+    const graph = this.networkGraph;
+    if (enabled && key === 'noding' && graph?.nodingStats) {
+      const stats = graph.nodingStats;
+      this.showToast('Noding on', `${stats.splitEdges} edges split at ${stats.crossings} crossings and ${stats.tJunctions} T-junctions`, 'info');
+    } else if (enabled && key === 'mergeChains' && graph?.chainStats) {
+      const stats = graph.chainStats;
+      this.showToast('Chains merged', `${stats.mergedEdges} segments merged into ${stats.chains} edges`, 'info');
+    }
   }
 
   /**
@@ -1424,6 +1928,21 @@ class ModernPedestrianNetworkInspector {
       });
     }
 
+    // Noding toggle (raw vs noded topology)
+    const nodingToggle = document.getElementById('toggle-noding');
+    if (nodingToggle) {
+      nodingToggle.addEventListener('change', (e) => this.setGraphOption('noding', e.target.checked));
+    }
+    document.getElementById('noding-summary')?.addEventListener('click', (e) => {
+      if (e.target.closest('#noding-compare')) this.showNodingComparison();
+    });
+
+    // Degree-2 chain merging toggle
+    const chainsToggle = document.getElementById('toggle-merge-chains');
+    if (chainsToggle) {
+      chainsToggle.addEventListener('change', (e) => this.setGraphOption('mergeChains', e.target.checked));
+    }
+
     // Set up custom event listeners for network interactions
     this.setupNetworkEventListeners();
 
@@ -1462,6 +1981,11 @@ class ModernPedestrianNetworkInspector {
     document.addEventListener('showImageryViewer', (e) => {
       this.showImageryViewerModal(e.detail.coords, e.detail.problemType);
     });
+
+    // Listen for route drill-down requests from the quality scorecard
+    document.addEventListener('showRoutePair', (e) => {
+      this.showRoutePair(e.detail.pair);
+    });
   }
 
   /**
@@ -2047,10 +2571,13 @@ class ModernPedestrianNetworkInspector {
       });
     }
 
-    // Class visibility toggles
-    const classToggles = document.querySelectorAll('.class-toggle');
-    classToggles.forEach(toggle => {
-      toggle.addEventListener('click', () => {
+    // Class visibility toggles (delegated - the legend is rebuilt from the class schema)
+    const classLegend = document.querySelector('#seg-map-panel .legend-items-horizontal');
+    if (classLegend) {
+      classLegend.addEventListener('click', (e) => {
+        const toggle = e.target.closest('.class-toggle');
+        if (!toggle) return;
+
         const className = toggle.dataset.class;
         toggle.classList.toggle('active');
 
@@ -2059,7 +2586,7 @@ class ModernPedestrianNetworkInspector {
           this.segOverlay.setClassVisibility(className, visible);
         }
       });
-    });
+    }
 
     // Scroll hint (down to Idea B)
     const scrollHintDown = document.querySelector('.scroll-hint:not(.scroll-up)');
@@ -2106,11 +2633,16 @@ class ModernPedestrianNetworkInspector {
         const networkLegend = document.getElementById('network-legend');
         const osmLegend = document.getElementById('osm-legend');
         const cityDataLegend = document.getElementById('city-data-legend');
+        const versionDiffLegend = document.getElementById('version-diff-legend');
         const flickerControl = document.getElementById('flicker-control');
 
         // Hide all layers first (show plain map)
         this.showPlainMap();
 
+        // Version diff legend and layers belong to that mode only
+        if (versionDiffLegend) versionDiffLegend.style.display = mode === 'version-diff' ? 'block' : 'none';
+        if (mode !== 'version-diff') this.hideVersionDiffLayer();
+
         if (mode === 'network-only') {
           // Network mode: flicker between plain map and network layer
           if (networkLegend) networkLegend.style.display = 'block';
@@ -2161,6 +2693,23 @@ class ModernPedestrianNetworkInspector {
           } else {
             this.setCityLayersOpacity(0.7);
           }
+
+        } else if (mode === 'version-diff') {
+          // Version diff mode: flicker between plain map and the changed edges
+          if (networkLegend) networkLegend.style.display = 'none';
+          if (osmLegend) osmLegend.style.display = 'none';
+          if (cityDataLegend) cityDataLegend.style.display = 'none';
+          if (flickerControl) flickerControl.style.display = this.flickerEnabled ? 'block' : 'none';
+          this.hideOSMLayer();
+          this.hideCityDataLayer();
+          this.showVersionDiffOverlay().then(() => {
+            if (this.currentHeaderMode !== 'version-diff') return;
+            if (this.flickerEnabled) {
+              this.restartFlickerForCurrentMode();
+            } else {
+              this.setVersionDiffLayerOpacity(0.9);
+            }
+          });
         }
       });
     });
@@ -2208,12 +2757,38 @@ class ModernPedestrianNetworkInspector {
     // === Magnification Lens Toggle ===
     this.setupLensControls();
 
+    // === Network Version Diff Controls ===
+    this.setupVersionDiffControls();
+
+    // === OSM Comparison Legend Controls ===
+    this.setupOSMDiscrepancyControls();
+
     // === Confusion Matrix Button ===
     const matrixBtn = document.getElementById('show-confusion-matrix');
     if (matrixBtn) {
       matrixBtn.addEventListener('click', () => this.showConfusionMatrix());
     }
 
+    // === Model Diff (A/B) Button ===
+    const modelDiffBtn = document.getElementById('show-model-diff');
+    if (modelDiffBtn) {
+      modelDiffBtn.addEventListener('click', () => this.showModelDiff());
+    }
+
+    // === Quality Scorecard Panel (collapsed to its header) ===
+    const scorecardToggle = document.getElementById('scorecard-toggle');
+    if (scorecardToggle) {
+      scorecardToggle.addEventListener('click', () => {
+        document.getElementById('quality-scorecard')?.classList.toggle('collapsed');
+      });
+    }
+
+    // === Network Data Check (validation report) ===
+    const validationStat = document.getElementById('stat-validation');
+    if (validationStat) {
+      validationStat.addEventListener('click', () => this.showNetworkValidationReport());
+    }
+
     // === Flicker Speed Slider ===
     const flickerSpeedSlider = document.getElementById('flicker-speed');
     const flickerSpeedLabel = document.getElementById('flicker-speed-label');
@@ -2328,6 +2903,15 @@ class ModernPedestrianNetworkInspector {
       confMax.addEventListener('input', updateConfidenceRange);
     }
 
+    // Confidence measure (max probability / margin / entropy)
+    const confMetric = document.getElementById('conf-metric');
+    if (confMetric) {
+      confMetric.addEventListener('change', () => {
+        if (this.segOverlay) this.segOverlay.setConfidenceMetric(confMetric.value);
+        if (this.errorOverlay) this.errorOverlay.setConfidenceMetric(confMetric.value);
+      });
+    }
+
     // Reset filters button
     const resetFilters = document.getElementById('reset-filters');
     if (resetFilters) {
@@ -2378,44 +2962,62 @@ class ModernPedestrianNetworkInspector {
           if (f1El) f1El.textContent = (stats.f1Score * 100).toFixed(1) + '%';
           if (iouEl) iouEl.textContent = (stats.meanIoU * 100).toFixed(1) + '%';
 
+          // Keep state in sync so exports/reports use the same viewport numbers
+          this.stateManager.batchUpdate({
+            'data.statistics.accuracy': stats.accuracy,
+            'data.statistics.precision': stats.precision,
+            'data.statistics.recall': stats.recall,
+            'data.statistics.f1Score': stats.f1Score,
+            'data.statistics.meanIoU': stats.meanIoU,
+            'data.statistics.iou': stats.iou || null,
+            'data.statistics.confusionMatrix': stats.confusionMatrix || null
+          });
+
           console.log('Statistics updated:', stats);
         }
       }
     }, 500); // Wait for overlays to generate data
   }
 
+  /**
+   * Rebuild the class legend / visibility toggles from the loader's class schema
+   */
+  renderClassLegend() {
+    const items = document.querySelector('#seg-map-panel .legend-items-horizontal');
+    if (!items || !this.dataLoader) return;
+
+    const visibility = this.segOverlay?.classVisibility || {};
+    items.innerHTML = this.dataLoader.getClasses()
+      .filter(cls => cls.id !== 0)
+      .map(cls => `
+        <div class="legend-item class-toggle ${visibility[cls.name] !== false ? 'active' : ''}" data-class="${cls.name}">
+          <div class="legend-color"></div>
+          <span>${cls.label}</span>
+        </div>
+      `).join('');
+
+    this.updateLegendForMode(this.segOverlay?.getDisplayMode() || 'prediction');
+  }
+
   /**
    * Update legend colors based on display mode
-   * Prediction: Green/Blue/Red
-   * Ground Truth: Orange/Purple/Magenta
+   * Prediction and Ground Truth use the overlay's two class palettes
    */
   updateLegendForMode(mode) {
     const legend = document.querySelector('#seg-map-panel .map-legend');
-    if (!legend) return;
+    if (!legend || !this.segOverlay) return;
 
-    const roadColor = legend.querySelector('[data-class="road"] .legend-color');
-    const sidewalkColor = legend.querySelector('[data-class="sidewalk"] .legend-color');
-    const crosswalkColor = legend.querySelector('[data-class="crosswalk"] .legend-color');
+    const isGroundTruth = mode === 'groundTruth';
+    const colors = isGroundTruth ? this.segOverlay.gtColors : this.segOverlay.classColors;
 
-    if (mode === 'groundTruth') {
-      // Ground Truth colors: Orange/Purple/Magenta
-      if (roadColor) roadColor.style.background = '#ff9800';
-      if (sidewalkColor) sidewalkColor.style.background = '#9c27b0';
-      if (crosswalkColor) crosswalkColor.style.background = '#e91e63';
-
-      // Update legend title
-      const title = legend.querySelector('.legend-title');
-      if (title) title.textContent = 'Ground Truth Classes';
-    } else {
-      // Prediction colors: Green/Blue/Red
-      if (roadColor) roadColor.style.background = '#4caf50';
-      if (sidewalkColor) sidewalkColor.style.background = '#2196f3';
-      if (crosswalkColor) crosswalkColor.style.background = '#f44336';
+    legend.querySelectorAll('.class-toggle').forEach(item => {
+      const color = colors[item.dataset.class];
+      const swatch = item.querySelector('.legend-color');
+      if (color && swatch) swatch.style.background = `rgb(${color.r}, ${color.g}, ${color.b})`;
+    });
 
-      // Reset legend title
-      const title = legend.querySelector('.legend-title');
-      if (title) title.textContent = 'Classes';
-    }
+    const title = legend.querySelector('.legend-title');
+    if (title) title.textContent = isGroundTruth ? 'Ground Truth Classes' : 'Classes';
   }
 
   /**
@@ -2491,6 +3093,7 @@ class ModernPedestrianNetworkInspector {
 
   /**
    * Fetch real OSM pedestrian/road data from Overpass API for current map bounds
+   * Goes through the IndexedDB tile cache (see DataCache) when it is enabled.
    * @param {Object} expandedBounds - Optional pre-expanded bounds to use
    * @returns {Promise<Object>} GeoJSON FeatureCollection of OSM ways
    */
@@ -2503,51 +3106,97 @@ class ModernPedestrianNetworkInspector {
 
     if (expandedBounds) {
       // Use provided expanded bounds
-      south = expandedBounds.south;
-      west = expandedBounds.west;
-      north = expandedBounds.north;
-      east = expandedBounds.east;
+      ({ south, west, north, east } = expandedBounds);
     } else {
-      // Get current bounds and expand by 200% for better coverage
+      // Expand by 2x the view in each direction (5x the visible area), less
+      // when zoomed out so one fetch stays within DataCache.MAX_OSM_TILES
       const bounds = this.networkMap.getBounds();
       const latRange = bounds.getNorth() - bounds.getSouth();
       const lngRange = bounds.getEast() - bounds.getWest();
 
-      // Expand bounds by 2x in each direction (total 5x the visible area)
-      south = bounds.getSouth() - latRange * 2;
-      west = bounds.getWest() - lngRange * 2;
-      north = bounds.getNorth() + latRange * 2;
-      east = bounds.getEast() + lngRange * 2;
+      for (const factor of [2, 1, 0.5, 0]) {
+        south = bounds.getSouth() - latRange * factor;
+        west = bounds.getWest() - lngRange * factor;
+        north = bounds.getNorth() + latRange * factor;
+        east = bounds.getEast() + lngRange * factor;
+        if (DataCache.countTiles({ south, west, north, east }, DataCache.TILE_ZOOM) <= DataCache.MAX_OSM_TILES) break;
+      }
+    }
+
+    if (DataCache.countTiles({ south, west, north, east }, DataCache.TILE_ZOOM) > DataCache.MAX_OSM_TILES) {
+      throw new Error('Area too large for OSM data - zoom in');
     }
 
     // Store the bounds we're fetching for later comparison
     this.lastOSMFetchBounds = { south, west, north, east };
 
+    if (!this.dataCache?.enabled) {
+      return this.queryOverpass(this.lastOSMFetchBounds);
+    }
+
+    // Cached tiles are reused; missing or expired ones are fetched in one query
+    // and cached per tile, so a later viewport overlapping this one skips them
+    const tiles = DataCache.tilesForBounds(this.lastOSMFetchBounds, DataCache.TILE_ZOOM);
+    const queryKey = DataCache.hash(OSMExtractReader.buildOverpassQuery({ south: 0, west: 0, north: 0, east: 0 }));
+    const cached = await this.dataCache.getOSMTiles(queryKey, tiles);
+    const missing = tiles.filter(tile => {
+      const record = cached.get(DataCache.tileKey(tile));
+      return !record || this.dataCache.isExpired(record.storedAt);
+    });
+
+    const features = new Map();
+    const addFeatures = list => list.forEach(feature => features.set(feature.properties.id, feature));
+    let fetchedTiles = [];
+
+    if (missing.length > 0) {
+      fetchedTiles = DataCache.tileRange(missing);
+      try {
+        const geojson = await this.queryOverpass(DataCache.unionBounds(fetchedTiles));
+        await this.dataCache.putOSMTiles(queryKey, fetchedTiles, geojson.features);
+        addFeatures(geojson.features);
+      } catch (error) {
+        // Offline: expired tiles are better than nothing, but gaps are not silent
+        if (!missing.every(tile => cached.has(DataCache.tileKey(tile)))) throw error;
+        console.warn('⚠️ Overpass unreachable, using expired cached OSM tiles:', error.message);
+        this.showToast('OSM Data', 'Overpass unreachable - showing cached OSM data', 'warning');
+        fetchedTiles = [];
+      }
+    }
+
+    const fetchedKeys = new Set(fetchedTiles.map(DataCache.tileKey));
+    cached.forEach((record, tileKey) => {
+      if (!fetchedKeys.has(tileKey)) addFeatures(record.features);
+    });
+
+    const reused = tiles.length - missing.length;
+    if (reused > 0) console.log(`💾 Reused ${reused}/${tiles.length} cached OSM tiles`);
+
+    return {
+      type: 'FeatureCollection',
+      metadata: {
+        source: 'OpenStreetMap via Overpass API',
+        fetchTime: new Date().toISOString(),
+        featureCount: features.size,
+        cachedTiles: tiles.length - fetchedKeys.size,
+        fetchedTiles: fetchedKeys.size
+      },
+      features: [...features.values()]
+    };
+  }
+
+  /**
+   * Run the reference-way query for a bounding box on the configured Overpass endpoint
+   * @param {Object} bounds - { south, west, north, east }
+   * @returns {Promise<Object>} GeoJSON FeatureCollection of OSM ways
+   */
+  async queryOverpass(bounds) {
     // Overpass QL query for pedestrian-relevant ways (footways, sidewalks, paths, pedestrian areas, and roads)
-    const query = `
-      [out:json][timeout:30];
-      (
-        way["highway"="footway"](${south},${west},${north},${east});
-        way["highway"="path"](${south},${west},${north},${east});
-        way["highway"="pedestrian"](${south},${west},${north},${east});
-        way["highway"="steps"](${south},${west},${north},${east});
-        way["sidewalk"](${south},${west},${north},${east});
-        way["highway"="residential"](${south},${west},${north},${east});
-        way["highway"="tertiary"](${south},${west},${north},${east});
-        way["highway"="secondary"](${south},${west},${north},${east});
-        way["highway"="primary"](${south},${west},${north},${east});
-        way["highway"="service"]["service"!="parking_aisle"](${south},${west},${north},${east});
-        way["highway"="living_street"](${south},${west},${north},${east});
-        way["highway"="crossing"](${south},${west},${north},${east});
-      );
-      out body;
-      >;
-      out skel qt;
-    `;
+    const query = OSMExtractReader.buildOverpassQuery(bounds);
 
-    const overpassUrl = 'https://overpass-api.de/api/interpreter';
+    // Public Overpass by default; Settings can point at a local mirror
+    const overpassUrl = this.settingsManager?.settings.overpassUrl || 'https://overpass-api.de/api/interpreter';
 
-    console.log('📡 Fetching OSM data from Overpass API...');
+    console.log(`📡 Fetching OSM data from ${overpassUrl}...`);
     this.showToast('OSM Data', 'Fetching real OSM data...', 'info');
 
     try {
@@ -2577,12 +3226,66 @@ class ModernPedestrianNetworkInspector {
     }
   }
 
+  /**
+   * Load the OSM reference network
+   * Overpass by default; "osmSource": "file" in config.json uses the osmNetwork
+   * file instead, which is also the fallback when Overpass is unreachable.
+   * @returns {Object} GeoJSON FeatureCollection
+   */
+  async loadOSMReference() {
+    const osmPath = this.getDataPath('osmNetwork');
+
+    if (this.projectConfig?.osmSource === 'file' && osmPath) {
+      return this.loadOSMNetworkFile(osmPath);
+    }
+
+    try {
+      this.osmFromFile = false;
+      return await this.fetchOSMDataFromOverpass();
+    } catch (error) {
+      if (!osmPath) throw error;
+      console.warn(`⚠️ Overpass unavailable, using ${osmPath}`);
+      return this.loadOSMNetworkFile(osmPath);
+    }
+  }
+
+  /**
+   * Load a static OSM network (config.json "osmNetwork")
+   * GeoJSON, or an extract read by OSMExtractReader (OSM XML, Overpass JSON, .osm.pbf)
+   * @param {string} path - File path or blob URL (file name in the fragment)
+   */
+  async loadOSMNetworkFile(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`Failed to load OSM network ${path}: ${response.status}`);
+    }
+
+    const name = decodeURIComponent(path.split('#')[1] || path.split('/').pop());
+    let geojson;
+    if (OSMExtractReader.isExtractFile(name)) {
+      const osmJson = await OSMExtractReader.read(await response.blob(), name);
+      geojson = this.convertOverpassToGeoJSON(osmJson, `OpenStreetMap extract (${name})`);
+    } else {
+      geojson = await response.json();
+      if (Array.isArray(geojson.elements)) {
+        geojson = this.convertOverpassToGeoJSON(geojson, `Overpass JSON (${name})`);
+      }
+    }
+
+    this.osmFromFile = true;
+    console.log(`✓ Loaded ${geojson.features?.length || 0} OSM features from ${path}`);
+    return geojson;
+  }
+
   /**
    * Convert Overpass API JSON response to GeoJSON
-   * @param {Object} osmJson - Raw Overpass API response
+   * Only ways matching OSMExtractReader.WAY_FILTERS (the Overpass query) are
+   * kept, so local extracts and dumps get the same reference set.
+   * @param {Object} osmJson - Raw Overpass API response, or a local extract read as one
+   * @param {string} source - Metadata source label
    * @returns {Object} GeoJSON FeatureCollection
    */
-  convertOverpassToGeoJSON(osmJson) {
+  convertOverpassToGeoJSON(osmJson, source = 'OpenStreetMap via Overpass API') {
     const features = [];
 
     // Build a map of node ID -> coordinates
@@ -2595,7 +3298,8 @@ class ModernPedestrianNetworkInspector {
 
     // Convert ways to LineString features
     for (const element of osmJson.elements) {
-      if (element.type === 'way' && element.nodes && element.nodes.length >= 2) {
+      if (element.type === 'way' && element.nodes && element.nodes.length >= 2 &&
+          OSMExtractReader.isReferenceWay(element.tags)) {
         const coordinates = [];
 
         for (const nodeId of element.nodes) {
@@ -2616,6 +3320,8 @@ class ModernPedestrianNetworkInspector {
             properties: {
               id: element.id,
               highway: element.tags?.highway || 'unknown',
+              footway: element.tags?.footway || '',
+              crossing: element.tags?.crossing || '',
               name: element.tags?.name || '',
               surface: element.tags?.surface || '',
               sidewalk: element.tags?.sidewalk || '',
@@ -2630,7 +3336,7 @@ class ModernPedestrianNetworkInspector {
     return {
       type: 'FeatureCollection',
       metadata: {
-        source: 'OpenStreetMap via Overpass API',
+        source,
         fetchTime: new Date().toISOString(),
         featureCount: features.length
       },
@@ -2664,7 +3370,7 @@ class ModernPedestrianNetworkInspector {
    * Update OSM overlay data for new viewport
    */
   async updateOSMOverlayForViewport() {
-    if (!this.osmOverlayActive || !this.networkMap) return;
+    if (!this.osmOverlayActive || !this.networkMap || this.osmFromFile) return;
 
     // Check if we need to refetch
     if (!this.needsOSMRefetch()) return;
@@ -2689,6 +3395,8 @@ class ModernPedestrianNetworkInspector {
         if (this.stateManager) {
           this.stateManager.updateState('data.network.osm', this.osmNetworkData);
         }
+
+        this.refreshOSMMatch();
       }
     } catch (error) {
       console.warn('Failed to update OSM data:', error);
@@ -2713,8 +3421,8 @@ class ModernPedestrianNetworkInspector {
     this.osmOverlayActive = true;
 
     try {
-      // Fetch real OSM data from Overpass API (with expanded bounds)
-      this.osmNetworkData = await this.fetchOSMDataFromOverpass();
+      // Fetch real OSM data from Overpass API (with expanded bounds) or the configured file
+      this.osmNetworkData = await this.loadOSMReference();
 
       if (!this.osmNetworkData || this.osmNetworkData.features.length === 0) {
         this.showToast('OSM Data', 'No OSM features found in this area', 'warning');
@@ -2730,7 +3438,7 @@ class ModernPedestrianNetworkInspector {
 
       // Recompute match stats with new data
       if (this.networkData) {
-        this.computeOSMMatchStats(this.networkData, this.osmNetworkData);
+        this.computeOSMMatch(this.networkData, this.osmNetworkData);
       }
 
     } catch (error) {
@@ -2799,6 +3507,9 @@ class ModernPedestrianNetworkInspector {
       map.getCanvas().style.cursor = '';
     });
 
+    // Matched / Tile2Net-only / OSM-only portions replace the plain OSM lines
+    this.addOSMDiscrepancyLayers();
+
     // Add viewport change handler to refetch OSM data when user pans/zooms significantly
     // Remove any existing handler first
     if (this.osmMoveHandler) {
@@ -2840,7 +3551,11 @@ class ModernPedestrianNetworkInspector {
     // Clear cached bounds
     this.lastOSMFetchBounds = null;
 
-    const layersToRemove = ['osm-network-layer', 'osm-network-outline'];
+    const layersToRemove = [
+      ...OSMMatcher.DISCREPANCY_CLASSES.map(comparison => `osm-discrepancy-${comparison}`),
+      'osm-network-layer',
+      'osm-network-outline'
+    ];
 
     layersToRemove.forEach(layerId => {
       if (map.getLayer(layerId)) {
@@ -2851,6 +3566,9 @@ class ModernPedestrianNetworkInspector {
     if (map.getSource('osm-network')) {
       map.removeSource('osm-network');
     }
+    if (map.getSource('osm-discrepancy')) {
+      map.removeSource('osm-discrepancy');
+    }
   }
 
   /**
@@ -2974,10 +3692,10 @@ class ModernPedestrianNetworkInspector {
     }
 
     try {
-      // Load smaller sample files (extracted from full NYC datasets)
-      // Full datasets are too large for browser memory (~500MB+)
-      const sidewalksPath = 'data/sample/city-sidewalks-sample.geojson';
-      const buildingsPath = 'data/sample/city-buildings-sample.geojson';
+      // Paths from config.json - point them at small extracts; full city
+      // datasets are too large for browser memory (~500MB+)
+      const sidewalksPath = this.getDataPath('citySidewalks');
+      const buildingsPath = this.getDataPath('cityBuildings');
 
       console.log('📂 Fetching:', sidewalksPath);
       console.log('📂 Fetching:', buildingsPath);
@@ -2988,39 +3706,33 @@ class ModernPedestrianNetworkInspector {
       let hasData = false;
 
       // Load sidewalks
-      try {
-        console.log('📂 Fetching sidewalks...');
-        const sidewalksResponse = await fetch(sidewalksPath);
-        console.log('📄 Sidewalks response:', sidewalksResponse.status, sidewalksResponse.ok, sidewalksResponse.statusText);
-
-        if (sidewalksResponse.ok) {
-          console.log('📄 Parsing sidewalks JSON...');
-          this.citySidewalksData = await sidewalksResponse.json();
+      if (sidewalksPath) {
+        try {
+          console.log('📂 Fetching sidewalks...');
+          // Parsed copies are kept in IndexedDB; large extracts are not re-parsed on every visit
+          this.citySidewalksData = this.dataCache
+            ? await this.dataCache.fetchJSON(sidewalksPath)
+            : await DataCache.fetchAndParse(sidewalksPath);
           console.log('✓ Loaded city sidewalks data:', this.citySidewalksData.features?.length, 'features');
           hasData = true;
-        } else {
-          console.error('❌ Sidewalks fetch failed:', sidewalksResponse.status, sidewalksResponse.statusText);
+        } catch (sidewalksErr) {
+          console.error('❌ Sidewalks loading error:', sidewalksErr);
         }
-      } catch (sidewalksErr) {
-        console.error('❌ Sidewalks loading error:', sidewalksErr);
       }
 
       // Load buildings
-      try {
-        console.log('📂 Fetching buildings...');
-        const buildingsResponse = await fetch(buildingsPath);
-        console.log('📄 Buildings response:', buildingsResponse.status, buildingsResponse.ok, buildingsResponse.statusText);
-
-        if (buildingsResponse.ok) {
-          console.log('📄 Parsing buildings JSON...');
-          this.cityBuildingsData = await buildingsResponse.json();
+      if (buildingsPath) {
+        try {
+          console.log('📂 Fetching buildings...');
+          // Parsed copies are kept in IndexedDB; large extracts are not re-parsed on every visit
+          this.cityBuildingsData = this.dataCache
+            ? await this.dataCache.fetchJSON(buildingsPath)
+            : await DataCache.fetchAndParse(buildingsPath);
           console.log('✓ Loaded city buildings data:', this.cityBuildingsData.features?.length, 'features');
           hasData = true;
-        } else {
-          console.error('❌ Buildings fetch failed:', buildingsResponse.status, buildingsResponse.statusText);
+        } catch (buildingsErr) {
+          console.error('❌ Buildings loading error:', buildingsErr);
         }
-      } catch (buildingsErr) {
-        console.error('❌ Buildings loading error:', buildingsErr);
       }
 
       if (hasData) {
@@ -3193,7 +3905,7 @@ class ModernPedestrianNetworkInspector {
           <h4 style="color: var(--color-text-primary); margin-bottom: 8px;">To Add City Data:</h4>
           <ol style="color: var(--color-text-secondary); padding-left: 20px;">
             <li>Download sidewalk GeoJSON from your city's open data portal</li>
-            <li>Save as <code style="background: rgba(255,255,255,0.1); padding: 2px 6px; border-radius: 4px;">data/sample/city-sidewalks.geojson</code></li>
+            <li>Save as <code style="background: rgba(255,255,255,0.1); padding: 2px 6px; border-radius: 4px;">${this.getDataPath('citySidewalks') || 'data/sample/city-sidewalks-sample.geojson'}</code> (the <code>citySidewalks</code> path in config.json)</li>
             <li>Refresh and select "City Data" mode</li>
           </ol>
 
@@ -3250,100 +3962,440 @@ class ModernPedestrianNetworkInspector {
   }
 
   /**
-   * Compute match statistics between Tile2Net and OSM networks
+   * Match the Tile2Net network against OSM (see OSMMatcher)
+   * Stores the full result in this.osmMatch, shows F1 as the OSM Match stat
+   * and publishes length-weighted precision / recall / F1 (percent) to
+   * data.statistics.comparisonMetrics; completeness there is the recall.
+   * The matched / Tile2Net-only / OSM-only pieces go to this.osmDiscrepancies
+   * and data.network.comparison, the class confusion matrix of the matched
+   * length to this.osmClassComparison (agreement as classAgreement).
    */
-  computeOSMMatchStats(tile2netData, osmData) {
+  computeOSMMatch(tile2netData, osmData) {
     if (!tile2netData || !osmData) return;
 
-    // Simple spatial matching - check if segments are within threshold distance
-    const matchThreshold = 0.0001; // ~10m in degrees at this latitude
-    let matchedSegments = 0;
-    let tile2netOnly = 0;
-    let osmOnly = 0;
+    const matcher = new OSMMatcher({ matchDistance: this.settingsManager?.settings.osmMatchDistance });
+    this.osmMatch = matcher.match(tile2netData, osmData);
+    this.osmDiscrepancies = OSMMatcher.toDiscrepancies(this.osmMatch, tile2netData, osmData);
+    this.osmClassComparison = OSMMatcher.compareClasses(this.osmMatch, tile2netData, osmData);
+    const { precision, recall, f1, networkLength, osmLength, matchedNetworkLength, matchedOSMLength } = this.osmMatch;
 
-    // Build spatial index for OSM segments (simple approach)
-    const osmSegments = osmData.features.filter(f => f.geometry?.type === 'LineString');
-    const tile2netSegments = tile2netData.features.filter(f => f.geometry?.type === 'LineString');
+    // Update UI
+    const osmMatchEl = document.getElementById('stat-osm-match');
+    if (osmMatchEl) {
+      osmMatchEl.textContent = (f1 * 100).toFixed(1) + '%';
+      osmMatchEl.title = `F1 of length-weighted precision ${(precision * 100).toFixed(1)}% ` +
+        `and recall ${(recall * 100).toFixed(1)}% (match distance ${matcher.options.matchDistance} m)`;
+    }
 
-    // For each Tile2Net segment, check if there's a nearby OSM segment
-    tile2netSegments.forEach(t2nSeg => {
-      const t2nMidpoint = this.getSegmentMidpoint(t2nSeg.geometry.coordinates);
-      let hasMatch = false;
+    // Store stats
+    this.osmMatchStats = {
+      precision: precision * 100,
+      recall: recall * 100,
+      f1: f1 * 100,
+      matchPercent: f1 * 100,
+      networkLength,
+      osmLength,
+      matchedNetworkLength,
+      matchedOSMLength,
+      classAgreement: this.osmClassComparison.agreement * 100
+    };
 
-      for (const osmSeg of osmSegments) {
-        const osmMidpoint = this.getSegmentMidpoint(osmSeg.geometry.coordinates);
-        const dist = this.pointDistance(t2nMidpoint, osmMidpoint);
+    this.stateManager.batchUpdate({
+      'data.statistics.comparisonMetrics.tile2netCount': tile2netData.features.length,
+      'data.statistics.comparisonMetrics.osmCount': osmData.features.length,
+      'data.statistics.comparisonMetrics.precision': this.osmMatchStats.precision,
+      'data.statistics.comparisonMetrics.recall': this.osmMatchStats.recall,
+      'data.statistics.comparisonMetrics.f1': this.osmMatchStats.f1,
+      'data.statistics.comparisonMetrics.completeness': this.osmMatchStats.recall,
+      'data.statistics.comparisonMetrics.matchDistance': matcher.options.matchDistance,
+      'data.statistics.comparisonMetrics.classAgreement': this.osmMatchStats.classAgreement,
+      'data.network.comparison': this.osmDiscrepancies.pieces
+    });
 
-        if (dist < matchThreshold) {
-          hasMatch = true;
-          break;
-        }
-      }
+    this.networkMap?.getSource('osm-discrepancy')?.setData(this.osmDiscrepancies.pieces);
+    this.renderOSMDiscrepancySummary();
 
-      if (hasMatch) {
-        matchedSegments++;
-      } else {
-        tile2netOnly++;
-      }
-    });
+    console.log('📊 OSM Match Stats:', this.osmMatchStats);
+  }
 
-    // Count OSM-only segments
-    osmSegments.forEach(osmSeg => {
-      const osmMidpoint = this.getSegmentMidpoint(osmSeg.geometry.coordinates);
-      let hasMatch = false;
+  /**
+   * Re-run the OSM match with the current settings (match distance changed)
+   */
+  refreshOSMMatch() {
+    if (this.networkData && this.osmNetworkData) {
+      this.computeOSMMatch(this.networkData, this.osmNetworkData);
+    }
+  }
 
-      for (const t2nSeg of tile2netSegments) {
-        const t2nMidpoint = this.getSegmentMidpoint(t2nSeg.geometry.coordinates);
-        const dist = this.pointDistance(t2nMidpoint, osmMidpoint);
+  // ============================================
+  // OSM DISCREPANCIES (MATCHED / TILE2NET ONLY / OSM ONLY)
+  // ============================================
 
-        if (dist < matchThreshold) {
-          hasMatch = true;
-          break;
+  static get OSM_DISCREPANCY_STYLES() {
+    return {
+      'matched': { label: 'Matched', color: '#10b981' },
+      'network-only': { label: 'Tile2Net only', color: '#3b82f6' },
+      'osm-only': { label: 'OSM only', color: '#f97316' }
+    };
+  }
+
+  /**
+   * Add one line layer per comparison class over the OSM overlay
+   * The plain OSM lines are hidden while the pieces are shown.
+   */
+  addOSMDiscrepancyLayers() {
+    const map = this.networkMap;
+    if (!map || !this.osmDiscrepancies) return;
+
+    map.addSource('osm-discrepancy', { type: 'geojson', data: this.osmDiscrepancies.pieces });
+    map.setLayoutProperty('osm-network-layer', 'visibility', 'none');
+
+    const styles = ModernPedestrianNetworkInspector.OSM_DISCREPANCY_STYLES;
+    OSMMatcher.DISCREPANCY_CLASSES.forEach(comparison => {
+      map.addLayer({
+        id: `osm-discrepancy-${comparison}`,
+        type: 'line',
+        source: 'osm-discrepancy',
+        filter: ['==', ['get', 'comparison'], comparison],
+        layout: { 'line-cap': 'round', 'line-join': 'round' },
+        paint: {
+          'line-color': styles[comparison].color,
+          'line-width': comparison === 'matched' ? 6 : 5,
+          'line-opacity': 0.9,
+          ...(comparison === 'osm-only' ? { 'line-dasharray': [2, 1] } : {})
         }
-      }
+      });
+    });
+    this.applyOSMDiscrepancyFilter();
+
+    // Layer handlers outlive the layers; bind them once
+    if (this.osmDiscrepancyHandlersBound) return;
+    this.osmDiscrepancyHandlersBound = true;
+
+    OSMMatcher.DISCREPANCY_CLASSES.forEach(comparison => {
+      const layerId = `osm-discrepancy-${comparison}`;
+      map.on('click', layerId, (e) => {
+        const props = e.features?.[0]?.properties;
+        if (!props) return;
+        const lines = [
+          `${styles[props.comparison].label}: ${Number(props.length).toFixed(1)} m of ${props.sourceId}`,
+          props.matchIds ? `Follows OSM ${props.matchIds}${props.frechet != null ? ` (Fréchet ${props.frechet} m)` : ''}` : null,
+          props.side === 'osm' ? `Type: ${props.highway || 'path'}, Name: ${props.name || 'Unnamed'}` : null
+        ];
+        this.showToast('OSM Comparison', lines.filter(Boolean).join('\n'), 'info');
+      });
+      map.on('mouseenter', layerId, () => {
+        map.getCanvas().style.cursor = 'pointer';
+      });
+      map.on('mouseleave', layerId, () => {
+        map.getCanvas().style.cursor = '';
+      });
+    });
+  }
+
+  /**
+   * Show only the selected comparison class (osmDiscrepancyFilter)
+   */
+  applyOSMDiscrepancyFilter() {
+    if (!this.networkMap) return;
+    const map = this.networkMap;
 
-      if (!hasMatch) {
-        osmOnly++;
+    OSMMatcher.DISCREPANCY_CLASSES.forEach(comparison => {
+      if (map.getLayer(`osm-discrepancy-${comparison}`)) {
+        const visible = this.osmDiscrepancyFilter === 'all' || this.osmDiscrepancyFilter === comparison;
+        map.setLayoutProperty(`osm-discrepancy-${comparison}`, 'visibility', visible ? 'visible' : 'none');
       }
     });
+  }
 
-    // Calculate match percentage
-    const totalSegments = tile2netSegments.length + osmOnly;
-    const matchPercent = totalSegments > 0 ? ((matchedSegments / totalSegments) * 100).toFixed(1) : '--';
+  /**
+   * Wire the OSM legend: class matrix button, class filter and zoom buttons
+   * of the portion list
+   */
+  setupOSMDiscrepancyControls() {
+    document.getElementById('show-osm-class-matrix')?.addEventListener('click', () => this.showOSMClassMatrix());
+
+    const filter = document.getElementById('osm-discrepancy-filter');
+    if (filter) {
+      filter.addEventListener('change', () => {
+        this.osmDiscrepancyFilter = filter.value;
+        this.applyOSMDiscrepancyFilter();
+        this.renderOSMDiscrepancySummary();
+      });
+    }
 
-    // Update UI
-    const osmMatchEl = document.getElementById('stat-osm-match');
-    if (osmMatchEl) {
-      osmMatchEl.textContent = matchPercent + '%';
+    document.getElementById('osm-discrepancy-list')?.addEventListener('click', (e) => {
+      const zoom = e.target.closest('.validation-zoom');
+      if (zoom) this.zoomToOSMDiscrepancy(Number(zoom.dataset.index));
+    });
+  }
+
+  /**
+   * Show the class confusion matrix of the OSM match (see OSMMatcher.compareClasses)
+   * Rows are Tile2Net classes, columns OSM classes, cells matched length;
+   * the Not found / Not in OSM margins hold the unmatched length.
+   */
+  showOSMClassMatrix() {
+    const comparison = this.osmClassComparison;
+    if (!comparison) {
+      this.showToast('OSM Classes', 'Load the OSM overlay to compare classes', 'info');
+      return;
     }
 
-    // Store stats
-    this.osmMatchStats = {
-      matched: matchedSegments,
-      tile2netOnly: tile2netOnly,
-      osmOnly: osmOnly,
-      matchPercent: parseFloat(matchPercent)
+    let modal = document.getElementById('osm-class-matrix-modal');
+    if (!modal) {
+      modal = document.createElement('div');
+      modal.id = 'osm-class-matrix-modal';
+      modal.className = 'modal-overlay';
+      document.body.appendChild(modal);
+    }
+
+    const { matrix, perClass } = comparison;
+    const labels = OSMMatcher.CLASS_LABELS;
+    const formatLength = m => m > 1000 ? `${(m / 1000).toFixed(1)} km` : `${m.toFixed(0)} m`;
+    const pct = value => (value * 100).toFixed(1) + '%';
+
+    // Core classes always, others only where there is length; 'none' last
+    const core = ['sidewalk', 'crosswalk', 'road'];
+    const rows = Object.keys(labels.network).filter(cls =>
+      core.includes(cls) || cls === 'none' || Object.values(matrix[cls]).some(length => length > 0));
+    const columns = Object.keys(labels.osm).filter(cls =>
+      core.includes(cls) || cls === 'none' || rows.some(row => matrix[row][cls] > 0));
+
+    const maxVal = Math.max(...rows.flatMap(row => columns.map(col => matrix[row][col])));
+    const cell = (row, col) => {
+      const val = matrix[row][col];
+      const intensity = maxVal > 0 ? val / maxVal : 0;
+      const agree = row === col && row !== 'other' && row !== 'none';
+      const unmatched = row === 'none' || col === 'none';
+      const color = agree
+        ? `rgba(16, 185, 129, ${0.2 + intensity * 0.6})`     // Same class
+        : unmatched
+          ? `rgba(148, 163, 184, ${0.1 + intensity * 0.4})`  // Missed / extra
+          : `rgba(239, 68, 68, ${0.1 + intensity * 0.5})`;   // Wrong class
+      return `<div class="matrix-cell ${agree ? 'diagonal' : ''}" style="background: ${color}">
+        <span class="cell-value">${row === 'none' && col === 'none' ? '' : formatLength(val)}</span>
+      </div>`;
     };
 
-    console.log('📊 OSM Match Stats:', this.osmMatchStats);
+    const notFound = Object.values(matrix.none).reduce((sum, length) => sum + length, 0);
+    const notInOSM = rows.reduce((sum, row) => sum + matrix[row].none, 0);
+
+    modal.innerHTML = `
+      <div class="modal-content glass-panel-elevated confusion-modal osm-class-modal">
+        <div class="modal-header">
+          <h2>OSM Class Agreement</h2>
+          <button class="modal-close" onclick="document.getElementById('osm-class-matrix-modal').classList.remove('visible')">×</button>
+        </div>
+        <div class="modal-body">
+          <p class="osm-class-subtitle">
+            ${pct(comparison.agreement)} of the ${formatLength(comparison.matchedLength)} of Tile2Net that matched OSM
+            has the same class. ${formatLength(notFound)} of OSM was not found, ${formatLength(notInOSM)} of Tile2Net is not in OSM.
+          </p>
+
+          <div class="confusion-matrix-container osm-class-matrix">
+            <div class="matrix-labels-y">
+              <span class="axis-label">Tile2Net</span>
+              ${rows.map(row => `<span class="class-label">${labels.network[row]}</span>`).join('')}
+            </div>
+            <div class="matrix-grid">
+              <div class="matrix-labels-x">
+                ${columns.map(col => `<span class="class-label">${labels.osm[col]}</span>`).join('')}
+              </div>
+              <div class="matrix-cells">
+                ${rows.map(row => `
+                  <div class="matrix-row">${columns.map(col => cell(row, col)).join('')}</div>
+                `).join('')}
+              </div>
+              <span class="axis-label x-axis">OpenStreetMap</span>
+            </div>
+          </div>
+
+          <div class="class-metrics">
+            <h3>Per-Class Agreement</h3>
+            <div class="metrics-table">
+              <div class="metrics-header">
+                <span>Class</span>
+                <span>Matched</span>
+                <span>Same class</span>
+                <span>Agreement</span>
+                <span>Not in OSM</span>
+              </div>
+              ${perClass.filter(cls => rows.includes(cls.class)).map(cls => `
+                <div class="metrics-row">
+                  <span class="class-name">${labels.network[cls.class]}</span>
+                  <span class="metric-value">${formatLength(cls.matchedLength)}</span>
+                  <span class="metric-value">${formatLength(cls.agreedLength)}</span>
+                  <span class="metric-value">${cls.matchedLength > 0 ? pct(cls.agreement) : '–'}</span>
+                  <span class="metric-value">${formatLength(matrix[cls.class].none)}</span>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    modal.classList.add('visible');
+  }
+
+  /**
+   * Fit the network map to one discrepancy piece
+   * @param {number} index - Index in osmDiscrepancies.pieces.features
+   */
+  zoomToOSMDiscrepancy(index) {
+    const feature = this.osmDiscrepancies?.pieces.features[index];
+    if (!feature || !this.networkMap) return;
+
+    const lngs = feature.geometry.coordinates.map(c => c[0]);
+    const lats = feature.geometry.coordinates.map(c => c[1]);
+    this.networkMap.fitBounds(
+      [[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]],
+      { padding: 80, duration: 1000, maxZoom: 19 }
+    );
+  }
+
+  /**
+   * Fill the OSM legend with length totals per comparison class and the
+   * longest portions of the selected class
+   */
+  renderOSMDiscrepancySummary() {
+    const el = document.getElementById('osm-discrepancy-summary');
+    const list = document.getElementById('osm-discrepancy-list');
+    if (!el) return;
+
+    const discrepancies = this.osmDiscrepancies;
+    if (!discrepancies) {
+      el.textContent = this.osmNetworkData ? 'No network to compare' : 'No OSM data loaded';
+      if (list) list.innerHTML = '';
+      return;
+    }
+
+    const { totals } = discrepancies;
+    const styles = ModernPedestrianNetworkInspector.OSM_DISCREPANCY_STYLES;
+    const formatLength = m => m > 1000 ? `${(m / 1000).toFixed(1)} km` : `${m.toFixed(0)} m`;
+    // Matched and Tile2Net-only split the Tile2Net length, OSM-only is a share of OSM
+    const shareOf = {
+      'matched': this.osmMatch.networkLength,
+      'network-only': this.osmMatch.networkLength,
+      'osm-only': this.osmMatch.osmLength
+    };
+
+    el.innerHTML = `
+      <table>
+        <tr><th></th><th>Pieces</th><th>Length</th><th>Share</th></tr>
+        ${OSMMatcher.DISCREPANCY_CLASSES.map(comparison => `
+          <tr>
+            <td>${styles[comparison].label}</td>
+            <td>${totals[comparison].count}</td>
+            <td>${formatLength(totals[comparison].length)}</td>
+            <td>${shareOf[comparison] > 0 ? (totals[comparison].length / shareOf[comparison] * 100).toFixed(1) : '0.0'}%</td>
+          </tr>
+        `).join('')}
+      </table>
+      <div>Class agreement: <strong>${(this.osmClassComparison.agreement * 100).toFixed(1)}%</strong>
+        of ${formatLength(this.osmClassComparison.matchedLength)} matched</div>
+    `;
+
+    if (!list) return;
+    const maxItems = 20;
+    const pieces = discrepancies.pieces.features
+      .map((feature, index) => ({ ...feature.properties, index }))
+      .filter(piece => this.osmDiscrepancyFilter === 'all' || piece.comparison === this.osmDiscrepancyFilter)
+      .sort((a, b) => b.length - a.length);
+
+    list.innerHTML = pieces.slice(0, maxItems).map(piece => `
+      <li title="${styles[piece.comparison].label}${piece.matchIds ? ` - follows ${piece.matchIds}` : ''}">
+        <div class="legend-color" style="background: ${styles[piece.comparison].color};"></div>
+        <span class="osm-discrepancy-id">${piece.sourceId}</span>
+        <span>${formatLength(piece.length)}</span>
+        <button class="validation-zoom" data-index="${piece.index}">Zoom to</button>
+      </li>
+    `).join('') + (pieces.length > maxItems
+      ? `<li class="osm-discrepancy-more">…and ${pieces.length - maxItems} shorter</li>`
+      : '');
   }
 
+  // ============================================
+  // ROUTE DRILL-DOWN (APLS WORST ROUTES)
+  // ============================================
+
   /**
-   * Get midpoint of a coordinate array
+   * Draw an OSM route and its counterpart in the network (see APLSMetric)
+   * OSM route dashed orange, network route blue, endpoints as white dots.
+   * @param {Object} pair - Worst-route record of the quality scorecard
    */
-  getSegmentMidpoint(coords) {
-    if (!coords || coords.length === 0) return [0, 0];
-    const midIdx = Math.floor(coords.length / 2);
-    return coords[midIdx];
+  showRoutePair(pair) {
+    if (!this.networkMap || !pair) return;
+    const map = this.networkMap;
+
+    this.hideRoutePair();
+
+    const line = (coordinates, role) => ({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates },
+      properties: { role }
+    });
+    const features = [
+      line(pair.referencePath, 'reference'),
+      ...(pair.networkPath ? [line(pair.networkPath, 'network')] : []),
+      { type: 'Feature', geometry: { type: 'MultiPoint', coordinates: [pair.from, pair.to] }, properties: { role: 'endpoint' } }
+    ];
+
+    map.addSource('apls-route', { type: 'geojson', data: { type: 'FeatureCollection', features } });
+    map.addLayer({
+      id: 'apls-route-reference',
+      type: 'line',
+      source: 'apls-route',
+      filter: ['==', ['get', 'role'], 'reference'],
+      layout: { 'line-cap': 'round', 'line-join': 'round' },
+      paint: { 'line-color': '#f97316', 'line-width': 6, 'line-opacity': 0.9, 'line-dasharray': [2, 1] }
+    });
+    map.addLayer({
+      id: 'apls-route-network',
+      type: 'line',
+      source: 'apls-route',
+      filter: ['==', ['get', 'role'], 'network'],
+      layout: { 'line-cap': 'round', 'line-join': 'round' },
+      paint: { 'line-color': '#3b82f6', 'line-width': 4, 'line-opacity': 0.95 }
+    });
+    map.addLayer({
+      id: 'apls-route-endpoints',
+      type: 'circle',
+      source: 'apls-route',
+      filter: ['==', ['get', 'role'], 'endpoint'],
+      paint: { 'circle-radius': 6, 'circle-color': '#ffffff', 'circle-stroke-color': '#1e293b', 'circle-stroke-width': 2 }
+    });
+
+    const coords = [...pair.referencePath, ...(pair.networkPath || [])];
+    const lngs = coords.map(c => c[0]);
+    const lats = coords.map(c => c[1]);
+    this.networkMap.fitBounds(
+      [[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]],
+      { padding: 80, duration: 1000, maxZoom: 19 }
+    );
+
+    const formatLength = m => m > 1000 ? `${(m / 1000).toFixed(1)} km` : `${m.toFixed(0)} m`;
+    const outcome = {
+      unsnapped: 'an endpoint is not on the network',
+      disconnected: 'no route in the network',
+      longer: `network route ${formatLength(pair.networkLength ?? 0)}`,
+      shorter: `network route ${formatLength(pair.networkLength ?? 0)}`
+    }[pair.reason];
+    this.showToast('Route Similarity', `OSM route ${formatLength(pair.referenceLength)}: ${outcome}`, 'info');
   }
 
   /**
-   * Calculate distance between two points
+   * Remove the drawn route pair
    */
-  pointDistance(p1, p2) {
-    const dx = p1[0] - p2[0];
-    const dy = p1[1] - p2[1];
-    return Math.sqrt(dx * dx + dy * dy);
+  hideRoutePair() {
+    if (!this.networkMap) return;
+    const map = this.networkMap;
+
+    ['apls-route-endpoints', 'apls-route-network', 'apls-route-reference'].forEach(layerId => {
+      if (map.getLayer(layerId)) map.removeLayer(layerId);
+    });
+    if (map.getSource('apls-route')) map.removeSource('apls-route');
   }
 
   // ============================================
@@ -3357,6 +4409,7 @@ class ModernPedestrianNetworkInspector {
     this.setNetworkLayerOpacity(0);
     this.setOSMLayerOpacity(0);
     this.setCityLayersOpacity(0);
+    this.setVersionDiffLayerOpacity(0);
     console.log('✓ Plain map shown');
   }
 
@@ -3386,6 +4439,9 @@ class ModernPedestrianNetworkInspector {
       case 'city-data':
         this.startCityDataFlicker();
         break;
+      case 'version-diff':
+        this.startVersionDiffFlicker();
+        break;
     }
   }
 
@@ -3407,6 +4463,9 @@ class ModernPedestrianNetworkInspector {
       case 'city-data':
         this.setCityLayersOpacity(0.7);
         break;
+      case 'version-diff':
+        this.setVersionDiffLayerOpacity(0.9);
+        break;
     }
   }
 
@@ -3525,6 +4584,11 @@ class ModernPedestrianNetworkInspector {
     if (map.getLayer('osm-network-outline')) {
       map.setPaintProperty('osm-network-outline', 'line-opacity', opacity * 0.6);
     }
+    OSMMatcher.DISCREPANCY_CLASSES.forEach(comparison => {
+      if (map.getLayer(`osm-discrepancy-${comparison}`)) {
+        map.setPaintProperty(`osm-discrepancy-${comparison}`, 'line-opacity', opacity);
+      }
+    });
   }
 
   /**
@@ -3563,35 +4627,722 @@ class ModernPedestrianNetworkInspector {
   }
 
   // ============================================
-  // ERROR HANDLING & USER FEEDBACK
+  // NETWORK VERSION DIFF
   // ============================================
 
   /**
-   * Show network load error message to user
+   * Wire the version diff legend: previous-run file picker and exports
    */
-  showNetworkLoadError(message) {
-    this.showToast('Data Error', message, 'error');
+  setupVersionDiffControls() {
+    const fileInput = document.getElementById('baseline-network-file');
+    if (fileInput) {
+      fileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+          const geojson = JSON.parse(await file.text());
+          this.setBaselineNetwork(geojson, file.name);
+        } catch (error) {
+          console.error('❌ Failed to read previous network run:', error);
+          this.showToast('Version Diff', `Could not read ${file.name}: ${error.message}`, 'error');
+        }
+        fileInput.value = '';
+      });
+    }
 
-    // Also show inline error in the network panel
-    const networkContainer = document.querySelector('.network-map-container');
-    if (networkContainer) {
-      let errorBanner = document.getElementById('network-error-banner');
-      if (!errorBanner) {
-        errorBanner = document.createElement('div');
-        errorBanner.id = 'network-error-banner';
-        errorBanner.className = 'error-banner';
-        networkContainer.insertBefore(errorBanner, networkContainer.firstChild);
-      }
-      errorBanner.innerHTML = `
-        <div class="error-icon">⚠️</div>
-        <div class="error-message">${message}</div>
-        <button class="error-dismiss" onclick="this.parentElement.remove()">×</button>
-      `;
+    document.querySelectorAll('.version-diff-export').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('exportRequest', {
+          detail: { type: 'networkDiff', format: btn.dataset.format }
+        }));
+      });
+    });
+  }
+
+  /**
+   * Load the previous run configured at versionDiff.baseline (if any)
+   */
+  async loadBaselineNetwork() {
+    const path = this.getDataPath('versionDiff.baseline');
+    if (!path) return null;
+
+    try {
+      const response = await fetch(path);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const geojson = await response.json();
+      const name = this.projectConfig?.versionDiff?.baselineName || path.split('/').pop();
+      return this.setBaselineNetwork(geojson, name, { render: false });
+    } catch (error) {
+      console.warn(`⚠️ Could not load previous network run from ${path}:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Show synthetic data warning
+   * Use a network GeoJSON as the baseline of the version diff
+   * @param {Object} geojson - Previous network FeatureCollection
+   * @param {string} name - Label shown in the summary and exports
+   * @param {Object} options - { render: redraw the diff layer when its mode is active }
+   */
+  setBaselineNetwork(geojson, name, { render = true } = {}) {
+    if (!geojson || !Array.isArray(geojson.features) || geojson.features.length === 0) {
+      this.showToast('Version Diff', `${name} has no network features`, 'warning');
+      return null;
+    }
+
+    this.baselineNetworkData = geojson;
+    this.baselineNetworkName = name;
+    this.stateManager.updateState('data.network.baseline', geojson);
+    console.log(`✓ Previous network run loaded: ${name} (${geojson.features.length} features)`);
+
+    const result = this.computeVersionDiff();
+    if (render && result && this.currentHeaderMode === 'version-diff') {
+      // Redraw through the mode button so flicker/static view is restored too
+      document.querySelector('.mode-btn[data-mode="version-diff"]')?.click();
+    }
+    return result;
+  }
+
+  /**
+   * Diff the current network against the baseline (NetworkAnalyzer runs on both)
+   */
+  computeVersionDiff() {
+    if (!this.networkData || !this.baselineNetworkData) return null;
+
+    try {
+      this.networkVersionDiff = new NetworkVersionDiff({
+        moveTolerance: this.projectConfig?.versionDiff?.moveTolerance,
+        analyzerConfig: this.networkAnalyzer?.config
+      });
+      const result = this.networkVersionDiff.compare(this.networkData, this.baselineNetworkData, {
+        current: 'Current run',
+        baseline: this.baselineNetworkName
+      });
+
+      this.stateManager.updateState('data.network.versionDiff', result);
+      this.renderVersionDiffSummary();
+
+      const { added, removed, moved } = result.counts;
+      this.showToast('Version Diff', `${added} added, ${removed} removed, ${moved} moved edges vs ${this.baselineNetworkName}`, 'success');
+      return result;
+    } catch (error) {
+      console.error('❌ Network version diff failed:', error);
+      this.showToast('Version Diff', 'Could not compare networks: ' + error.message, 'error');
+      this.networkVersionDiff = null;
+      return null;
+    }
+  }
+
+  /**
+   * Draw added / removed / moved edges on the network map
+   */
+  async showVersionDiffOverlay() {
+    if (!this.networkMap) return;
+
+    this.hideVersionDiffLayer();
+
+    if (!this.baselineNetworkData) await this.loadBaselineNetwork();
+    if (!this.networkVersionDiff && this.baselineNetworkData) this.computeVersionDiff();
+
+    const result = this.networkVersionDiff?.result;
+    this.renderVersionDiffSummary();
+    if (!result) {
+      this.showToast('Version Diff', 'Load a previous network run to compare', 'info');
+      return;
+    }
+
+    // Mode changed while the baseline was loading
+    if (this.currentHeaderMode !== 'version-diff') return;
+
+    const map = this.networkMap;
+    map.addSource('network-diff', { type: 'geojson', data: result.changes });
+
+    const changeLayer = (change, color, extraPaint = {}) => ({
+      id: `network-diff-${change}`,
+      type: 'line',
+      source: 'network-diff',
+      filter: ['==', ['get', 'change'], change],
+      layout: { 'line-cap': 'round', 'line-join': 'round' },
+      paint: { 'line-color': color, 'line-width': 5, 'line-opacity': 0.9, ...extraPaint }
+    });
+
+    map.addLayer(changeLayer('removed', '#ef4444', { 'line-dasharray': [2, 1] }));
+    map.addLayer(changeLayer('moved', '#f59e0b'));
+    map.addLayer(changeLayer('added', '#10b981'));
+
+    console.log('✓ Version diff shown with', result.changes.features.length, 'changed edges');
+  }
+
+  /**
+   * Remove the version diff layers
+   */
+  hideVersionDiffLayer() {
+    if (!this.networkMap) return;
+    const map = this.networkMap;
+
+    ['added', 'moved', 'removed'].forEach(change => {
+      if (map.getLayer(`network-diff-${change}`)) map.removeLayer(`network-diff-${change}`);
+    });
+    if (map.getSource('network-diff')) map.removeSource('network-diff');
+  }
+
+  /**
+   * Set version diff layers opacity
+   */
+  setVersionDiffLayerOpacity(opacity) {
+    if (!this.networkMap) return;
+    const map = this.networkMap;
+
+    ['added', 'moved', 'removed'].forEach(change => {
+      if (map.getLayer(`network-diff-${change}`)) {
+        map.setPaintProperty(`network-diff-${change}`, 'line-opacity', opacity);
+      }
+    });
+  }
+
+  /**
+   * Start Version Diff mode flicker - alternates between plain map and changed edges
+   */
+  startVersionDiffFlicker() {
+    if (!this.networkVersionDiff?.result) return;
+
+    const speed = this.getFlickerSpeed();
+    this.flickerState = true;
+
+    this.setNetworkLayerOpacity(0);
+    this.flickerInterval = setInterval(() => {
+      this.flickerState = !this.flickerState;
+      this.setVersionDiffLayerOpacity(this.flickerState ? 0.9 : 0);
+      this.updateFlickerLabel(this.flickerState ? 'Changes' : 'Plain Map', this.flickerState ? 'version-diff' : 'base');
+    }, speed);
+  }
+
+  /**
+   * Fill the version diff legend with counts and topology deltas
+   */
+  renderVersionDiffSummary() {
+    const el = document.getElementById('version-diff-summary');
+    if (!el) return;
+
+    const result = this.networkVersionDiff?.result;
+    if (!result) {
+      el.textContent = this.baselineNetworkData ? 'Networks could not be compared' : 'No previous run loaded';
+      return;
+    }
+
+    const { counts, length, topology } = result;
+    const formatLength = m => m > 1000 ? `${(m / 1000).toFixed(1)} km` : `${m.toFixed(0)} m`;
+    const deltaCell = (delta, higherIsBetter, digits = 0) => {
+      const cls = delta === 0 ? '' : (delta > 0) === higherIsBetter ? 'delta-positive' : 'delta-negative';
+      return `<td class="${cls}">${delta > 0 ? '+' : ''}${delta.toFixed(digits)}</td>`;
+    };
+    const rows = [
+      ['Components', 'components', false, 0],
+      ['Bridges', 'bridges', false, 0],
+      ['Dead ends', 'deadEnds', false, 0],
+      ['Connectivity %', 'connectivity', true, 1]
+    ];
+
+    el.innerHTML = `
+      <div>vs <strong>${result.baselineName}</strong></div>
+      <div>+${counts.added} added (${formatLength(length.added)}),
+        −${counts.removed} removed (${formatLength(length.removed)}),
+        ${counts.moved} moved, ${counts.unchanged} unchanged</div>
+      <table>
+        <tr><th></th><th>Before</th><th>Now</th><th>Δ</th></tr>
+        ${rows.map(([label, key, higherIsBetter, digits]) => `
+          <tr>
+            <td>${label}</td>
+            <td>${topology[key].baseline.toFixed(digits)}</td>
+            <td>${topology[key].current.toFixed(digits)}</td>
+            ${deltaCell(topology[key].delta, higherIsBetter, digits)}
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  // ============================================
+  // NODING (RAW VS NODED TOPOLOGY)
+  // ============================================
+
+  /**
+   * Topology metrics of the network without and with noding
+   * The active analyzer covers the current mode; the other one runs detached
+   * with the same thresholds. Only run on request (showNodingComparison), and
+   * cached until the network or snap/chain options change.
+   * @returns {Object|null} { raw, noded, stats }
+   */
+  computeNodingComparison() {
+    if (!this.networkData || !this.networkAnalyzer?.graph) return null;
+
+    const cached = this.getCachedNodingComparison();
+    if (cached) return cached;
+
+    const options = this.getGraphOptions();
+    const summaryFor = noding => {
+      if (noding === this.networkAnalyzer.config.noding) return this.networkAnalyzer.getTopologySummary();
+
+      const analyzer = new NetworkAnalyzer(null, { detached: true });
+      Object.assign(analyzer.config, this.networkAnalyzer.config, { noding });
+      analyzer.analyze(this.networkData);
+      return analyzer.getTopologySummary();
+    };
+
+    const noded = PedestrianGraph.forNetwork(this.networkData, { ...options, noding: true });
+    const result = { raw: summaryFor(false), noded: summaryFor(true), stats: noded.nodingStats };
+    this.nodingComparison = { networkData: this.networkData, key: this.nodingComparisonKey(options), result };
+    return result;
+  }
+
+  /**
+   * Cached raw vs noded comparison for the current network and options, if any
+   */
+  getCachedNodingComparison() {
+    const cached = this.nodingComparison;
+    if (!cached || cached.networkData !== this.networkData) return null;
+    return cached.key === this.nodingComparisonKey(this.getGraphOptions()) ? cached.result : null;
+  }
+
+  /**
+   * Graph options the comparison depends on (noding itself is compared both ways)
+   */
+  nodingComparisonKey(options) {
+    return `${options.snapTolerance}|${options.mergeChains}`;
+  }
+
+  /**
+   * Run the raw vs noded comparison (a second full analysis) and show it
+   */
+  showNodingComparison() {
+    this.computeNodingComparison();
+    this.renderNodingSummary();
+  }
+
+  /**
+   * Raw vs noded table and noding toggle state in the Network Quality Inspector
+   */
+  renderNodingSummary() {
+    const options = this.getGraphOptions();
+    const toggle = document.getElementById('toggle-noding');
+    if (toggle) toggle.checked = options.noding;
+    const chainsToggle = document.getElementById('toggle-merge-chains');
+    if (chainsToggle) chainsToggle.checked = options.mergeChains;
+
+    const chainsEl = document.getElementById('chain-summary');
+    const chainStats = this.networkGraph?.chainStats;
+    if (chainsEl) {
+      chainsEl.textContent = chainStats ?
+        `${chainStats.mergedEdges} segments merged into ${chainStats.chains} edges (${chainStats.removedNodes} degree-2 nodes removed)` : '';
+    }
+
+    const el = document.getElementById('noding-summary');
+    if (!el) return;
+
+    if (!this.networkData || !this.networkAnalyzer?.graph) {
+      el.textContent = 'No network loaded';
+      return;
+    }
+
+    const comparison = this.getCachedNodingComparison();
+    if (!comparison) {
+      el.innerHTML = '<button class="btn-modern btn-small" id="noding-compare" title="Analyze the network both raw and noded">Compare raw vs noded…</button>';
+      return;
+    }
+
+    const { raw, noded, stats } = comparison;
+    const deltaCell = (delta, higherIsBetter, digits = 0) => {
+      const cls = delta === 0 || higherIsBetter === null ? '' :
+        (delta > 0) === higherIsBetter ? 'delta-positive' : 'delta-negative';
+      return `<td class="${cls}">${delta > 0 ? '+' : ''}${delta.toFixed(digits)}</td>`;
+    };
+    const rows = [
+      ['Nodes', 'nodes', null, 0],
+      ['Edges', 'edges', null, 0],
+      ['Components', 'components', false, 0],
+      ['Dead ends', 'deadEnds', false, 0],
+      ['Bridges', 'bridges', false, 0],
+      ['Connectivity %', 'connectivity', true, 1]
+    ];
+
+    el.innerHTML = `
+      <div>${stats.crossings} crossings and ${stats.tJunctions} T-junctions split
+        ${stats.splitEdges} edges into ${stats.splitEdges + stats.addedEdges}</div>
+      <table>
+        <tr><th></th><th>Raw</th><th>Noded</th><th>Δ</th></tr>
+        ${rows.map(([label, key, higherIsBetter, digits]) => `
+          <tr>
+            <td>${label}</td>
+            <td>${raw[key].toFixed(digits)}</td>
+            <td>${noded[key].toFixed(digits)}</td>
+            ${deltaCell(noded[key] - raw[key], higherIsBetter, digits)}
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  // ============================================
+  // NETWORK VALIDATION
+  // ============================================
+
+  /**
+   * Validate the loaded network and apply the configured repairs
+   * Repairs come from config.json "networkValidation.repairs" (true for all,
+   * or a list of NetworkValidator.repairTypes keys) or the report's
+   * "Apply repairs" button.
+   * @param {Object} networkData - Network FeatureCollection
+   * @returns {Object} The network to use (repaired copy if repairs ran)
+   */
+  validateNetworkData(networkData) {
+    if (typeof NetworkValidator === 'undefined') return networkData;
+
+    const validator = new NetworkValidator({ expectedCenter: this.config.center });
+    let report = validator.validate(networkData);
+
+    const available = validator.getAvailableRepairs(report);
+    const repairs = this.getNetworkRepairs(validator).filter(key => available.includes(key));
+    if (repairs.length > 0) {
+      const repaired = validator.repair(networkData, repairs);
+      networkData = repaired.geojson;
+      report = { ...validator.validate(networkData), applied: repaired.applied, originalTotals: report.totals };
+      console.log('🔧 Network repairs applied:', repaired.applied);
+    }
+
+    this.networkValidator = validator;
+    this.networkValidation = report;
+    this.stateManager.updateState('data.network.validation', report);
+    this.updateNetworkValidationStat();
+
+    const { error, warning } = report.totals;
+    if (error + warning > 0) {
+      console.warn(`⚠️ Network check: ${error} error(s), ${warning} warning(s)`, report.issues);
+      this.showToast('Network Check', `${error + warning} issue(s) in the network data. Click "Data Check" for the report.`, error > 0 ? 'error' : 'warning');
+    } else {
+      console.log('✓ Network check passed');
+    }
+    return networkData;
+  }
+
+  /**
+   * Repairs enabled in the project config
+   */
+  getNetworkRepairs(validator) {
+    const setting = this.projectConfig?.networkValidation?.repairs;
+    if (setting === true) return Object.keys(validator.repairTypes);
+    return Array.isArray(setting) ? setting : [];
+  }
+
+  /**
+   * Show the issue count in the network stats bar
+   */
+  updateNetworkValidationStat() {
+    const stat = document.getElementById('stat-validation');
+    if (!stat) return;
+
+    const report = this.networkValidation;
+    stat.classList.remove('validation-ok', 'validation-warning', 'validation-error');
+    if (!report) {
+      stat.textContent = '--';
+      return;
+    }
+
+    const { error, warning } = report.totals;
+    stat.textContent = error + warning > 0 ? `${error + warning} issues` : 'OK';
+    stat.classList.add(error > 0 ? 'validation-error' : warning > 0 ? 'validation-warning' : 'validation-ok');
+  }
+
+  /**
+   * Escape text from a loaded file before it goes into innerHTML
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Validation report modal: issue counts, examples with zoom links, repairs
+   */
+  showNetworkValidationReport() {
+    const report = this.networkValidation;
+    if (!report) {
+      this.showToast('Network Check', 'No network loaded', 'warning');
+      return;
+    }
+
+    let modal = document.getElementById('network-validation-modal');
+    if (!modal) {
+      modal = document.createElement('div');
+      modal.id = 'network-validation-modal';
+      modal.className = 'modal-overlay';
+      document.body.appendChild(modal);
+
+      modal.addEventListener('click', (e) => {
+        const zoom = e.target.closest('.validation-zoom');
+        if (zoom) {
+          this.zoomToValidationIssue([Number(zoom.dataset.lng), Number(zoom.dataset.lat)]);
+        } else if (e.target.closest('#validation-apply-repairs')) {
+          const repairs = Array.from(modal.querySelectorAll('.validation-repair:checked')).map(input => input.value);
+          this.applyNetworkRepairs(repairs);
+        } else if (e.target.closest('#validation-export')) {
+          document.dispatchEvent(new CustomEvent('exportRequest', {
+            detail: { type: 'networkValidation', format: 'json' }
+          }));
+        }
+      });
+    }
+
+    const validator = this.networkValidator;
+    const available = validator.getAvailableRepairs(report);
+    const enabled = this.getNetworkRepairs(validator);
+    const { error, warning, info } = report.totals;
+
+    const example = ex => `
+      <li>
+        <span class="validation-feature">${ex.featureIndex !== null ? `#${ex.featureIndex}${ex.id !== null ? ` (${this.escapeHtml(ex.id)})` : ''}` : 'Dataset'}</span>
+        <span class="validation-message">${this.escapeHtml(ex.message)}</span>
+        ${ex.coordinate ? `<button class="validation-zoom" data-lng="${ex.coordinate[0]}" data-lat="${ex.coordinate[1]}">Zoom to</button>` : ''}
+      </li>
+    `;
+
+    const applied = report.applied ? Object.entries(report.applied)
+      .map(([key, count]) => `<li>${validator.repairTypes[key]}: ${count} feature(s)</li>`)
+      .join('') : '';
+
+    modal.innerHTML = `
+      <div class="modal-content glass-panel-elevated confusion-modal validation-modal">
+        <div class="modal-header">
+          <h2>Network Data Check</h2>
+          <button class="modal-close" onclick="document.getElementById('network-validation-modal').classList.remove('visible')">×</button>
+        </div>
+        <div class="modal-body">
+          <p class="model-diff-subtitle">
+            ${report.featureCount} features, ${report.graphFeatureCount} used as graph edges.
+            CRS: ${this.escapeHtml(report.crs.declared || 'not declared')}${report.crs.wgs84 ? ' (WGS84)' : ''}.
+            ${error} error(s), ${warning} warning(s), ${info} note(s).
+          </p>
+
+          ${applied ? `<div class="validation-applied"><h3>Repairs applied</h3><ul>${applied}</ul></div>` : ''}
+
+          ${report.issues.length === 0 ? '<p class="validation-empty">No issues found.</p>' : report.issues.map(issue => `
+            <div class="validation-issue severity-${issue.severity}">
+              <div class="validation-issue-header">
+                <span class="validation-severity">${issue.severity}</span>
+                <span class="validation-label">${issue.label}</span>
+                <span class="validation-count">${issue.count}</span>
+              </div>
+              <ul class="validation-examples">${issue.examples.map(example).join('')}</ul>
+              ${issue.count > issue.examples.length ? `<p class="validation-more">and ${issue.count - issue.examples.length} more</p>` : ''}
+            </div>
+          `).join('')}
+
+          ${available.length > 0 ? `
+            <div class="validation-repairs">
+              <h3>Repairs</h3>
+              ${available.map(key => `
+                <label class="toggle-label">
+                  <input type="checkbox" class="validation-repair" value="${key}" ${enabled.length === 0 || enabled.includes(key) ? 'checked' : ''}>
+                  <span class="toggle-slider"></span>
+                  <span>${validator.repairTypes[key]}</span>
+                </label>
+              `).join('')}
+              <button class="btn-modern btn-primary" id="validation-apply-repairs">Apply repairs and reload</button>
+            </div>
+          ` : ''}
+        </div>
+        <div class="modal-footer">
+          <button class="btn-modern btn-secondary" id="validation-export">Download report (JSON)</button>
+        </div>
+      </div>
+    `;
+
+    modal.classList.add('visible');
+  }
+
+  /**
+   * Reload the data with the chosen repairs (kept for this session's config)
+   * @param {Array<string>} repairs - NetworkValidator.repairTypes keys
+   */
+  async applyNetworkRepairs(repairs) {
+    document.getElementById('network-validation-modal')?.classList.remove('visible');
+    this.projectConfig = {
+      ...this.projectConfig,
+      networkValidation: { ...this.projectConfig?.networkValidation, repairs }
+    };
+
+    try {
+      this.showLoading('Repairing network...');
+      await this.loadAllData();
+      this.hideLoading();
+      this.showNetworkValidationReport();
+    } catch (error) {
+      console.error('❌ Failed to reload repaired network:', error);
+      this.hideLoading();
+      this.showToast('Network Check', 'Could not apply repairs: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Fly the network map to a reported issue
+   * @param {Array} coordinate - [lng, lat]
+   */
+  zoomToValidationIssue(coordinate) {
+    document.getElementById('network-validation-modal')?.classList.remove('visible');
+    document.getElementById('idea-b-section')?.scrollIntoView({ behavior: 'smooth' });
+    this.networkMap.flyTo({ center: coordinate, zoom: 19, duration: 1000 });
+  }
+
+  // ============================================
+  // LOCAL FILES (DRAG AND DROP / FILE PICKER)
+  // ============================================
+
+  /**
+   * Accept dropped or picked files (see LocalFileLoader)
+   */
+  initLocalFileLoader() {
+    if (typeof LocalFileLoader === 'undefined') {
+      console.warn('LocalFileLoader not found, drag-and-drop disabled');
+      return;
+    }
+
+    this.localFileLoader = new LocalFileLoader({
+      onLoad: (result) => this.applyLocalFiles(result),
+      convertOverpass: (json, source) => this.convertOverpassToGeoJSON(json, source)
+    });
+    console.log('✓ Local file loading enabled (drop files or use Settings > Data Source)');
+  }
+
+  /**
+   * Load classified local files through the regular config paths
+   * Network and masks replace the active config entries and reload the data;
+   * an OSM file becomes the static OSM reference (osmSource "file") and an
+   * errors file replaces the error regions.
+   * @param {Object} result - LocalFileLoader.classifyFiles result
+   */
+  async applyLocalFiles(result) {
+    if (result.error) {
+      this.showToast('Local Files', 'Could not read files: ' + result.error.message, 'error');
+      return;
+    }
+
+    const { network, osm, errors, segmentation, skipped } = result;
+    skipped.forEach(item => console.warn(`⚠️ Skipped ${item.name}: ${item.reason}`));
+
+    if (!network && !osm && !errors && !segmentation) {
+      const reason = skipped.length > 0 ? `${skipped[0].name}: ${skipped[0].reason}` : 'no files found';
+      this.showToast('Local Files', `Nothing to load (${reason})`, 'warning');
+      return;
+    }
+
+    const config = { ...this.projectConfig };
+    if (network) {
+      config.network = network.url;
+      config.tile2net = { ...config.tile2net, network: null }; // No silent fallback to the project network
+      this.localSources.network = network.name;
+    }
+    if (osm) {
+      config.osmNetwork = osm.url;
+      config.osmSource = 'file';
+      this.localSources.osm = osm.name;
+    }
+    if (errors) {
+      config.errors = errors.url;
+      this.localSources.errors = errors.name;
+    }
+    if (segmentation) {
+      config.segmentation = { ...config.segmentation, xyz: null, geotiffs: null, comparison: null, ...segmentation.config };
+      this.localSources.segmentation = segmentation.name;
+    }
+    this.projectConfig = config;
+
+    try {
+      const reload = !!(network || segmentation);
+      if (reload) {
+        this.showLoading('Loading local files...');
+        await this.loadAllData();
+        this.hideLoading();
+        if (segmentation) this.fitSegmentationMapToTiles();
+      }
+
+      // loadAllData already re-entered the OSM overlay if it was active
+      if (osm && !(reload && this.currentHeaderMode === 'overlay')) {
+        document.querySelector('.mode-btn[data-mode="overlay"]')?.click();
+      }
+
+      // An explicitly opened errors file wins over regions computed from masks
+      if (errors) this.showErrorRegions(errors.data);
+
+      this.settingsManager?.updateDataSourceInfo();
+
+      const loaded = [
+        network && `network ${network.name}`,
+        osm && `OSM ${osm.name}`,
+        errors && `errors ${errors.name}`,
+        segmentation && `${segmentation.tiles} mask tile(s)` +
+          (segmentation.groundTruth ? ` with ${segmentation.groundTruth} ground truth` : '') +
+          (segmentation.predictionOnly ? ` (${segmentation.predictionOnly} prediction only, not scored)` : '')
+      ].filter(Boolean);
+      const skippedNote = skipped.length > 0 ? ` (${skipped.length} file(s) skipped, see console)` : '';
+      this.showToast('Local Files', `Loaded ${loaded.join(', ')}${skippedNote}`, skipped.length > 0 ? 'warning' : 'success');
+    } catch (error) {
+      console.error('❌ Failed to load local files:', error);
+      this.hideLoading();
+      this.showToast('Local Files', 'Could not load files: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Fit the segmentation map to the loaded tiles (local masks can be anywhere)
+   */
+  fitSegmentationMapToTiles() {
+    const tiles = (this.dataLoader?.tiles || []).filter(tile => tile.bounds);
+    if (tiles.length === 0) return;
+
+    let minLat = Infinity, minLng = Infinity, maxLat = -Infinity, maxLng = -Infinity;
+    tiles.forEach(({ bounds: [[south, west], [north, east]] }) => {
+      minLat = Math.min(minLat, south); minLng = Math.min(minLng, west);
+      maxLat = Math.max(maxLat, north); maxLng = Math.max(maxLng, east);
+    });
+
+    this.segmentationMap.fitBounds([[minLng, minLat], [maxLng, maxLat]], { padding: 40, duration: 1000 });
+  }
+
+  // ============================================
+  // ERROR HANDLING & USER FEEDBACK
+  // ============================================
+
+  /**
+   * Show network load error message to user
+   */
+  showNetworkLoadError(message) {
+    this.showToast('Data Error', message, 'error');
+
+    // Also show inline error in the network panel
+    const networkContainer = document.querySelector('.network-map-container');
+    if (networkContainer) {
+      let errorBanner = document.getElementById('network-error-banner');
+      if (!errorBanner) {
+        errorBanner = document.createElement('div');
+        errorBanner.id = 'network-error-banner';
+        errorBanner.className = 'error-banner';
+        networkContainer.insertBefore(errorBanner, networkContainer.firstChild);
+      }
+      errorBanner.innerHTML = `
+        <div class="error-icon">⚠️</div>
+        <div class="error-message">${message}</div>
+        <button class="error-dismiss" onclick="this.parentElement.remove()">×</button>
+      `;
+    }
+  }
+
+  /**
+   * Show synthetic data warning
    */
   showSyntheticDataWarning() {
     const warningBanner = document.createElement('div');
@@ -3634,7 +5385,11 @@ class ModernPedestrianNetworkInspector {
       ];
     }
 
-    const labels = ['Background', 'Road', 'Sidewalk', 'Crosswalk'];
+    // Rows/columns follow the class schema; ignore labels are left out
+    const classes = this.getMatrixClasses(matrix);
+    const ids = classes.map(cls => cls.id);
+    const labels = classes.map(cls => cls.label);
+    matrix = ids.map(gt => ids.map(pred => matrix[gt][pred]));
 
     // Create modal
     let modal = document.getElementById('confusion-matrix-modal');
@@ -3646,7 +5401,7 @@ class ModernPedestrianNetworkInspector {
     }
 
     // Calculate per-class metrics
-    const metrics = this.calculateClassMetrics(matrix);
+    const metrics = this.calculateClassMetrics(matrix, labels);
 
     modal.innerHTML = `
       <div class="modal-content glass-panel-elevated confusion-modal">
@@ -3713,11 +5468,192 @@ class ModernPedestrianNetworkInspector {
     modal.classList.add('visible');
   }
 
+  // ============================================
+  // MODEL DIFF (A/B COMPARISON)
+  // ============================================
+
+  /**
+   * Show the Model Diff mode and A/B button only when a second model is configured
+   */
+  updateModelDiffControls() {
+    const available = !!this.dataLoader?.hasModelComparison();
+
+    const modeBtn = document.getElementById('model-diff-mode-btn');
+    if (modeBtn) modeBtn.style.display = available ? '' : 'none';
+    const diffBtn = document.getElementById('show-model-diff');
+    if (diffBtn) diffBtn.style.display = available ? '' : 'none';
+
+    if (!available && this.segOverlay?.getDisplayMode() === 'modelDiff') {
+      document.querySelectorAll('.seg-mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === 'prediction');
+      });
+      this.segOverlay.setDisplayMode('prediction');
+      this.updateLegendForMode('prediction');
+    }
+  }
+
+  /**
+   * Show the A/B comparison of the two model runs for the current viewport
+   * Paired table of per-pixel correctness plus overall and per-class metric deltas (B - A).
+   */
+  showModelDiff() {
+    if (!this.dataLoader?.hasModelComparison()) {
+      this.showToast('Model Diff', 'No second prediction set configured (segmentation.comparison)', 'warning');
+      return;
+    }
+
+    this.segOverlay?.computeStatisticsForViewport();
+    const diff = this.segOverlay?.lastModelDiff;
+    if (!diff) {
+      this.showToast('Model Diff', 'No mask pixels in view', 'warning');
+      return;
+    }
+
+    const { nameA, nameB, paired } = diff;
+    const total = paired.flat().reduce((a, b) => a + b, 0);
+    if (total === 0) {
+      this.showToast('Model Diff', `No ${nameB} masks overlap the current view`, 'warning');
+      return;
+    }
+
+    let modal = document.getElementById('model-diff-modal');
+    if (!modal) {
+      modal = document.createElement('div');
+      modal.id = 'model-diff-modal';
+      modal.className = 'modal-overlay';
+      document.body.appendChild(modal);
+    }
+
+    const pct = value => (value * 100).toFixed(1) + '%';
+    const delta = value => {
+      const cls = value > 0.0005 ? 'delta-positive' : value < -0.0005 ? 'delta-negative' : '';
+      return `<span class="metric-value ${cls}">${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}</span>`;
+    };
+
+    const maxVal = Math.max(...paired.flat());
+    const pairedCell = (val, agree) => {
+      const intensity = maxVal > 0 ? val / maxVal : 0;
+      const color = agree
+        ? `rgba(16, 185, 129, ${0.2 + intensity * 0.6})`
+        : `rgba(239, 68, 68, ${0.1 + intensity * 0.5})`;
+      return `<div class="matrix-cell ${agree ? 'diagonal' : ''}" style="background: ${color}">
+        <span class="cell-value">${val}</span>
+      </div>`;
+    };
+
+    const aOnly = paired[0][1];
+    const bOnly = paired[1][0];
+    const better = bOnly >= aOnly ? nameB : nameA;
+
+    const overallLabels = {
+      accuracy: 'Accuracy', precision: 'Precision', recall: 'Recall', f1Score: 'F1 Score', meanIoU: 'Mean IoU'
+    };
+    const perClass = diff.perClass.filter(cls => cls.id !== 0);
+
+    modal.innerHTML = `
+      <div class="modal-content glass-panel-elevated confusion-modal model-diff-modal">
+        <div class="modal-header">
+          <h2>Model Diff: ${nameA} vs ${nameB}</h2>
+          <button class="modal-close" onclick="document.getElementById('model-diff-modal').classList.remove('visible')">×</button>
+        </div>
+        <div class="modal-body">
+          <p class="model-diff-subtitle">Current viewport, ${total.toLocaleString()} scored pixels. Deltas are ${nameB} − ${nameA} in points.</p>
+
+          <div class="confusion-matrix-container paired-matrix">
+            <div class="matrix-labels-y">
+              <span class="axis-label">${nameA}</span>
+              <span class="class-label">Right</span>
+              <span class="class-label">Wrong</span>
+            </div>
+            <div class="matrix-grid">
+              <div class="matrix-labels-x">
+                <span class="class-label">Right</span>
+                <span class="class-label">Wrong</span>
+              </div>
+              <div class="matrix-cells">
+                <div class="matrix-row">${pairedCell(paired[0][0], true)}${pairedCell(paired[0][1], false)}</div>
+                <div class="matrix-row">${pairedCell(paired[1][0], false)}${pairedCell(paired[1][1], true)}</div>
+              </div>
+              <span class="axis-label x-axis">${nameB}</span>
+            </div>
+          </div>
+
+          <p class="model-diff-summary">
+            ${nameA} only right on ${aOnly.toLocaleString()} px, ${nameB} only right on ${bOnly.toLocaleString()} px
+            ${aOnly === bOnly ? '' : `(${better} ahead by ${Math.abs(bOnly - aOnly).toLocaleString()} px)`}
+          </p>
+
+          <div class="class-metrics">
+            <h3>Overall</h3>
+            <div class="metrics-table overall-table">
+              <div class="metrics-header">
+                <span>Metric</span>
+                <span>${nameA}</span>
+                <span>${nameB}</span>
+                <span>Δ</span>
+              </div>
+              ${Object.entries(overallLabels).map(([key, label]) => `
+                <div class="metrics-row">
+                  <span class="class-name">${label}</span>
+                  <span class="metric-value">${pct(diff.overall[key].a)}</span>
+                  <span class="metric-value">${pct(diff.overall[key].b)}</span>
+                  ${delta(diff.overall[key].delta)}
+                </div>
+              `).join('')}
+            </div>
+          </div>
+
+          <div class="class-metrics">
+            <h3>Per-Class Deltas</h3>
+            <div class="metrics-table delta-table">
+              <div class="metrics-header">
+                <span>Class</span>
+                <span>IoU A</span>
+                <span>IoU B</span>
+                <span>Δ IoU</span>
+                <span>Δ Prec.</span>
+                <span>Δ Recall</span>
+                <span>Δ F1</span>
+              </div>
+              ${perClass.map(cls => `
+                <div class="metrics-row">
+                  <span class="class-name">${cls.label}</span>
+                  <span class="metric-value">${pct(cls.a.iou)}</span>
+                  <span class="metric-value">${pct(cls.b.iou)}</span>
+                  ${delta(cls.delta.iou)}
+                  ${delta(cls.delta.precision)}
+                  ${delta(cls.delta.recall)}
+                  ${delta(cls.delta.f1)}
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    modal.classList.add('visible');
+  }
+
+  /**
+   * Classes shown in the confusion matrix (schema order, ignore labels excluded)
+   * @param {Array<Array<number>>} matrix - Matrix indexed [groundTruth][prediction] by class id
+   */
+  getMatrixClasses(matrix) {
+    if (!this.dataLoader) {
+      return ['Background', 'Road', 'Sidewalk', 'Crosswalk']
+        .slice(0, matrix.length)
+        .map((label, id) => ({ id, label }));
+    }
+    return this.dataLoader.getClasses().filter(cls => cls.id < matrix.length);
+  }
+
   /**
    * Calculate per-class metrics from confusion matrix
+   * @param {Array<Array<number>>} matrix - Square matrix in the order of labels
+   * @param {Array<string>} labels - Class labels
    */
-  calculateClassMetrics(matrix) {
-    const labels = ['Background', 'Road', 'Sidewalk', 'Crosswalk'];
+  calculateClassMetrics(matrix, labels) {
     const metrics = [];
 
     for (let i = 0; i < matrix.length; i++) {
@@ -3783,6 +5719,10 @@ class ModernPedestrianNetworkInspector {
           // Switch to confidence mode
           this.setDisplayMode('confidence');
           break;
+        case '5':
+          // Switch to model diff mode (second model configured)
+          if (this.dataLoader?.hasModelComparison()) this.setDisplayMode('modelDiff');
+          break;
         case 'n':
           // Scroll to network section
           document.getElementById('idea-b-section')?.scrollIntoView({ behavior: 'smooth' });
@@ -3834,10 +5774,12 @@ class ModernPedestrianNetworkInspector {
             <div class="shortcut-item"><kbd>2</kbd> Ground Truth view</div>
             <div class="shortcut-item"><kbd>3</kbd> Error view</div>
             <div class="shortcut-item"><kbd>4</kbd> Confidence view</div>
+            <div class="shortcut-item"><kbd>5</kbd> Model diff view (two models)</div>
           </div>
           <div class="shortcut-section">
             <h3>Tools</h3>
             <div class="shortcut-item"><kbd>L</kbd> Toggle magnification lens</div>
+            <div class="shortcut-item"><kbd>I</kbd> Toggle pixel inspector</div>
             <div class="shortcut-item"><kbd>M</kbd> Show confusion matrix</div>
             <div class="shortcut-item"><kbd>F</kbd> Toggle flicker comparison</div>
             <div class="shortcut-item"><kbd>H</kbd> Toggle this help</div>
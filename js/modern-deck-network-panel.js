@@ -15,6 +15,8 @@ class ModernNetworkPanel {
     // Network data
     this.networkData = null;
     this.osmData = null;
+    this.osmMatch = null; // OSMMatcher result (see calculateComparisonMetrics)
+    this.osmDiscrepancies = null; // matched / Tile2Net-only / OSM-only pieces of osmMatch
 
     // Viewport-aware OSM data - dynamically generated for current view
     this.viewportOSMData = null;
@@ -315,73 +317,72 @@ class ModernNetworkPanel {
   }
 
   /**
-   * Calculate comparison metrics between Tile2Net and OSM
+   * Calculate comparison metrics between Tile2Net and OSM (see OSMMatcher)
+   * Each feature gets osmMatchRatio (matched share of its length, all parts),
+   * osmMatch (at least half matched) and matchType ('exact' from 90%).
+   * The overlay draws the per-portion split in this.osmDiscrepancies.
    */
   calculateComparisonMetrics() {
     if (!this.networkData || !this.osmData) {
       return;
     }
 
-    const tile2netSegments = this.networkData.features.length;
-    const osmSegments = this.osmData.features.length;
+    const matcher = new OSMMatcher({ matchDistance: this.stateManager.getState('settings.osmMatchDistance') });
+    this.osmMatch = matcher.match(this.networkData, this.osmData);
+    this.osmDiscrepancies = OSMMatcher.toDiscrepancies(this.osmMatch, this.networkData, this.osmData);
+    const { precision, recall, f1 } = this.osmMatch;
+    const { agreement } = OSMMatcher.compareClasses(this.osmMatch, this.networkData, this.osmData);
+
+    // Multi-part features: length-weighted over their parts
+    const byFeature = new Map();
+    this.osmMatch.network.forEach(line => {
+      const totals = byFeature.get(line.featureIndex) || { length: 0, matched: 0 };
+      totals.length += line.length;
+      totals.matched += line.matchedLength;
+      byFeature.set(line.featureIndex, totals);
+    });
 
-    // Simple proximity-based matching (within 10 meters)
-    const matchThreshold = 0.00009; // ~10 meters in degrees
     let matches = 0;
-
-    this.networkData.features.forEach(t2nFeature => {
-      const t2nCoords = t2nFeature.geometry.coordinates;
-      const t2nCenter = this.getLineCenter(t2nCoords);
-
-      const hasMatch = this.osmData.features.some(osmFeature => {
-        const osmCoords = osmFeature.geometry.coordinates;
-        const osmCenter = this.getLineCenter(osmCoords);
-
-        const distance = this.getDistance(t2nCenter, osmCenter);
-        return distance < matchThreshold;
-      });
-
-      if (hasMatch) {
-        matches++;
-        t2nFeature.properties.osmMatch = true;
-        t2nFeature.properties.matchType = 'exact';
-      } else {
-        t2nFeature.properties.osmMatch = false;
-        t2nFeature.properties.matchType = 'tile2net-only';
-      }
+    this.networkData.features.forEach((t2nFeature, featureIndex) => {
+      const totals = byFeature.get(featureIndex);
+      const ratio = totals && totals.length > 0 ? totals.matched / totals.length : 0;
+
+      t2nFeature.properties.osmMatchRatio = ratio;
+      t2nFeature.properties.osmMatch = ratio >= 0.5;
+      t2nFeature.properties.matchType = ratio >= 0.9 ? 'exact' : ratio > 0 ? 'partial' : 'tile2net-only';
+      if (t2nFeature.properties.osmMatch) matches++;
     });
 
-    const completeness = (matches / tile2netSegments) * 100;
-    const precision = (matches / tile2netSegments) * 100;
-    const recall = (matches / osmSegments) * 100;
-
     console.log(`📊 Comparison Metrics:
-      - Tile2Net segments: ${tile2netSegments}
-      - OSM segments: ${osmSegments}
-      - Matches: ${matches}
-      - Completeness: ${completeness.toFixed(1)}%
-      - Precision: ${precision.toFixed(1)}%
-      - Recall: ${recall.toFixed(1)}%
+      - Tile2Net length: ${(this.osmMatch.networkLength / 1000).toFixed(2)} km
+      - OSM length: ${(this.osmMatch.osmLength / 1000).toFixed(2)} km
+      - Precision: ${(precision * 100).toFixed(1)}%
+      - Recall: ${(recall * 100).toFixed(1)}%
+      - F1: ${(f1 * 100).toFixed(1)}%
+      - Class agreement: ${(agreement * 100).toFixed(1)}%
     `);
 
     // Update state
     this.stateManager.batchUpdate({
-      'data.statistics.comparisonMetrics.tile2netCount': tile2netSegments,
-      'data.statistics.comparisonMetrics.osmCount': osmSegments,
+      'data.statistics.comparisonMetrics.tile2netCount': this.networkData.features.length,
+      'data.statistics.comparisonMetrics.osmCount': this.osmData.features.length,
       'data.statistics.comparisonMetrics.matches': matches,
-      'data.statistics.comparisonMetrics.completeness': completeness,
-      'data.statistics.comparisonMetrics.precision': precision,
-      'data.statistics.comparisonMetrics.recall': recall
+      'data.statistics.comparisonMetrics.completeness': recall * 100,
+      'data.statistics.comparisonMetrics.precision': precision * 100,
+      'data.statistics.comparisonMetrics.recall': recall * 100,
+      'data.statistics.comparisonMetrics.f1': f1 * 100,
+      'data.statistics.comparisonMetrics.matchDistance': matcher.options.matchDistance,
+      'data.statistics.comparisonMetrics.classAgreement': agreement * 100
     });
 
     // Update UI
-    this.updateComparisonUI(completeness);
+    this.updateComparisonUI(this.osmMatch);
   }
 
   /**
-   * Update comparison stats in UI
+   * Update comparison stats in UI (F1, with precision and recall on hover)
    */
-  updateComparisonUI(completeness) {
+  updateComparisonUI({ precision, recall, f1 }) {
     const osmStatCard = document.getElementById('stat-card-osm');
     const osmMatchStat = document.getElementById('stat-osm-match');
 
@@ -390,28 +391,11 @@ class ModernNetworkPanel {
     }
 
     if (osmMatchStat) {
-      osmMatchStat.textContent = completeness.toFixed(1) + '%';
+      osmMatchStat.textContent = (f1 * 100).toFixed(1) + '%';
+      osmMatchStat.title = `F1 of length-weighted precision ${(precision * 100).toFixed(1)}% and recall ${(recall * 100).toFixed(1)}%`;
     }
   }
 
-  /**
-   * Get center point of a line
-   */
-  getLineCenter(coordinates) {
-    if (coordinates.length === 0) return [0, 0];
-    const midIndex = Math.floor(coordinates.length / 2);
-    return coordinates[midIndex];
-  }
-
-  /**
-   * Calculate distance between two points (simple Euclidean)
-   */
-  getDistance(point1, point2) {
-    const dx = point1[0] - point2[0];
-    const dy = point1[1] - point2[1];
-    return Math.sqrt(dx * dx + dy * dy);
-  }
-
   /**
    * Handle resize events from Deck.gl
    */
@@ -503,7 +487,7 @@ class ModernNetworkPanel {
   /**
    * Generate viewport-aware OSM network data
    * Creates a synthetic OSM-like network covering the entire current viewport
-   * In production, this would fetch from Overpass API or a tiled OSM service
+   * Placeholder until real OSM data is loaded (see getOSMDataForViewport)
    */
   generateViewportOSMData() {
     const bounds = this.getViewportBounds();
@@ -635,11 +619,13 @@ class ModernNetworkPanel {
 
   /**
    * Get OSM data for current viewport
-   * ALWAYS returns viewport-generated data to ensure full coverage
+   * Real OSM data (Overpass, a configured file or a local extract) when loaded;
+   * the viewport-generated grid is only a placeholder without one.
    */
   getOSMDataForViewport() {
-    // Always generate fresh viewport-aware OSM data
-    // This ensures the entire visible area is covered
+    if (this.osmData?.features?.length > 0) {
+      return this.osmData;
+    }
     return this.generateViewportOSMData();
   }
 
@@ -657,8 +643,9 @@ class ModernNetworkPanel {
     } else if (this.comparisonMode === 'overlay') {
       // Show both networks with color-coded differences
       // Use viewport-aware OSM data that covers the entire visible area
+      // (OSM-only portions are part of the discrepancy pieces once matched)
       const osmDataForView = this.getOSMDataForViewport();
-      if (osmDataForView && osmDataForView.features && osmDataForView.features.length > 0) {
+      if (!this.osmDiscrepancies && osmDataForView && osmDataForView.features && osmDataForView.features.length > 0) {
         layers.push(this.createOSMOverlayLayer(osmDataForView));
       }
       if (this.networkData) {
@@ -798,9 +785,13 @@ class ModernNetworkPanel {
   createCentralityHighlightLayer() {
     if (!this.networkData) return null;
 
+    // One feature per line part so IDs match the analyzer's edges
     return new deck.GeoJsonLayer({
       id: 'centrality-highlight-layer',
-      data: this.networkData,
+      data: {
+        type: 'FeatureCollection',
+        features: LineGeometry.toLineFeatures(this.networkData.features)
+      },
       stroked: true,
       filled: false,
       lineWidthMinPixels: 2,
@@ -868,12 +859,11 @@ class ModernNetworkPanel {
   createBridgesHighlightLayer() {
     if (!this.networkData) return null;
 
-    const bridgeIds = this.networkAnalyzer.analysis.topology.bridges;
-
-    // Filter network data to only show bridges
+    // Filter network data to only show bridges (isBridge also covers noded pieces)
     const bridgeFeatures = {
       type: 'FeatureCollection',
-      features: this.networkData.features.filter(f => bridgeIds.includes(f.properties?.id))
+      features: LineGeometry.toLineFeatures(this.networkData.features)
+        .filter(f => this.networkAnalyzer.isBridge(f.properties?.id))
     };
 
     return new deck.GeoJsonLayer({
@@ -1023,14 +1013,16 @@ class ModernNetworkPanel {
 
   /**
    * Create network overlay layer (for overlay comparison mode)
-   * Color-codes based on match type
+   * Color-codes matched / Tile2Net-only / OSM-only portions, or whole
+   * features by match type before the OSM match has run
    */
   createNetworkOverlayLayer() {
     const {GeoJsonLayer} = deck;
+    const data = this.osmDiscrepancies?.pieces || this.networkData;
 
     return new GeoJsonLayer({
       id: 'network-overlay-layer',
-      data: this.networkData,
+      data,
 
       // Styling
       stroked: true,
@@ -1039,7 +1031,7 @@ class ModernNetworkPanel {
 
       // Color based on match type
       getLineColor: d => this.getComparisonColor(d.properties),
-      getLineWidth: d => d.properties.osmMatch ? 4 : 3,
+      getLineWidth: d => (d.properties.comparison ? d.properties.comparison === 'matched' : d.properties.osmMatch) ? 4 : 3,
 
       // Interactivity
       pickable: true,
@@ -1054,8 +1046,8 @@ class ModernNetworkPanel {
 
       // Update triggers
       updateTriggers: {
-        getLineColor: [this.networkData],
-        getLineWidth: [this.networkData]
+        getLineColor: [data],
+        getLineWidth: [data]
       }
     });
   }
@@ -1066,7 +1058,16 @@ class ModernNetworkPanel {
    * @returns {Array} RGBA color
    */
   getComparisonColor(properties) {
-    if (!properties.osmMatch) {
+    if (properties.comparison === 'matched') {
+      // Portion found in both networks
+      return [16, 185, 129, 255]; // Green
+    } else if (properties.comparison === 'network-only') {
+      // Portion missing from OSM
+      return [59, 130, 246, 255]; // Blue
+    } else if (properties.comparison === 'osm-only') {
+      // Portion missing from Tile2Net
+      return [249, 115, 22, 255]; // Orange
+    } else if (!properties.osmMatch) {
       // Tile2Net only (not in OSM)
       return [59, 130, 246, 255]; // Blue
     } else if (properties.matchType === 'exact') {
@@ -1239,7 +1240,11 @@ class ModernNetworkPanel {
 
           ${properties.osmMatch !== undefined ? `
             <span style="color: var(--color-text-secondary);">OSM Match:</span>
-            <span>${properties.osmMatch ? '✓ Yes' : '✗ No'}</span>
+            <span>${properties.osmMatch ? '✓ Yes' : '✗ No'} (${((properties.osmMatchRatio ?? 0) * 100).toFixed(0)}% of length)</span>
+          ` : ''}
+          ${properties.comparison ? `
+            <span style="color: var(--color-text-secondary);">Portion:</span>
+            <span>${{ 'matched': 'Matched', 'network-only': 'Tile2Net only', 'osm-only': 'OSM only' }[properties.comparison]}</span>
           ` : ''}
         </div>
       </div>
@@ -1352,6 +1357,7 @@ class ModernNetworkPanel {
                   '<span style="color: #10b981;">✓ Matches OSM</span>' :
                   '<span style="color: #ef4444;">✗ No OSM match</span>'
                 }
+                <span style="color: var(--color-text-secondary);">(${((properties.osmMatchRatio ?? 0) * 100).toFixed(0)}% of length)</span>
               </div>
             </div>
           ` : ''}
@@ -1451,6 +1457,14 @@ class ModernNetworkPanel {
         this.updateLayers();
       }
     }, 'filters');
+
+    // Use the app's OSM reference once it is fetched or read from a file
+    this.stateManager.subscribe((state, path) => {
+      if (path === 'data.network.osm') {
+        const osm = this.stateManager.getState('data.network.osm');
+        if (osm && osm !== this.osmData) this.loadOSM(osm);
+      }
+    }, 'data');
   }
 
   /**
@@ -7,16 +7,22 @@
  * - Geometry quality (sharp angles, zigzag, segment length)
  * - Isolated components with visual flagging
  * - Problem detection and flagging
+ *
+ * Detached analyzers ({ detached: true }) only compute: they neither follow
+ * the network in state nor write results to state or the UI (used to analyze
+ * a second network, e.g. for NetworkVersionDiff).
  */
 
 class NetworkAnalyzer {
-  constructor(stateManager) {
+  constructor(stateManager, options = {}) {
     this.stateManager = stateManager;
+    this.detached = !!options.detached;
 
     // Graph structure
     this.nodes = new Map();     // nodeId -> node data
     this.edges = [];            // edge array
     this.adjacency = new Map(); // nodeId -> [neighboring nodeIds]
+    this.graph = null;          // Shared PedestrianGraph the maps above come from
 
     // Analysis results
     this.analysis = {
@@ -30,7 +36,8 @@ class NetworkAnalyzer {
         bridges: [],           // edge ids that are bridges
         articulationPoints: [], // node ids that are articulation points
         components: [],         // connected components
-        isolatedComponents: []  // components not connected to main
+        isolatedComponents: [], // components not connected to main
+        internalDeadEnds: 0     // degree-1 nodes away from the network boundary
       },
       geometry: {
         sharpAngles: [],       // nodes with sharp angle turns
@@ -38,11 +45,15 @@ class NetworkAnalyzer {
         shortStubs: [],        // very short edges (< 5m)
         longLinks: []          // overly long edges (> 200m)
       },
-      problems: []             // consolidated list of all flagged issues
+      problems: [],            // consolidated list of all flagged issues
+      edgeQuality: new Map()   // edgeId -> quality score (0-1)
     };
 
     // Thresholds
     this.config = {
+      snapTolerance: PedestrianGraph.DEFAULT_SNAP_TOLERANCE, // meters (endpoint snapping)
+      noding: false,             // split edges at crossings and T-junctions
+      mergeChains: false,        // join edges through degree-2 nodes
       shortStubThreshold: 5,     // meters
       longLinkThreshold: 200,    // meters
       sharpAngleThreshold: 30,   // degrees (angles < 30 degrees are sharp)
@@ -55,7 +66,7 @@ class NetworkAnalyzer {
 
   init() {
     console.log('🔬 Initializing Network Analyzer...');
-    this.subscribeToState();
+    if (!this.detached) this.subscribeToState();
     console.log('✅ Network Analyzer initialized');
   }
 
@@ -63,7 +74,7 @@ class NetworkAnalyzer {
     // Track the last analyzed data to prevent re-analysis loops
     this.lastAnalyzedDataHash = null;
 
-    this.stateManager.subscribe((state) => {
+    this.unsubscribe = this.stateManager.subscribe((state) => {
       const networkData = this.stateManager.getState('data.network.tile2net');
       if (networkData && networkData.features) {
         // Create a simple hash to check if data changed
@@ -138,6 +149,7 @@ class NetworkAnalyzer {
       }
 
       this.consolidateProblems();
+      this.computeEdgeQuality();
 
       // Update state with results
       this.updateState();
@@ -170,6 +182,7 @@ class NetworkAnalyzer {
    * Show/hide loading indicator in analysis panel
    */
   showAnalysisLoading(show) {
+    if (this.detached) return;
     const dashboard = document.getElementById('metrics-dashboard');
     const problemsPanel = document.getElementById('problems-panel');
 
@@ -198,6 +211,7 @@ class NetworkAnalyzer {
    * Show error message in analysis panel
    */
   showAnalysisError(message) {
+    if (this.detached) return;
     const dashboard = document.getElementById('metrics-dashboard');
     if (dashboard) {
       dashboard.innerHTML = `
@@ -214,123 +228,37 @@ class NetworkAnalyzer {
 
   /**
    * Build graph from GeoJSON
+   * Uses the shared PedestrianGraph (one edge per line part, endpoints snapped
+   * within config.snapTolerance meters, optionally noded and with degree-2
+   * chains merged), so the scorecard
+   * and the node layer count the same nodes and components.
    */
   buildGraph(geojson) {
-    this.nodes.clear();
-    this.edges = [];
-    this.adjacency.clear();
-
-    let edgeId = 0;
-
-    geojson.features.forEach((feature, idx) => {
-      if (feature.geometry.type !== 'LineString') return;
-
-      const coords = feature.geometry.coordinates;
-      if (coords.length < 2) return;
-
-      const startKey = `${coords[0][0].toFixed(6)},${coords[0][1].toFixed(6)}`;
-      const endKey = `${coords[coords.length-1][0].toFixed(6)},${coords[coords.length-1][1].toFixed(6)}`;
-
-      // Create nodes
-      if (!this.nodes.has(startKey)) {
-        this.nodes.set(startKey, {
-          id: startKey,
-          coords: coords[0],
-          degree: 0,
-          edges: []
-        });
-        this.adjacency.set(startKey, []);
-      }
-
-      if (!this.nodes.has(endKey)) {
-        this.nodes.set(endKey, {
-          id: endKey,
-          coords: coords[coords.length-1],
-          degree: 0,
-          edges: []
-        });
-        this.adjacency.set(endKey, []);
-      }
-
-      // Create edge
-      const edge = {
-        id: feature.properties?.id || `edge_${edgeId++}`,
-        featureIndex: idx,
-        start: startKey,
-        end: endKey,
-        coordinates: coords,
-        length: this.calculateLength(coords),
-        quality: feature.properties?.quality || 0.5
-      };
-
-      this.edges.push(edge);
-
-      // Update adjacency
-      this.adjacency.get(startKey).push(endKey);
-      this.adjacency.get(endKey).push(startKey);
-
-      // Update node degree
-      this.nodes.get(startKey).degree++;
-      this.nodes.get(startKey).edges.push(edge.id);
-      this.nodes.get(endKey).degree++;
-      this.nodes.get(endKey).edges.push(edge.id);
+    this.graph = PedestrianGraph.forNetwork(geojson, {
+      snapTolerance: this.config.snapTolerance,
+      noding: this.config.noding,
+      mergeChains: this.config.mergeChains
     });
+    this.nodes = this.graph.nodes;
+    this.edges = this.graph.edges;
+    this.adjacency = this.graph.adjacency;
   }
 
   /**
-   * Find connected components using BFS
+   * Find connected components (from the shared graph)
    */
   findConnectedComponents() {
-    this.analysis.topology.components = [];
+    this.analysis.topology.components = this.graph.getComponents();
     this.analysis.topology.isolatedComponents = [];
 
-    const visited = new Set();
-
-    this.nodes.forEach((node, nodeId) => {
-      if (!visited.has(nodeId)) {
-        const component = this.bfs(nodeId, visited);
-        this.analysis.topology.components.push({
-          id: this.analysis.topology.components.length,
-          nodes: component,
-          size: component.length
-        });
-      }
-    });
-
-    // Sort by size descending
-    this.analysis.topology.components.sort((a, b) => b.size - a.size);
-
     // Mark isolated components (not the largest one)
     if (this.analysis.topology.components.length > 1) {
-      const mainComponent = this.analysis.topology.components[0];
       this.analysis.topology.isolatedComponents = this.analysis.topology.components.slice(1);
 
       console.log(`🔗 Found ${this.analysis.topology.components.length} components, ${this.analysis.topology.isolatedComponents.length} isolated`);
     }
   }
 
-  bfs(startNode, visited) {
-    const queue = [startNode];
-    const component = [];
-
-    while (queue.length > 0) {
-      const nodeId = queue.shift();
-      if (visited.has(nodeId)) continue;
-
-      visited.add(nodeId);
-      component.push(nodeId);
-
-      const neighbors = this.adjacency.get(nodeId) || [];
-      neighbors.forEach(neighbor => {
-        if (!visited.has(neighbor)) {
-          queue.push(neighbor);
-        }
-      });
-    }
-
-    return component;
-  }
-
   /**
    * Compute betweenness centrality using Brandes algorithm
    * This is critical for identifying important corridors
@@ -450,8 +378,9 @@ class NetworkAnalyzer {
 
   sampleArray(arr, n) {
     if (arr.length <= n) return arr;
-    const shuffled = [...arr].sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, n);
+    // Evenly spaced (not random) so centrality is reproducible between sessions
+    const step = arr.length / n;
+    return Array.from({ length: n }, (_, i) => arr[Math.floor(i * step)]);
   }
 
   /**
@@ -630,7 +559,11 @@ class NetworkAnalyzer {
    */
   getEdgeSmoothness(edgeId) {
     const edge = this.edges.find(e => e.id === edgeId);
-    return edge ? edge.smoothness || 100 : 100;
+    if (edge) return edge.smoothness || 100;
+
+    // Line part split by noding or merged into a chain: its roughest edge
+    const pieces = this.getSourceEdges(edgeId);
+    return pieces.length > 0 ? Math.min(...pieces.map(piece => piece.smoothness || 100)) : 100;
   }
 
   /**
@@ -736,32 +669,6 @@ class NetworkAnalyzer {
     return Math.acos(cosAngle) * (180 / Math.PI);
   }
 
-  /**
-   * Calculate length of a coordinate array in meters
-   */
-  calculateLength(coords) {
-    let length = 0;
-    for (let i = 1; i < coords.length; i++) {
-      length += this.haversine(coords[i-1], coords[i]);
-    }
-    return length;
-  }
-
-  haversine(coord1, coord2) {
-    const R = 6371e3; // Earth radius in meters
-    const lat1 = coord1[1] * Math.PI / 180;
-    const lat2 = coord2[1] * Math.PI / 180;
-    const dLat = (coord2[1] - coord1[1]) * Math.PI / 180;
-    const dLon = (coord2[0] - coord1[0]) * Math.PI / 180;
-
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1) * Math.cos(lat2) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-    return R * c;
-  }
-
   /**
    * Consolidate all detected problems into a unified list
    * Only flags significant issues - not every boundary node or minor variation
@@ -915,13 +822,60 @@ class NetworkAnalyzer {
       });
     });
 
+    this.analysis.topology.internalDeadEnds = internalDeadEnds;
+
+    // Network segments (line parts) behind each flagged edge; differ from
+    // edgeId when the graph is noded or chains are merged
+    this.analysis.problems.forEach(problem => {
+      if (problem.edgeId) problem.sourceEdgeIds = this.graph.getEdge(problem.edgeId)?.sourceIds ?? [problem.edgeId];
+    });
+
     console.log(`🚩 Total problems flagged: ${this.analysis.problems.length}`);
   }
 
+  /**
+   * Score every edge (0-1) for quality coloring
+   * Uses the GeoJSON `quality` property when present; otherwise derives the
+   * score from geometric smoothness minus penalties for flagged issues.
+   */
+  computeEdgeQuality() {
+    const edgeQuality = this.analysis.edgeQuality;
+    edgeQuality.clear();
+
+    const flagged = (list) => new Set(list.map(item => item.edgeId));
+    const zigzags = flagged(this.analysis.geometry.zigzagSegments);
+    const stubs = flagged(this.analysis.geometry.shortStubs);
+    const longLinks = flagged(this.analysis.geometry.longLinks);
+    const bridges = new Set(this.analysis.topology.bridges);
+
+    const isolatedNodes = new Set();
+    this.analysis.topology.isolatedComponents.forEach(comp => {
+      comp.nodes.forEach(nodeId => isolatedNodes.add(nodeId));
+    });
+
+    this.edges.forEach(edge => {
+      if (edge.reportedQuality !== null) {
+        edgeQuality.set(edge.id, edge.reportedQuality);
+        return;
+      }
+
+      let quality = (edge.smoothness ?? 100) / 100;
+      if (zigzags.has(edge.id)) quality -= 0.2;
+      if (stubs.has(edge.id)) quality -= 0.2;
+      if (longLinks.has(edge.id)) quality -= 0.1;
+      if (bridges.has(edge.id)) quality -= 0.1;
+      if (isolatedNodes.has(edge.start)) quality -= 0.3;
+
+      edgeQuality.set(edge.id, Math.max(0, Math.min(1, quality)));
+    });
+  }
+
   /**
    * Update state manager with analysis results
    */
   updateState() {
+    if (this.detached) return;
+
     this.stateManager.batchUpdate({
       'data.analysis.centrality': {
         maxNode: this.analysis.centrality.maxNodeCentrality,
@@ -947,6 +901,8 @@ class NetworkAnalyzer {
    * Update UI with analysis results
    */
   updateAnalysisUI() {
+    if (this.detached) return;
+
     this.updateMetricsDashboard();
     this.updateProblemsPanel();
     this.updateStatsBar();
@@ -959,13 +915,8 @@ class NetworkAnalyzer {
     // Calculate total length
     const totalLength = this.edges.reduce((sum, edge) => sum + (edge.length || 0), 0);
 
-    // Calculate connectivity score (0-100)
-    const mainComponentSize = this.analysis.topology.components.length > 0
-      ? this.analysis.topology.components[0].size
-      : this.nodes.size;
-    const connectivity = this.nodes.size > 0
-      ? ((mainComponentSize / this.nodes.size) * 100).toFixed(1)
-      : '--';
+    const score = this.getConnectivityScore();
+    const connectivity = score !== null ? score.toFixed(1) : '--';
 
     // Update DOM elements
     const lengthEl = document.getElementById('stat-length');
@@ -1167,7 +1118,7 @@ class NetworkAnalyzer {
             </div>
             <div class="problem-items" style="display: none;">
               ${problems.slice(0, 10).map(p => `
-                <div class="problem-item ${p.severity}" data-coords="${p.coords?.join(',') || ''}" data-type="${p.type}">
+                <div class="problem-item ${p.severity}" data-coords="${p.coords?.join(',') || ''}" data-type="${p.type}"${p.sourceEdgeIds ? ` title="Segments: ${p.sourceEdgeIds.join(', ')}"` : ''}>
                   <span class="problem-severity-dot"></span>
                   <span class="problem-message">${p.message}</span>
                   <button class="view-btn" title="View on map">
@@ -1246,7 +1197,11 @@ class NetworkAnalyzer {
   }
 
   getEdgeCentrality(edgeId) {
-    return this.analysis.centrality.edgeBetweenness.get(edgeId) || 0;
+    const betweenness = this.analysis.centrality.edgeBetweenness;
+    if (betweenness.has(edgeId)) return betweenness.get(edgeId) || 0;
+
+    // Line part split by noding or merged into a chain: its busiest edge
+    return Math.max(0, ...this.getSourceEdges(edgeId).map(piece => betweenness.get(piece.id) || 0));
   }
 
   getNormalizedNodeCentrality(nodeId) {
@@ -1261,8 +1216,25 @@ class NetworkAnalyzer {
     return max > 0 ? val / max : 0;
   }
 
+  getEdgeQuality(edgeId) {
+    const edgeQuality = this.analysis.edgeQuality;
+    if (edgeQuality.has(edgeId)) return edgeQuality.get(edgeId);
+
+    // Line part split by noding or merged into a chain: its worst edge
+    const scores = this.getSourceEdges(edgeId).map(piece => edgeQuality.get(piece.id)).filter(q => q !== undefined);
+    return scores.length > 0 ? Math.min(...scores) : null;
+  }
+
   isBridge(edgeId) {
-    return this.analysis.topology.bridges.includes(edgeId);
+    const bridges = this.analysis.topology.bridges;
+    return bridges.includes(edgeId) || this.getSourceEdges(edgeId).some(piece => bridges.includes(piece.id));
+  }
+
+  /**
+   * Edges cut by noding from, or chains merged over, a line part (network feature / part ID)
+   */
+  getSourceEdges(sourceId) {
+    return this.graph ? this.graph.getEdgesBySource(sourceId).filter(edge => edge.id !== sourceId) : [];
   }
 
   isArticulationPoint(nodeId) {
@@ -1280,6 +1252,50 @@ class NetworkAnalyzer {
   getIsolatedComponents() {
     return this.analysis.topology.isolatedComponents;
   }
+
+  /**
+   * Connectivity score (0-100): share of nodes in the largest component
+   * @returns {number|null} Score, or null without a graph
+   */
+  getConnectivityScore() {
+    if (this.nodes.size === 0) return null;
+
+    const mainComponentSize = this.analysis.topology.components.length > 0
+      ? this.analysis.topology.components[0].size
+      : this.nodes.size;
+    return (mainComponentSize / this.nodes.size) * 100;
+  }
+
+  /**
+   * Size and topology counts of the analyzed graph (for comparing networks)
+   */
+  getTopologySummary() {
+    let deadEnds = 0;
+    this.nodes.forEach(node => {
+      if (node.degree === 1) deadEnds++;
+    });
+
+    return {
+      nodes: this.nodes.size,
+      edges: this.edges.length,
+      totalLength: this.edges.reduce((sum, edge) => sum + (edge.length || 0), 0),
+      components: this.analysis.topology.components.length,
+      isolatedComponents: this.analysis.topology.isolatedComponents.length,
+      bridges: this.analysis.topology.bridges.length,
+      articulationPoints: this.analysis.topology.articulationPoints.length,
+      deadEnds,
+      internalDeadEnds: this.analysis.topology.internalDeadEnds,
+      connectivity: this.getConnectivityScore() ?? 0
+    };
+  }
+
+  /**
+   * Stop listening for network data (before the analyzer is replaced)
+   */
+  destroy() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+  }
 }
 
 // Make available globally
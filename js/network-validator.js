@@ -0,0 +1,424 @@
+/**
+ * Network Validator - checks and repairs the network GeoJSON on load
+ *
+ * NetworkAnalyzer.buildGraph only uses line parts with two or more
+ * coordinates and skips everything else without a word. This pass reports
+ * what would be skipped or would distort the topology metrics:
+ * - CRS: declared non-WGS84 CRS, projected coordinates
+ * - coordinates: non-numeric, out of range, swapped lat/lng
+ * - geometry: empty, non-line, multi-part, degenerate, repeated vertices,
+ *   self-intersections
+ * - IDs: missing or duplicate (properties.id, falling back to feature.id)
+ *
+ * Every issue type carries a count and a few examples with a coordinate to
+ * zoom to. Repairs are opt-in (see repairTypes) and return a new GeoJSON.
+ */
+
+class NetworkValidator {
+  /**
+   * @param {Object} options - { expectedCenter: [lng, lat] of the study area, maxExamples }
+   */
+  constructor(options = {}) {
+    this.expectedCenter = options.expectedCenter || null;
+    this.maxExamples = options.maxExamples ?? 5;
+
+    // Longer lines are not checked for self-intersections (quadratic)
+    this.maxSelfIntersectionVertices = 2000;
+
+    this.issueTypes = {
+      invalidCrs: { label: 'Non-WGS84 coordinates', severity: 'error', repair: null },
+      invalidCoordinates: { label: 'Invalid coordinates', severity: 'error', repair: 'dropDegenerate' },
+      outOfRange: { label: 'Out-of-range coordinates', severity: 'error', repair: 'dropDegenerate' },
+      swappedLatLng: { label: 'Swapped lat/lng', severity: 'error', repair: 'swapLatLng' },
+      emptyGeometry: { label: 'Empty geometry', severity: 'warning', repair: 'dropDegenerate' },
+      unsupportedGeometry: { label: 'Non-line geometry (ignored)', severity: 'warning', repair: null },
+      multiLineString: { label: 'Multi-part line (one graph edge per part)', severity: 'info', repair: 'explodeMultiLineStrings' },
+      degenerateLine: { label: 'Degenerate line (< 2 distinct points)', severity: 'warning', repair: 'dropDegenerate' },
+      selfIntersection: { label: 'Self-intersecting line', severity: 'warning', repair: null },
+      duplicateId: { label: 'Duplicate ID', severity: 'warning', repair: 'generateIds' },
+      duplicateVertices: { label: 'Repeated vertices', severity: 'info', repair: 'removeDuplicateVertices' },
+      missingId: { label: 'Missing ID', severity: 'info', repair: 'generateIds' }
+    };
+
+    // Applied in this order by repair()
+    this.repairTypes = {
+      swapLatLng: 'Swap lat/lng on features that look swapped',
+      explodeMultiLineStrings: 'Split MultiLineStrings and GeometryCollections into LineStrings',
+      removeDuplicateVertices: 'Remove repeated consecutive vertices',
+      dropDegenerate: 'Drop empty, invalid and degenerate lines',
+      generateIds: 'Generate missing and duplicate IDs'
+    };
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  /**
+   * Check a network FeatureCollection
+   * @param {Object} geojson - Network GeoJSON
+   * @returns {Object} { generatedAt, featureCount, graphFeatureCount, crs, totals, issues: [...], applied }
+   */
+  validate(geojson) {
+    const issues = new Map();
+    const add = (type, example) => {
+      if (!issues.has(type)) issues.set(type, { count: 0, examples: [] });
+      const issue = issues.get(type);
+      issue.count++;
+      if (issue.examples.length < this.maxExamples) issue.examples.push(example);
+    };
+
+    const features = Array.isArray(geojson?.features) ? geojson.features : [];
+    const crs = this.getDeclaredCrs(geojson);
+    const crsIsWgs84 = !crs || this.isWgs84(crs);
+    if (!crsIsWgs84) {
+      add('invalidCrs', { featureIndex: null, id: null, coordinate: null, message: `Declared CRS is ${crs}; coordinates must be WGS84 lng/lat` });
+    }
+
+    const ids = new Map();
+    let graphFeatureCount = 0;
+    let projectedFeatures = 0;
+
+    features.forEach((feature, index) => {
+      const id = this.getFeatureId(feature);
+      const example = (message, coordinate = null) => ({ featureIndex: index, id, coordinate, message });
+
+      if (id === null) {
+        add('missingId', example('No properties.id or feature id'));
+      } else {
+        if (!ids.has(id)) ids.set(id, []);
+        ids.get(id).push(index);
+      }
+
+      const geometry = feature?.geometry;
+      const lines = this.getLines(geometry);
+      if (!geometry || (lines && lines.every(line => line.length === 0))) {
+        add('emptyGeometry', example('Feature has no coordinates'));
+        return;
+      }
+      if (!lines) {
+        add('unsupportedGeometry', example(`${geometry.type} is not a line`, this.firstCoordinate(geometry)));
+        return;
+      }
+
+      const points = lines.flat();
+      if (points.some(point => !this.isValidPosition(point))) {
+        add('invalidCoordinates', example('Coordinates must be [lng, lat] numbers'));
+        return;
+      }
+
+      const first = points[0];
+      if (this.looksSwapped(points)) {
+        add('swappedLatLng', example(`[${this.formatPosition(first)}] looks like [lat, lng]`, [first[1], first[0]]));
+      } else if (points.some(point => !this.inRange(point))) {
+        const bad = points.find(point => !this.inRange(point));
+        add('outOfRange', example(`[${this.formatPosition(bad)}] is outside ±180 / ±90`));
+        if (points.some(point => Math.abs(point[0]) > 1000 || Math.abs(point[1]) > 1000)) projectedFeatures++;
+        return;
+      }
+
+      if (geometry.type !== 'LineString') {
+        add('multiLineString', example(`${geometry.type} with ${lines.length} line parts`, first));
+      }
+
+      const degenerate = lines.some(line => this.distinctCount(line) < 2);
+      if (degenerate) {
+        add('degenerateLine', example('Fewer than 2 distinct points', first));
+        if (geometry.type === 'LineString') return;
+      }
+
+      const repeated = lines.find(line => line.some((point, i) => i > 0 && this.samePosition(point, line[i - 1])));
+      if (repeated) {
+        add('duplicateVertices', example('Consecutive identical vertices', first));
+      }
+
+      for (const line of lines) {
+        const crossing = this.findSelfIntersection(line);
+        if (crossing) {
+          add('selfIntersection', example('Line crosses itself', crossing));
+          break;
+        }
+      }
+
+      if (lines.some(line => this.distinctCount(line) >= 2)) graphFeatureCount++;
+    });
+
+    ids.forEach((indices, id) => {
+      if (indices.length < 2) return;
+      indices.forEach(index => add('duplicateId', {
+        featureIndex: index,
+        id,
+        coordinate: this.firstCoordinate(features[index]?.geometry),
+        message: `ID used by ${indices.length} features`
+      }));
+    });
+
+    // Undeclared projected coordinates (e.g. UTM meters)
+    if (crsIsWgs84 && projectedFeatures > features.length / 2) {
+      add('invalidCrs', { featureIndex: null, id: null, coordinate: null, message: 'Coordinates look projected (meters); reproject to EPSG:4326' });
+    }
+
+    const issueList = Object.entries(this.issueTypes)
+      .filter(([type]) => issues.has(type))
+      .map(([type, def]) => ({ type, ...def, ...issues.get(type) }));
+
+    const totals = { error: 0, warning: 0, info: 0 };
+    issueList.forEach(issue => { totals[issue.severity] += issue.count; });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      featureCount: features.length,
+      graphFeatureCount,
+      crs: { declared: crs, wgs84: crsIsWgs84 && !issues.has('invalidCrs') },
+      totals,
+      issues: issueList,
+      applied: null
+    };
+  }
+
+  /**
+   * Repairs that would fix at least one reported issue
+   */
+  getAvailableRepairs(report) {
+    const repairs = new Set(report.issues.map(issue => issue.repair).filter(Boolean));
+    return Object.keys(this.repairTypes).filter(key => repairs.has(key));
+  }
+
+  // ============================================
+  // REPAIRS
+  // ============================================
+
+  /**
+   * Apply repairs to a copy of the network
+   * @param {Object} geojson - Network GeoJSON
+   * @param {Array<string>} repairs - Keys of repairTypes
+   * @returns {Object} { geojson, applied: { repairKey: features changed } }
+   */
+  repair(geojson, repairs) {
+    const enabled = new Set(repairs);
+    const applied = {};
+    const count = key => { applied[key] = (applied[key] || 0) + 1; };
+
+    let features = (geojson.features || []).map(feature => ({
+      ...feature,
+      properties: { ...(feature?.properties || {}) },
+      geometry: feature?.geometry ? { ...feature.geometry } : null
+    }));
+
+    if (enabled.has('swapLatLng')) {
+      features.forEach(feature => {
+        const lines = this.getLines(feature.geometry);
+        if (!lines || lines.length === 0) return;
+        const points = lines.flat();
+        if (!points.every(point => this.isValidPosition(point)) || !this.looksSwapped(points)) return;
+
+        feature.geometry = LineGeometry.mapLines(feature.geometry, line => line.map(([a, b, ...rest]) => [b, a, ...rest]));
+        count('swapLatLng');
+      });
+    }
+
+    if (enabled.has('explodeMultiLineStrings')) {
+      features = features.flatMap(feature => {
+        if (feature.geometry?.type === 'LineString' || !LineGeometry.isLineGeometry(feature.geometry)) return [feature];
+        count('explodeMultiLineStrings');
+        return LineGeometry.toLineFeatures([feature]);
+      });
+    }
+
+    if (enabled.has('removeDuplicateVertices')) {
+      features.forEach(feature => {
+        const clean = line => line.filter((point, i) => i === 0 || !this.samePosition(point, line[i - 1]));
+        const lines = this.getLines(feature.geometry);
+        if (!lines) return;
+
+        const before = lines.flat().length;
+        const geometry = LineGeometry.mapLines(feature.geometry, clean);
+        if (LineGeometry.getLineParts(geometry).flat().length === before) return;
+        feature.geometry = geometry;
+        count('removeDuplicateVertices');
+      });
+    }
+
+    if (enabled.has('dropDegenerate')) {
+      const isValidLine = line => line.length > 0 &&
+        line.every(point => this.isValidPosition(point) && this.inRange(point)) &&
+        this.distinctCount(line) >= 2;
+
+      // Multi-part features lose only their bad parts; the feature goes
+      // when no line is left
+      features = features.filter(feature => {
+        const lines = feature.geometry ? this.getLines(feature.geometry) : [];
+        if (!lines) return true; // Non-line geometry is reported, not dropped
+        if (lines.length > 0 && lines.every(isValidLine)) return true;
+
+        count('dropDegenerate');
+        const geometry = feature.geometry && LineGeometry.filterLines(feature.geometry, isValidLine);
+        if (!geometry) return false;
+        feature.geometry = geometry;
+        return true;
+      });
+    }
+
+    if (enabled.has('generateIds')) {
+      const used = new Set();
+      let next = 0;
+      const newId = () => {
+        while (used.has(`seg_auto_${next}`)) next++;
+        return `seg_auto_${next++}`;
+      };
+      features.forEach(feature => {
+        const id = this.getFeatureId(feature);
+        if (id !== null) used.add(id);
+      });
+
+      const seen = new Set();
+      features.forEach(feature => {
+        const id = this.getFeatureId(feature);
+        if (id !== null && !seen.has(id)) {
+          seen.add(id);
+          return;
+        }
+        feature.properties.id = newId();
+        if (id !== null) feature.properties.originalId = id;
+        seen.add(feature.properties.id);
+        count('generateIds');
+      });
+    }
+
+    return { geojson: { ...geojson, features }, applied };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Feature ID: properties.id, falling back to the GeoJSON feature id
+   */
+  getFeatureId(feature) {
+    const id = feature?.properties?.id ?? feature?.id;
+    return id === undefined || id === null || id === '' ? null : String(id);
+  }
+
+  /**
+   * Line coordinate arrays of a geometry, or null for non-line geometries
+   */
+  getLines(geometry) {
+    return LineGeometry.isLineGeometry(geometry) ? LineGeometry.getLineParts(geometry) : null;
+  }
+
+  /**
+   * CRS name from a (legacy) GeoJSON "crs" member or metadata.crs
+   */
+  getDeclaredCrs(geojson) {
+    return geojson?.crs?.properties?.name || geojson?.metadata?.crs || null;
+  }
+
+  isWgs84(crs) {
+    return /CRS84|EPSG:{1,2}4326$|WGS ?84/i.test(crs);
+  }
+
+  isValidPosition(point) {
+    return Array.isArray(point) && point.length >= 2 &&
+      Number.isFinite(point[0]) && Number.isFinite(point[1]);
+  }
+
+  inRange(point) {
+    return Math.abs(point[0]) <= 180 && Math.abs(point[1]) <= 90;
+  }
+
+  /**
+   * A line looks like [lat, lng] when swapping fixes its range, or when
+   * swapping moves it from far away to near the study area
+   */
+  looksSwapped(points) {
+    const swapped = points.map(([a, b]) => [b, a]);
+    if (!swapped.every(point => this.inRange(point))) return false;
+    if (!points.every(point => this.inRange(point))) return true;
+
+    if (!this.expectedCenter) return false;
+    const [lng, lat] = this.expectedCenter;
+    const distance = ([x, y]) => Math.hypot(x - lng, y - lat);
+    return distance(points[0]) > 5 && distance(swapped[0]) < 1;
+  }
+
+  samePosition(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+  }
+
+  distinctCount(line) {
+    return new Set(line.map(point => `${point[0]},${point[1]}`)).size;
+  }
+
+  firstCoordinate(geometry) {
+    let coords = geometry?.type === 'GeometryCollection' ? LineGeometry.getLineParts(geometry)[0] : geometry?.coordinates;
+    while (Array.isArray(coords) && Array.isArray(coords[0])) coords = coords[0];
+    return Array.isArray(coords) && this.isValidPosition(coords) && this.inRange(coords) ? coords : null;
+  }
+
+  formatPosition(point) {
+    return point.slice(0, 2).map(value => Number(value.toFixed(6))).join(', ');
+  }
+
+  /**
+   * First crossing between non-adjacent segments of a line
+   * Repeated vertices are dropped first: the zero-length segment they make
+   * would let two neighboring segments look non-adjacent.
+   * @returns {Array|null} [lng, lat] of the crossing
+   */
+  findSelfIntersection(coords) {
+    const line = coords.filter((point, i) => i === 0 || !this.samePosition(point, coords[i - 1]));
+    const n = line.length;
+    if (n < 4 || n > this.maxSelfIntersectionVertices) return null;
+    const closed = this.samePosition(line[0], line[n - 1]);
+
+    for (let i = 0; i < n - 1; i++) {
+      const a = line[i], b = line[i + 1];
+      const minX = Math.min(a[0], b[0]), maxX = Math.max(a[0], b[0]);
+      const minY = Math.min(a[1], b[1]), maxY = Math.max(a[1], b[1]);
+
+      for (let j = i + 2; j < n - 1; j++) {
+        if (closed && i === 0 && j === n - 2) continue; // Ring closing segment touches the first
+        const c = line[j], d = line[j + 1];
+        if (Math.max(c[0], d[0]) < minX || Math.min(c[0], d[0]) > maxX ||
+            Math.max(c[1], d[1]) < minY || Math.min(c[1], d[1]) > maxY) continue;
+
+        const crossing = this.segmentIntersection(a, b, c, d);
+        if (crossing) return crossing;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Intersection point of segments ab and cd (null if they don't meet)
+   */
+  segmentIntersection(a, b, c, d) {
+    const rx = b[0] - a[0], ry = b[1] - a[1];
+    const sx = d[0] - c[0], sy = d[1] - c[1];
+    const denom = rx * sy - ry * sx;
+    const qx = c[0] - a[0], qy = c[1] - a[1];
+
+    if (denom === 0) {
+      // Parallel: only collinear overlaps count
+      if (qx * ry - qy * rx !== 0) return null;
+      const lenSq = rx * rx + ry * ry;
+      if (lenSq === 0) return null;
+      const t0 = (qx * rx + qy * ry) / lenSq;
+      const t1 = t0 + (sx * rx + sy * ry) / lenSq;
+      if (Math.max(t0, t1) < 0 || Math.min(t0, t1) > 1) return null;
+      const t = Math.max(0, Math.min(t0, t1));
+      return [a[0] + t * rx, a[1] + t * ry];
+    }
+
+    const t = (qx * sy - qy * sx) / denom;
+    const u = (qx * ry - qy * rx) / denom;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return [a[0] + t * rx, a[1] + t * ry];
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.NetworkValidator = NetworkValidator;
+}
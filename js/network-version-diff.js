@@ -0,0 +1,315 @@
+/**
+ * Network Version Diff - compare two runs of the Tile2Net network
+ *
+ * Matches the edges of a baseline network (e.g. last week's run) against the
+ * current one:
+ * - unchanged: same geometry (in either direction)
+ * - moved: a baseline edge lies within the move tolerance (Hausdorff distance)
+ * - added / removed: no counterpart in the other network
+ *
+ * Both networks go through NetworkAnalyzer.analyze, so the topology deltas
+ * (components, bridges, dead ends, connectivity) use the same definitions as
+ * the Network Quality Inspector.
+ */
+
+class NetworkVersionDiff {
+  /**
+   * @param {Object} options - { moveTolerance (meters), analyzerConfig (NetworkAnalyzer thresholds) }
+   */
+  constructor(options = {}) {
+    this.moveTolerance = options.moveTolerance ?? 10;
+    this.analyzerConfig = options.analyzerConfig || null;
+
+    // Spatial grid cell size (degrees, ~100 m)
+    this.gridCellSize = 0.001;
+
+    this.result = null;
+  }
+
+  /**
+   * Compare the current network against a baseline
+   * @param {Object} current - Current network GeoJSON FeatureCollection
+   * @param {Object} baseline - Baseline network GeoJSON FeatureCollection
+   * @param {Object} names - { current, baseline } labels for the summary
+   * @returns {Object} Diff result (see buildResult)
+   */
+  compare(current, baseline, names = {}) {
+    console.log('🔀 Comparing network versions...');
+
+    const currentAnalyzer = this.analyzeNetwork(current);
+    const baselineAnalyzer = this.analyzeNetwork(baseline);
+
+    const matches = this.matchEdges(currentAnalyzer.edges, baselineAnalyzer.edges);
+    this.result = this.buildResult(currentAnalyzer, baselineAnalyzer, matches, current, baseline, names);
+
+    const { counts } = this.result;
+    console.log(`✅ Network diff: ${counts.added} added, ${counts.removed} removed, ${counts.moved} moved, ${counts.unchanged} unchanged`);
+    return this.result;
+  }
+
+  /**
+   * Run a detached NetworkAnalyzer on one network
+   */
+  analyzeNetwork(geojson) {
+    const analyzer = new NetworkAnalyzer(null, { detached: true });
+    if (this.analyzerConfig) Object.assign(analyzer.config, this.analyzerConfig);
+    analyzer.analyze(geojson);
+    return analyzer;
+  }
+
+  // ============================================
+  // EDGE MATCHING
+  // ============================================
+
+  /**
+   * Pair current and baseline edges
+   * Exact geometry matches first, then the closest pairs within the move tolerance.
+   * @returns {Object} { unchanged: [[cur, base]], moved: [{ current, baseline, distance }], added, removed }
+   */
+  matchEdges(currentEdges, baselineEdges) {
+    const unchanged = [];
+    const byGeometry = new Map();
+    baselineEdges.forEach(edge => {
+      const key = this.geometryKey(edge.coordinates);
+      if (!byGeometry.has(key)) byGeometry.set(key, []);
+      byGeometry.get(key).push(edge);
+    });
+
+    const unmatchedCurrent = [];
+    const matchedBaseline = new Set();
+    currentEdges.forEach(edge => {
+      const forward = byGeometry.get(this.geometryKey(edge.coordinates));
+      const backward = byGeometry.get(this.geometryKey([...edge.coordinates].reverse()));
+      const candidates = [...(forward || []), ...(backward || [])];
+      const match = candidates.find(c => !matchedBaseline.has(c));
+
+      if (match) {
+        matchedBaseline.add(match);
+        unchanged.push([edge, match]);
+      } else {
+        unmatchedCurrent.push(edge);
+      }
+    });
+
+    const unmatchedBaseline = baselineEdges.filter(edge => !matchedBaseline.has(edge));
+
+    // Moved: closest remaining pairs within tolerance, one-to-one
+    const grid = this.buildEdgeGrid(unmatchedBaseline);
+    const pairs = [];
+    unmatchedCurrent.forEach(edge => {
+      this.getGridCandidates(grid, edge.coordinates).forEach(candidate => {
+        const distance = this.hausdorffMeters(edge.coordinates, candidate.coordinates);
+        if (distance <= this.moveTolerance) {
+          pairs.push({ current: edge, baseline: candidate, distance });
+        }
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const moved = [];
+    const movedCurrent = new Set();
+    const movedBaseline = new Set();
+    pairs.forEach(pair => {
+      if (movedCurrent.has(pair.current) || movedBaseline.has(pair.baseline)) return;
+      movedCurrent.add(pair.current);
+      movedBaseline.add(pair.baseline);
+      moved.push(pair);
+    });
+
+    return {
+      unchanged,
+      moved,
+      added: unmatchedCurrent.filter(edge => !movedCurrent.has(edge)),
+      removed: unmatchedBaseline.filter(edge => !movedBaseline.has(edge))
+    };
+  }
+
+  /**
+   * Coordinate string used to detect identical geometry
+   */
+  geometryKey(coords) {
+    return coords.map(c => `${c[0].toFixed(6)},${c[1].toFixed(6)}`).join(';');
+  }
+
+  /**
+   * Bucket edges into grid cells by bounding box
+   */
+  buildEdgeGrid(edges) {
+    const grid = new Map();
+    edges.forEach(edge => {
+      this.getCellKeys(edge.coordinates, 0).forEach(key => {
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(edge);
+      });
+    });
+    return grid;
+  }
+
+  /**
+   * Edges in the grid cells around a line (bbox padded by the move tolerance)
+   */
+  getGridCandidates(grid, coords) {
+    const padding = this.moveTolerance / 111320;
+    const candidates = new Set();
+    this.getCellKeys(coords, padding).forEach(key => {
+      (grid.get(key) || []).forEach(edge => candidates.add(edge));
+    });
+    return candidates;
+  }
+
+  /**
+   * Grid cells covered by the bounding box of a line
+   */
+  getCellKeys(coords, padding) {
+    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+    coords.forEach(([lng, lat]) => {
+      minLng = Math.min(minLng, lng); maxLng = Math.max(maxLng, lng);
+      minLat = Math.min(minLat, lat); maxLat = Math.max(maxLat, lat);
+    });
+
+    const size = this.gridCellSize;
+    const keys = [];
+    for (let x = Math.floor((minLng - padding) / size); x <= Math.floor((maxLng + padding) / size); x++) {
+      for (let y = Math.floor((minLat - padding) / size); y <= Math.floor((maxLat + padding) / size); y++) {
+        keys.push(`${x},${y}`);
+      }
+    }
+    return keys;
+  }
+
+  // ============================================
+  // DISTANCES
+  // ============================================
+
+  /**
+   * Symmetric Hausdorff distance between two lines in meters
+   * Lines are densified to ~2 m steps so long straight segments are compared along their length.
+   */
+  hausdorffMeters(a, b) {
+    const lat0 = a[0][1] * Math.PI / 180;
+    const project = ([lng, lat]) => [lng * 111320 * Math.cos(lat0), lat * 110540];
+    const pa = a.map(project);
+    const pb = b.map(project);
+
+    return Math.max(this.directedDistance(pa, pb), this.directedDistance(pb, pa));
+  }
+
+  /**
+   * Largest distance from points along line `from` to line `to` (projected meters)
+   */
+  directedDistance(from, to) {
+    let max = 0;
+    for (let i = 0; i < from.length; i++) {
+      const next = from[i + 1];
+      const steps = next ? Math.max(1, Math.ceil(Math.hypot(next[0] - from[i][0], next[1] - from[i][1]) / 2)) : 1;
+
+      for (let s = 0; s < steps; s++) {
+        const t = s / steps;
+        const point = next ?
+          [from[i][0] + (next[0] - from[i][0]) * t, from[i][1] + (next[1] - from[i][1]) * t] :
+          from[i];
+        max = Math.max(max, this.pointToLineDistance(point, to));
+        if (max > this.moveTolerance) return max; // Already too far to count as moved
+      }
+    }
+    return max;
+  }
+
+  /**
+   * Distance from a point to a polyline (projected meters)
+   */
+  pointToLineDistance(p, line) {
+    if (line.length === 1) return Math.hypot(p[0] - line[0][0], p[1] - line[0][1]);
+
+    let min = Infinity;
+    for (let i = 0; i < line.length - 1; i++) {
+      const [ax, ay] = line[i];
+      const [bx, by] = line[i + 1];
+      const dx = bx - ax, dy = by - ay;
+      const lenSq = dx * dx + dy * dy;
+      const t = lenSq > 0 ? Math.max(0, Math.min(1, ((p[0] - ax) * dx + (p[1] - ay) * dy) / lenSq)) : 0;
+      min = Math.min(min, Math.hypot(p[0] - (ax + t * dx), p[1] - (ay + t * dy)));
+    }
+    return min;
+  }
+
+  // ============================================
+  // RESULT / EXPORT
+  // ============================================
+
+  /**
+   * Assemble counts, lengths, topology deltas and the changed-edge GeoJSON
+   */
+  buildResult(currentAnalyzer, baselineAnalyzer, matches, current, baseline, names) {
+    const sumLength = edges => edges.reduce((sum, edge) => sum + (edge.length || 0), 0);
+    const currentTopology = currentAnalyzer.getTopologySummary();
+    const baselineTopology = baselineAnalyzer.getTopologySummary();
+
+    const topology = {};
+    Object.keys(currentTopology).forEach(key => {
+      topology[key] = {
+        baseline: baselineTopology[key],
+        current: currentTopology[key],
+        delta: currentTopology[key] - baselineTopology[key]
+      };
+    });
+
+    const toFeature = (edge, source, change, extra = {}) => ({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: edge.coordinates },
+      properties: {
+        ...(source.features[edge.featureIndex]?.properties || {}),
+        change,
+        edgeId: edge.id,
+        parentId: edge.featureId,
+        length: edge.length,
+        ...extra
+      }
+    });
+
+    const features = [
+      ...matches.added.map(edge => toFeature(edge, current, 'added')),
+      ...matches.removed.map(edge => toFeature(edge, baseline, 'removed')),
+      ...matches.moved.map(pair => toFeature(pair.current, current, 'moved', {
+        baselineEdgeId: pair.baseline.id,
+        displacement: pair.distance
+      }))
+    ];
+
+    return {
+      generatedAt: new Date().toISOString(),
+      currentName: names.current || 'Current',
+      baselineName: names.baseline || 'Baseline',
+      moveTolerance: this.moveTolerance,
+      counts: {
+        current: currentAnalyzer.edges.length,
+        baseline: baselineAnalyzer.edges.length,
+        unchanged: matches.unchanged.length,
+        moved: matches.moved.length,
+        added: matches.added.length,
+        removed: matches.removed.length
+      },
+      length: {
+        added: sumLength(matches.added),
+        removed: sumLength(matches.removed),
+        moved: sumLength(matches.moved.map(pair => pair.current))
+      },
+      topology,
+      changes: { type: 'FeatureCollection', features }
+    };
+  }
+
+  /**
+   * Change summary without the edge geometries (for reports and export)
+   */
+  getSummary(result = this.result) {
+    if (!result) return null;
+    const { changes, ...summary } = result;
+    return summary;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.NetworkVersionDiff = NetworkVersionDiff;
+}
@@ -0,0 +1,469 @@
+/**
+ * OSM Extract Reader - OSM reference data without overpass-api.de
+ *
+ * Secure review machines have no outbound network, so the OSM reference can
+ * come from a local extract instead of a live Overpass query:
+ * - OSM XML (.osm, .osm.xml), as written by JOSM, osmium or the OSM API
+ * - Overpass JSON dumps ({ elements: [...] })
+ * - .osm.pbf extracts (Geofabrik, BBBike, osmium extract)
+ *
+ * Every format is read into Overpass-style JSON ({ elements }) and converted by
+ * the app's convertOverpassToGeoJSON, so local files and Overpass responses go
+ * through the same way-tag filter (WAY_FILTERS, also used to build the query).
+ * XML and PBF keep only reference ways and the nodes they use, which keeps
+ * city-sized extracts in memory.
+ */
+
+class OSMExtractReader {
+  /**
+   * Ways used as the OSM reference: each filter is a set of tag conditions
+   * (value true = tag present, '!value' = tag absent or different, as in Overpass)
+   */
+  static get WAY_FILTERS() {
+    return [
+      { highway: 'footway' },
+      { highway: 'path' },
+      { highway: 'pedestrian' },
+      { highway: 'steps' },
+      { sidewalk: true },
+      { highway: 'residential' },
+      { highway: 'tertiary' },
+      { highway: 'secondary' },
+      { highway: 'primary' },
+      { highway: 'service', service: '!parking_aisle' },
+      { highway: 'living_street' },
+      { highway: 'crossing' }
+    ];
+  }
+
+  /**
+   * True if a way's tags match one of WAY_FILTERS
+   * @param {Object} tags - OSM tags
+   */
+  static isReferenceWay(tags = {}) {
+    return OSMExtractReader.WAY_FILTERS.some(filter =>
+      Object.entries(filter).every(([key, value]) => {
+        if (value === true) return tags[key] !== undefined;
+        if (value.startsWith('!')) return tags[key] !== value.slice(1);
+        return tags[key] === value;
+      })
+    );
+  }
+
+  /**
+   * Overpass QL query for the reference ways in a bounding box
+   * @param {Object} bounds - { south, west, north, east }
+   */
+  static buildOverpassQuery({ south, west, north, east }) {
+    const bbox = `(${south},${west},${north},${east})`;
+    const ways = OSMExtractReader.WAY_FILTERS.map(filter => {
+      const conditions = Object.entries(filter).map(([key, value]) => {
+        if (value === true) return `["${key}"]`;
+        if (value.startsWith('!')) return `["${key}"!="${value.slice(1)}"]`;
+        return `["${key}"="${value}"]`;
+      });
+      return `        way${conditions.join('')}${bbox};`;
+    });
+
+    return `
+      [out:json][timeout:30];
+      (
+${ways.join('\n')}
+      );
+      out body;
+      >;
+      out skel qt;
+    `;
+  }
+
+  /**
+   * True for file names read by this class rather than as GeoJSON
+   */
+  static isExtractFile(name) {
+    return /\.(osm|osm\.xml|pbf)$/i.test(name);
+  }
+
+  /**
+   * Read an OSM XML, Overpass JSON or .osm.pbf file
+   * @param {Blob} blob - File or fetched blob
+   * @param {string} name - File name; decides the PBF reader (defaults to blob.name)
+   * @returns {Promise<Object>} Overpass-style { elements }
+   */
+  static async read(blob, name = blob.name || '') {
+    if (/\.pbf$/i.test(name)) {
+      return OSMExtractReader.parsePBF(new Uint8Array(await blob.arrayBuffer()));
+    }
+
+    const text = await blob.text();
+    if (text.trimStart().startsWith('<')) {
+      return OSMExtractReader.parseXML(text);
+    }
+
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      json = null;
+    }
+    if (!Array.isArray(json?.elements)) {
+      throw new Error(`${name || 'File'} is not OSM XML, Overpass JSON or .osm.pbf`);
+    }
+    return json;
+  }
+
+  // ============================================
+  // OSM XML
+  // ============================================
+
+  /**
+   * Parse OSM XML into Overpass-style elements
+   * Ways are read first so only the nodes they reference are kept.
+   * @param {string} text - OSM XML document
+   */
+  static parseXML(text) {
+    if (!/<osm\b/.test(text)) {
+      throw new Error('Not an OSM XML document (no <osm> root)');
+    }
+
+    const ways = [];
+    const neededNodes = new Set();
+    const wayPattern = /<way\b([^>]*)>([\s\S]*?)<\/way>/g;
+    let match;
+
+    while ((match = wayPattern.exec(text)) !== null) {
+      const attributes = OSMExtractReader.parseAttributes(match[1]);
+      if (attributes.action === 'delete' || attributes.visible === 'false') continue;
+
+      const tags = OSMExtractReader.parseTags(match[2]);
+      if (!OSMExtractReader.isReferenceWay(tags)) continue;
+
+      const nodes = [];
+      const ndPattern = /<nd\b([^>]*)\/?>/g;
+      let nd;
+      while ((nd = ndPattern.exec(match[2])) !== null) {
+        const ref = Number(OSMExtractReader.parseAttributes(nd[1]).ref);
+        nodes.push(ref);
+        neededNodes.add(ref);
+      }
+
+      ways.push({ type: 'way', id: Number(attributes.id), nodes, tags });
+    }
+
+    const nodes = [];
+    const nodePattern = /<node\b([^>]*?)\/?>/g;
+    while ((match = nodePattern.exec(text)) !== null) {
+      const attributes = OSMExtractReader.parseAttributes(match[1]);
+      const id = Number(attributes.id);
+      if (!neededNodes.has(id) || attributes.action === 'delete') continue;
+      nodes.push({ type: 'node', id, lat: Number(attributes.lat), lon: Number(attributes.lon) });
+    }
+
+    return { elements: [...nodes, ...ways] };
+  }
+
+  /**
+   * Attributes of an XML start tag (single or double quoted)
+   */
+  static parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      attributes[match[1]] = OSMExtractReader.decodeEntities(match[2] ?? match[3]);
+    }
+    return attributes;
+  }
+
+  /**
+   * Tags of a way from its <tag k="" v=""/> children
+   */
+  static parseTags(source) {
+    const tags = {};
+    const pattern = /<tag\b([^>]*)\/?>/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const { k, v } = OSMExtractReader.parseAttributes(match[1]);
+      if (k !== undefined) tags[k] = v ?? '';
+    }
+    return tags;
+  }
+
+  static decodeEntities(value) {
+    if (!value.includes('&')) return value;
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] !== '#') return named[code] ?? entity;
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(point);
+    });
+  }
+
+  // ============================================
+  // OSM PBF
+  // ============================================
+
+  /**
+   * Parse an .osm.pbf extract into Overpass-style elements
+   * Two passes: the first keeps reference ways and collects their node IDs,
+   * the second reads only those nodes from the blocks that contain nodes.
+   * @param {Uint8Array} bytes - File contents
+   */
+  static async parsePBF(bytes) {
+    const blobs = OSMExtractReader.readFileBlocks(bytes);
+    const ways = [];
+    const neededNodes = new Set();
+    const nodeBlobs = [];
+
+    for (const blob of blobs) {
+      const data = await OSMExtractReader.decodeBlob(blob.data);
+
+      if (blob.type === 'OSMHeader') {
+        OSMExtractReader.checkHeader(data);
+        continue;
+      }
+      if (blob.type !== 'OSMData') continue;
+
+      const block = OSMExtractReader.decodePrimitiveBlock(data);
+      let hasNodes = false;
+      block.groups.forEach(group => OSMExtractReader.forEachField(group, (field, value) => {
+        if (field === 1 || field === 2) hasNodes = true;
+        if (field !== 3) return;
+
+        const way = OSMExtractReader.decodeWay(value, block.strings);
+        if (!OSMExtractReader.isReferenceWay(way.tags)) return;
+        way.nodes.forEach(ref => neededNodes.add(ref));
+        ways.push(way);
+      }));
+      if (hasNodes) nodeBlobs.push(blob);
+    }
+
+    const nodes = [];
+    for (const blob of nodeBlobs) {
+      const block = OSMExtractReader.decodePrimitiveBlock(await OSMExtractReader.decodeBlob(blob.data));
+      block.groups.forEach(group => OSMExtractReader.forEachField(group, (field, value) => {
+        if (field === 1) OSMExtractReader.decodeNode(value, block, neededNodes, nodes);
+        if (field === 2) OSMExtractReader.decodeDenseNodes(value, block, neededNodes, nodes);
+      }));
+    }
+
+    console.log(`🗺️ Read ${ways.length} reference way(s) and ${nodes.length} node(s) from .osm.pbf`);
+    return { elements: [...nodes, ...ways] };
+  }
+
+  /**
+   * Split the file into { type, data } blocks (BlobHeader length, BlobHeader, Blob)
+   */
+  static readFileBlocks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const blocks = [];
+    let pos = 0;
+
+    while (pos + 4 <= bytes.length) {
+      const headerLength = view.getUint32(pos);
+      pos += 4;
+
+      let type = '';
+      let dataSize = 0;
+      OSMExtractReader.forEachField(bytes.subarray(pos, pos + headerLength), (field, value) => {
+        if (field === 1) type = decoder.decode(value);
+        if (field === 3) dataSize = value;
+      });
+      pos += headerLength;
+
+      if (pos + dataSize > bytes.length) {
+        throw new Error('Truncated .osm.pbf file');
+      }
+      blocks.push({ type, data: bytes.subarray(pos, pos + dataSize) });
+      pos += dataSize;
+    }
+
+    if (blocks.length === 0 || blocks[0].type !== 'OSMHeader') {
+      throw new Error('Not an .osm.pbf file (no OSMHeader block)');
+    }
+    return blocks;
+  }
+
+  /**
+   * Uncompressed contents of a Blob message (raw or zlib)
+   */
+  static async decodeBlob(blob) {
+    let raw = null;
+    let zlib = null;
+    let compression = null;
+    OSMExtractReader.forEachField(blob, (field, value) => {
+      if (field === 1) raw = value;
+      else if (field === 3) zlib = value;
+      else if (field !== 2) compression = field;
+    });
+
+    if (raw) return raw;
+    if (zlib) return OSMExtractReader.inflate(zlib);
+    throw new Error(`Unsupported .osm.pbf compression (Blob field ${compression}); re-encode with zlib`);
+  }
+
+  static async inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Reject extracts that need features this reader does not understand
+   */
+  static checkHeader(data) {
+    const supported = new Set(['OsmSchema-V0.6', 'DenseNodes']);
+    const decoder = new TextDecoder();
+    OSMExtractReader.forEachField(data, (field, value) => {
+      if (field !== 4) return;
+      const feature = decoder.decode(value);
+      if (!supported.has(feature)) {
+        throw new Error(`Unsupported .osm.pbf feature: ${feature}`);
+      }
+    });
+  }
+
+  /**
+   * PrimitiveBlock: string table, raw groups and coordinate encoding
+   */
+  static decodePrimitiveBlock(data) {
+    const decoder = new TextDecoder();
+    const block = { strings: [], groups: [], granularity: 100, latOffset: 0, lonOffset: 0 };
+
+    OSMExtractReader.forEachField(data, (field, value) => {
+      if (field === 1) {
+        OSMExtractReader.forEachField(value, (stringField, string) => {
+          if (stringField === 1) block.strings.push(decoder.decode(string));
+        });
+      } else if (field === 2) {
+        block.groups.push(value);
+      } else if (field === 17) {
+        block.granularity = value;
+      } else if (field === 19) {
+        block.latOffset = value;
+      } else if (field === 20) {
+        block.lonOffset = value;
+      }
+    });
+    return block;
+  }
+
+  static decodeWay(data, strings) {
+    const way = { type: 'way', id: 0, nodes: [], tags: {} };
+    let keys = [];
+    let values = [];
+
+    OSMExtractReader.forEachField(data, (field, value) => {
+      if (field === 1) way.id = value;
+      else if (field === 2) keys = OSMExtractReader.readPacked(value);
+      else if (field === 3) values = OSMExtractReader.readPacked(value);
+      else if (field === 8) {
+        let ref = 0;
+        way.nodes = OSMExtractReader.readPacked(value).map(delta => (ref += OSMExtractReader.zigzag(delta)));
+      }
+    });
+
+    keys.forEach((key, i) => { way.tags[strings[key]] = strings[values[i]]; });
+    return way;
+  }
+
+  static decodeNode(data, block, neededNodes, out) {
+    let id = 0, lat = 0, lon = 0;
+    OSMExtractReader.forEachField(data, (field, value) => {
+      if (field === 1) id = OSMExtractReader.zigzag(value);
+      else if (field === 8) lat = OSMExtractReader.zigzag(value);
+      else if (field === 9) lon = OSMExtractReader.zigzag(value);
+    });
+    if (neededNodes.has(id)) out.push(OSMExtractReader.toNode(id, lat, lon, block));
+  }
+
+  static decodeDenseNodes(data, block, neededNodes, out) {
+    let ids = [], lats = [], lons = [];
+    OSMExtractReader.forEachField(data, (field, value) => {
+      if (field === 1) ids = OSMExtractReader.readPacked(value);
+      else if (field === 8) lats = OSMExtractReader.readPacked(value);
+      else if (field === 9) lons = OSMExtractReader.readPacked(value);
+    });
+
+    let id = 0, lat = 0, lon = 0;
+    for (let i = 0; i < ids.length; i++) {
+      id += OSMExtractReader.zigzag(ids[i]);
+      lat += OSMExtractReader.zigzag(lats[i]);
+      lon += OSMExtractReader.zigzag(lons[i]);
+      if (neededNodes.has(id)) out.push(OSMExtractReader.toNode(id, lat, lon, block));
+    }
+  }
+
+  static toNode(id, lat, lon, block) {
+    return {
+      type: 'node',
+      id,
+      lat: 1e-9 * (block.latOffset + block.granularity * lat),
+      lon: 1e-9 * (block.lonOffset + block.granularity * lon)
+    };
+  }
+
+  // ============================================
+  // PROTOCOL BUFFERS
+  // ============================================
+
+  /**
+   * Call fn(fieldNumber, value) for each field of a message
+   * Varints arrive as numbers, length-delimited fields as byte views;
+   * fixed-width fields are not used by the OSM format and are skipped.
+   */
+  static forEachField(bytes, fn) {
+    const state = { pos: 0 };
+    while (state.pos < bytes.length) {
+      const key = OSMExtractReader.readVarint(bytes, state);
+      const field = Math.floor(key / 8);
+      const wireType = key % 8;
+
+      if (wireType === 0) {
+        fn(field, OSMExtractReader.readVarint(bytes, state));
+      } else if (wireType === 2) {
+        const length = OSMExtractReader.readVarint(bytes, state);
+        fn(field, bytes.subarray(state.pos, state.pos + length));
+        state.pos += length;
+      } else if (wireType === 1) {
+        state.pos += 8;
+      } else if (wireType === 5) {
+        state.pos += 4;
+      } else {
+        throw new Error(`Unsupported protobuf wire type ${wireType}`);
+      }
+    }
+  }
+
+  /**
+   * Varint as a number (exact up to 2^53; negative int64 values are restored)
+   */
+  static readVarint(bytes, state) {
+    let result = 0;
+    let factor = 1;
+    let byte;
+    do {
+      byte = bytes[state.pos++];
+      result += (byte & 0x7f) * factor;
+      factor *= 128;
+    } while (byte & 0x80);
+    return result >= 2 ** 63 ? result - 2 ** 64 : result;
+  }
+
+  static readPacked(bytes) {
+    const values = [];
+    const state = { pos: 0 };
+    while (state.pos < bytes.length) {
+      values.push(OSMExtractReader.readVarint(bytes, state));
+    }
+    return values;
+  }
+
+  static zigzag(value) {
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.OSMExtractReader = OSMExtractReader;
+}
@@ -0,0 +1,622 @@
+/**
+ * OSM Matcher - length-weighted comparison of a network with OSM
+ *
+ * Replaces midpoint-distance matching (which counted whole segments and
+ * ignored shape) with buffered-line overlap:
+ * - every line is cut into short pieces (sampleSpacing); a piece matches when
+ *   the other network has a segment within matchDistance running in a similar
+ *   direction (maxAngle)
+ * - consecutive pieces with the same outcome form runs, so a segment that
+ *   follows OSM and then diverges is split where it leaves the buffer
+ * - each matched run is checked against the OSM (or network) line it follows
+ *   with the discrete Fréchet distance; runs that stay in the buffer but do not
+ *   follow the line's shape (zig-zags, crossings) are counted as unmatched
+ *
+ * Precision = matched network length / network length, recall = matched OSM
+ * length / OSM length, F1 their harmonic mean. Distances are in meters.
+ * toDiscrepancies() turns a result into matched / network-only / OSM-only
+ * line pieces for the map; compareClasses() checks whether matched length
+ * has the same class (sidewalk, crosswalk, road) on both sides.
+ */
+
+class OSMMatcher {
+  static get DEFAULTS() {
+    return {
+      matchDistance: 10,     // buffer radius (m)
+      maxAngle: 30,          // max direction difference (deg)
+      sampleSpacing: 2,      // piece length (m)
+      minRunLength: 5,       // shorter runs take the status of their neighbours (m)
+      maxFrechetFactor: 2    // matched runs need Fréchet <= matchDistance * factor
+    };
+  }
+
+  /**
+   * @param {Object} options - Overrides for OSMMatcher.DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...OSMMatcher.DEFAULTS };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) this.options[key] = value;
+    });
+  }
+
+  /**
+   * Match a network against an OSM reference
+   * @param {Object} network - GeoJSON FeatureCollection (predicted, e.g. Tile2Net)
+   * @param {Object} osm - GeoJSON FeatureCollection (reference)
+   * @returns {Object} {
+   *   precision, recall, f1 (0-1),
+   *   networkLength, osmLength, matchedNetworkLength, matchedOSMLength (m),
+   *   network: [line result], osm: [line result], options
+   * }
+   * Line results are per line part: { id, featureId, featureIndex, partIndex,
+   * length, matchedLength, matchRatio, pieces: [{ matched, coordinates, length,
+   * matchIds, matchLengths, frechet }] } - matchIds are the part IDs on the
+   * other side, matchLengths the length (m) of the piece that follows each.
+   */
+  match(network, osm) {
+    const networkParts = LineGeometry.explode(network?.features).filter(part => part.coordinates.length >= 2);
+    const osmParts = LineGeometry.explode(osm?.features).filter(part => part.coordinates.length >= 2);
+
+    const origin = (networkParts[0] || osmParts[0])?.coordinates[0] || [0, 0];
+    this.metersPerDegree = {
+      lng: 111320 * Math.cos(origin[1] * Math.PI / 180),
+      lat: 110574
+    };
+    this.origin = origin;
+
+    const networkLines = networkParts.map((part, index) => this.prepareLine(part, index));
+    const osmLines = osmParts.map((part, index) => this.prepareLine(part, index));
+
+    const networkResults = this.matchLines(networkLines, osmLines, this.buildIndex(osmLines));
+    const osmResults = this.matchLines(osmLines, networkLines, this.buildIndex(networkLines));
+
+    const sum = (results, key) => results.reduce((total, result) => total + result[key], 0);
+    const networkLength = sum(networkResults, 'length');
+    const osmLength = sum(osmResults, 'length');
+    const matchedNetworkLength = sum(networkResults, 'matchedLength');
+    const matchedOSMLength = sum(osmResults, 'matchedLength');
+
+    const precision = networkLength > 0 ? matchedNetworkLength / networkLength : 0;
+    const recall = osmLength > 0 ? matchedOSMLength / osmLength : 0;
+    const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+
+    return {
+      precision,
+      recall,
+      f1,
+      networkLength,
+      osmLength,
+      matchedNetworkLength,
+      matchedOSMLength,
+      network: networkResults,
+      osm: osmResults,
+      options: { ...this.options }
+    };
+  }
+
+  // ============================================
+  // GEOMETRY
+  // ============================================
+
+  /**
+   * Line part in local meters with cumulative distances
+   */
+  prepareLine(part, index) {
+    const points = part.coordinates.map(coord => this.project(coord));
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+      cumulative.push(cumulative[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+    }
+
+    return {
+      index,
+      id: part.id ?? `${part.featureIndex}_${part.partIndex}`,
+      featureId: part.featureId,
+      featureIndex: part.featureIndex,
+      partIndex: part.partIndex,
+      coordinates: part.coordinates,
+      points,
+      cumulative,
+      length: cumulative[cumulative.length - 1]
+    };
+  }
+
+  project([lng, lat]) {
+    return [
+      (lng - this.origin[0]) * this.metersPerDegree.lng,
+      (lat - this.origin[1]) * this.metersPerDegree.lat
+    ];
+  }
+
+  /**
+   * Point and segment index at a distance along a line
+   * @returns {Object} { point: [x, y], segment, t }
+   */
+  pointAt(line, distance) {
+    const { points, cumulative } = line;
+    let segment = 0;
+    while (segment < points.length - 2 && cumulative[segment + 1] < distance) segment++;
+
+    const segmentLength = cumulative[segment + 1] - cumulative[segment];
+    const t = segmentLength > 0 ? Math.min(1, Math.max(0, (distance - cumulative[segment]) / segmentLength)) : 0;
+    const [ax, ay] = points[segment];
+    const [bx, by] = points[segment + 1];
+    return { point: [ax + (bx - ax) * t, ay + (by - ay) * t], segment, t };
+  }
+
+  /**
+   * Longitude/latitude coordinates of a line between two distances
+   */
+  sliceCoordinates(line, from, to) {
+    const start = this.pointAt(line, from);
+    const end = this.pointAt(line, to);
+    const lerp = (segment, t) => {
+      const [ax, ay] = line.coordinates[segment];
+      const [bx, by] = line.coordinates[segment + 1];
+      return [ax + (bx - ax) * t, ay + (by - ay) * t];
+    };
+
+    const coordinates = [lerp(start.segment, start.t)];
+    for (let i = start.segment + 1; i <= end.segment; i++) {
+      coordinates.push(line.coordinates[i]);
+    }
+    coordinates.push(lerp(end.segment, end.t));
+    return coordinates;
+  }
+
+  /**
+   * Evenly spaced points (local meters) between two distances along a line
+   */
+  samplePoints(line, from, to) {
+    const count = Math.max(1, Math.ceil(Math.abs(to - from) / this.options.sampleSpacing));
+    const points = [];
+    for (let i = 0; i <= count; i++) {
+      points.push(this.pointAt(line, from + (to - from) * i / count).point);
+    }
+    return points;
+  }
+
+  // ============================================
+  // SPATIAL INDEX
+  // ============================================
+
+  /**
+   * Grid of segments, each registered in every cell within matchDistance
+   */
+  buildIndex(lines) {
+    const cellSize = Math.max(1, this.options.matchDistance * 2);
+    const cells = new Map();
+    const pad = this.options.matchDistance;
+
+    lines.forEach(line => {
+      for (let i = 0; i < line.points.length - 1; i++) {
+        const [ax, ay] = line.points[i];
+        const [bx, by] = line.points[i + 1];
+        const minX = Math.floor((Math.min(ax, bx) - pad) / cellSize);
+        const maxX = Math.floor((Math.max(ax, bx) + pad) / cellSize);
+        const minY = Math.floor((Math.min(ay, by) - pad) / cellSize);
+        const maxY = Math.floor((Math.max(ay, by) + pad) / cellSize);
+
+        for (let x = minX; x <= maxX; x++) {
+          for (let y = minY; y <= maxY; y++) {
+            const key = `${x},${y}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push({ line, segment: i });
+          }
+        }
+      }
+    });
+
+    return { cells, cellSize, lines };
+  }
+
+  /**
+   * Nearest segment within matchDistance whose direction is within maxAngle
+   * @returns {Object|null} { line, along, distance }
+   */
+  findMatch(index, point, angle) {
+    const key = `${Math.floor(point[0] / index.cellSize)},${Math.floor(point[1] / index.cellSize)}`;
+    let best = null;
+
+    for (const { line, segment } of index.cells.get(key) || []) {
+      const [ax, ay] = line.points[segment];
+      const [bx, by] = line.points[segment + 1];
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSq = dx * dx + dy * dy;
+      if (lengthSq === 0) continue;
+
+      const t = Math.max(0, Math.min(1, ((point[0] - ax) * dx + (point[1] - ay) * dy) / lengthSq));
+      const distance = Math.hypot(point[0] - (ax + dx * t), point[1] - (ay + dy * t));
+      if (distance > this.options.matchDistance || (best && distance >= best.distance)) continue;
+      if (OSMMatcher.angleDifference(angle, Math.atan2(dy, dx)) > this.options.maxAngle) continue;
+
+      best = { line, along: line.cumulative[segment] + Math.sqrt(lengthSq) * t, distance };
+    }
+    return best;
+  }
+
+  /**
+   * Undirected angle between two headings (radians in, degrees out, 0-90)
+   */
+  static angleDifference(a, b) {
+    let diff = Math.abs(a - b) * 180 / Math.PI % 180;
+    if (diff > 90) diff = 180 - diff;
+    return diff;
+  }
+
+  // ============================================
+  // MATCHING
+  // ============================================
+
+  /**
+   * Match every line of one side against the index of the other side
+   */
+  matchLines(lines, otherLines, otherIndex) {
+    return lines.map(line => {
+      const samples = this.sampleLine(line, otherIndex);
+      const runs = this.buildRuns(samples);
+      runs.forEach(run => this.verifyRun(line, run));
+      return this.summarizeLine(line, this.mergeRuns(runs));
+    });
+  }
+
+  /**
+   * Cut a line into pieces of about sampleSpacing and match each piece's midpoint
+   * @returns {Array} [{ from, to, match }]
+   */
+  sampleLine(line, otherIndex) {
+    const count = Math.max(1, Math.ceil(line.length / this.options.sampleSpacing));
+    const pieceLength = line.length / count;
+    const samples = [];
+
+    for (let i = 0; i < count; i++) {
+      const from = i * pieceLength;
+      const { point, segment } = this.pointAt(line, from + pieceLength / 2);
+      const [ax, ay] = line.points[segment];
+      const [bx, by] = line.points[segment + 1];
+      samples.push({ from, to: from + pieceLength, match: this.findMatch(otherIndex, point, Math.atan2(by - ay, bx - ax)) });
+    }
+    return samples;
+  }
+
+  /**
+   * Group consecutive pieces into runs (matched runs also split where the
+   * matched line changes); runs shorter than minRunLength between two runs of
+   * the other status are absorbed, so GPS-like jitter does not split segments
+   * @returns {Array} [{ matched, from, to, otherLine, alongStart, alongEnd }]
+   */
+  buildRuns(samples) {
+    const matched = samples.map(sample => !!sample.match);
+
+    // Absorb short flickers
+    let start = 0;
+    while (start < samples.length) {
+      let end = start;
+      while (end + 1 < samples.length && matched[end + 1] === matched[start]) end++;
+
+      const length = samples[end].to - samples[start].from;
+      if (start > 0 && end < samples.length - 1 && length < this.options.minRunLength &&
+          matched[start - 1] === matched[end + 1]) {
+        for (let i = start; i <= end; i++) matched[i] = matched[start - 1];
+      }
+      start = end + 1;
+    }
+
+    const runs = [];
+    samples.forEach((sample, i) => {
+      // Absorbed unmatched pieces follow the line of the run they join
+      const otherLine = matched[i] ? (sample.match?.line ?? runs[runs.length - 1]?.otherLine ?? null) : null;
+      const last = runs[runs.length - 1];
+
+      if (last && last.matched === matched[i] && (!matched[i] || !sample.match || last.otherLine === otherLine)) {
+        last.to = sample.to;
+        if (sample.match) last.alongEnd = sample.match.along;
+        return;
+      }
+
+      runs.push({
+        matched: matched[i],
+        from: sample.from,
+        to: sample.to,
+        otherLine,
+        alongStart: sample.match?.along ?? null,
+        alongEnd: sample.match?.along ?? null
+      });
+    });
+    return runs;
+  }
+
+  /**
+   * Check the shape of a matched run against the part of the other line it
+   * follows; a run that does not follow it becomes unmatched
+   */
+  verifyRun(line, run) {
+    if (!run.matched || !run.otherLine || run.alongStart === null) return;
+
+    const runPoints = this.samplePoints(line, run.from, run.to);
+    const otherPoints = this.samplePoints(run.otherLine, run.alongStart, run.alongEnd);
+    run.frechet = OSMMatcher.discreteFrechet(runPoints, otherPoints);
+
+    if (run.frechet > this.options.matchDistance * this.options.maxFrechetFactor) {
+      run.matched = false;
+    }
+  }
+
+  /**
+   * Merge neighbouring runs with the same status into pieces
+   * Matched pieces keep how much of their length follows each other line.
+   */
+  mergeRuns(runs) {
+    const pieces = [];
+    runs.forEach(run => {
+      let piece = pieces[pieces.length - 1];
+      if (piece && piece.matched === run.matched) {
+        piece.to = run.to;
+        if (run.frechet !== undefined) piece.frechet = Math.max(piece.frechet ?? 0, run.frechet);
+      } else {
+        piece = { matched: run.matched, from: run.from, to: run.to, matchLengths: new Map(), frechet: run.frechet };
+        pieces.push(piece);
+      }
+      if (run.matched && run.otherLine) {
+        const id = run.otherLine.id;
+        piece.matchLengths.set(id, (piece.matchLengths.get(id) || 0) + run.to - run.from);
+      }
+    });
+    return pieces;
+  }
+
+  summarizeLine(line, pieces) {
+    const resultPieces = pieces.map(piece => ({
+      matched: piece.matched,
+      coordinates: this.sliceCoordinates(line, piece.from, piece.to),
+      length: piece.to - piece.from,
+      matchIds: piece.matched ? [...piece.matchLengths.keys()] : [],
+      matchLengths: piece.matched ? Object.fromEntries(piece.matchLengths) : {},
+      frechet: piece.matched && piece.frechet !== undefined ? Math.round(piece.frechet * 10) / 10 : null
+    }));
+    const matchedLength = resultPieces.filter(piece => piece.matched).reduce((sum, piece) => sum + piece.length, 0);
+
+    return {
+      id: line.id,
+      featureId: line.featureId,
+      featureIndex: line.featureIndex,
+      partIndex: line.partIndex,
+      length: line.length,
+      matchedLength,
+      matchRatio: line.length > 0 ? matchedLength / line.length : 0,
+      pieces: resultPieces
+    };
+  }
+
+  /**
+   * Discrete Fréchet distance between two point sequences (local meters)
+   * Long sequences are thinned to keep the O(n*m) table small.
+   */
+  static discreteFrechet(a, b, maxPoints = 200) {
+    const thin = points => {
+      if (points.length <= maxPoints) return points;
+      const step = (points.length - 1) / (maxPoints - 1);
+      return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+    };
+    const p = thin(a);
+    const q = thin(b);
+    const distance = (i, j) => Math.hypot(p[i][0] - q[j][0], p[i][1] - q[j][1]);
+
+    let previous = new Float64Array(q.length);
+    let current = new Float64Array(q.length);
+    for (let i = 0; i < p.length; i++) {
+      for (let j = 0; j < q.length; j++) {
+        const d = distance(i, j);
+        if (i === 0 && j === 0) current[j] = d;
+        else if (i === 0) current[j] = Math.max(current[j - 1], d);
+        else if (j === 0) current[j] = Math.max(previous[0], d);
+        else current[j] = Math.max(Math.min(previous[j], previous[j - 1], current[j - 1]), d);
+      }
+      [previous, current] = [current, previous];
+    }
+    return previous[q.length - 1];
+  }
+
+  // ============================================
+  // DISCREPANCIES
+  // ============================================
+
+  /**
+   * Split a match result into matched, network-only and OSM-only pieces
+   * Matched portions come from the network side only, so each is drawn once;
+   * their matchIds name the OSM parts they follow. Pieces keep the properties
+   * of the feature they were cut from.
+   * @param {Object} result - OSMMatcher.match() result
+   * @param {Object} network - Network FeatureCollection passed to match()
+   * @param {Object} osm - OSM FeatureCollection passed to match()
+   * @returns {Object} { pieces: FeatureCollection, totals: { class: { count, length } } }
+   *   with properties.comparison 'matched' | 'network-only' | 'osm-only'
+   */
+  static toDiscrepancies(result, network, osm) {
+    const totals = {};
+    OSMMatcher.DISCREPANCY_CLASSES.forEach(comparison => {
+      totals[comparison] = { count: 0, length: 0 };
+    });
+
+    const features = [];
+    const addPieces = (lines, collection, side) => lines.forEach(line => {
+      const properties = collection?.features[line.featureIndex]?.properties || {};
+      line.pieces.forEach(piece => {
+        if (piece.length <= 0 || (piece.matched && side === 'osm')) return;
+        const comparison = piece.matched ? 'matched' : `${side}-only`;
+
+        totals[comparison].count++;
+        totals[comparison].length += piece.length;
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: piece.coordinates },
+          properties: {
+            ...properties,
+            comparison,
+            side,
+            sourceId: line.id,
+            length: Math.round(piece.length * 10) / 10,
+            matchIds: piece.matchIds.join(', '),
+            frechet: piece.frechet
+          }
+        });
+      });
+    });
+
+    addPieces(result.network, network, 'network');
+    addPieces(result.osm, osm, 'osm');
+
+    return { pieces: { type: 'FeatureCollection', features }, totals };
+  }
+
+  static get DISCREPANCY_CLASSES() {
+    return ['matched', 'network-only', 'osm-only'];
+  }
+
+  // ============================================
+  // CLASS COMPARISON
+  // ============================================
+
+  /**
+   * Comparable classes of each side; 'none' is the margin for length without
+   * a match ("not found" on the Tile2Net side, "not in OSM" on the OSM side)
+   */
+  static get CLASS_LABELS() {
+    return {
+      network: { sidewalk: 'Sidewalk', crosswalk: 'Crosswalk', road: 'Road', other: 'Other', none: 'Not found' },
+      osm: {
+        sidewalk: 'Sidewalk', crosswalk: 'Crossing', footway: 'Footway / path', steps: 'Steps',
+        road: 'Road', other: 'Other', none: 'Not in OSM'
+      }
+    };
+  }
+
+  /**
+   * Tile2Net class of a network feature (featureType / f_type / type)
+   */
+  static networkClass(properties = {}) {
+    const type = String(properties.featureType ?? properties.f_type ?? properties.type ?? '').toLowerCase();
+    if (type.includes('sidewalk')) return 'sidewalk';
+    if (type.includes('crosswalk') || type.includes('crossing')) return 'crosswalk';
+    if (type.includes('road')) return 'road';
+    return 'other';
+  }
+
+  /**
+   * Class of an OSM way from its tags
+   * footway=sidewalk and crossings (footway=crossing, highway=crossing or a
+   * crossing tag on a path) are told apart from other footways and paths.
+   */
+  static osmClass(tags = {}) {
+    const highway = tags.highway;
+    if (highway === 'steps') return 'steps';
+    if (tags.footway === 'crossing' || highway === 'crossing' ||
+        (OSMMatcher.PATH_HIGHWAYS.includes(highway) && tags.crossing)) return 'crosswalk';
+    if (tags.footway === 'sidewalk') return 'sidewalk';
+    if (OSMMatcher.PATH_HIGHWAYS.includes(highway)) return 'footway';
+    if (OSMMatcher.ROAD_HIGHWAYS.includes(highway)) return 'road';
+    return 'other';
+  }
+
+  static get PATH_HIGHWAYS() {
+    return ['footway', 'path', 'pedestrian', 'cycleway', 'bridleway', 'corridor', 'track'];
+  }
+
+  static get ROAD_HIGHWAYS() {
+    return [
+      'motorway', 'trunk', 'primary', 'secondary', 'tertiary', 'unclassified', 'residential',
+      'service', 'living_street', 'road', 'motorway_link', 'trunk_link', 'primary_link',
+      'secondary_link', 'tertiary_link'
+    ];
+  }
+
+  /**
+   * Compare the Tile2Net class of matched network length with the OSM class
+   * of the way it follows
+   * A class agrees only with the same OSM class ('other' never agrees), so a
+   * Tile2Net sidewalk on an untagged footway is its own cell. Unmatched length
+   * goes to the 'none' row (OSM not found) or column (Tile2Net not in OSM),
+   * which separates "found but called something else" from "missed".
+   * @param {Object} result - OSMMatcher.match() result
+   * @param {Object} network - Network FeatureCollection passed to match()
+   * @param {Object} osm - OSM FeatureCollection passed to match()
+   * @returns {Object} {
+   *   matrix: { networkClass: { osmClass: length (m) } },
+   *   matchedLength, agreedLength, agreement (0-1),
+   *   perClass: [{ class, matchedLength, agreedLength, agreement }]
+   * }
+   */
+  static compareClasses(result, network, osm) {
+    const labels = OSMMatcher.CLASS_LABELS;
+    const matrix = {};
+    Object.keys(labels.network).forEach(networkClass => {
+      matrix[networkClass] = {};
+      Object.keys(labels.osm).forEach(osmClass => {
+        matrix[networkClass][osmClass] = 0;
+      });
+    });
+
+    const osmClassById = new Map(result.osm.map(line => [
+      line.id,
+      OSMMatcher.osmClass(osm?.features[line.featureIndex]?.properties)
+    ]));
+
+    result.network.forEach(line => {
+      const networkClass = OSMMatcher.networkClass(network?.features[line.featureIndex]?.properties);
+      line.pieces.forEach(piece => {
+        if (!piece.matched) {
+          matrix[networkClass].none += piece.length;
+          return;
+        }
+        // Absorbed runs without a line of their own are shared out pro rata
+        const entries = Object.entries(piece.matchLengths);
+        const total = entries.reduce((sum, [, length]) => sum + length, 0);
+        if (total === 0) {
+          matrix[networkClass].other += piece.length;
+          return;
+        }
+        entries.forEach(([id, length]) => {
+          matrix[networkClass][osmClassById.get(id) ?? 'other'] += piece.length * length / total;
+        });
+      });
+    });
+
+    result.osm.forEach(line => {
+      const osmClass = osmClassById.get(line.id);
+      line.pieces.forEach(piece => {
+        if (!piece.matched) matrix.none[osmClass] += piece.length;
+      });
+    });
+
+    const perClass = Object.keys(labels.network).filter(cls => cls !== 'none').map(networkClass => {
+      const matchedLength = Object.entries(matrix[networkClass])
+        .filter(([osmClass]) => osmClass !== 'none')
+        .reduce((sum, [, length]) => sum + length, 0);
+      const agreedLength = networkClass === 'other' ? 0 : matrix[networkClass][networkClass];
+      return {
+        class: networkClass,
+        matchedLength,
+        agreedLength,
+        agreement: matchedLength > 0 ? agreedLength / matchedLength : 0
+      };
+    });
+
+    const matchedLength = perClass.reduce((sum, cls) => sum + cls.matchedLength, 0);
+    const agreedLength = perClass.reduce((sum, cls) => sum + cls.agreedLength, 0);
+
+    return {
+      matrix,
+      matchedLength,
+      agreedLength,
+      agreement: matchedLength > 0 ? agreedLength / matchedLength : 0,
+      perClass
+    };
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.OSMMatcher = OSMMatcher;
+}
@@ -0,0 +1,648 @@
+/**
+ * Pedestrian Graph - the node/edge graph behind every network metric
+ *
+ * NetworkAnalyzer, QualityScorecard and the app's node layer all build their
+ * graph here, so degree, dead-end and component counts agree across panels.
+ * - every line part (see LineGeometry) is an edge between its two endpoints
+ * - an endpoint within snapTolerance meters of an existing node snaps to it;
+ *   otherwise it starts a new node at its own position
+ * - node IDs are "lng,lat" of that position (7 decimals, ~1 cm)
+ * - optional noding first splits lines where they cross and where an endpoint
+ *   touches another line's interior (T-junction) within snapTolerance; pieces
+ *   are "{id}:{n}" and point back at the unsplit line part
+ * - optional chain merging then joins runs of edges through degree-2 nodes
+ *   into one edge "chain:{first id}" (e.g. a block face Tile2Net cut into
+ *   many pieces)
+ * Every edge lists the line parts it covers in sourceIds, so issues and
+ * exports can refer to the original segments.
+ *
+ * PedestrianGraph.forNetwork() shares one graph per network and options.
+ */
+
+class PedestrianGraph {
+  /**
+   * Default snapping tolerance in meters
+   */
+  static get DEFAULT_SNAP_TOLERANCE() {
+    return 1;
+  }
+
+  /**
+   * Shared graph for a network: built once per GeoJSON object and options
+   * @param {Object} geojson - Network FeatureCollection
+   * @param {Object} options - { snapTolerance (meters), noding, mergeChains }
+   * @returns {PedestrianGraph}
+   */
+  static forNetwork(geojson, options = {}) {
+    const graph = new PedestrianGraph(options);
+    if (!geojson || typeof geojson !== 'object') return graph.build(geojson);
+
+    if (!PedestrianGraph.cache) PedestrianGraph.cache = new WeakMap();
+    if (!PedestrianGraph.cache.has(geojson)) PedestrianGraph.cache.set(geojson, new Map());
+
+    const byOptions = PedestrianGraph.cache.get(geojson);
+    const key = `${graph.snapTolerance}|${graph.noding}|${graph.mergeChains}`;
+    if (!byOptions.has(key)) byOptions.set(key, graph.build(geojson));
+    return byOptions.get(key);
+  }
+
+  /**
+   * @param {Object} options - { snapTolerance (meters, 0 = identical coordinates only),
+   *   noding (split at crossings and T-junctions before building),
+   *   mergeChains (join edges through degree-2 nodes after building) }
+   */
+  constructor(options = {}) {
+    const tolerance = Number(options.snapTolerance);
+    this.snapTolerance = Number.isFinite(tolerance) && tolerance >= 0 ?
+      tolerance : PedestrianGraph.DEFAULT_SNAP_TOLERANCE;
+    this.noding = !!options.noding;
+    this.mergeChains = !!options.mergeChains;
+
+    this.nodes = new Map();     // nodeId -> { id, coords, degree, edges: [edgeIds] }
+    this.edges = [];            // { id, sourceIds, featureIndex, featureId, partIndex, start, end, coordinates, length, quality, reportedQuality }
+    this.adjacency = new Map(); // nodeId -> [neighboring nodeIds]
+    this.components = null;     // Cached by getComponents()
+    this.edgeIndex = null;      // Cached by getEdge() / getEdgesBySource()
+    this.nodingStats = null;    // { crossings, tJunctions, splitEdges, addedEdges } when noded
+    this.chainStats = null;     // { chains, mergedEdges, removedNodes } when chains are merged
+
+    // Snapping grid (cells of snapTolerance meters)
+    this.grid = new Map();
+    this.metersPerDegree = [111320, 111320];
+  }
+
+  /**
+   * Build the graph from a network FeatureCollection
+   * @returns {PedestrianGraph} this
+   */
+  build(geojson) {
+    this.nodes.clear();
+    this.edges = [];
+    this.adjacency.clear();
+    this.components = null;
+    this.edgeIndex = null;
+    this.nodingStats = null;
+    this.chainStats = null;
+    this.grid.clear();
+
+    let parts = LineGeometry.explode(geojson?.features).filter(part => part.coordinates.length >= 2);
+
+    // Local meters per degree at the network's mean latitude
+    if (parts.length > 0) {
+      const meanLat = parts.reduce((sum, part) => sum + part.coordinates[0][1], 0) / parts.length;
+      this.metersPerDegree = [111320 * Math.cos(meanLat * Math.PI / 180), 110540];
+    }
+
+    if (this.noding) parts = this.nodeParts(parts);
+
+    let edgeId = 0;
+
+    parts.forEach(part => {
+      const { feature } = part;
+      const coords = part.coordinates;
+      const start = this.snap(coords[0]);
+      const end = this.snap(coords[coords.length - 1]);
+
+      const id = part.id || `edge_${edgeId++}`;
+      const edge = {
+        id,
+        sourceIds: [part.sourceId || id],
+        featureIndex: part.featureIndex,
+        featureId: part.featureId,
+        partIndex: part.partIndex,
+        start,
+        end,
+        coordinates: coords,
+        length: PedestrianGraph.lineLength(coords),
+        quality: feature.properties?.quality || 0.5,
+        // Quality reported by the data itself (null if the feature has none)
+        reportedQuality: typeof feature.properties?.quality === 'number' ? feature.properties.quality : null
+      };
+
+      this.edges.push(edge);
+
+      this.adjacency.get(start).push(end);
+      this.adjacency.get(end).push(start);
+
+      this.nodes.get(start).degree++;
+      this.nodes.get(start).edges.push(edge.id);
+      this.nodes.get(end).degree++;
+      this.nodes.get(end).edges.push(edge.id);
+    });
+
+    if (this.mergeChains) this.mergeDegreeTwoChains();
+
+    const modes = [this.noding && 'noded', this.mergeChains && 'chains merged'].filter(Boolean);
+    console.log(`🔗 Pedestrian graph: ${this.nodes.size} nodes, ${this.edges.length} edges (snap ${this.snapTolerance} m${modes.map(mode => `, ${mode}`).join('')})`);
+    return this;
+  }
+
+  /**
+   * Node ID for an endpoint, creating the node if nothing is within tolerance
+   */
+  snap(coord) {
+    const [x, y] = this.toMeters(coord);
+
+    if (this.snapTolerance > 0) {
+      const cx = Math.floor(x / this.snapTolerance);
+      const cy = Math.floor(y / this.snapTolerance);
+      let nearest = null;
+      let nearestDistance = Infinity;
+
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (const nodeId of this.grid.get(`${cx + dx},${cy + dy}`) || []) {
+            const [nx, ny] = this.toMeters(this.nodes.get(nodeId).coords);
+            const distance = Math.hypot(nx - x, ny - y);
+            if (distance <= this.snapTolerance && distance < nearestDistance) {
+              nearest = nodeId;
+              nearestDistance = distance;
+            }
+          }
+        }
+      }
+      if (nearest) return nearest;
+    }
+
+    const id = PedestrianGraph.nodeKey(coord);
+    if (this.nodes.has(id)) return id;
+
+    this.nodes.set(id, { id, coords: coord, degree: 0, edges: [] });
+    this.adjacency.set(id, []);
+
+    if (this.snapTolerance > 0) {
+      const cell = `${Math.floor(x / this.snapTolerance)},${Math.floor(y / this.snapTolerance)}`;
+      if (!this.grid.has(cell)) this.grid.set(cell, []);
+      this.grid.get(cell).push(id);
+    }
+    return id;
+  }
+
+  toMeters(coord) {
+    return [coord[0] * this.metersPerDegree[0], coord[1] * this.metersPerDegree[1]];
+  }
+
+  // ============================================
+  // NODING
+  // ============================================
+
+  /**
+   * Split line parts at crossings and T-junctions
+   * Crossing points are inserted into both lines; at a T-junction the touching
+   * endpoint is inserted into the other line, so both snap to one node.
+   * Points within snapTolerance of a line's own ends are left to snapping.
+   * @param {Array} parts - LineGeometry.explode() entries
+   * @returns {Array} Parts after splitting; pieces carry sourceId (the part's id) and pieceIndex
+   */
+  nodeParts(parts) {
+    const tolerance = this.snapTolerance;
+    const stats = { crossings: 0, tJunctions: 0, splitEdges: 0, addedEdges: 0 };
+    const points = parts.map(part => part.coordinates.map(coord => this.toMeters(coord)));
+    const splits = parts.map(() => []); // per part: [{ segment, t, coord }]
+
+    // Near a part's own ends (handled by endpoint snapping)
+    const nearEnds = (index, point) => {
+      const line = points[index];
+      return this.distance(point, line[0]) <= tolerance ||
+        this.distance(point, line[line.length - 1]) <= tolerance;
+    };
+
+    // Segment grid, cells padded by the tolerance
+    const cellSize = Math.max(25, tolerance * 4);
+    const grid = new Map();
+    const cellsOf = (a, b, pad) => {
+      const cells = [];
+      const x0 = Math.floor((Math.min(a[0], b[0]) - pad) / cellSize);
+      const x1 = Math.floor((Math.max(a[0], b[0]) + pad) / cellSize);
+      const y0 = Math.floor((Math.min(a[1], b[1]) - pad) / cellSize);
+      const y1 = Math.floor((Math.max(a[1], b[1]) + pad) / cellSize);
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) cells.push(`${x},${y}`);
+      }
+      return cells;
+    };
+
+    points.forEach((line, index) => {
+      for (let segment = 0; segment < line.length - 1; segment++) {
+        cellsOf(line[segment], line[segment + 1], tolerance).forEach(cell => {
+          if (!grid.has(cell)) grid.set(cell, []);
+          grid.get(cell).push({ index, segment });
+        });
+      }
+    });
+
+    // Crossings between segments of different parts
+    const checked = new Set();
+    const crossings = new Set(); // A crossing at a shared vertex is found from two segments
+    grid.forEach(entries => {
+      for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+          const [a, b] = entries[i].index < entries[j].index ? [entries[i], entries[j]] : [entries[j], entries[i]];
+          if (a.index === b.index) continue;
+
+          const key = `${a.index}:${a.segment}|${b.index}:${b.segment}`;
+          if (checked.has(key)) continue;
+          checked.add(key);
+
+          const lineA = points[a.index];
+          const lineB = points[b.index];
+          const hit = this.segmentIntersection(
+            lineA[a.segment], lineA[a.segment + 1], lineB[b.segment], lineB[b.segment + 1]
+          );
+          if (!hit || nearEnds(a.index, hit.point) || nearEnds(b.index, hit.point)) continue;
+
+          const from = parts[a.index].coordinates[a.segment];
+          const to = parts[a.index].coordinates[a.segment + 1];
+          const coord = [from[0] + (to[0] - from[0]) * hit.t, from[1] + (to[1] - from[1]) * hit.t];
+
+          splits[a.index].push({ segment: a.segment, t: hit.t, coord });
+          splits[b.index].push({ segment: b.segment, t: hit.u, coord });
+
+          const crossingKey = `${a.index}|${b.index}|${PedestrianGraph.nodeKey(coord)}`;
+          if (!crossings.has(crossingKey)) stats.crossings++;
+          crossings.add(crossingKey);
+        }
+      }
+    });
+
+    // T-junctions: an endpoint on (or within tolerance of) another part's interior
+    points.forEach((line, index) => {
+      [0, line.length - 1].forEach(end => {
+        const point = line[end];
+        const nearest = new Map(); // other part -> closest { segment, t, distance }
+
+        const cell = `${Math.floor(point[0] / cellSize)},${Math.floor(point[1] / cellSize)}`;
+        (grid.get(cell) || []).forEach(({ index: other, segment }) => {
+          if (other === index) return;
+          const otherLine = points[other];
+          const projection = this.projectOnSegment(point, otherLine[segment], otherLine[segment + 1]);
+          if (projection.distance > tolerance || nearEnds(other, projection.point)) return;
+          if (!nearest.has(other) || projection.distance < nearest.get(other).distance) {
+            nearest.set(other, { segment, t: projection.t, distance: projection.distance });
+          }
+        });
+
+        nearest.forEach(({ segment, t }, other) => {
+          splits[other].push({ segment, t, coord: parts[index].coordinates[end] });
+          stats.tJunctions++;
+        });
+      });
+    });
+
+    // Cut every part at its split points
+    const result = [];
+    parts.forEach((part, index) => {
+      if (splits[index].length === 0) {
+        result.push(part);
+        return;
+      }
+
+      const pieces = this.splitLine(part.coordinates, splits[index]);
+      if (pieces.length < 2) {
+        result.push(part);
+        return;
+      }
+
+      stats.splitEdges++;
+      stats.addedEdges += pieces.length - 1;
+      pieces.forEach((coordinates, pieceIndex) => {
+        result.push({
+          ...part,
+          coordinates,
+          id: part.id === null ? null : `${part.id}:${pieceIndex}`,
+          sourceId: part.id,
+          pieceIndex
+        });
+      });
+    });
+
+    this.nodingStats = stats;
+    console.log(`✂️ Noding: ${stats.crossings} crossings, ${stats.tJunctions} T-junctions, ${stats.splitEdges} edges split into ${stats.splitEdges + stats.addedEdges}`);
+    return result;
+  }
+
+  /**
+   * Cut a line at split points (ordered along the line, near-duplicates merged)
+   * @returns {Array<Array>} Pieces with at least two distinct points
+   */
+  splitLine(coords, splits) {
+    const ordered = [...splits].sort((a, b) => a.segment - b.segment || a.t - b.t);
+    const pieces = [];
+    let current = [coords[0]];
+    let next = 0;
+    let lastCut = null;
+    const append = point => {
+      const last = current[current.length - 1];
+      if (point[0] !== last[0] || point[1] !== last[1]) current.push(point);
+    };
+
+    for (let segment = 0; segment < coords.length - 1; segment++) {
+      while (next < ordered.length && ordered[next].segment === segment) {
+        const { coord } = ordered[next++];
+        if (lastCut && this.distance(this.toMeters(lastCut), this.toMeters(coord)) <= this.snapTolerance) continue;
+
+        append(coord);
+        pieces.push(current);
+        current = [coord];
+        lastCut = coord;
+      }
+      append(coords[segment + 1]);
+    }
+    pieces.push(current);
+
+    return pieces.filter(piece => piece.some(point => point[0] !== piece[0][0] || point[1] !== piece[0][1]));
+  }
+
+  /**
+   * Crossing of segments ab and cd (meters)
+   * @returns {Object|null} { point, t (along ab), u (along cd) }
+   */
+  segmentIntersection(a, b, c, d) {
+    const r = [b[0] - a[0], b[1] - a[1]];
+    const s = [d[0] - c[0], d[1] - c[1]];
+    const denom = r[0] * s[1] - r[1] * s[0];
+    if (Math.abs(denom) < 1e-12) return null; // Parallel or collinear
+
+    const t = ((c[0] - a[0]) * s[1] - (c[1] - a[1]) * s[0]) / denom;
+    const u = ((c[0] - a[0]) * r[1] - (c[1] - a[1]) * r[0]) / denom;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+    return { point: [a[0] + t * r[0], a[1] + t * r[1]], t, u };
+  }
+
+  /**
+   * Closest point to p on segment ab (meters)
+   * @returns {Object} { point, t, distance }
+   */
+  projectOnSegment(p, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq)) : 0;
+    const point = [a[0] + t * dx, a[1] + t * dy];
+    return { point, t, distance: this.distance(p, point) };
+  }
+
+  distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1]);
+  }
+
+  // ============================================
+  // CHAIN MERGING
+  // ============================================
+
+  /**
+   * Join runs of edges through degree-2 nodes into single edges
+   * A merged edge is "chain:{first id}", keeps the member edge IDs in members
+   * and the line parts in sourceIds; its quality is length-weighted. Closed
+   * rings of degree-2 nodes keep one node.
+   */
+  mergeDegreeTwoChains() {
+    const incident = new Map();
+    this.nodes.forEach((node, nodeId) => incident.set(nodeId, []));
+    this.edges.forEach(edge => {
+      incident.get(edge.start).push(edge);
+      incident.get(edge.end).push(edge);
+    });
+
+    // Pass-through node: exactly two different, non-loop edges
+    const isChainNode = nodeId => {
+      const edges = incident.get(nodeId);
+      return edges.length === 2 && edges[0] !== edges[1] && edges.every(edge => edge.start !== edge.end);
+    };
+
+    const visited = new Set();
+    const merged = [];
+    const stats = { chains: 0, mergedEdges: 0, removedNodes: 0 };
+
+    const walk = (startNode, firstEdge) => {
+      const steps = [];
+      let node = startNode;
+      let edge = firstEdge;
+
+      while (edge && !visited.has(edge)) {
+        visited.add(edge);
+        const forward = edge.start === node;
+        steps.push({ edge, forward });
+        node = forward ? edge.end : edge.start;
+        if (!isChainNode(node) || node === startNode) break;
+        edge = incident.get(node).find(other => other !== edge);
+      }
+      return steps;
+    };
+
+    const addChain = steps => {
+      if (steps.length === 0) return;
+      if (steps.length === 1) {
+        merged.push(steps[0].edge);
+        return;
+      }
+      merged.push(this.buildChainEdge(steps));
+      stats.chains++;
+      stats.mergedEdges += steps.length;
+      stats.removedNodes += steps.length - 1;
+    };
+
+    // Chains start at intersections, dead ends and loop nodes
+    this.nodes.forEach((node, nodeId) => {
+      if (isChainNode(nodeId)) return;
+      incident.get(nodeId).forEach(edge => {
+        if (!visited.has(edge)) addChain(walk(nodeId, edge));
+      });
+    });
+
+    // What is left are closed rings of degree-2 nodes
+    this.edges.forEach(edge => {
+      if (!visited.has(edge)) addChain(walk(edge.start, edge));
+    });
+
+    // Rebuild nodes and adjacency from the merged edges
+    this.edges = merged;
+    this.adjacency.clear();
+    this.nodes.forEach(node => {
+      node.degree = 0;
+      node.edges = [];
+    });
+    merged.forEach(edge => {
+      [edge.start, edge.end].forEach(nodeId => {
+        const node = this.nodes.get(nodeId);
+        node.degree++;
+        node.edges.push(edge.id);
+      });
+      if (!this.adjacency.has(edge.start)) this.adjacency.set(edge.start, []);
+      if (!this.adjacency.has(edge.end)) this.adjacency.set(edge.end, []);
+      this.adjacency.get(edge.start).push(edge.end);
+      this.adjacency.get(edge.end).push(edge.start);
+    });
+    this.nodes.forEach((node, nodeId) => {
+      if (node.degree === 0) this.nodes.delete(nodeId);
+    });
+
+    this.chainStats = stats;
+    console.log(`🔗 Merged ${stats.mergedEdges} edges into ${stats.chains} chains (${stats.removedNodes} degree-2 nodes removed)`);
+  }
+
+  /**
+   * One edge from a walk of { edge, forward } steps
+   */
+  buildChainEdge(steps) {
+    const first = steps[0];
+    const last = steps[steps.length - 1];
+    const coordinates = [];
+
+    steps.forEach(({ edge, forward }) => {
+      const coords = forward ? edge.coordinates : [...edge.coordinates].reverse();
+      coords.forEach((coord, i) => {
+        const previous = coordinates[coordinates.length - 1];
+        if (i === 0 && previous && previous[0] === coord[0] && previous[1] === coord[1]) return;
+        coordinates.push(coord);
+      });
+    });
+
+    const length = steps.reduce((sum, { edge }) => sum + edge.length, 0);
+    const weighted = key => length > 0 ?
+      steps.reduce((sum, { edge }) => sum + edge[key] * edge.length, 0) / length :
+      steps.reduce((sum, { edge }) => sum + edge[key], 0) / steps.length;
+    const reported = steps.every(({ edge }) => edge.reportedQuality !== null);
+
+    return {
+      id: `chain:${first.edge.id}`,
+      sourceIds: [...new Set(steps.flatMap(({ edge }) => edge.sourceIds))],
+      members: steps.map(({ edge }) => edge.id),
+      featureIndex: first.edge.featureIndex,
+      featureId: first.edge.featureId,
+      partIndex: first.edge.partIndex,
+      start: first.forward ? first.edge.start : first.edge.end,
+      end: last.forward ? last.edge.end : last.edge.start,
+      coordinates,
+      length,
+      quality: weighted('quality'),
+      reportedQuality: reported ? weighted('reportedQuality') : null
+    };
+  }
+
+  // ============================================
+  // QUERIES
+  // ============================================
+
+  /**
+   * Connected components, largest first
+   * @returns {Array} [{ id, nodes: [nodeIds], size }]
+   */
+  getComponents() {
+    if (this.components) return this.components;
+
+    const visited = new Set();
+    const components = [];
+
+    this.nodes.forEach((node, nodeId) => {
+      if (visited.has(nodeId)) return;
+
+      const queue = [nodeId];
+      const component = [];
+      visited.add(nodeId);
+
+      while (queue.length > 0) {
+        const current = queue.shift();
+        component.push(current);
+        for (const neighbor of this.adjacency.get(current) || []) {
+          if (!visited.has(neighbor)) {
+            visited.add(neighbor);
+            queue.push(neighbor);
+          }
+        }
+      }
+
+      components.push({ nodes: component, size: component.length });
+    });
+
+    components.sort((a, b) => b.size - a.size);
+    this.components = components.map((component, id) => ({ id, ...component }));
+    return this.components;
+  }
+
+  /**
+   * Edge by ID
+   */
+  getEdge(edgeId) {
+    return this.getEdgeIndex().byId.get(edgeId) || null;
+  }
+
+  /**
+   * Edges covering one line part: the pieces noding cut it into, the chain it
+   * was merged into, or just the edge itself
+   * @param {string} sourceId - Line part ID (LineGeometry.explode id)
+   */
+  getEdgesBySource(sourceId) {
+    return this.getEdgeIndex().bySource.get(sourceId) || [];
+  }
+
+  getEdgeIndex() {
+    if (!this.edgeIndex) {
+      const byId = new Map();
+      const bySource = new Map();
+      this.edges.forEach(edge => {
+        if (!byId.has(edge.id)) byId.set(edge.id, edge);
+        edge.sourceIds.forEach(sourceId => {
+          if (!bySource.has(sourceId)) bySource.set(sourceId, []);
+          bySource.get(sourceId).push(edge);
+        });
+      });
+      this.edgeIndex = { byId, bySource };
+    }
+    return this.edgeIndex;
+  }
+
+  /**
+   * Nodes with a single edge
+   */
+  getDeadEnds() {
+    return Array.from(this.nodes.values()).filter(node => node.degree === 1);
+  }
+
+  /**
+   * 'intersection' (3+ edges), 'junction' (2) or 'endpoint' (0-1)
+   */
+  static getNodeType(node) {
+    return node.degree >= 3 ? 'intersection' :
+           node.degree === 2 ? 'junction' :
+           'endpoint';
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  static nodeKey(coord) {
+    return `${coord[0].toFixed(7)},${coord[1].toFixed(7)}`;
+  }
+
+  /**
+   * Length of a coordinate array in meters
+   */
+  static lineLength(coords) {
+    let length = 0;
+    for (let i = 1; i < coords.length; i++) {
+      length += PedestrianGraph.haversine(coords[i - 1], coords[i]);
+    }
+    return length;
+  }
+
+  static haversine(coord1, coord2) {
+    const R = 6371e3; // Earth radius in meters
+    const lat1 = coord1[1] * Math.PI / 180;
+    const lat2 = coord2[1] * Math.PI / 180;
+    const dLat = (coord2[1] - coord1[1]) * Math.PI / 180;
+    const dLon = (coord2[0] - coord1[0]) * Math.PI / 180;
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(lat1) * Math.cos(lat2) *
+              Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+  window.PedestrianGraph = PedestrianGraph;
+}
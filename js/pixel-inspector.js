@@ -5,7 +5,8 @@
  * Features:
  * - Hover tooltip showing prediction vs ground truth
  * - Click to pin and see detailed info
- * - Class confidence visualization
+ * - Class confidence visualization (per-class probabilities, margin and
+ *   entropy when probability tensors are loaded)
  * - Error type identification
  */
 
@@ -88,6 +89,11 @@ class PixelInspector {
           <div class="detail-pred-confidence"></div>
           <div class="detail-pred-bar"></div>
         </div>
+        <div class="detail-section detail-probabilities" style="display: none;">
+          <h5>Class Probabilities</h5>
+          <div class="detail-prob-list"></div>
+          <div class="detail-uncertainty"></div>
+        </div>
         <div class="detail-section">
           <h5>Ground Truth</h5>
           <div class="detail-gt-class"></div>
@@ -164,10 +170,7 @@ class PixelInspector {
         font-size: 11px;
       }
 
-      .inspector-value.road { background: rgba(76, 175, 80, 0.3); color: #4caf50; }
-      .inspector-value.sidewalk { background: rgba(33, 150, 243, 0.3); color: #2196f3; }
-      .inspector-value.crosswalk { background: rgba(244, 67, 54, 0.3); color: #f44336; }
-      .inspector-value.background { background: rgba(100, 100, 100, 0.3); color: #888; }
+      .inspector-value.background, .inspector-value.ignored { background: rgba(100, 100, 100, 0.3); color: #888; }
 
       .inspector-confidence {
         color: #d4af37;
@@ -278,25 +281,8 @@ class PixelInspector {
         margin-bottom: 6px;
       }
 
-      .detail-pred-class.road, .detail-gt-class.road {
-        background: rgba(76, 175, 80, 0.2);
-        color: #4caf50;
-        border: 1px solid rgba(76, 175, 80, 0.3);
-      }
-
-      .detail-pred-class.sidewalk, .detail-gt-class.sidewalk {
-        background: rgba(33, 150, 243, 0.2);
-        color: #2196f3;
-        border: 1px solid rgba(33, 150, 243, 0.3);
-      }
-
-      .detail-pred-class.crosswalk, .detail-gt-class.crosswalk {
-        background: rgba(244, 67, 54, 0.2);
-        color: #f44336;
-        border: 1px solid rgba(244, 67, 54, 0.3);
-      }
-
-      .detail-pred-class.background, .detail-gt-class.background {
+      .detail-pred-class.background, .detail-gt-class.background,
+      .detail-pred-class.ignored, .detail-gt-class.ignored {
         background: rgba(100, 100, 100, 0.2);
         color: #888;
         border: 1px solid rgba(100, 100, 100, 0.3);
@@ -322,6 +308,37 @@ class PixelInspector {
         transition: width 0.3s ease;
       }
 
+      .detail-prob-row {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin: 4px 0;
+        font-size: 11px;
+      }
+
+      .detail-prob-name {
+        min-width: 70px;
+        color: #b4b8c0;
+      }
+
+      .detail-prob-row .detail-pred-bar {
+        flex: 1;
+      }
+
+      .detail-prob-value {
+        min-width: 40px;
+        text-align: right;
+        font-family: 'JetBrains Mono', monospace;
+        color: #f8f9fa;
+      }
+
+      .detail-uncertainty {
+        margin-top: 8px;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 11px;
+        color: #6e7179;
+      }
+
       .detail-status {
         font-weight: 600;
         font-size: 14px;
@@ -451,7 +468,8 @@ class PixelInspector {
 
     const predClass = tooltip.querySelector('.pred-class');
     predClass.textContent = pixelInfo.prediction.className;
-    predClass.className = `inspector-value ${pixelInfo.prediction.className}`;
+    predClass.className = 'inspector-value';
+    this.applyClassColor(predClass, pixelInfo.prediction.classId, 0.3, false);
 
     const confEl = tooltip.querySelector('.inspector-confidence');
     if (pixelInfo.prediction.confidence !== null) {
@@ -463,7 +481,8 @@ class PixelInspector {
     const gtClass = tooltip.querySelector('.gt-class');
     if (pixelInfo.groundTruth) {
       gtClass.textContent = pixelInfo.groundTruth.className;
-      gtClass.className = `inspector-value ${pixelInfo.groundTruth.className}`;
+      gtClass.className = 'inspector-value';
+      this.applyClassColor(gtClass, pixelInfo.groundTruth.classId, 0.3, false);
       tooltip.querySelector('.inspector-groundtruth').style.display = 'flex';
     } else {
       tooltip.querySelector('.inspector-groundtruth').style.display = 'none';
@@ -510,6 +529,30 @@ class PixelInspector {
     this.tooltip.style.display = 'none';
   }
 
+  /**
+   * Color a class badge with the class schema's prediction color
+   * Background, ignore labels and unknown classes fall back to the gray CSS style.
+   * @param {HTMLElement} el - Badge element
+   * @param {number|null} classId - Class id
+   * @param {number} alpha - Background opacity
+   * @param {boolean} bordered - Also set a matching border
+   */
+  applyClassColor(el, classId, alpha, bordered) {
+    const cls = classId ? this.dataLoader?.getClasses().find(c => c.id === classId) : null;
+    if (!cls) {
+      el.style.background = '';
+      el.style.color = '';
+      el.style.border = '';
+      el.classList.add(classId === 0 ? 'background' : 'ignored');
+      return;
+    }
+
+    const [r, g, b] = cls.color;
+    el.style.background = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    el.style.color = `rgb(${r}, ${g}, ${b})`;
+    el.style.border = bordered ? `1px solid rgba(${r}, ${g}, ${b}, 0.3)` : '';
+  }
+
   /**
    * Get error type for misclassified pixel
    */
@@ -576,12 +619,15 @@ class PixelInspector {
     // Prediction
     const predClass = panel.querySelector('.detail-pred-class');
     predClass.textContent = pixelInfo.prediction.className;
-    predClass.className = `detail-pred-class ${pixelInfo.prediction.className}`;
+    predClass.className = 'detail-pred-class';
+    this.applyClassColor(predClass, pixelInfo.prediction.classId, 0.2, true);
 
     const conf = pixelInfo.prediction.confidence;
     if (conf !== null) {
+      const metricLabels = { maxProb: 'max probability', margin: 'margin', entropy: '1 − entropy' };
+      const metric = metricLabels[pixelInfo.prediction.confidenceMetric];
       panel.querySelector('.detail-pred-confidence').textContent =
-        `Confidence: ${(conf * 100).toFixed(1)}%`;
+        `Confidence: ${(conf * 100).toFixed(1)}%${metric ? ` (${metric})` : ''}`;
       panel.querySelector('.detail-pred-bar').innerHTML =
         `<div class="detail-pred-bar-fill" style="width: ${conf * 100}%"></div>`;
     } else {
@@ -589,21 +635,29 @@ class PixelInspector {
       panel.querySelector('.detail-pred-bar').innerHTML = '';
     }
 
+    this.renderProbabilities(pixelInfo);
+
     // Ground Truth
     const gtClass = panel.querySelector('.detail-gt-class');
     if (pixelInfo.groundTruth) {
       gtClass.textContent = pixelInfo.groundTruth.className;
-      gtClass.className = `detail-gt-class ${pixelInfo.groundTruth.className}`;
+      gtClass.className = 'detail-gt-class';
+      this.applyClassColor(gtClass, pixelInfo.groundTruth.classId, 0.2, true);
     } else {
       gtClass.textContent = 'N/A';
       gtClass.className = 'detail-gt-class';
+      this.applyClassColor(gtClass, null, 0.2, true);
     }
 
     // Status
     const statusEl = panel.querySelector('.detail-status');
     const errorTypeEl = panel.querySelector('.detail-error-type');
 
-    if (pixelInfo.isCorrect !== null) {
+    if (pixelInfo.groundTruth?.ignored) {
+      statusEl.textContent = 'Ignored';
+      statusEl.className = 'detail-status';
+      errorTypeEl.textContent = 'Ground truth is an ignore label; this pixel is not scored.';
+    } else if (pixelInfo.isCorrect !== null) {
       if (pixelInfo.isCorrect) {
         statusEl.textContent = '✓ Correctly Classified';
         statusEl.className = 'detail-status correct';
@@ -626,6 +680,37 @@ class PixelInspector {
     panel.style.display = 'block';
   }
 
+  /**
+   * Render per-class probabilities, margin and entropy (if loaded)
+   */
+  renderProbabilities(pixelInfo) {
+    const section = this.detailPanel.querySelector('.detail-probabilities');
+    const { probabilities, margin, entropy } = pixelInfo.prediction;
+
+    if (!probabilities) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.querySelector('.detail-prob-list').innerHTML = probabilities
+      .slice()
+      .sort((a, b) => b.probability - a.probability)
+      .map(({ className, probability }) => `
+        <div class="detail-prob-row">
+          <span class="detail-prob-name">${className}</span>
+          <div class="detail-pred-bar">
+            <div class="detail-pred-bar-fill" style="width: ${probability * 100}%"></div>
+          </div>
+          <span class="detail-prob-value">${(probability * 100).toFixed(1)}%</span>
+        </div>
+      `).join('');
+
+    section.querySelector('.detail-uncertainty').textContent =
+      `Margin: ${(margin * 100).toFixed(1)}% | Entropy: ${entropy.toFixed(3)}`;
+
+    section.style.display = 'block';
+  }
+
   /**
    * Get explanation for error type
    */
@@ -635,11 +720,15 @@ class PixelInspector {
 
     if (!gt) return 'Ground truth not available.';
 
-    if (pred !== 'background' && gt === 'background') {
+    // Class 0 is the background class whatever the schema calls it
+    const predId = pixelInfo.prediction.classId;
+    const gtId = pixelInfo.groundTruth.classId;
+
+    if (predId !== 0 && gtId === 0) {
       return `Model incorrectly detected ${pred} where there is none (false positive).`;
     }
 
-    if (pred === 'background' && gt !== 'background') {
+    if (predId === 0 && gtId !== 0) {
       return `Model missed ${gt} in this location (false negative).`;
     }
 
@@ -666,12 +755,12 @@ class PixelInspector {
     const cy = pixelInfo.pixelY;
     const radius = 8;
 
-    const classColors = {
-      0: [40, 40, 40],      // Background
-      1: [76, 175, 80],     // Road
-      2: [33, 150, 243],    // Sidewalk
-      3: [244, 67, 54]      // Crosswalk
-    };
+    // Prediction colors of the class schema; background (and unknown labels) dark gray
+    const classes = this.dataLoader.getClasses();
+    const classColors = { 0: [40, 40, 40] };
+    for (const cls of classes) {
+      if (cls.id !== 0) classColors[cls.id] = cls.color;
+    }
 
     const imageData = ctx.createImageData(16, 16);
 
@@ -719,24 +808,15 @@ class PixelInspector {
 
     // Update legend
     const legend = this.detailPanel.querySelector('.detail-context-legend');
-    legend.innerHTML = `
-      <div class="legend-item">
-        <div class="legend-color" style="background: rgb(40, 40, 40)"></div>
-        <span>Background</span>
-      </div>
-      <div class="legend-item">
-        <div class="legend-color" style="background: rgb(76, 175, 80)"></div>
-        <span>Road</span>
-      </div>
-      <div class="legend-item">
-        <div class="legend-color" style="background: rgb(33, 150, 243)"></div>
-        <span>Sidewalk</span>
-      </div>
-      <div class="legend-item">
-        <div class="legend-color" style="background: rgb(244, 67, 54)"></div>
-        <span>Crosswalk</span>
-      </div>
-    `;
+    legend.innerHTML = classes.map(cls => {
+      const color = classColors[cls.id];
+      return `
+        <div class="legend-item">
+          <div class="legend-color" style="background: rgb(${color[0]}, ${color[1]}, ${color[2]})"></div>
+          <span>${cls.label}</span>
+        </div>
+      `;
+    }).join('');
   }
 
   /**
@@ -6,6 +6,8 @@
  * - Completeness (OSM comparison)
  * - Topology (dead-ends, isolated components)
  * - Overall grade (A-F)
+ * - Route similarity (APLS against the OSM reference, see APLSMetric) with
+ *   the worst routes for drill-down; reported next to the grade, not in it
  */
 
 class QualityScorecard {
@@ -18,14 +20,26 @@ class QualityScorecard {
       completeness: 0,
       topology: 0,
       overall: 0,
-      grade: 'F'
+      grade: 'F',
+      apls: null // percent, null without OSM reference
     };
 
     // Network data
     this.networkData = null;
     this.osmData = null;
+    this.routeSimilarity = null; // APLSMetric.compare() result
+    this.routeSimilarityInputs = null; // What routeSimilarity was computed from
+    this.routeSimilarityTask = null;   // Pending run ({ idle } or { timer })
+
+    // Endpoint snapping, noding and chain merging for the shared PedestrianGraph
+    this.config = {
+      snapTolerance: PedestrianGraph.DEFAULT_SNAP_TOLERANCE, // meters
+      noding: false,
+      mergeChains: false
+    };
 
     // Graph analysis
+    this.pedestrianGraph = null;
     this.graph = {
       nodes: new Map(),
       edges: [],
@@ -53,12 +67,17 @@ class QualityScorecard {
    */
   subscribeToState() {
     // Listen for network data updates
-    this.stateManager.subscribe((state) => {
+    this.unsubscribe = this.stateManager.subscribe((state) => {
       const networkData = this.stateManager.getState('data.network.tile2net');
       if (networkData && networkData !== this.networkData) {
         this.networkData = networkData;
         this.analyzeNetwork();
       }
+
+      const osmData = this.stateManager.getState('data.network.osm');
+      if (osmData && osmData !== this.osmData) {
+        this.setOSMData(osmData);
+      }
     }, 'data');
   }
 
@@ -81,6 +100,7 @@ class QualityScorecard {
     this.calculateCompleteness();
     this.calculateTopology();
     this.calculateOverallGrade();
+    this.calculateRouteSimilarity();
 
     // Update UI
     this.updateScorecard();
@@ -91,7 +111,8 @@ class QualityScorecard {
       'data.statistics.scorecard.completeness': this.metrics.completeness,
       'data.statistics.scorecard.topology': this.metrics.topology,
       'data.statistics.scorecard.overall': this.metrics.overall,
-      'data.statistics.scorecard.grade': this.metrics.grade
+      'data.statistics.scorecard.grade': this.metrics.grade,
+      'data.statistics.scorecard.apls': this.metrics.apls
     });
 
     console.log('✅ Quality analysis complete:', this.metrics);
@@ -99,56 +120,17 @@ class QualityScorecard {
 
   /**
    * Build graph structure from GeoJSON
+   * Uses the shared PedestrianGraph so node, dead-end and component counts
+   * match the Network Analyzer.
    */
   buildGraph() {
-    this.graph.nodes.clear();
-    this.graph.edges = [];
-
-    const features = this.networkData.features;
-
-    features.forEach(feature => {
-      if (feature.geometry.type !== 'LineString') return;
-
-      const coords = feature.geometry.coordinates;
-      const startKey = coords[0].join(',');
-      const endKey = coords[coords.length - 1].join(',');
-
-      // Add nodes
-      if (!this.graph.nodes.has(startKey)) {
-        this.graph.nodes.set(startKey, {
-          id: startKey,
-          coords: coords[0],
-          degree: 0,
-          edges: []
-        });
-      }
-
-      if (!this.graph.nodes.has(endKey)) {
-        this.graph.nodes.set(endKey, {
-          id: endKey,
-          coords: coords[coords.length - 1],
-          degree: 0,
-          edges: []
-        });
-      }
-
-      // Add edge
-      const edge = {
-        id: feature.properties.id,
-        start: startKey,
-        end: endKey,
-        length: feature.properties.length || 0,
-        quality: feature.properties.quality || 0.5
-      };
-
-      this.graph.edges.push(edge);
-
-      // Update node degrees
-      this.graph.nodes.get(startKey).degree++;
-      this.graph.nodes.get(startKey).edges.push(edge.id);
-      this.graph.nodes.get(endKey).degree++;
-      this.graph.nodes.get(endKey).edges.push(edge.id);
+    this.pedestrianGraph = PedestrianGraph.forNetwork(this.networkData, {
+      snapTolerance: this.config.snapTolerance,
+      noding: this.config.noding,
+      mergeChains: this.config.mergeChains
     });
+    this.graph.nodes = this.pedestrianGraph.nodes;
+    this.graph.edges = this.pedestrianGraph.edges;
 
     console.log(`🔗 Graph: ${this.graph.nodes.size} nodes, ${this.graph.edges.length} edges`);
   }
@@ -199,48 +181,14 @@ class QualityScorecard {
   }
 
   /**
-   * Find connected components using DFS
+   * Find connected components (from the shared graph)
    */
   findConnectedComponents() {
-    this.graph.components = [];
-    const visited = new Set();
-
-    this.graph.nodes.forEach((node, nodeId) => {
-      if (!visited.has(nodeId)) {
-        const component = new Set();
-        this.dfs(nodeId, visited, component);
-        this.graph.components.push({
-          size: component.size,
-          nodes: Array.from(component)
-        });
-      }
-    });
+    this.graph.components = this.pedestrianGraph.getComponents();
 
     console.log(`🔗 Connected components: ${this.graph.components.length}`);
   }
 
-  /**
-   * Depth-first search for component detection
-   */
-  dfs(nodeId, visited, component) {
-    visited.add(nodeId);
-    component.add(nodeId);
-
-    const node = this.graph.nodes.get(nodeId);
-    if (!node) return;
-
-    // Visit neighbors
-    node.edges.forEach(edgeId => {
-      const edge = this.graph.edges.find(e => e.id === edgeId);
-      if (!edge) return;
-
-      const neighbor = edge.start === nodeId ? edge.end : edge.start;
-      if (!visited.has(neighbor)) {
-        this.dfs(neighbor, visited, component);
-      }
-    });
-  }
-
   /**
    * Calculate completeness score (0-100)
    *
@@ -330,6 +278,79 @@ class QualityScorecard {
     console.log(`🎯 Overall: ${this.metrics.overall.toFixed(1)}% (Grade: ${this.metrics.grade})`);
   }
 
+  /**
+   * Calculate route similarity (APLS, 0-100) against the OSM reference
+   * Routes use the scorecard's snap tolerance and chain merging (APLSMetric
+   * always nodes both graphs); snapping uses the OSM match distance.
+   * Up to 2 x maxControlPoints shortest-path searches, so it only reruns when
+   * the network, the OSM data or these options changed, and then in an idle
+   * callback; the card shows "Computing…" meanwhile.
+   */
+  calculateRouteSimilarity() {
+    if (!this.osmData || typeof APLSMetric === 'undefined') {
+      this.cancelRouteSimilarity();
+      this.routeSimilarity = null;
+      this.routeSimilarityInputs = null;
+      this.metrics.apls = null;
+      return;
+    }
+
+    const inputs = {
+      network: this.networkData,
+      osm: this.osmData,
+      snapDistance: this.stateManager.getState('settings.osmMatchDistance'),
+      snapTolerance: this.config.snapTolerance,
+      mergeChains: this.config.mergeChains
+    };
+    const previous = this.routeSimilarityInputs;
+    if (previous && Object.keys(inputs).every(key => inputs[key] === previous[key])) return;
+
+    this.cancelRouteSimilarity();
+    this.routeSimilarity = null;
+    this.routeSimilarityInputs = inputs;
+    this.metrics.apls = null;
+
+    const run = () => {
+      this.routeSimilarityTask = null;
+      const metric = new APLSMetric({ snapDistance: inputs.snapDistance });
+      this.routeSimilarity = metric.compare(inputs.network, inputs.osm, {
+        snapTolerance: inputs.snapTolerance,
+        mergeChains: inputs.mergeChains
+      });
+      this.metrics.apls = this.routeSimilarity?.apls != null ? this.routeSimilarity.apls * 100 : null;
+
+      if (this.metrics.apls !== null) {
+        const { referenceToNetwork } = this.routeSimilarity;
+        console.log(`🧭 Route similarity (APLS): ${this.metrics.apls.toFixed(1)}% (${referenceToNetwork.impossible}/${referenceToNetwork.routes} OSM routes impossible)`);
+      }
+
+      this.updateScorecard();
+      this.stateManager.updateState('data.statistics.scorecard.apls', this.metrics.apls);
+    };
+
+    this.routeSimilarityTask = typeof requestIdleCallback === 'function' ?
+      { idle: requestIdleCallback(run, { timeout: 2000 }) } :
+      { timer: setTimeout(run, 0) };
+  }
+
+  /**
+   * Drop a route similarity run that has not started yet
+   */
+  cancelRouteSimilarity() {
+    const task = this.routeSimilarityTask;
+    if (!task) return;
+    if (task.idle !== undefined) cancelIdleCallback(task.idle);
+    else clearTimeout(task.timer);
+    this.routeSimilarityTask = null;
+  }
+
+  /**
+   * Whether a route similarity run is waiting for an idle moment
+   */
+  isRouteSimilarityPending() {
+    return this.routeSimilarityTask !== null;
+  }
+
   /**
    * Update scorecard UI
    */
@@ -403,9 +424,13 @@ class QualityScorecard {
               ${this.graph.deadEnds.length} dead-ends, ${this.graph.components.length} component${this.graph.components.length !== 1 ? 's' : ''}
             </div>
           </div>
+
+          ${this.renderRouteSimilarityCard()}
         </div>
       </div>
 
+      ${this.renderWorstRoutes()}
+
       <!-- Insights -->
       <div class="scorecard-insights">
         <div class="insights-title">Analysis Insights</div>
@@ -419,6 +444,87 @@ class QualityScorecard {
         </div>
       </div>
     `;
+
+    // Draw a worst route on the network map
+    scorecardContent.querySelectorAll('.scorecard-route-show').forEach(button => {
+      button.addEventListener('click', () => {
+        this.showRoutePair(this.routeSimilarity.worstPairs[Number(button.dataset.index)]);
+      });
+    });
+  }
+
+  /**
+   * Ask the app to draw a reference route and its network counterpart
+   */
+  showRoutePair(pair) {
+    const event = new CustomEvent('showRoutePair', {
+      detail: { pair }
+    });
+    document.dispatchEvent(event);
+  }
+
+  /**
+   * APLS metric card (placeholder until OSM reference data is loaded)
+   */
+  renderRouteSimilarityCard() {
+    const apls = this.metrics.apls;
+    const directions = this.routeSimilarity && apls !== null ? this.routeSimilarity : null;
+
+    return `
+      <div class="metric-card glass-panel-elevated">
+        <div class="metric-header">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <circle cx="5" cy="19" r="2" stroke-width="2"/>
+            <circle cx="19" cy="5" r="2" stroke-width="2"/>
+            <path d="M7 19h6a3 3 0 0 0 0-6h-2a3 3 0 0 1 0-6h6" stroke-width="2" stroke-linecap="round"/>
+          </svg>
+          <span class="metric-name">Route Similarity (APLS)</span>
+        </div>
+        <div class="metric-value">${apls !== null ? apls.toFixed(1) + '%' : '–'}</div>
+        <div class="metric-bar">
+          <div class="metric-bar-fill" style="width: ${apls ?? 0}%; background: ${this.getMetricColor(apls ?? 0)};"></div>
+        </div>
+        <div class="metric-details">
+          ${directions ? `
+            OSM → Tile2Net ${(directions.referenceToNetwork.score * 100).toFixed(1)}%,
+            Tile2Net → OSM ${(directions.networkToReference.score * 100).toFixed(1)}%;
+            ${directions.referenceToNetwork.impossible} of ${directions.referenceToNetwork.routes} OSM routes impossible
+          ` : this.isRouteSimilarityPending() ? 'Computing route similarity…' : 'Load the OSM overlay to compare routes'}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Worst OSM routes: much longer or impossible in the extracted network
+   * "Show" draws both routes on the network map (showRoutePair event).
+   */
+  renderWorstRoutes() {
+    const pairs = this.metrics.apls !== null ? this.routeSimilarity.worstPairs.filter(pair => pair.penalty > 0) : [];
+    if (pairs.length === 0) return '';
+
+    const formatLength = m => m > 1000 ? `${(m / 1000).toFixed(1)} km` : `${m.toFixed(0)} m`;
+    const reasons = {
+      unsnapped: 'endpoint not in network',
+      disconnected: 'no route',
+      longer: 'longer',
+      shorter: 'shorter'
+    };
+
+    return `
+      <div class="scorecard-routes">
+        <div class="insights-title">Worst Routes vs OSM</div>
+        <ul class="scorecard-route-list">
+          ${pairs.map((pair, index) => `
+            <li>
+              <span class="route-lengths">${formatLength(pair.referenceLength)} → ${pair.networkLength !== null ? formatLength(pair.networkLength) : '✗'}</span>
+              <span class="route-reason">${reasons[pair.reason]}</span>
+              <button class="validation-zoom scorecard-route-show" data-index="${index}">Show</button>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
   }
 
   /**
@@ -450,6 +556,19 @@ class QualityScorecard {
       insights.push({ type: 'error', message: 'High number of dead-ends (>30%)' });
     }
 
+    // Routing insights
+    if (this.metrics.apls !== null) {
+      const { impossible, routes } = this.routeSimilarity.referenceToNetwork;
+      if (this.metrics.apls >= 80) {
+        insights.push({ type: 'success', message: 'Routes closely match OSM (APLS)' });
+      } else if (this.metrics.apls < 50) {
+        insights.push({ type: 'warning', message: `Routes differ from OSM (APLS ${this.metrics.apls.toFixed(0)}%)` });
+      }
+      if (routes > 0 && impossible > routes * 0.2) {
+        insights.push({ type: 'error', message: `${(impossible / routes * 100).toFixed(0)}% of OSM routes are impossible in the network` });
+      }
+    }
+
     // Overall insights
     if (this.metrics.grade === 'A' || this.metrics.grade === 'B') {
       insights.push({ type: 'success', message: 'Network meets production quality standards' });
@@ -520,6 +639,37 @@ class QualityScorecard {
       this.analyzeNetwork();
     }
   }
+
+  /**
+   * Summary for the exported quality report (score 0-1)
+   * Route geometries stay out; the worst routes keep their endpoints and lengths.
+   */
+  getReport() {
+    const routeSimilarity = this.metrics.apls !== null ? {
+      apls: this.metrics.apls,
+      referenceToNetwork: this.routeSimilarity.referenceToNetwork,
+      networkToReference: this.routeSimilarity.networkToReference,
+      worstRoutes: this.routeSimilarity.worstPairs.map(({ referencePath, networkPath, ...pair }) => pair)
+    } : null;
+
+    return {
+      grade: this.metrics.grade,
+      score: this.metrics.overall / 100,
+      connectivity: this.metrics.connectivity,
+      completeness: this.metrics.completeness,
+      topology: this.metrics.topology,
+      routeSimilarity
+    };
+  }
+
+  /**
+   * Stop listening for network data (before the scorecard is replaced)
+   */
+  destroy() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    this.cancelRouteSimilarity();
+  }
 }
 
 // Make available globally
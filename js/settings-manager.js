@@ -26,7 +26,18 @@ class SettingsManager {
       // Analysis thresholds
       shortStubThreshold: 5,
       longLinkThreshold: 200,
-      sharpAngleThreshold: 30
+      sharpAngleThreshold: 30,
+      snapTolerance: 1, // meters; endpoints this close share a graph node
+      osmMatchDistance: 10, // meters; network and OSM lines this close match
+      noding: false,     // split edges at crossings (toggled in the Network Quality Inspector)
+      mergeChains: false, // join degree-2 chains (toggled in the Network Quality Inspector)
+
+      // OSM reference
+      overpassUrl: 'https://overpass-api.de/api/interpreter', // any Overpass-compatible mirror
+
+      // Data cache (IndexedDB)
+      cacheEnabled: true,
+      cacheMaxAgeDays: 7 // older entries are refetched when online, still used offline
     };
 
     // Load saved settings or use defaults
@@ -78,6 +89,12 @@ class SettingsManager {
       reloadBtn.addEventListener('click', () => this.reloadData());
     }
 
+    // Clear cache button
+    const clearCacheBtn = document.getElementById('btn-clear-cache');
+    if (clearCacheBtn) {
+      clearCacheBtn.addEventListener('click', () => this.clearCache());
+    }
+
     // Close on overlay click
     const modal = document.getElementById('settings-modal');
     if (modal) {
@@ -126,6 +143,7 @@ class SettingsManager {
       modal.style.display = 'flex';
       this.updateUIFromSettings();
       this.updateDataSourceInfo();
+      this.updateCacheInfo();
     }
   }
 
@@ -156,7 +174,18 @@ class SettingsManager {
       // Analysis thresholds
       shortStubThreshold: parseInt(document.getElementById('setting-short-stub')?.value) || this.defaults.shortStubThreshold,
       longLinkThreshold: parseInt(document.getElementById('setting-long-link')?.value) || this.defaults.longLinkThreshold,
-      sharpAngleThreshold: parseInt(document.getElementById('setting-sharp-angle')?.value) || this.defaults.sharpAngleThreshold
+      sharpAngleThreshold: parseInt(document.getElementById('setting-sharp-angle')?.value) || this.defaults.sharpAngleThreshold,
+      snapTolerance: this.parseTolerance(document.getElementById('setting-snap-tolerance')?.value),
+      osmMatchDistance: parseFloat(document.getElementById('setting-osm-match-distance')?.value) || this.defaults.osmMatchDistance,
+      noding: this.settings.noding ?? this.defaults.noding,
+      mergeChains: this.settings.mergeChains ?? this.defaults.mergeChains,
+
+      // OSM reference
+      overpassUrl: document.getElementById('setting-overpass-url')?.value.trim() || this.defaults.overpassUrl,
+
+      // Data cache
+      cacheEnabled: document.getElementById('setting-cache-enabled')?.checked ?? this.defaults.cacheEnabled,
+      cacheMaxAgeDays: this.parseMaxAge(document.getElementById('setting-cache-max-age')?.value)
     };
 
     // Save settings to localStorage
@@ -235,6 +264,72 @@ class SettingsManager {
 
     const sharpAngle = document.getElementById('setting-sharp-angle');
     if (sharpAngle) sharpAngle.value = this.settings.sharpAngleThreshold;
+
+    const snapTolerance = document.getElementById('setting-snap-tolerance');
+    if (snapTolerance) snapTolerance.value = this.settings.snapTolerance;
+
+    const osmMatchDistance = document.getElementById('setting-osm-match-distance');
+    if (osmMatchDistance) osmMatchDistance.value = this.settings.osmMatchDistance;
+
+    // OSM reference
+    const overpassUrl = document.getElementById('setting-overpass-url');
+    if (overpassUrl) overpassUrl.value = this.settings.overpassUrl;
+
+    // Data cache
+    const cacheEnabled = document.getElementById('setting-cache-enabled');
+    if (cacheEnabled) cacheEnabled.checked = this.settings.cacheEnabled;
+
+    const cacheMaxAge = document.getElementById('setting-cache-max-age');
+    if (cacheMaxAge) cacheMaxAge.value = this.settings.cacheMaxAgeDays;
+  }
+
+  /**
+   * Snapping tolerance from the input (0 is valid: identical coordinates only)
+   */
+  parseTolerance(value) {
+    const tolerance = parseFloat(value);
+    return Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : this.defaults.snapTolerance;
+  }
+
+  /**
+   * Cache expiry in days from the input (0: always refetch when online)
+   */
+  parseMaxAge(value) {
+    const days = parseFloat(value);
+    return Number.isFinite(days) && days >= 0 ? days : this.defaults.cacheMaxAgeDays;
+  }
+
+  /**
+   * Show how many OSM tiles and files are cached
+   */
+  async updateCacheInfo() {
+    const info = document.getElementById('cache-info');
+    const cache = window.app?.dataCache;
+    if (!info) return;
+
+    if (!cache) {
+      info.textContent = 'Cache unavailable';
+      return;
+    }
+
+    const stats = await cache.getStats().catch(() => null);
+    info.textContent = stats
+      ? `${stats.osmTiles} OSM tile(s), ${stats.files} city file(s) cached`
+      : 'IndexedDB unavailable in this browser';
+  }
+
+  async clearCache() {
+    const cache = window.app?.dataCache;
+    if (!cache) return;
+
+    try {
+      await cache.clear();
+      this.showToast('Cache cleared', 'success');
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+      this.showToast('Failed to clear cache', 'error');
+    }
+    this.updateCacheInfo();
   }
 
   updateDataSourceInfo() {
@@ -256,7 +351,9 @@ class SettingsManager {
     if (networkType && this.stateManager) {
       const networkData = this.stateManager.getState('data.network.tile2net');
       if (networkData && networkData.features) {
-        networkType.textContent = `pedestrian-network.geojson (${networkData.features.length} segments)`;
+        const networkPath = window.app?.getDataPath?.('network') || 'pedestrian-network.geojson';
+        const networkName = window.app?.localSources?.network || networkPath.split('/').pop();
+        networkType.textContent = `${networkName} (${networkData.features.length} segments)`;
       }
     }
 
@@ -274,7 +371,20 @@ class SettingsManager {
     }
   }
 
-  applyToApplication() {
+  /**
+   * Overlay per-dataset settings (config.json "datasets[].settings") on the saved ones
+   * Overrides are not written to localStorage; the map style only changes if they set one.
+   * @param {Object} overrides - Setting values keyed like this.defaults
+   */
+  applyDatasetSettings(overrides = {}) {
+    const previousStyle = this.settings.mapStyle;
+    this.settings = { ...this.loadSettings(), ...overrides };
+    this.updateUIFromSettings();
+    // The dataset load that follows builds the graph with the new tolerance
+    this.applyToApplication({ updateMapStyle: this.settings.mapStyle !== previousStyle, rebuildGraph: false });
+  }
+
+  applyToApplication({ updateMapStyle = true, rebuildGraph = true } = {}) {
     // Update state manager with new settings
     if (this.stateManager) {
       this.stateManager.batchUpdate({
@@ -288,15 +398,34 @@ class SettingsManager {
         'settings.flickerSpeed': this.settings.flickerSpeed,
         'settings.shortStubThreshold': this.settings.shortStubThreshold,
         'settings.longLinkThreshold': this.settings.longLinkThreshold,
-        'settings.sharpAngleThreshold': this.settings.sharpAngleThreshold
+        'settings.sharpAngleThreshold': this.settings.sharpAngleThreshold,
+        'settings.snapTolerance': this.settings.snapTolerance,
+        'settings.osmMatchDistance': this.settings.osmMatchDistance,
+        'settings.noding': !!this.settings.noding,
+        'settings.mergeChains': !!this.settings.mergeChains,
+        'settings.overpassUrl': this.settings.overpassUrl,
+        'settings.cacheEnabled': this.settings.cacheEnabled,
+        'settings.cacheMaxAgeDays': this.settings.cacheMaxAgeDays
       });
     }
 
+    // Re-match against OSM (and re-snap APLS routes) if the match distance changed
+    if (window.app?.osmMatch && window.app.osmMatch.options.matchDistance !== this.settings.osmMatchDistance) {
+      window.app.refreshOSMMatch();
+      window.app.qualityScorecard?.analyzeNetwork();
+    }
+
+    // Update the data cache
+    window.app?.dataCache?.configure({
+      enabled: this.settings.cacheEnabled,
+      maxAgeDays: this.settings.cacheMaxAgeDays
+    });
+
     // Apply map style change
-    if (window.app && window.app.segmentationMap) {
+    if (updateMapStyle && window.app && window.app.segmentationMap) {
       window.app.segmentationMap.setStyle(this.settings.mapStyle);
     }
-    if (window.app && window.app.networkMap) {
+    if (updateMapStyle && window.app && window.app.networkMap) {
       window.app.networkMap.setStyle(this.settings.mapStyle);
     }
 
@@ -307,6 +436,15 @@ class SettingsManager {
       window.app.networkAnalyzer.config.sharpAngleThreshold = this.settings.sharpAngleThreshold;
     }
 
+    // Rebuild the shared network graph if snapping, noding or chain merging changed
+    if (rebuildGraph && window.app && window.app.setGraphOptions) {
+      window.app.setGraphOptions({
+        snapTolerance: this.settings.snapTolerance,
+        noding: !!this.settings.noding,
+        mergeChains: !!this.settings.mergeChains
+      });
+    }
+
     // Dispatch settings changed event
     document.dispatchEvent(new CustomEvent('settingsChanged', {
       detail: this.settings
@@ -317,16 +455,13 @@ class SettingsManager {
     this.showToast('Reloading data...', 'info');
 
     try {
-      // Reload the page to refresh all data
-      // In a more sophisticated implementation, we would reload just the data
-      if (window.app && window.app.loadAllData) {
-        await window.app.loadAllData();
-        this.showToast('Data reloaded successfully', 'success');
-        this.updateDataSourceInfo();
-      } else {
-        // Fallback: reload page
-        window.location.reload();
+      // Tear down and reload the active dataset in place
+      if (!window.app || !window.app.loadAllData) {
+        throw new Error('Application not initialized');
       }
+      await window.app.loadAllData();
+      this.showToast('Data reloaded successfully', 'success');
+      this.updateDataSourceInfo();
     } catch (error) {
       console.error('Failed to reload data:', error);
       this.showToast('Failed to reload data', 'error');
@@ -74,12 +74,16 @@ class StateManager {
           tiles: null,
           predictions: null,
           groundTruth: null,
-          errors: null
+          errors: null,
+          polygons: null
         },
         network: {
           tile2net: null,
           osm: null,
-          comparison: null
+          comparison: null,
+          baseline: null,     // Previous run for the version diff
+          versionDiff: null,  // NetworkVersionDiff result
+          validation: null    // NetworkValidator report for the loaded network
         },
         statistics: {
           totalErrors: 0,
@@ -315,12 +319,16 @@ class StateManager {
           tiles: null,
           predictions: null,
           groundTruth: null,
-          errors: null
+          errors: null,
+          polygons: null
         },
         network: {
           tile2net: null,
           osm: null,
-          comparison: null
+          comparison: null,
+          baseline: null,     // Previous run for the version diff
+          versionDiff: null,  // NetworkVersionDiff result
+          validation: null    // NetworkValidator report for the loaded network
         },
         statistics: {
           totalErrors: 0,
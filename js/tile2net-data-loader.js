@@ -36,7 +36,57 @@
  *        ]
  *      }
  *
- * 4. NETWORK OUTPUT (GeoJSON):
+ * GEOTIFF MASKS:
+ *    - segmentationPath / groundTruthPath may point at .tif/.tiff files
+ *      (single-band class ids or RGB class colors). Bounds and CRS are read
+ *      from the GeoTIFF tags, so "bounds" can be left out of the index.
+ *    - Without an index, list the files in config.json:
+ *      "segmentation": { "geotiffs": ["data/tiles/predictions/a.tif", ...],
+ *                        "groundTruthDirectory": "data/tiles/ground_truth" }
+ *
+ * XYZ PYRAMID:
+ *    - For large areas, serve masks as a {z}/{x}/{y}.png slippy-map pyramid:
+ *      "segmentation": { "xyz": {
+ *        "predictions": "data/tiles/xyz/predictions/{z}/{x}/{y}.png",
+ *        "groundTruth": "data/tiles/xyz/ground_truth/{z}/{x}/{y}.png",
+ *        "probabilities": "data/tiles/xyz/probabilities/{z}/{x}/{y}.npy",
+ *        "minZoom": 14, "maxZoom": 19 } }
+ *    - Only tiles in the current viewport are fetched, at the zoom level
+ *      closest to the map's
+ *
+ * 4. CLASS PROBABILITIES (Optional):
+ *    - Per-class softmax outputs give real confidence instead of the
+ *      color-purity estimate. Add one of these to a tile entry:
+ *      - "probabilityPath": "data/tiles/probabilities/tile_0_0.npy"
+ *        ([C,H,W] or [H,W,C]; float32, float64 or uint8)
+ *      - "probabilityPath": "....bin" with a JSON header next to it
+ *        ({ width, height, channels, dtype: "float32"|"uint8", layout: "chw"|"hwc" })
+ *      - "probabilityPaths": ["...class0.png", "...class1.png", ...]
+ *        (grayscale PNG per class, 255 = probability 1)
+ *    - Max-probability, margin and entropy maps are derived on load
+ *
+ * 5. CLASS SCHEMA (Optional):
+ *    - Extra classes or another palette are described in config.json
+ *      "segmentation" or in the tile index:
+ *      "classes": [{ "id": 0, "name": "background", "color": [0, 0, 0] },
+ *                  { "id": 4, "name": "footpath", "color": [255, 255, 0],
+ *                    "displayColor": [0, 188, 212], "gtColor": [124, 77, 255] }],
+ *      "colorMatch": "exact" | "nearest", "maxColorDistance": 60,
+ *      "ignoreLabels": [255, "unlabeled", [255, 255, 255]]
+ *    - A "colorEncoding" name -> [r, g, b] map is read the same way (ids in key order)
+ *    - Class 0 is always the negative (background) class
+ *    - With "nearest", colors farther than maxColorDistance (RGB, default 60)
+ *      from every class are marked unknown and left out of metrics
+ *
+ * 6. MODEL COMPARISON (Optional):
+ *    - A second prediction set (e.g. another checkpoint) is scored against the
+ *      same ground truth in the "Model Diff" display mode:
+ *      "comparison": { "nameA": "checkpoint A", "nameB": "checkpoint B",
+ *                      "predictionsDirectory": "data/tiles/predictions_b",
+ *                      "xyz": "data/tiles/xyz/predictions_b/{z}/{x}/{y}.png" }
+ *    - Tiles are matched by file name; a tile entry's "comparisonPath" wins
+ *
+ * 7. NETWORK OUTPUT (GeoJSON):
  *    - Place Tile2Net network output at: data/tile2net_output/network.geojson
  *    - This is the final pedestrian network extracted by Tile2Net
  *
@@ -44,7 +94,7 @@
  * synthetic demonstration data.
  * =============================================================================
  *
- * Tile2net class encodings:
+ * Default tile2net class encodings:
  * - 0: Background (black)
  * - 1: Road (green)
  * - 2: Sidewalk (blue)
@@ -71,7 +121,7 @@ class Tile2NetDataLoader {
       crosswalk: [244, 67, 54, 180]      // Red
     };
 
-    // Ground truth colors (slightly different for comparison)
+    // Ground truth colors (slightly different for comparison; a schema's gtColor overrides them)
     this.groundTruthColors = {
       background: [0, 0, 0, 0],
       road: [129, 199, 132, 180],        // Light green
@@ -79,10 +129,33 @@ class Tile2NetDataLoader {
       crosswalk: [239, 154, 154, 180]    // Light red
     };
 
+    // Class schema (see configureClassSchema)
+    // 'dominant' keeps the tile2net dominant-channel rules until a schema is loaded
+    this.colorMatch = 'dominant';
+    this.maxColorDistance = 60;        // RGB distance past which a 'nearest' match gives up
+    this.colorTable = [];              // [{ label, color: [r, g, b] }] mask encodings
+    this.colorLookup = new Map();      // packed RGB -> label (exact matches)
+    this.ignoreLabel = 255;            // Label given to pixels with an ignore color
+    this.unknownLabel = 254;           // Label given to colors no class is near (never scored)
+    this.unknownColorPixels = 0;       // Pixels decoded as unknownLabel so far
+    this.ignoreIds = new Set();        // Labels excluded from errors and metrics
+    this.classDisplayLabels = {};      // classId -> human readable label
+
+    // Fallback colors for classes the schema gives no display color
+    this.extraClassPalette = [
+      [0, 188, 212], [255, 235, 59], [121, 85, 72], [205, 220, 57],
+      [63, 81, 181], [0, 150, 136], [255, 87, 34], [96, 125, 139]
+    ];
+    this.extraGroundTruthPalette = [
+      [124, 77, 255], [255, 64, 129], [141, 110, 99], [174, 234, 0],
+      [48, 79, 254], [29, 233, 182], [255, 109, 0], [144, 164, 174]
+    ];
+
     // Loaded data
     this.tiles = [];
     this.segmentationMasks = new Map();
     this.groundTruthMasks = new Map();
+    this.comparisonMasks = new Map();  // Second model's predictions (model diff)
     this.polygons = null;
     this.network = null;
 
@@ -90,9 +163,20 @@ class Tile2NetDataLoader {
     this.usingSyntheticData = false;
     this.loadedRealTiles = 0;
     this.totalTiles = 0;
+    this.predictionOnlyTiles = new Set(); // Tiles with no ground truth to score against
+
+    // XYZ pyramid (set by configureXyzPyramid)
+    this.xyz = null;
+    this.activeZoom = null;
+    this.missingXyzTiles = new Set();
+
+    // Model comparison (set by configureModelComparison)
+    this.comparison = null;
 
     // Computed data
     this.errorRegions = [];
+    this.tileErrorCache = new Map(); // tileId -> { features, confusionMatrix }
+    this.minErrorRegionPixels = 3; // Smaller error components are treated as noise
     this.confidenceMap = [];
     this.statistics = {};
   }
@@ -154,18 +238,37 @@ class Tile2NetDataLoader {
   async loadTilesFromConfig(config) {
     console.log('📂 Loading tiles from config...');
 
-    const segConfig = config.segmentation;
+    // Tile2Net project masks stand in for an explicit predictions directory
+    const masksDirectory = config.tile2net?.segmentationMasks;
+    const segConfig = config.segmentation && masksDirectory && !config.segmentation.predictionsDirectory ?
+      { ...config.segmentation, predictionsDirectory: masksDirectory } :
+      config.segmentation;
     if (!segConfig) {
       console.warn('No segmentation config found, using synthetic data');
       return this.createSyntheticTileGrid();
     }
 
-    // Try to load tile index file first
+    // config.json class schema takes precedence over the tile index
+    const hasConfigSchema = this.configureClassSchema(segConfig);
+    this.configureModelComparison(segConfig.comparison);
+
+    // XYZ pyramid: tiles are fetched lazily per viewport
+    if (segConfig.xyz?.predictions) {
+      return this.configureXyzPyramid(segConfig.xyz);
+    }
+
+    // GeoTIFF mosaic: bounds come from each file, no index needed
+    if (Array.isArray(segConfig.geotiffs) && segConfig.geotiffs.length > 0) {
+      return this.createTileGridFromGeoTiffs(segConfig);
+    }
+
+    // Otherwise use the tile index file
     if (segConfig.tileIndexFile) {
       try {
         const response = await fetch(segConfig.tileIndexFile);
         if (response.ok) {
           const indexData = await response.json();
+          if (!hasConfigSchema) this.configureClassSchema(indexData);
           this.tiles = indexData.tiles || [];
           this.totalTiles = this.tiles.length;
           console.log(`✅ Loaded ${this.tiles.length} tiles from index file`);
@@ -189,6 +292,8 @@ class Tile2NetDataLoader {
 
   /**
    * Create tile grid from config with specified grid size
+   * `tileFiles` ({ tile_0_0: { segmentationPath, ... } }) overrides the directory
+   * paths per tile; with it, only the listed tiles are created (local files).
    * @param {Object} segConfig - Segmentation configuration
    */
   createTileGridFromConfig(segConfig) {
@@ -209,6 +314,7 @@ class Tile2NetDataLoader {
         const halfSpan = tileSpan / 2;
 
         const tileId = `tile_${row}_${col}`;
+        if (segConfig.tileFiles && !segConfig.tileFiles[tileId]) continue;
 
         this.tiles.push({
           id: tileId,
@@ -220,7 +326,10 @@ class Tile2NetDataLoader {
           ],
           center: [tileCenterLat, tileCenterLng],
           segmentationPath: `${segConfig.predictionsDirectory}/${tileId}.${segConfig.tileFormat || 'png'}`,
-          groundTruthPath: `${segConfig.groundTruthDirectory}/${tileId}.${segConfig.tileFormat || 'png'}`
+          groundTruthPath: `${segConfig.groundTruthDirectory}/${tileId}.${segConfig.tileFormat || 'png'}`,
+          probabilityPath: segConfig.probabilitiesDirectory ?
+            `${segConfig.probabilitiesDirectory}/${tileId}.${segConfig.probabilityFormat || 'npy'}` : null,
+          ...segConfig.tileFiles?.[tileId]
         });
       }
     }
@@ -230,6 +339,15 @@ class Tile2NetDataLoader {
     return this.tiles;
   }
 
+  /**
+   * Whether errors computed from the masks come from real data only
+   * (no synthetic prediction masks, no synthetic ground truth)
+   */
+  hasRealErrorData() {
+    if (this.usingSyntheticData) return false;
+    return [...this.groundTruthMasks.values()].every(mask => !mask.synthetic);
+  }
+
   /**
    * Get data source status (for UI display)
    */
@@ -238,8 +356,9 @@ class Tile2NetDataLoader {
       usingSyntheticData: this.usingSyntheticData,
       loadedRealTiles: this.loadedRealTiles,
       totalTiles: this.totalTiles,
+      predictionOnlyTiles: this.predictionOnlyTiles.size,
       syntheticReason: this.usingSyntheticData ?
-        'Real segmentation masks not found. Place PNG files in data/tiles/predictions/' : null
+        'Real segmentation masks not found. Place PNG or GeoTIFF files in data/tiles/predictions/' : null
     };
   }
 
@@ -297,6 +416,10 @@ class Tile2NetDataLoader {
    * @param {string} maskPath - Path to mask image
    */
   async loadSegmentationMask(tileId, maskPath) {
+    if (this.isGeoTiffPath(maskPath)) {
+      return this.loadGeoTiffSegmentationMask(tileId, maskPath);
+    }
+
     console.log(`🎨 Loading segmentation mask for ${tileId}...`);
 
     return new Promise((resolve, reject) => {
@@ -397,7 +520,8 @@ class Tile2NetDataLoader {
 
   /**
    * Decode segmentation mask from image data
-   * Tile2net typically encodes classes as specific colors
+   * Colors are mapped to labels through the class schema; without one the
+   * tile2net dominant-channel rules apply.
    */
   decodeSegmentationMask(imageData) {
     const width = imageData.width;
@@ -405,34 +529,232 @@ class Tile2NetDataLoader {
     const data = imageData.data;
 
     const pixels = new Uint8Array(width * height);
+    const seen = new Map(); // Masks use few distinct colors - match each once
+    let unknown = 0;
 
     for (let i = 0; i < width * height; i++) {
       const r = data[i * 4];
       const g = data[i * 4 + 1];
       const b = data[i * 4 + 2];
 
-      // Decode based on tile2net color scheme:
-      // Background: Black (0,0,0)
-      // Road: Green
-      // Sidewalk: Blue
-      // Crosswalk: Red
-
-      if (r < 50 && g < 50 && b < 50) {
-        pixels[i] = 0; // Background
-      } else if (g > r && g > b) {
-        pixels[i] = 1; // Road (green dominant)
-      } else if (b > r && b > g) {
-        pixels[i] = 2; // Sidewalk (blue dominant)
-      } else if (r > g && r > b) {
-        pixels[i] = 3; // Crosswalk (red dominant)
-      } else {
-        pixels[i] = 0; // Default to background
+      const key = (r << 16) | (g << 8) | b;
+      let label = seen.get(key);
+      if (label === undefined) {
+        label = this.colorToLabel(r, g, b);
+        seen.set(key, label);
       }
+      pixels[i] = label;
+      if (label === this.unknownLabel) unknown++;
+    }
+
+    if (unknown > 0) {
+      this.unknownColorPixels += unknown;
+      console.warn(`⚠️ ${unknown} mask pixels have colors no class matches; marked unknown and left out of metrics`);
     }
 
     return pixels;
   }
 
+  /**
+   * Map one mask color to a class label
+   * @returns {number} Class id, ignoreLabel for ignore colors, or unknownLabel
+   *   when 'nearest' finds no class within maxColorDistance
+   */
+  colorToLabel(r, g, b) {
+    if (this.colorMatch === 'dominant') {
+      // Tile2net color scheme: Background black, Road green, Sidewalk blue, Crosswalk red
+      if (r < 50 && g < 50 && b < 50) return 0;
+      if (g > r && g > b) return 1;
+      if (b > r && b > g) return 2;
+      if (r > g && r > b) return 3;
+      return 0;
+    }
+
+    const exact = this.colorLookup.get((r << 16) | (g << 8) | b);
+    if (exact !== undefined) return exact;
+    if (this.colorMatch !== 'nearest') return 0;
+
+    let best = 0;
+    let bestDist = Infinity;
+    for (const { label, color } of this.colorTable) {
+      const dist = (r - color[0]) ** 2 + (g - color[1]) ** 2 + (b - color[2]) ** 2;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = label;
+      }
+    }
+
+    return bestDist <= this.maxColorDistance ** 2 ? best : this.unknownLabel;
+  }
+
+  // ============================================
+  // CLASS SCHEMA
+  // ============================================
+
+  /**
+   * Configure classes, mask colors, display colors and ignore labels
+   * Reads "classes" (list) or "colorEncoding" (name -> [r, g, b]) plus
+   * "colorMatch" ('exact' | 'nearest'), "maxColorDistance" and "ignoreLabels".
+   * @param {Object} schema - config.json segmentation section or tile index
+   * @returns {boolean} True if the source defined a schema
+   */
+  configureClassSchema(schema) {
+    const classes = this.parseClassList(schema);
+    if (!classes) return false;
+
+    if (!classes.some(cls => cls.id === 0)) {
+      classes.unshift({ id: 0, name: 'background', color: [0, 0, 0] });
+    }
+
+    const defaultColors = this.classColors;
+    const defaultGtColors = this.groundTruthColors;
+    this.classLabels = {};
+    this.classDisplayLabels = {};
+    this.classColors = { background: [0, 0, 0, 0] };
+    this.groundTruthColors = { background: [0, 0, 0, 0] };
+    this.colorTable = [];
+    this.colorLookup = new Map();
+    this.ignoreIds = new Set([this.unknownLabel]);
+
+    let extraIndex = 0;
+    for (const cls of classes.sort((a, b) => a.id - b.id)) {
+      this.classLabels[cls.id] = cls.name;
+      this.classDisplayLabels[cls.id] = cls.label || this.formatClassName(cls.name);
+
+      if (cls.id !== 0) {
+        const known = defaultColors[cls.name] && defaultGtColors[cls.name];
+        const palette = known ? 0 : extraIndex++ % this.extraClassPalette.length;
+        const display = cls.displayColor || (known ? defaultColors[cls.name] : this.extraClassPalette[palette]);
+        const gt = cls.gtColor || (known ? defaultGtColors[cls.name] : this.extraGroundTruthPalette[palette]);
+        this.classColors[cls.name] = [display[0], display[1], display[2], display[3] ?? 180];
+        this.groundTruthColors[cls.name] = [gt[0], gt[1], gt[2], gt[3] ?? 180];
+      }
+
+      if (Array.isArray(cls.color)) this.addColorEncoding(cls.color, cls.id);
+    }
+
+    for (const entry of schema.ignoreLabels || []) {
+      if (Array.isArray(entry)) {
+        this.addColorEncoding(entry, this.ignoreLabel);
+        this.ignoreIds.add(this.ignoreLabel);
+      } else if (typeof entry === 'number') {
+        this.ignoreIds.add(entry);
+      } else {
+        const id = Object.keys(this.classLabels).find(key => this.classLabels[key] === entry);
+        if (id !== undefined) this.ignoreIds.add(Number(id));
+        else console.warn(`⚠️ Unknown ignore label "${entry}"`);
+      }
+    }
+
+    this.colorMatch = schema.colorMatch === 'exact' ? 'exact' : 'nearest';
+    if (typeof schema.maxColorDistance === 'number') this.maxColorDistance = schema.maxColorDistance;
+
+    console.log(`🎨 Class schema: ${this.getClasses().map(cls => cls.name).join(', ')} (${this.colorMatch} color match)`);
+    return true;
+  }
+
+  /**
+   * Normalize a schema source into [{ id, name, label, color, displayColor, gtColor }]
+   * @returns {Array|null} Null if the source has no class definitions
+   */
+  parseClassList(schema) {
+    if (Array.isArray(schema?.classes) && schema.classes.length > 0) {
+      return schema.classes.map((cls, index) => ({
+        ...cls,
+        id: cls.id ?? index,
+        name: String(cls.name ?? `class_${cls.id ?? index}`).toLowerCase()
+      }));
+    }
+
+    if (schema?.colorEncoding && typeof schema.colorEncoding === 'object') {
+      return Object.entries(schema.colorEncoding).map(([name, color], index) => ({
+        id: index,
+        name: name.toLowerCase(),
+        color
+      }));
+    }
+
+    return null;
+  }
+
+  /**
+   * Register an RGB mask color for a label
+   */
+  addColorEncoding(color, label) {
+    const [r, g, b] = color;
+    this.colorTable.push({ label, color: [r, g, b] });
+    this.colorLookup.set((r << 16) | (g << 8) | b, label);
+  }
+
+  /**
+   * Turn a schema name like "curb_ramp" into "Curb Ramp"
+   */
+  formatClassName(name) {
+    return String(name)
+      .replace(/[_-]+/g, ' ')
+      .replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  /**
+   * Whether a label is excluded from errors, metrics and rendering
+   */
+  isIgnoredLabel(classId) {
+    return this.ignoreIds.has(classId);
+  }
+
+  /**
+   * Classes of the active schema, ignore labels excluded
+   * @returns {Array<{id: number, name: string, label: string, color: Array, gtColor: Array}>}
+   */
+  getClasses() {
+    return Object.keys(this.classLabels)
+      .map(Number)
+      .filter(id => !this.isIgnoredLabel(id))
+      .sort((a, b) => a - b)
+      .map(id => {
+        const name = this.classLabels[id];
+        return {
+          id,
+          name,
+          label: this.classDisplayLabels[id] || this.formatClassName(name),
+          color: this.classColors[name],
+          gtColor: this.groundTruthColors[name]
+        };
+      });
+  }
+
+  /**
+   * Foreground (non-background, non-ignored) class ids
+   */
+  getForegroundClassIds() {
+    return this.getClasses().map(cls => cls.id).filter(id => id !== 0);
+  }
+
+  /**
+   * Name of a class id, 'unknown' for unmatched colors, 'ignored' for ignore labels
+   */
+  getClassName(classId) {
+    if (classId === this.unknownLabel) return 'unknown';
+    if (this.isIgnoredLabel(classId)) return 'ignored';
+    return this.classLabels[classId] || `class_${classId}`;
+  }
+
+  /**
+   * Deterministic PRNG (mulberry32) so synthetic data is identical between sessions
+   * @param {number} seed - Integer seed
+   * @returns {Function} Generator returning floats in [0, 1)
+   */
+  createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
   /**
    * Generate synthetic segmentation mask for demonstration
    * Creates realistic-looking urban street grid patterns
@@ -448,6 +770,7 @@ class Tile2NetDataLoader {
 
     // Seed for consistent random patterns per tile
     const seed = row * 17 + col * 31;
+    const random = this.createSeededRandom(seed);
 
     // Street grid parameters - simulate NYC-style block pattern
     const roadWidth = 28;
@@ -491,17 +814,17 @@ class Tile2NetDataLoader {
         // Assign class
         if (crosswalkZone) {
           pixels[idx] = 3; // Crosswalk
-          confidences[idx] = 0.70 + Math.random() * 0.20;
+          confidences[idx] = 0.70 + random() * 0.20;
         } else if (onRoad) {
           pixels[idx] = 1; // Road
-          confidences[idx] = 0.85 + Math.random() * 0.10;
+          confidences[idx] = 0.85 + random() * 0.10;
         } else if (onSidewalk) {
           pixels[idx] = 2; // Sidewalk
-          confidences[idx] = 0.75 + Math.random() * 0.15;
+          confidences[idx] = 0.75 + random() * 0.15;
         } else {
           // Background
           pixels[idx] = 0;
-          confidences[idx] = 0.95 + Math.random() * 0.05;
+          confidences[idx] = 0.95 + random() * 0.05;
         }
       }
     }
@@ -521,6 +844,14 @@ class Tile2NetDataLoader {
    * @param {string} gtPath - Path to ground truth image
    */
   async loadGroundTruthMask(tileId, gtPath) {
+    if (!gtPath) {
+      return this.handleMissingGroundTruth(tileId, 'No ground truth file');
+    }
+
+    if (this.isGeoTiffPath(gtPath)) {
+      return this.loadGeoTiffGroundTruthMask(tileId, gtPath);
+    }
+
     // Similar to segmentation mask loading
     return new Promise((resolve, reject) => {
       const img = new Image();
@@ -547,285 +878,1209 @@ class Tile2NetDataLoader {
       };
 
       img.onerror = () => {
-        // Generate synthetic ground truth with intentional differences
-        const syntheticGT = this.generateSyntheticGroundTruth(tileId);
-        this.groundTruthMasks.set(tileId, syntheticGT);
-        resolve(syntheticGT);
+        resolve(this.handleMissingGroundTruth(tileId, 'Ground truth file not found'));
       };
 
       img.src = gtPath;
     });
   }
 
+  // ============================================
+  // GEOTIFF INGESTION
+  // ============================================
+
   /**
-   * Generate synthetic ground truth with intentional differences from prediction
-   * This allows demonstrating error detection with visible FP/FN regions
+   * Check whether a path points at a GeoTIFF
    */
-  generateSyntheticGroundTruth(tileId) {
-    const prediction = this.segmentationMasks.get(tileId);
-
-    if (!prediction) {
-      return this.generateSyntheticMask(tileId);
-    }
+  isGeoTiffPath(path) {
+    return typeof path === 'string' && /\.tiff?$/i.test(path);
+  }
 
-    const { width, height, pixels: predPixels } = prediction;
-    const gtPixels = new Uint8Array(width * height);
+  /**
+   * Load a prediction mask from a GeoTIFF, taking tile bounds from its tags
+   * @param {string} tileId - Tile identifier
+   * @param {string} maskPath - Path to .tif/.tiff mask
+   */
+  async loadGeoTiffSegmentationMask(tileId, maskPath) {
+    console.log(`🎨 Loading GeoTIFF segmentation mask for ${tileId}...`);
 
-    // Parse tile position for varied error patterns
-    const parts = tileId.split('_');
-    const row = parseInt(parts[1]) || 0;
-    const col = parseInt(parts[2]) || 0;
+    try {
+      const raster = await this.loadGeoTiffRaster(maskPath);
+      this.applyGeoTiffBounds(tileId, raster);
+
+      this.segmentationMasks.set(tileId, {
+        width: raster.width,
+        height: raster.height,
+        pixels: raster.pixels,
+        confidences: raster.confidences,
+        path: maskPath,
+        crs: raster.crs,
+        synthetic: false
+      });
 
-    // Create intentional error regions that vary by tile
-    for (let i = 0; i < width * height; i++) {
-      const x = i % width;
-      const y = Math.floor(i / width);
+      this.loadedRealTiles++;
+      console.log(`✅ Loaded REAL GeoTIFF mask for ${tileId}: ${raster.width}x${raster.height} (${raster.crs})`);
+      return this.segmentationMasks.get(tileId);
+    } catch (error) {
+      console.warn(`⚠️ Could not load GeoTIFF mask for ${tileId}, generating synthetic:`, error.message);
+      const syntheticMask = this.generateSyntheticMask(tileId);
+      this.segmentationMasks.set(tileId, syntheticMask);
+      this.usingSyntheticData = true;
 
-      // False Positive zones: model predicts class, but GT says background
-      // Creates rectangular regions where sidewalk/road predictions are wrong
-      const fpZone1 = x > width * 0.65 && x < width * 0.85 &&
-                      y > height * 0.25 && y < height * 0.45;
-      const fpZone2 = (row + col) % 3 === 0 &&
-                      x > width * 0.1 && x < width * 0.25 &&
-                      y > height * 0.7 && y < height * 0.9;
+      document.dispatchEvent(new CustomEvent('syntheticDataUsed', {
+        detail: { tileId, reason: error.message }
+      }));
 
-      // False Negative zones: model predicts background, but GT has a class
-      // Simulates missed detections
-      const fnZone1 = x > width * 0.15 && x < width * 0.35 &&
-                      y > height * 0.55 && y < height * 0.75;
-      const fnZone2 = (row + col) % 2 === 1 &&
-                      x > width * 0.75 && x < width * 0.95 &&
-                      y > height * 0.6 && y < height * 0.8;
+      return syntheticMask;
+    }
+  }
 
-      const pred = predPixels[i];
+  /**
+   * Load a ground truth mask from a GeoTIFF
+   * @param {string} tileId - Tile identifier
+   * @param {string} gtPath - Path to .tif/.tiff mask
+   */
+  async loadGeoTiffGroundTruthMask(tileId, gtPath) {
+    try {
+      const raster = await this.loadGeoTiffRaster(gtPath);
+      const tile = this.tiles.find(t => t.id === tileId);
 
-      if ((fpZone1 || fpZone2) && pred !== 0) {
-        // False positive: prediction says class, but GT says background
-        gtPixels[i] = 0;
-      } else if (fnZone1 && pred === 0) {
-        // False negative: prediction says background, GT says sidewalk
-        gtPixels[i] = 2;
-      } else if (fnZone2 && pred === 0) {
-        // False negative: prediction says background, GT says road
-        gtPixels[i] = 1;
-      } else {
-        // Correct prediction
-        gtPixels[i] = pred;
+      if (tile?.bounds && !this.boundsMatch(tile.bounds, raster.bounds, raster.width)) {
+        console.warn(`⚠️ Ground truth GeoTIFF for ${tileId} does not cover the same area as the prediction`);
       }
-    }
 
-    return {
-      width: width,
-      height: height,
-      pixels: gtPixels,
-      synthetic: true
-    };
+      this.groundTruthMasks.set(tileId, {
+        width: raster.width,
+        height: raster.height,
+        pixels: raster.pixels,
+        path: gtPath
+      });
+      return this.groundTruthMasks.get(tileId);
+    } catch (error) {
+      console.warn(`⚠️ Could not load GeoTIFF ground truth for ${tileId}:`, error.message);
+      return this.handleMissingGroundTruth(tileId, error.message);
+    }
   }
 
   /**
-   * Compute errors by comparing prediction to ground truth
+   * Handle a tile whose ground truth is absent or failed to load
+   * Real predictions become prediction-only: no ground truth mask is stored,
+   * so the tile gets no confusion metrics or error regions. Only synthetic
+   * demo predictions get synthetic ground truth, which the demo banner covers.
    * @param {string} tileId - Tile identifier
+   * @param {string} reason - Why there is no ground truth
+   * @returns {Object|null} Synthetic ground truth for demo tiles, else null
    */
-  computeErrors(tileId) {
-    const prediction = this.segmentationMasks.get(tileId);
-    const groundTruth = this.groundTruthMasks.get(tileId);
-
-    if (!prediction || !groundTruth) {
-      console.warn(`Cannot compute errors for ${tileId}: missing data`);
-      return null;
+  handleMissingGroundTruth(tileId, reason) {
+    if (this.segmentationMasks.get(tileId)?.synthetic) {
+      const syntheticGT = this.generateSyntheticGroundTruth(tileId);
+      this.groundTruthMasks.set(tileId, syntheticGT);
+      return syntheticGT;
     }
 
-    const { width, height, pixels: predPixels, confidences } = prediction;
-    const { pixels: gtPixels } = groundTruth;
+    this.predictionOnlyTiles.add(tileId);
+    console.warn(`⚠️ No ground truth for ${tileId} (${reason}), showing prediction only`);
 
-    const errors = {
-      tileId: tileId,
-      width: width,
-      height: height,
-      falsePositives: [],  // Predicted class but GT says background/different
-      falseNegatives: [],  // Predicted background but GT says class
-      truePositives: [],   // Correctly predicted class
-      trueNegatives: [],   // Correctly predicted background
-      confusionMatrix: this.createConfusionMatrix()
-    };
+    document.dispatchEvent(new CustomEvent('groundTruthMissing', {
+      detail: { tileId, reason }
+    }));
 
-    const errorPixels = new Uint8Array(width * height);
-    // Error types: 0=correct, 1=false positive, 2=false negative, 3=misclassification
+    return null;
+  }
 
-    for (let i = 0; i < width * height; i++) {
-      const pred = predPixels[i];
-      const gt = gtPixels[i];
-      const conf = confidences ? confidences[i] : 0.5;
+  /**
+   * Read a single-band (class id) or RGB (class color) GeoTIFF mask
+   * Uses geotiff.js (loaded from CDN in index.html).
+   * @param {string} path - GeoTIFF path
+   * @returns {Object} { width, height, pixels, confidences, bounds, crs }
+   */
+  async loadGeoTiffRaster(path) {
+    if (typeof GeoTIFF === 'undefined') {
+      throw new Error('geotiff.js is not loaded');
+    }
 
-      const x = i % width;
-      const y = Math.floor(i / width);
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${path}: ${response.status}`);
+    }
 
-      // Update confusion matrix
-      errors.confusionMatrix[gt][pred]++;
+    const tiff = await GeoTIFF.fromArrayBuffer(await response.arrayBuffer());
+    const image = await tiff.getImage();
+    const width = image.getWidth();
+    const height = image.getHeight();
+    const bands = image.getSamplesPerPixel();
 
-      if (pred === gt) {
-        // Correct prediction
-        if (pred === 0) {
-          errors.trueNegatives.push({ x, y, confidence: conf });
-        } else {
-          errors.truePositives.push({ x, y, class: pred, confidence: conf });
-        }
-        errorPixels[i] = 0;
-      } else if (pred !== 0 && gt === 0) {
-        // False positive: predicted something but GT is background
-        errors.falsePositives.push({
-          x, y,
-          predictedClass: pred,
-          confidence: conf
-        });
-        errorPixels[i] = 1;
-      } else if (pred === 0 && gt !== 0) {
-        // False negative: predicted background but GT has something
-        errors.falseNegatives.push({
-          x, y,
-          actualClass: gt,
-          confidence: conf
-        });
-        errorPixels[i] = 2;
-      } else {
-        // Misclassification: predicted wrong class
-        errors.falsePositives.push({
-          x, y,
-          predictedClass: pred,
-          actualClass: gt,
-          confidence: conf,
-          misclassification: true
-        });
-        errorPixels[i] = 3;
+    const epsg = this.getGeoTiffEpsg(image.getGeoKeys() || {});
+    const bounds = this.projectedBoundsToLatLng(image.getBoundingBox(), epsg);
+
+    const raster = await image.readRasters({ interleave: true });
+    let pixels, confidences = null;
+
+    if (bands === 1) {
+      // Class ids stored directly in the band
+      pixels = new Uint8Array(width * height);
+      for (let i = 0; i < pixels.length; i++) {
+        const label = raster[i];
+        pixels[i] = this.classLabels[label] !== undefined || this.isIgnoredLabel(label) ? label : 0;
+      }
+    } else if (bands >= 3) {
+      // Class colors - reuse the PNG color decoding
+      const rgba = new Uint8ClampedArray(width * height * 4);
+      for (let i = 0; i < width * height; i++) {
+        rgba[i * 4] = raster[i * bands];
+        rgba[i * 4 + 1] = raster[i * bands + 1];
+        rgba[i * 4 + 2] = raster[i * bands + 2];
+        rgba[i * 4 + 3] = 255;
       }
+      const imageData = { width, height, data: rgba };
+      pixels = this.decodeSegmentationMask(imageData);
+      confidences = this.computeConfidenceFromImage(imageData);
+    } else {
+      throw new Error(`Unsupported GeoTIFF with ${bands} bands (expected 1 or 3+)`);
     }
 
-    errors.errorPixels = errorPixels;
-
-    // Compute statistics
-    errors.statistics = this.computeErrorStatistics(errors);
+    return { width, height, pixels, confidences, bounds, crs: `EPSG:${epsg}` };
+  }
 
-    return errors;
+  /**
+   * Read the EPSG code from GeoTIFF GeoKeys
+   */
+  getGeoTiffEpsg(geoKeys) {
+    const projected = geoKeys.ProjectedCSTypeGeoKey;
+    const geographic = geoKeys.GeographicTypeGeoKey;
+
+    // 32767 = user-defined, which we cannot interpret without a full proj engine
+    if (projected && projected !== 32767) return projected;
+    if (geographic && geographic !== 32767) return geographic;
+    if (geoKeys.GTModelTypeGeoKey === 2) return 4326; // Geographic, datum unspecified
+    throw new Error('GeoTIFF has no EPSG code in its GeoKeys');
   }
 
   /**
-   * Create empty confusion matrix for 4 classes
+   * Convert a GeoTIFF bounding box to tile bounds [[latMin, lngMin], [latMax, lngMax]]
+   * Supports EPSG:4326/4269, EPSG:3857 and WGS84/NAD83 UTM zones. Projected
+   * rasters are placed by the lat/lng envelope of their corners.
+   * @param {Array<number>} bbox - [minX, minY, maxX, maxY] in the raster CRS
+   * @param {number} epsg - EPSG code
    */
-  createConfusionMatrix() {
+  projectedBoundsToLatLng(bbox, epsg) {
+    const [minX, minY, maxX, maxY] = bbox;
+    const corners = [[minX, minY], [minX, maxY], [maxX, minY], [maxX, maxY]]
+      .map(([x, y]) => this.projectToLngLat(x, y, epsg));
+
+    const lngs = corners.map(c => c[0]);
+    const lats = corners.map(c => c[1]);
     return [
-      [0, 0, 0, 0], // Background -> [bg, road, sidewalk, crosswalk]
-      [0, 0, 0, 0], // Road -> ...
-      [0, 0, 0, 0], // Sidewalk -> ...
-      [0, 0, 0, 0]  // Crosswalk -> ...
+      [Math.min(...lats), Math.min(...lngs)],
+      [Math.max(...lats), Math.max(...lngs)]
     ];
   }
 
   /**
-   * Compute error statistics from error data
+   * Project a CRS coordinate to [lng, lat]
    */
-  computeErrorStatistics(errors) {
-    const totalPixels = errors.width * errors.height;
-    const tp = errors.truePositives.length;
-    const tn = errors.trueNegatives.length;
-    const fp = errors.falsePositives.length;
-    const fn = errors.falseNegatives.length;
+  projectToLngLat(x, y, epsg) {
+    if (epsg === 4326 || epsg === 4269) {
+      return [x, y];
+    }
 
-    const accuracy = (tp + tn) / totalPixels;
-    const precision = tp / (tp + fp) || 0;
-    const recall = tp / (tp + fn) || 0;
-    const f1 = 2 * (precision * recall) / (precision + recall) || 0;
+    if (epsg === 3857 || epsg === 900913 || epsg === 102100) {
+      const R = 6378137;
+      return [
+        x / R * 180 / Math.PI,
+        (2 * Math.atan(Math.exp(y / R)) - Math.PI / 2) * 180 / Math.PI
+      ];
+    }
+
+    // WGS84 UTM north (326xx) / south (327xx), NAD83 UTM north (269xx)
+    if (epsg > 32600 && epsg <= 32660) return this.utmToLngLat(x, y, epsg - 32600, false);
+    if (epsg > 32700 && epsg <= 32760) return this.utmToLngLat(x, y, epsg - 32700, true);
+    if (epsg > 26900 && epsg <= 26923) return this.utmToLngLat(x, y, epsg - 26900, false);
+
+    throw new Error(`Unsupported GeoTIFF CRS EPSG:${epsg} (use EPSG:4326, EPSG:3857 or UTM)`);
+  }
+
+  /**
+   * Inverse transverse Mercator for a UTM zone (Snyder, USGS PP 1395)
+   */
+  utmToLngLat(easting, northing, zone, southern) {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    const x = easting - 500000;
+    const y = southern ? northing - 10000000 : northing;
+    const lng0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+
+    const mu = y / k0 / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+    const phi1 = mu +
+      (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+      (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+      (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+      (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+
+    const sinPhi = Math.sin(phi1);
+    const cosPhi = Math.cos(phi1);
+    const tanPhi = Math.tan(phi1);
+    const N1 = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const T1 = tanPhi * tanPhi;
+    const C1 = ep2 * cosPhi * cosPhi;
+    const R1 = a * (1 - e2) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+    const D = x / (N1 * k0);
+
+    const lat = phi1 - (N1 * tanPhi / R1) * (
+      D * D / 2 -
+      (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * Math.pow(D, 4) / 24 +
+      (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * Math.pow(D, 6) / 720
+    );
+    const lng = lng0 + (
+      D -
+      (1 + 2 * T1 + C1) * Math.pow(D, 3) / 6 +
+      (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * Math.pow(D, 5) / 120
+    ) / cosPhi;
+
+    return [lng * 180 / Math.PI, lat * 180 / Math.PI];
+  }
+
+  /**
+   * Take a tile's bounds (and center) from its GeoTIFF when the index has none
+   */
+  applyGeoTiffBounds(tileId, raster) {
+    const tile = this.tiles.find(t => t.id === tileId);
+    if (!tile) return;
+
+    if (tile.bounds && !this.boundsMatch(tile.bounds, raster.bounds, raster.width)) {
+      console.warn(`⚠️ tile_index bounds for ${tileId} differ from its GeoTIFF tags; using GeoTIFF bounds`);
+    }
+
+    tile.bounds = raster.bounds;
+    tile.center = [
+      (raster.bounds[0][0] + raster.bounds[1][0]) / 2,
+      (raster.bounds[0][1] + raster.bounds[1][1]) / 2
+    ];
+    tile.crs = raster.crs;
+  }
+
+  /**
+   * Check whether two bounds agree to within about one pixel
+   */
+  boundsMatch(a, b, width) {
+    const tolerance = Math.abs(b[1][1] - b[0][1]) / width;
+    return Math.abs(a[0][0] - b[0][0]) <= tolerance && Math.abs(a[0][1] - b[0][1]) <= tolerance &&
+           Math.abs(a[1][0] - b[1][0]) <= tolerance && Math.abs(a[1][1] - b[1][1]) <= tolerance;
+  }
+
+  /**
+   * Build tiles from a list of GeoTIFF masks (a mosaic without tile_index.json)
+   * Bounds are filled in from each file's GeoTIFF tags when the masks load.
+   * Ground truth is matched by file name in groundTruthDirectory.
+   * @param {Object} segConfig - Segmentation config with a `geotiffs` array
+   */
+  createTileGridFromGeoTiffs(segConfig) {
+    this.tiles = segConfig.geotiffs.map((path, index) => {
+      const fileName = path.split('/').pop();
+      const id = fileName.replace(/\.tiff?$/i, '');
+      return {
+        id: id,
+        row: 0,
+        col: index,
+        bounds: null,
+        center: null,
+        segmentationPath: path,
+        groundTruthPath: segConfig.groundTruthDirectory ? `${segConfig.groundTruthDirectory}/${fileName}` : null
+      };
+    });
+
+    this.totalTiles = this.tiles.length;
+    console.log(`✅ Created ${this.tiles.length} tiles from GeoTIFF mosaic`);
+    return this.tiles;
+  }
+
+  // ============================================
+  // PER-CLASS PROBABILITY TENSORS
+  // ============================================
+
+  /**
+   * Load per-class softmax outputs for a tile and derive confidence maps
+   * Supported sources on the tile entry:
+   * - probabilityPath: .npy array ([C,H,W] or [H,W,C], float32/float64/uint8)
+   * - probabilityPath: raw .bin/.raw with a JSON header
+   *   (probabilityHeaderPath, defaults to the same path with a .json extension)
+   * - probabilityPaths: PNG stack, one grayscale image per class in class order
+   * @param {Object} tile - Tile entry from the tile index
+   * @returns {Object|null} Probability maps attached to the prediction mask
+   */
+  async loadProbabilityTensor(tile) {
+    const prediction = this.segmentationMasks.get(tile.id);
+    if (!prediction || (!tile.probabilityPath && !tile.probabilityPaths)) return null;
+
+    try {
+      let tensor;
+      if (Array.isArray(tile.probabilityPaths)) {
+        tensor = await this.loadProbabilityPngStack(tile.probabilityPaths);
+      } else if (/\.npy$/i.test(tile.probabilityPath)) {
+        tensor = await this.loadNpyProbabilities(tile.probabilityPath);
+      } else {
+        const headerPath = tile.probabilityHeaderPath ||
+          tile.probabilityPath.replace(/\.[^./]+$/, '') + '.json';
+        tensor = await this.loadRawProbabilities(tile.probabilityPath, headerPath);
+      }
+
+      if (tensor.width !== prediction.width || tensor.height !== prediction.height) {
+        console.warn(`⚠️ Probability tensor for ${tile.id} is ${tensor.width}x${tensor.height}, ` +
+          `mask is ${prediction.width}x${prediction.height}; ignoring probabilities`);
+        return null;
+      }
+
+      const maps = this.computeProbabilityMaps(tensor);
+      prediction.probabilities = maps;
+      prediction.confidences = maps.maxProb;
+      prediction.confidenceSource = 'probabilities';
+
+      console.log(`✅ Loaded ${tensor.channels}-class probabilities for ${tile.id}`);
+      return maps;
+    } catch (error) {
+      console.warn(`⚠️ Could not load probabilities for ${tile.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether any loaded prediction carries per-class probabilities
+   */
+  hasProbabilityMaps() {
+    for (const mask of this.segmentationMasks.values()) {
+      if (mask.probabilities) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Load a NumPy .npy probability array
+   * @param {string} path - Path to .npy file
+   */
+  async loadNpyProbabilities(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${path}: ${response.status}`);
+    }
+
+    const { shape, data } = this.parseNpy(await response.arrayBuffer());
+
+    // Drop a leading batch dimension of 1
+    const dims = shape.length === 4 && shape[0] === 1 ? shape.slice(1) : shape;
+    if (dims.length !== 3) {
+      throw new Error(`Expected a 3D probability array, got shape [${shape.join(', ')}]`);
+    }
+
+    // Channel axis is the short one: [C,H,W] or [H,W,C]
+    const layout = dims[0] < dims[2] ? 'chw' : 'hwc';
+    const [channels, height, width] = layout === 'chw' ? dims : [dims[2], dims[0], dims[1]];
+
+    return this.toChannelPlanes(data, { width, height, channels, layout });
+  }
+
+  /**
+   * Parse a NumPy .npy buffer (format versions 1-3, C order)
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {{shape: Array<number>, data: TypedArray}}
+   */
+  parseNpy(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const magic = String.fromCharCode(...bytes.subarray(1, 6));
+    if (bytes[0] !== 0x93 || magic !== 'NUMPY') {
+      throw new Error('Not a .npy file');
+    }
+
+    const view = new DataView(buffer);
+    const major = bytes[6];
+    const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+    const headerStart = major === 1 ? 10 : 12;
+    const header = new TextDecoder('latin1').decode(bytes.subarray(headerStart, headerStart + headerLength));
+
+    const descr = header.match(/'descr'\s*:\s*'([^']+)'/)?.[1];
+    const fortranOrder = /'fortran_order'\s*:\s*True/.test(header);
+    const shapeMatch = header.match(/'shape'\s*:\s*\(([^)]*)\)/);
+    if (!descr || !shapeMatch) {
+      throw new Error('Malformed .npy header');
+    }
+    if (fortranOrder) {
+      throw new Error('Fortran-ordered .npy arrays are not supported');
+    }
+
+    const shape = shapeMatch[1].split(',').map(s => s.trim()).filter(Boolean).map(Number);
+    const count = shape.reduce((a, b) => a * b, 1);
+    const offset = headerStart + headerLength;
+
+    // Copy so the typed array is aligned regardless of header length
+    const body = buffer.slice(offset);
+    switch (descr) {
+      case '<f4': return { shape, data: new Float32Array(body, 0, count) };
+      case '<f8': return { shape, data: new Float64Array(body, 0, count) };
+      case '|u1':
+      case '<u1': return { shape, data: new Uint8Array(body, 0, count) };
+      default:
+        throw new Error(`Unsupported .npy dtype ${descr}`);
+    }
+  }
+
+  /**
+   * Load a raw Float32/Uint8 probability binary described by a JSON header
+   * Header: { width, height, channels, dtype: 'float32'|'uint8', layout: 'chw'|'hwc', byteOffset }
+   * @param {string} path - Path to binary file
+   * @param {string} headerPath - Path to JSON header
+   */
+  async loadRawProbabilities(path, headerPath) {
+    const headerResponse = await fetch(headerPath);
+    if (!headerResponse.ok) {
+      throw new Error(`Failed to load header ${headerPath}: ${headerResponse.status}`);
+    }
+    const header = await headerResponse.json();
+
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${path}: ${response.status}`);
+    }
+    const buffer = await response.arrayBuffer();
+
+    const { width, height, channels } = header;
+    const count = width * height * channels;
+    const body = buffer.slice(header.byteOffset || 0);
+    let data;
+    if (header.dtype === 'uint8') {
+      data = new Uint8Array(body, 0, count);
+    } else if (!header.dtype || header.dtype === 'float32') {
+      data = new Float32Array(body, 0, count);
+    } else {
+      throw new Error(`Unsupported probability dtype ${header.dtype}`);
+    }
+
+    return this.toChannelPlanes(data, { width, height, channels, layout: header.layout || 'chw' });
+  }
+
+  /**
+   * Load a stack of grayscale PNGs, one per class (red channel = probability * 255)
+   * @param {Array<string>} paths - Image paths in class order
+   */
+  async loadProbabilityPngStack(paths) {
+    const planes = [];
+    for (const path of paths) {
+      const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Failed to load ${path}`));
+        image.src = path;
+      });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      const { data, width, height } = ctx.getImageData(0, 0, img.width, img.height);
+
+      const plane = new Uint8Array(width * height);
+      for (let i = 0; i < plane.length; i++) plane[i] = data[i * 4];
+      planes.push({ plane, width, height });
+    }
+
+    const { width, height } = planes[0];
+    if (planes.some(p => p.width !== width || p.height !== height)) {
+      throw new Error('Probability PNG stack images differ in size');
+    }
+
+    const data = new Uint8Array(planes.length * width * height);
+    planes.forEach((p, c) => data.set(p.plane, c * width * height));
+    return this.toChannelPlanes(data, { width, height, channels: planes.length, layout: 'chw' });
+  }
+
+  /**
+   * Normalize a probability array to channel-major Float32 values in [0, 1]
+   * @param {TypedArray} data - Source values (uint8 is scaled by 1/255)
+   * @param {Object} spec - { width, height, channels, layout: 'chw'|'hwc' }
+   */
+  toChannelPlanes(data, { width, height, channels, layout }) {
+    const size = width * height;
+    if (data.length < size * channels) {
+      throw new Error(`Probability data has ${data.length} values, expected ${size * channels}`);
+    }
+
+    const scale = data instanceof Uint8Array ? 1 / 255 : 1;
+    const planes = new Float32Array(size * channels);
+
+    if (layout === 'hwc') {
+      for (let i = 0; i < size; i++) {
+        for (let c = 0; c < channels; c++) {
+          planes[c * size + i] = data[i * channels + c] * scale;
+        }
+      }
+    } else {
+      for (let i = 0; i < size * channels; i++) planes[i] = data[i] * scale;
+    }
+
+    return { width, height, channels, data: planes };
+  }
+
+  /**
+   * Derive max-probability, margin and entropy maps from class probabilities
+   * Entropy is normalized by log(C) so all maps lie in [0, 1].
+   * @param {Object} tensor - { width, height, channels, data } in channel-major order
+   */
+  computeProbabilityMaps(tensor) {
+    const { width, height, channels, data } = tensor;
+    const size = width * height;
+    const maxProb = new Float32Array(size);
+    const margin = new Float32Array(size);
+    const entropy = new Float32Array(size);
+    const argmax = new Uint8Array(size);
+    const logChannels = Math.log(channels) || 1;
+
+    for (let i = 0; i < size; i++) {
+      let sum = 0;
+      for (let c = 0; c < channels; c++) sum += data[c * size + i];
+      const norm = sum > 0 ? 1 / sum : 0;
+
+      let best = 0, second = 0, bestClass = 0, h = 0;
+      for (let c = 0; c < channels; c++) {
+        const p = data[c * size + i] * norm;
+        if (p > best) {
+          second = best;
+          best = p;
+          bestClass = c;
+        } else if (p > second) {
+          second = p;
+        }
+        if (p > 0) h -= p * Math.log(p);
+      }
+
+      maxProb[i] = best;
+      margin[i] = best - second;
+      entropy[i] = h / logChannels;
+      argmax[i] = bestClass;
+    }
+
+    return { width, height, channels, data, maxProb, margin, entropy, argmax };
+  }
+
+  /**
+   * Get normalized class probabilities for a single pixel
+   * @param {string} tileId - Tile identifier
+   * @param {number} index - Pixel index (y * width + x)
+   * @returns {Array<number>|null} Probability per class id
+   */
+  getPixelProbabilities(tileId, index) {
+    const maps = this.segmentationMasks.get(tileId)?.probabilities;
+    if (!maps) return null;
+
+    const size = maps.width * maps.height;
+    const values = [];
+    for (let c = 0; c < maps.channels; c++) values.push(maps.data[c * size + index]);
+    const sum = values.reduce((a, b) => a + b, 0) || 1;
+    return values.map(v => v / sum);
+  }
+
+  /**
+   * Generate synthetic ground truth with intentional differences from prediction
+   * This allows demonstrating error detection with visible FP/FN regions
+   */
+  generateSyntheticGroundTruth(tileId) {
+    const prediction = this.segmentationMasks.get(tileId);
+
+    if (!prediction) {
+      return this.generateSyntheticMask(tileId);
+    }
+
+    const { width, height, pixels: predPixels } = prediction;
+    const gtPixels = new Uint8Array(width * height);
+
+    // Parse tile position for varied error patterns
+    const parts = tileId.split('_');
+    const row = parseInt(parts[1]) || 0;
+    const col = parseInt(parts[2]) || 0;
+
+    // Create intentional error regions that vary by tile
+    for (let i = 0; i < width * height; i++) {
+      const x = i % width;
+      const y = Math.floor(i / width);
+
+      // False Positive zones: model predicts class, but GT says background
+      // Creates rectangular regions where sidewalk/road predictions are wrong
+      const fpZone1 = x > width * 0.65 && x < width * 0.85 &&
+                      y > height * 0.25 && y < height * 0.45;
+      const fpZone2 = (row + col) % 3 === 0 &&
+                      x > width * 0.1 && x < width * 0.25 &&
+                      y > height * 0.7 && y < height * 0.9;
+
+      // False Negative zones: model predicts background, but GT has a class
+      // Simulates missed detections
+      const fnZone1 = x > width * 0.15 && x < width * 0.35 &&
+                      y > height * 0.55 && y < height * 0.75;
+      const fnZone2 = (row + col) % 2 === 1 &&
+                      x > width * 0.75 && x < width * 0.95 &&
+                      y > height * 0.6 && y < height * 0.8;
+
+      const pred = predPixels[i];
+
+      if ((fpZone1 || fpZone2) && pred !== 0) {
+        // False positive: prediction says class, but GT says background
+        gtPixels[i] = 0;
+      } else if (fnZone1 && pred === 0) {
+        // False negative: prediction says background, GT says sidewalk
+        gtPixels[i] = 2;
+      } else if (fnZone2 && pred === 0) {
+        // False negative: prediction says background, GT says road
+        gtPixels[i] = 1;
+      } else {
+        // Correct prediction
+        gtPixels[i] = pred;
+      }
+    }
+
+    return {
+      width: width,
+      height: height,
+      pixels: gtPixels,
+      synthetic: true
+    };
+  }
+
+  /**
+   * Compute errors by comparing prediction to ground truth
+   * @param {string} tileId - Tile identifier
+   */
+  computeErrors(tileId) {
+    const prediction = this.segmentationMasks.get(tileId);
+    const groundTruth = this.groundTruthMasks.get(tileId);
+
+    if (!prediction || !groundTruth) {
+      console.warn(`Cannot compute errors for ${tileId}: missing data`);
+      return null;
+    }
+
+    const { width, height, pixels: predPixels, confidences } = prediction;
+    const { pixels: gtPixels } = groundTruth;
+
+    const errors = {
+      tileId: tileId,
+      width: width,
+      height: height,
+      falsePositives: [],  // Predicted class but GT says background/different
+      falseNegatives: [],  // Predicted background but GT says class
+      truePositives: [],   // Correctly predicted class
+      trueNegatives: [],   // Correctly predicted background
+      confusionMatrix: this.createConfusionMatrix()
+    };
+
+    const errorPixels = new Uint8Array(width * height);
+    // Error types: 0=correct, 1=false positive, 2=false negative, 3=misclassification
+
+    for (let i = 0; i < width * height; i++) {
+      const pred = predPixels[i];
+      const gt = gtPixels[i];
+      const conf = confidences ? confidences[i] : 0.5;
+
+      // Ignore labels are neither errors nor part of the metrics
+      if (this.isIgnoredLabel(gt) || this.isIgnoredLabel(pred)) continue;
+
+      const x = i % width;
+      const y = Math.floor(i / width);
+
+      // Update confusion matrix
+      errors.confusionMatrix[gt][pred]++;
+
+      if (pred === gt) {
+        // Correct prediction
+        if (pred === 0) {
+          errors.trueNegatives.push({ x, y, confidence: conf });
+        } else {
+          errors.truePositives.push({ x, y, class: pred, confidence: conf });
+        }
+        errorPixels[i] = 0;
+      } else if (pred !== 0 && gt === 0) {
+        // False positive: predicted something but GT is background
+        errors.falsePositives.push({
+          x, y,
+          predictedClass: pred,
+          confidence: conf
+        });
+        errorPixels[i] = 1;
+      } else if (pred === 0 && gt !== 0) {
+        // False negative: predicted background but GT has something
+        errors.falseNegatives.push({
+          x, y,
+          actualClass: gt,
+          confidence: conf
+        });
+        errorPixels[i] = 2;
+      } else {
+        // Misclassification: predicted wrong class
+        errors.falsePositives.push({
+          x, y,
+          predictedClass: pred,
+          actualClass: gt,
+          confidence: conf,
+          misclassification: true
+        });
+        errorPixels[i] = 3;
+      }
+    }
+
+    errors.errorPixels = errorPixels;
+
+    // Compute statistics
+    errors.statistics = this.computeErrorStatistics(errors);
+
+    return errors;
+  }
+
+  /**
+   * Create empty confusion matrix indexed [groundTruth][prediction] by class id
+   */
+  createConfusionMatrix() {
+    const size = Math.max(...Object.keys(this.classLabels).map(Number)) + 1;
+    return Array.from({ length: size }, () => new Array(size).fill(0));
+  }
+
+  /**
+   * Compute error statistics from error data
+   */
+  computeErrorStatistics(errors) {
+    const totalPixels = errors.width * errors.height;
+    const tp = errors.truePositives.length;
+    const tn = errors.trueNegatives.length;
+    const fp = errors.falsePositives.length;
+    const fn = errors.falseNegatives.length;
+
+    const accuracy = (tp + tn) / totalPixels;
+    const precision = tp / (tp + fp) || 0;
+    const recall = tp / (tp + fn) || 0;
+    const f1 = 2 * (precision * recall) / (precision + recall) || 0;
+
+    // Per-class IoU
+    const iou = {};
+    const classIds = this.getForegroundClassIds();
+    for (const classId of classIds) {
+      const className = this.classLabels[classId];
+      const classTP = errors.confusionMatrix[classId][classId];
+      const classFP = errors.confusionMatrix.reduce((sum, row) => sum + row[classId], 0) - classTP;
+      const classFN = errors.confusionMatrix[classId].reduce((a, b) => a + b, 0) - classTP;
+
+      iou[className] = classTP / (classTP + classFP + classFN) || 0;
+    }
+
+    return {
+      totalPixels,
+      truePositives: tp,
+      trueNegatives: tn,
+      falsePositives: fp,
+      falseNegatives: fn,
+      accuracy,
+      precision,
+      recall,
+      f1Score: f1,
+      iou,
+      meanIoU: classIds.length > 0 ? Object.values(iou).reduce((a, b) => a + b, 0) / classIds.length : 0
+    };
+  }
+
+  /**
+   * Compute pixel metrics from a confusion matrix indexed [groundTruth][prediction]
+   * Background (class 0) is the negative class; any other class is positive.
+   * Misclassifications (wrong non-background class) count as false positives,
+   * matching computeErrors().
+   * @param {Array<Array<number>>} matrix - Confusion matrix
+   */
+  computeMatrixStatistics(matrix) {
+    const numClasses = matrix.length;
+    let totalPixels = 0, correct = 0;
+    let tp = 0, fp = 0, fn = 0;
+
+    for (let gt = 0; gt < numClasses; gt++) {
+      for (let pred = 0; pred < numClasses; pred++) {
+        const count = matrix[gt][pred];
+        totalPixels += count;
+
+        if (gt === pred) {
+          correct += count;
+          if (pred !== 0) tp += count;
+        } else if (pred === 0) {
+          fn += count;
+        } else {
+          fp += count;
+        }
+      }
+    }
+
+    const tn = numClasses > 0 ? matrix[0][0] : 0;
+    const accuracy = correct / totalPixels || 0;
+    const precision = tp / (tp + fp) || 0;
+    const recall = tp / (tp + fn) || 0;
+    const f1 = 2 * (precision * recall) / (precision + recall) || 0;
+
+    // Per-class IoU (foreground classes only)
+    const iou = {};
+    let iouSum = 0, iouCount = 0;
+    for (const classId of this.getForegroundClassIds()) {
+      if (classId >= numClasses) continue;
+      const className = this.classLabels[classId];
+      const classTP = matrix[classId][classId];
+      const classFP = matrix.reduce((sum, row) => sum + row[classId], 0) - classTP;
+      const classFN = matrix[classId].reduce((a, b) => a + b, 0) - classTP;
+
+      iou[className] = classTP / (classTP + classFP + classFN) || 0;
+      iouSum += iou[className];
+      iouCount++;
+    }
+
+    return {
+      totalPixels,
+      truePositives: tp,
+      trueNegatives: tn,
+      falsePositives: fp,
+      falseNegatives: fn,
+      accuracy,
+      precision,
+      recall,
+      f1Score: f1,
+      iou,
+      meanIoU: iouCount > 0 ? iouSum / iouCount : 0,
+      confusionMatrix: matrix
+    };
+  }
+
+  /**
+   * Count prediction/ground truth pixels of one tile inside a geographic window
+   * @param {string} tileId - Tile identifier
+   * @param {Object} geoBounds - { west, south, east, north } in degrees
+   * @param {Array<Array<number>>} matrix - Confusion matrix to accumulate into
+   * @returns {number} Number of pixels counted
+   */
+  accumulateConfusionInBounds(tileId, geoBounds, matrix) {
+    const tile = this.tiles.find(t => t.id === tileId);
+    const prediction = this.segmentationMasks.get(tileId);
+    const groundTruth = this.groundTruthMasks.get(tileId);
+
+    if (!tile?.bounds || !prediction || !groundTruth) return 0;
+    if (prediction.width !== groundTruth.width || prediction.height !== groundTruth.height) return 0;
+
+    const pixelWindow = this.getPixelWindow(tile, prediction.width, prediction.height, geoBounds);
+    if (!pixelWindow) return 0;
+
+    const { width, pixels: predPixels } = prediction;
+    const gtPixels = groundTruth.pixels;
+    const { x0, x1, y0, y1 } = pixelWindow;
+
+    const numClasses = matrix.length;
+    let counted = 0;
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const idx = y * width + x;
+        const gt = gtPixels[idx];
+        const pred = predPixels[idx];
+        if (gt >= numClasses || pred >= numClasses) continue;
+        if (this.isIgnoredLabel(gt) || this.isIgnoredLabel(pred)) continue;
+
+        matrix[gt][pred]++;
+        counted++;
+      }
+    }
+
+    return counted;
+  }
+
+  /**
+   * Pixel window of a tile clipped to a geographic window
+   * @param {Object} tile - Tile with bounds [[latMin, lngMin], [latMax, lngMax]]
+   * @param {number} width - Mask width in pixels
+   * @param {number} height - Mask height in pixels
+   * @param {Object} geoBounds - { west, south, east, north } in degrees
+   * @returns {Object|null} { x0, x1, y0, y1 } (end exclusive), or null if they do not overlap
+   */
+  getPixelWindow(tile, width, height, geoBounds) {
+    const [[latMin, lngMin], [latMax, lngMax]] = tile.bounds;
+    const west = Math.max(lngMin, geoBounds.west);
+    const east = Math.min(lngMax, geoBounds.east);
+    const south = Math.max(latMin, geoBounds.south);
+    const north = Math.min(latMax, geoBounds.north);
+    if (west >= east || south >= north) return null;
+
+    // Row 0 is the north edge of the tile
+    return {
+      x0: Math.max(0, Math.floor((west - lngMin) / (lngMax - lngMin) * width)),
+      x1: Math.min(width, Math.ceil((east - lngMin) / (lngMax - lngMin) * width)),
+      y0: Math.max(0, Math.floor((latMax - north) / (latMax - latMin) * height)),
+      y1: Math.min(height, Math.ceil((latMax - south) / (latMax - latMin) * height))
+    };
+  }
 
-    // Per-class IoU
-    const iou = {};
-    for (let classId = 1; classId <= 3; classId++) {
-      const className = this.classLabels[classId];
-      const classTP = errors.confusionMatrix[classId][classId];
-      const classFP = errors.confusionMatrix.reduce((sum, row) => sum + row[classId], 0) - classTP;
-      const classFN = errors.confusionMatrix[classId].reduce((a, b) => a + b, 0) - classTP;
+  // ============================================
+  // MODEL COMPARISON (MODEL DIFF)
+  // ============================================
 
-      iou[className] = classTP / (classTP + classFP + classFN) || 0;
+  /**
+   * Configure a second prediction set scored against the same ground truth
+   * @param {Object} comparisonConfig - { nameA, nameB, predictionsDirectory, xyz }
+   */
+  configureModelComparison(comparisonConfig) {
+    if (!comparisonConfig || (!comparisonConfig.predictionsDirectory && !comparisonConfig.xyz)) {
+      this.comparison = null;
+      return false;
+    }
+
+    this.comparison = {
+      nameA: comparisonConfig.nameA || 'Model A',
+      nameB: comparisonConfig.nameB || 'Model B',
+      predictionsDirectory: comparisonConfig.predictionsDirectory || null,
+      xyz: comparisonConfig.xyz || null
+    };
+    this.comparisonMasks.clear();
+
+    console.log(`✅ Model comparison: ${this.comparison.nameA} vs ${this.comparison.nameB}`);
+    return true;
+  }
+
+  /**
+   * Check whether a second model is configured
+   */
+  hasModelComparison() {
+    return !!this.comparison;
+  }
+
+  /**
+   * Path of a tile's second-model mask
+   * Tile entries may set comparisonPath; otherwise the prediction file name is
+   * looked up in the comparison directory (or the comparison XYZ template).
+   */
+  getComparisonPath(tile) {
+    if (!this.comparison) return null;
+    if (tile.comparisonPath) return tile.comparisonPath;
+
+    if (tile.xyz) {
+      const { z, x, y } = tile.xyz;
+      return this.comparison.xyz ?
+        this.comparison.xyz.replace('{z}', z).replace('{x}', x).replace('{y}', y) : null;
+    }
+
+    if (!this.comparison.predictionsDirectory || !tile.segmentationPath) return null;
+    return `${this.comparison.predictionsDirectory}/${tile.segmentationPath.split('/').pop()}`;
+  }
+
+  /**
+   * Load a tile's second-model mask (PNG or GeoTIFF, same class schema)
+   * Missing masks are skipped, never replaced with synthetic data.
+   * @param {Object} tile - Tile entry
+   */
+  async loadComparisonMask(tile) {
+    const path = this.getComparisonPath(tile);
+    if (!path) return null;
+
+    let mask = null;
+    try {
+      if (this.isGeoTiffPath(path)) {
+        const raster = await this.loadGeoTiffRaster(path);
+        mask = { width: raster.width, height: raster.height, pixels: raster.pixels, path };
+      } else {
+        const image = await this.loadImageData(path);
+        if (image) {
+          mask = { width: image.width, height: image.height, pixels: this.decodeSegmentationMask(image), path };
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not load comparison mask for ${tile.id}:`, error.message);
+      return null;
+    }
+
+    if (!mask) {
+      console.warn(`⚠️ No ${this.comparison.nameB} mask for ${tile.id}: ${path}`);
+      return null;
+    }
+
+    this.comparisonMasks.set(tile.id, mask);
+    return mask;
+  }
+
+  /**
+   * Empty paired table: [A correct, A wrong] x [B correct, B wrong] pixel counts
+   */
+  createPairedMatrix() {
+    return [[0, 0], [0, 0]];
+  }
+
+  /**
+   * Accumulate both models' confusion matrices and the paired table
+   * over the pixels of one tile inside a geographic window
+   * @param {string} tileId - Tile identifier
+   * @param {Object} geoBounds - { west, south, east, north } in degrees
+   * @param {Object} diff - { matrixA, matrixB, paired } to accumulate into
+   * @returns {number} Number of pixels counted
+   */
+  accumulateModelDiffInBounds(tileId, geoBounds, diff) {
+    const tile = this.tiles.find(t => t.id === tileId);
+    const predA = this.segmentationMasks.get(tileId);
+    const predB = this.comparisonMasks.get(tileId);
+    const groundTruth = this.groundTruthMasks.get(tileId);
+
+    if (!tile?.bounds || !predA || !predB || !groundTruth) return 0;
+    if (!this.sameSize(predA, groundTruth) || !this.sameSize(predB, groundTruth)) return 0;
+
+    const pixelWindow = this.getPixelWindow(tile, groundTruth.width, groundTruth.height, geoBounds);
+    if (!pixelWindow) return 0;
+
+    const { width } = groundTruth;
+    const { x0, x1, y0, y1 } = pixelWindow;
+    const numClasses = diff.matrixA.length;
+    let counted = 0;
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const idx = y * width + x;
+        const gt = groundTruth.pixels[idx];
+        const a = predA.pixels[idx];
+        const b = predB.pixels[idx];
+        if (gt >= numClasses || a >= numClasses || b >= numClasses) continue;
+        if (this.isIgnoredLabel(gt) || this.isIgnoredLabel(a) || this.isIgnoredLabel(b)) continue;
+
+        diff.matrixA[gt][a]++;
+        diff.matrixB[gt][b]++;
+        diff.paired[a === gt ? 0 : 1][b === gt ? 0 : 1]++;
+        counted++;
+      }
+    }
+
+    return counted;
+  }
+
+  /**
+   * Compare the two models' metrics (deltas are B - A)
+   * @param {Object} diff - { matrixA, matrixB, paired } from accumulateModelDiffInBounds
+   * @returns {Object} { nameA, nameB, statsA, statsB, paired, overall, perClass }
+   */
+  compareModelStatistics(diff) {
+    const statsA = this.computeMatrixStatistics(diff.matrixA);
+    const statsB = this.computeMatrixStatistics(diff.matrixB);
+
+    const overall = {};
+    for (const key of ['accuracy', 'precision', 'recall', 'f1Score', 'meanIoU']) {
+      overall[key] = { a: statsA[key], b: statsB[key], delta: statsB[key] - statsA[key] };
     }
 
+    const perClass = this.getClasses().filter(cls => cls.id < diff.matrixA.length).map(cls => {
+      const a = this.computeClassMetrics(diff.matrixA, cls.id);
+      const b = this.computeClassMetrics(diff.matrixB, cls.id);
+      const delta = {};
+      Object.keys(a).forEach(key => { delta[key] = b[key] - a[key]; });
+      return { id: cls.id, name: cls.name, label: cls.label, a, b, delta };
+    });
+
+    return {
+      nameA: this.comparison?.nameA || 'Model A',
+      nameB: this.comparison?.nameB || 'Model B',
+      statsA,
+      statsB,
+      paired: diff.paired,
+      overall,
+      perClass
+    };
+  }
+
+  /**
+   * Precision, recall, F1 and IoU of one class from a [groundTruth][prediction] matrix
+   */
+  computeClassMetrics(matrix, classId) {
+    const tp = matrix[classId][classId];
+    const fp = matrix.reduce((sum, row) => sum + row[classId], 0) - tp;
+    const fn = matrix[classId].reduce((a, b) => a + b, 0) - tp;
+
+    const precision = tp / (tp + fp) || 0;
+    const recall = tp / (tp + fn) || 0;
     return {
-      totalPixels,
-      truePositives: tp,
-      trueNegatives: tn,
-      falsePositives: fp,
-      falseNegatives: fn,
-      accuracy,
       precision,
       recall,
-      f1Score: f1,
-      iou,
-      meanIoU: (iou.road + iou.sidewalk + iou.crosswalk) / 3
+      f1: 2 * (precision * recall) / (precision + recall) || 0,
+      iou: tp / (tp + fp + fn) || 0
     };
   }
 
+  /**
+   * Check that two masks have the same pixel dimensions
+   */
+  sameSize(maskA, maskB) {
+    return maskA.width === maskB.width && maskA.height === maskB.height;
+  }
+
   /**
    * Convert pixel errors to GeoJSON features for visualization
+   * Each connected FP / FN / misclassification region of the errorPixels raster
+   * becomes a georeferenced Polygon traced along its pixel boundary.
    * @param {string} tileId - Tile identifier
-   * @param {Object} errors - Computed errors
+   * @param {Object} errors - Computed errors (from computeErrors)
    */
   errorsToGeoJSON(tileId, errors) {
     const tile = this.tiles.find(t => t.id === tileId);
-    if (!tile) return null;
+    if (!tile || !tile.bounds || !errors.errorPixels) return null;
 
-    const features = [];
+    const prediction = this.segmentationMasks.get(tileId);
+    const groundTruth = this.groundTruthMasks.get(tileId);
+    if (!prediction || !groundTruth) return null;
+
+    const { width, height } = errors;
     const bounds = tile.bounds;
     const latRange = bounds[1][0] - bounds[0][0];
     const lngRange = bounds[1][1] - bounds[0][1];
+    const pixelArea = this.getPixelAreaSquareMeters(tile, width, height);
+
+    // Pixel corner (x, y) -> [lng, lat]; y = 0 is the north edge of the tile
+    const toLngLat = ([x, y]) => [
+      bounds[0][1] + (x / width) * lngRange,
+      bounds[1][0] - (y / height) * latRange
+    ];
 
-    // Cluster nearby error pixels into regions
-    const fpRegions = this.clusterErrors(errors.falsePositives, errors.width, errors.height);
-    const fnRegions = this.clusterErrors(errors.falseNegatives, errors.width, errors.height);
+    const errorTypes = {
+      1: { prefix: 'fp', errorType: 'false_positive' },
+      2: { prefix: 'fn', errorType: 'false_negative' },
+      3: { prefix: 'mc', errorType: 'misclassification' }
+    };
 
-    // Convert false positive clusters to GeoJSON
-    fpRegions.forEach((region, idx) => {
-      const centerX = region.centerX / errors.width;
-      const centerY = region.centerY / errors.height;
-      const radius = Math.sqrt(region.pixels.length) / errors.width * 0.5;
+    const { labels, components } = this.labelErrorComponents(
+      errors.errorPixels, width, height, prediction, groundTruth
+    );
 
-      features.push({
-        type: 'Feature',
-        properties: {
-          id: `fp_${tileId}_${idx}`,
-          errorType: 'false_positive',
-          pixelCount: region.pixels.length,
-          confidence: region.avgConfidence,
-          predictedClass: this.classLabels[region.predictedClass],
-          tileId: tileId
-        },
-        geometry: {
-          type: 'Point',
-          coordinates: [
-            bounds[0][1] + centerX * lngRange,
-            bounds[0][0] + (1 - centerY) * latRange
-          ]
-        }
-      });
-    });
+    const features = [];
+    const counters = { 1: 0, 2: 0, 3: 0 };
+
+    components.forEach(component => {
+      if (component.pixelCount < this.minErrorRegionPixels) return;
 
-    // Convert false negative clusters to GeoJSON
-    fnRegions.forEach((region, idx) => {
-      const centerX = region.centerX / errors.width;
-      const centerY = region.centerY / errors.height;
+      const ring = this.traceComponentContour(labels, width, height, component);
+      if (ring.length < 4) return;
+
+      const { prefix, errorType } = errorTypes[component.errorCode];
+      const predictedClass = this.classLabels[this.dominantClass(component.predictedCounts)];
+      const actualClass = this.classLabels[this.dominantClass(component.actualCounts)];
+      const area = component.pixelCount * pixelArea;
 
       features.push({
         type: 'Feature',
         properties: {
-          id: `fn_${tileId}_${idx}`,
-          errorType: 'false_negative',
-          pixelCount: region.pixels.length,
-          confidence: region.avgConfidence,
-          actualClass: this.classLabels[region.actualClass],
+          id: `${prefix}_${tileId}_${counters[component.errorCode]++}`,
+          errorType: errorType,
+          pixelCount: component.pixelCount,
+          area: Math.round(area * 10) / 10,
+          confidence: component.confidenceSum / component.pixelCount,
+          predictedClass: predictedClass,
+          actualClass: actualClass,
+          severity: this.getErrorSeverity(area),
+          description: this.describeErrorRegion(errorType, predictedClass, actualClass),
           tileId: tileId
         },
         geometry: {
-          type: 'Point',
-          coordinates: [
-            bounds[0][1] + centerX * lngRange,
-            bounds[0][0] + (1 - centerY) * latRange
-          ]
+          type: 'Polygon',
+          coordinates: [ring.map(toLngLat)]
         }
       });
     });
@@ -837,59 +2092,168 @@ class Tile2NetDataLoader {
   }
 
   /**
-   * Cluster nearby error pixels into regions using simple flood fill
+   * Label 4-connected regions of equal error code in the errorPixels raster
+   * Single pass flood fill: O(width * height)
+   * @returns {{labels: Int32Array, components: Array}} Label raster (0 = none) and per-region stats
    */
-  clusterErrors(errorPixels, width, height) {
-    if (!errorPixels || errorPixels.length === 0) return [];
+  labelErrorComponents(errorPixels, width, height, prediction, groundTruth) {
+    const labels = new Int32Array(width * height);
+    const queue = new Int32Array(width * height);
+    const components = [];
+    const confidences = prediction.confidences;
+
+    for (let start = 0; start < width * height; start++) {
+      const code = errorPixels[start];
+      if (code === 0 || labels[start] !== 0) continue;
+
+      const label = components.length + 1;
+      const component = {
+        label: label,
+        errorCode: code,
+        startIndex: start, // First pixel in raster order (top-left of the region)
+        pixelCount: 0,
+        confidenceSum: 0,
+        predictedCounts: {},
+        actualCounts: {}
+      };
 
-    const regions = [];
-    const visited = new Set();
-    const threshold = 5; // Max distance to cluster
+      let head = 0, tail = 0;
+      queue[tail++] = start;
+      labels[start] = label;
+
+      while (head < tail) {
+        const idx = queue[head++];
+        const x = idx % width;
+        const y = (idx - x) / width;
+
+        const pred = prediction.pixels[idx];
+        const gt = groundTruth.pixels[idx];
+        component.pixelCount++;
+        component.confidenceSum += confidences ? confidences[idx] : 0.5;
+        component.predictedCounts[pred] = (component.predictedCounts[pred] || 0) + 1;
+        component.actualCounts[gt] = (component.actualCounts[gt] || 0) + 1;
+
+        if (x > 0 && labels[idx - 1] === 0 && errorPixels[idx - 1] === code) {
+          labels[idx - 1] = label;
+          queue[tail++] = idx - 1;
+        }
+        if (x < width - 1 && labels[idx + 1] === 0 && errorPixels[idx + 1] === code) {
+          labels[idx + 1] = label;
+          queue[tail++] = idx + 1;
+        }
+        if (y > 0 && labels[idx - width] === 0 && errorPixels[idx - width] === code) {
+          labels[idx - width] = label;
+          queue[tail++] = idx - width;
+        }
+        if (y < height - 1 && labels[idx + width] === 0 && errorPixels[idx + width] === code) {
+          labels[idx + width] = label;
+          queue[tail++] = idx + width;
+        }
+      }
 
-    // Simple clustering: group nearby pixels
-    errorPixels.forEach(pixel => {
-      const key = `${pixel.x},${pixel.y}`;
-      if (visited.has(key)) return;
+      components.push(component);
+    }
 
-      // Find nearby unvisited pixels
-      const region = {
-        pixels: [pixel],
-        centerX: pixel.x,
-        centerY: pixel.y,
-        avgConfidence: pixel.confidence || 0.5,
-        predictedClass: pixel.predictedClass,
-        actualClass: pixel.actualClass
-      };
+    return { labels, components };
+  }
 
-      visited.add(key);
+  /**
+   * Trace the outer boundary of a labeled region along pixel edges
+   * Walks clockwise (in image coordinates) with the region on the right,
+   * starting at the top-left corner of the region's first pixel.
+   * @returns {Array<Array<number>>} Closed ring of pixel-corner coordinates [x, y]
+   */
+  traceComponentContour(labels, width, height, component) {
+    const label = component.label;
+    const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === label;
+
+    // Directions: east, south, west, north (clockwise with y pointing down)
+    const dirs = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+    // Pixel offsets from a vertex for the pixels ahead-left / ahead-right of each direction
+    const aheadLeft = [[0, -1], [0, 0], [-1, 0], [-1, -1]];
+    const aheadRight = [[0, 0], [-1, 0], [-1, -1], [0, -1]];
+
+    const startX = component.startIndex % width;
+    const startY = (component.startIndex - startX) / width;
+
+    const ring = [[startX, startY]];
+    let x = startX, y = startY, dir = 0;
+    const maxSteps = 4 * (width + 1) * (height + 1);
+
+    for (let step = 0; step < maxSteps; step++) {
+      x += dirs[dir][0];
+      y += dirs[dir][1];
+
+      let next;
+      if (!inside(x + aheadRight[dir][0], y + aheadRight[dir][1])) {
+        next = (dir + 1) % 4; // Region ends ahead: turn right
+      } else if (inside(x + aheadLeft[dir][0], y + aheadLeft[dir][1])) {
+        next = (dir + 3) % 4; // Region continues to the left: turn left
+      } else {
+        next = dir;
+      }
 
-      // Add nearby pixels to this region
-      errorPixels.forEach(other => {
-        const otherKey = `${other.x},${other.y}`;
-        if (visited.has(otherKey)) return;
+      if (x === startX && y === startY && next === 0) break;
 
-        const dist = Math.sqrt(
-          Math.pow(pixel.x - other.x, 2) +
-          Math.pow(pixel.y - other.y, 2)
-        );
+      if (next !== dir) {
+        ring.push([x, y]);
+        dir = next;
+      }
+    }
 
-        if (dist < threshold) {
-          region.pixels.push(other);
-          visited.add(otherKey);
-        }
-      });
+    ring.push([startX, startY]);
+    return ring;
+  }
 
-      // Update region center
-      region.centerX = region.pixels.reduce((sum, p) => sum + p.x, 0) / region.pixels.length;
-      region.centerY = region.pixels.reduce((sum, p) => sum + p.y, 0) / region.pixels.length;
-      region.avgConfidence = region.pixels.reduce((sum, p) => sum + (p.confidence || 0.5), 0) / region.pixels.length;
+  /**
+   * Ground area covered by one mask pixel of a tile, in square meters
+   */
+  getPixelAreaSquareMeters(tile, width, height) {
+    const [[latMin, lngMin], [latMax, lngMax]] = tile.bounds;
+    const midLat = (latMin + latMax) / 2;
+    const metersPerDegLat = 110540;
+    const metersPerDegLng = 111320 * Math.cos(midLat * Math.PI / 180);
+
+    const pixelWidth = (lngMax - lngMin) / width * metersPerDegLng;
+    const pixelHeight = (latMax - latMin) / height * metersPerDegLat;
+    return pixelWidth * pixelHeight;
+  }
 
-      if (region.pixels.length >= 3) { // Only keep clusters with 3+ pixels
-        regions.push(region);
+  /**
+   * Most frequent class id in a { classId: count } histogram
+   */
+  dominantClass(counts) {
+    let best = 0, bestCount = -1;
+    Object.entries(counts).forEach(([classId, count]) => {
+      if (count > bestCount) {
+        best = parseInt(classId);
+        bestCount = count;
       }
     });
+    return best;
+  }
+
+  /**
+   * Severity bucket for an error region by its ground area
+   */
+  getErrorSeverity(areaSquareMeters) {
+    if (areaSquareMeters >= 50) return 'high';
+    if (areaSquareMeters >= 10) return 'medium';
+    return 'low';
+  }
 
-    return regions;
+  /**
+   * Human-readable description of an error region
+   */
+  describeErrorRegion(errorType, predictedClass, actualClass) {
+    switch (errorType) {
+      case 'false_positive':
+        return `Model predicted ${predictedClass} where ground truth is ${actualClass}`;
+      case 'false_negative':
+        return `Model missed ${actualClass} (predicted ${predictedClass})`;
+      default:
+        return `Model predicted ${predictedClass} but ground truth is ${actualClass}`;
+    }
   }
 
   /**
@@ -1076,72 +2440,68 @@ class Tile2NetDataLoader {
 
   /**
    * Get all data ready for visualization
+   * Pyramid tiles are loaded per viewport (loadTilesForViewport) instead.
    */
   async prepareVisualizationData() {
     console.log('📊 Preparing visualization data...');
 
-    // Ensure we have tiles
-    if (this.tiles.length === 0) {
-      await this.createSyntheticTileGrid();
-    }
-
-    // Load/generate masks for all tiles
-    for (const tile of this.tiles) {
-      if (!this.segmentationMasks.has(tile.id)) {
-        await this.loadSegmentationMask(tile.id, tile.segmentationPath);
+    if (!this.isXyzPyramid()) {
+      // Ensure we have tiles
+      if (this.tiles.length === 0) {
+        await this.createSyntheticTileGrid();
       }
-      if (!this.groundTruthMasks.has(tile.id)) {
-        await this.loadGroundTruthMask(tile.id, tile.groundTruthPath);
+
+      // Load/generate masks for all tiles
+      for (const tile of this.tiles) {
+        if (!this.segmentationMasks.has(tile.id)) {
+          await this.loadSegmentationMask(tile.id, tile.segmentationPath);
+        }
+        if (!this.groundTruthMasks.has(tile.id) && !this.predictionOnlyTiles.has(tile.id)) {
+          await this.loadGroundTruthMask(tile.id, tile.groundTruthPath);
+        }
+        if (!this.segmentationMasks.get(tile.id).probabilities) {
+          await this.loadProbabilityTensor(tile);
+        }
+        if (this.hasModelComparison() && !this.comparisonMasks.has(tile.id)) {
+          await this.loadComparisonMask(tile);
+        }
       }
     }
 
-    // Compute errors for all tiles
+    return this.collectVisualizationData();
+  }
+
+  /**
+   * Aggregate error regions, confidence points and statistics over the active tiles
+   */
+  collectVisualizationData() {
     const allErrors = {
       type: 'FeatureCollection',
       features: []
     };
 
-    let totalStats = {
-      totalPixels: 0,
-      truePositives: 0,
-      trueNegatives: 0,
-      falsePositives: 0,
-      falseNegatives: 0
-    };
+    const totalMatrix = this.createConfusionMatrix();
+    const activeTiles = this.getActiveTiles();
 
-    for (const tile of this.tiles) {
-      const errors = this.computeErrors(tile.id);
-      if (errors) {
-        const geoJson = this.errorsToGeoJSON(tile.id, errors);
-        if (geoJson) {
-          allErrors.features.push(...geoJson.features);
-        }
+    for (const tile of activeTiles) {
+      const summary = this.getTileErrorSummary(tile.id);
+      if (!summary) continue;
 
-        // Aggregate statistics
-        totalStats.totalPixels += errors.statistics.totalPixels;
-        totalStats.truePositives += errors.statistics.truePositives;
-        totalStats.trueNegatives += errors.statistics.trueNegatives;
-        totalStats.falsePositives += errors.statistics.falsePositives;
-        totalStats.falseNegatives += errors.statistics.falseNegatives;
-      }
+      allErrors.features.push(...summary.features);
+
+      // Aggregate confusion matrix across tiles
+      summary.confusionMatrix.forEach((row, gt) => {
+        row.forEach((count, pred) => { totalMatrix[gt][pred] += count; });
+      });
     }
 
     // Compute aggregate statistics
-    const accuracy = (totalStats.truePositives + totalStats.trueNegatives) / totalStats.totalPixels;
-    const precision = totalStats.truePositives / (totalStats.truePositives + totalStats.falsePositives) || 0;
-    const recall = totalStats.truePositives / (totalStats.truePositives + totalStats.falseNegatives) || 0;
-
-    this.statistics = {
-      ...totalStats,
-      accuracy,
-      precision,
-      recall,
-      f1Score: 2 * (precision * recall) / (precision + recall) || 0
-    };
+    this.statistics = this.computeMatrixStatistics(totalMatrix);
+    const accuracy = this.statistics.accuracy;
 
     // Collect confidence data from all tiles
     const allConfidenceData = [];
-    for (const tile of this.tiles) {
+    for (const tile of activeTiles) {
       const confData = this.getConfidenceData(tile.id);
       allConfidenceData.push(...confData);
     }
@@ -1155,8 +2515,248 @@ class Tile2NetDataLoader {
       errors: allErrors,
       confidenceData: allConfidenceData,
       statistics: this.statistics,
-      tiles: this.tiles
+      tiles: activeTiles
+    };
+  }
+
+  /**
+   * Error polygons and confusion matrix for one tile (computed once, then cached)
+   * @returns {Object|null} { features, confusionMatrix }, or null without both masks
+   */
+  getTileErrorSummary(tileId) {
+    if (this.tileErrorCache.has(tileId)) return this.tileErrorCache.get(tileId);
+    if (!this.segmentationMasks.has(tileId) || !this.groundTruthMasks.has(tileId)) return null;
+
+    const errors = this.computeErrors(tileId);
+    if (!errors) return null;
+
+    const geoJson = this.errorsToGeoJSON(tileId, errors);
+    const summary = {
+      features: geoJson ? geoJson.features : [],
+      confusionMatrix: errors.confusionMatrix
+    };
+
+    this.tileErrorCache.set(tileId, summary);
+    return summary;
+  }
+
+  // ============================================
+  // XYZ TILE PYRAMID
+  // ============================================
+
+  /**
+   * Configure a {z}/{x}/{y} mask pyramid (tiles are fetched per viewport)
+   * @param {Object} xyzConfig - { predictions, groundTruth, probabilities, minZoom, maxZoom, maxTilesPerView, maxCachedTiles }
+   */
+  configureXyzPyramid(xyzConfig) {
+    this.xyz = {
+      predictions: xyzConfig.predictions,
+      groundTruth: xyzConfig.groundTruth || null,
+      probabilities: xyzConfig.probabilities || null,
+      minZoom: xyzConfig.minZoom ?? 14,
+      maxZoom: xyzConfig.maxZoom ?? 19,
+      maxTilesPerView: xyzConfig.maxTilesPerView || 64,
+      maxCachedTiles: xyzConfig.maxCachedTiles || 256
+    };
+    this.tiles = [];
+    this.totalTiles = 0;
+    this.activeZoom = null;
+    this.missingXyzTiles = new Set();
+
+    console.log(`✅ Using XYZ mask pyramid (z${this.xyz.minZoom}-${this.xyz.maxZoom}): ${this.xyz.predictions}`);
+    return this.tiles;
+  }
+
+  /**
+   * Check whether masks come from an XYZ pyramid
+   */
+  isXyzPyramid() {
+    return !!this.xyz;
+  }
+
+  /**
+   * Tiles to render and aggregate: the active pyramid zoom, or every tile
+   */
+  getActiveTiles() {
+    if (!this.isXyzPyramid()) return this.tiles;
+    return this.tiles.filter(t => t.xyz.z === this.activeZoom);
+  }
+
+  /**
+   * Load the pyramid tiles covering a viewport (already-loaded tiles are reused)
+   * @param {Object} viewBounds - { west, south, east, north } in degrees
+   * @param {number} mapZoom - Current map zoom
+   * @returns {Array} Newly loaded tiles
+   */
+  async loadTilesForViewport(viewBounds, mapZoom) {
+    if (!this.isXyzPyramid()) return [];
+
+    const { minZoom, maxZoom, maxTilesPerView } = this.xyz;
+    let z = Math.max(minZoom, Math.min(maxZoom, Math.round(mapZoom)));
+    let range = this.getTileRange(viewBounds, z);
+
+    // Step down the pyramid rather than request hundreds of tiles
+    while (z > minZoom && range.count > maxTilesPerView) {
+      z--;
+      range = this.getTileRange(viewBounds, z);
+    }
+    if (range.count > maxTilesPerView) {
+      console.warn(`⚠️ ${range.count} mask tiles in view at z${z}; zoom in to load masks`);
+      return [];
+    }
+
+    this.activeZoom = z;
+
+    const requests = [];
+    const inView = new Set();
+    for (let x = range.xMin; x <= range.xMax; x++) {
+      for (let y = range.yMin; y <= range.yMax; y++) {
+        const id = `z${z}_${x}_${y}`;
+        inView.add(id);
+        if (this.segmentationMasks.has(id) || this.missingXyzTiles.has(id)) continue;
+        requests.push(this.loadXyzTile(this.createXyzTile(z, x, y)));
+      }
+    }
+
+    const loaded = (await Promise.all(requests)).filter(Boolean);
+    this.evictXyzTiles(inView);
+
+    if (loaded.length > 0) {
+      console.log(`✅ Loaded ${loaded.length} pyramid tiles at z${z}`);
+    }
+    return loaded;
+  }
+
+  /**
+   * Range of tile x/y indices covering bounds at zoom z
+   */
+  getTileRange(viewBounds, z) {
+    const n = Math.pow(2, z);
+    const toX = lng => Math.max(0, Math.min(n - 1, Math.floor((lng + 180) / 360 * n)));
+    const toY = lat => {
+      const rad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+      return Math.max(0, Math.min(n - 1, Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n)));
     };
+
+    const xMin = toX(viewBounds.west), xMax = toX(viewBounds.east);
+    const yMin = toY(viewBounds.north), yMax = toY(viewBounds.south);
+    return { xMin, xMax, yMin, yMax, count: (xMax - xMin + 1) * (yMax - yMin + 1) };
+  }
+
+  /**
+   * Create a tile entry for pyramid tile z/x/y
+   * Bounds are the tile's lat/lng envelope; within one tile the Mercator row
+   * spacing is treated as linear in latitude (sub-pixel error at z14+).
+   */
+  createXyzTile(z, x, y) {
+    const n = Math.pow(2, z);
+    const lng = tx => tx / n * 360 - 180;
+    const lat = ty => Math.atan(Math.sinh(Math.PI * (1 - 2 * ty / n))) * 180 / Math.PI;
+    const fill = template => template ?
+      template.replace('{z}', z).replace('{x}', x).replace('{y}', y) : null;
+
+    const bounds = [[lat(y + 1), lng(x)], [lat(y), lng(x + 1)]];
+    return {
+      id: `z${z}_${x}_${y}`,
+      row: y,
+      col: x,
+      xyz: { z, x, y },
+      bounds: bounds,
+      center: [(bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2],
+      segmentationPath: fill(this.xyz.predictions),
+      groundTruthPath: fill(this.xyz.groundTruth),
+      probabilityPath: fill(this.xyz.probabilities)
+    };
+  }
+
+  /**
+   * Fetch one pyramid tile's prediction, ground truth and probabilities
+   * Missing tiles are remembered and never replaced with synthetic data.
+   */
+  async loadXyzTile(tile) {
+    const predImage = await this.loadImageData(tile.segmentationPath);
+    if (!predImage) {
+      this.missingXyzTiles.add(tile.id);
+      return null;
+    }
+
+    this.segmentationMasks.set(tile.id, {
+      width: predImage.width,
+      height: predImage.height,
+      pixels: this.decodeSegmentationMask(predImage),
+      confidences: this.computeConfidenceFromImage(predImage),
+      path: tile.segmentationPath,
+      synthetic: false
+    });
+
+    if (tile.groundTruthPath) {
+      const gtImage = await this.loadImageData(tile.groundTruthPath);
+      if (gtImage) {
+        this.groundTruthMasks.set(tile.id, {
+          width: gtImage.width,
+          height: gtImage.height,
+          pixels: this.decodeSegmentationMask(gtImage),
+          path: tile.groundTruthPath
+        });
+      }
+    }
+
+    if (tile.probabilityPath) {
+      await this.loadProbabilityTensor(tile);
+    }
+
+    if (this.hasModelComparison()) {
+      await this.loadComparisonMask(tile);
+    }
+
+    this.tiles.push(tile);
+    this.totalTiles = this.tiles.length;
+    this.loadedRealTiles++;
+    return tile;
+  }
+
+  /**
+   * Drop the oldest off-screen pyramid tiles beyond the cache limit
+   * @param {Set<string>} keepIds - Tile ids in the current view
+   */
+  evictXyzTiles(keepIds) {
+    const excess = this.tiles.length - this.xyz.maxCachedTiles;
+    if (excess <= 0) return;
+
+    const evict = this.tiles.filter(t => !keepIds.has(t.id)).slice(0, excess);
+    const evictIds = new Set(evict.map(t => t.id));
+
+    evictIds.forEach(id => {
+      this.segmentationMasks.delete(id);
+      this.groundTruthMasks.delete(id);
+      this.comparisonMasks.delete(id);
+      this.tileErrorCache.delete(id);
+    });
+    this.tiles = this.tiles.filter(t => !evictIds.has(t.id));
+    this.totalTiles = this.tiles.length;
+  }
+
+  /**
+   * Load an image into ImageData (null if it cannot be loaded)
+   * @param {string} path - Image URL
+   */
+  loadImageData(path) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        resolve(ctx.getImageData(0, 0, img.width, img.height));
+      };
+      img.onerror = () => resolve(null);
+
+      img.src = path;
+    });
   }
 
   /**
@@ -1170,11 +2770,7 @@ class Tile2NetDataLoader {
    * Get class legend data
    */
   getClassLegend() {
-    return Object.entries(this.classLabels).map(([id, name]) => ({
-      id: parseInt(id),
-      name: name,
-      color: this.classColors[name]
-    }));
+    return this.getClasses().map(({ id, name, label, color }) => ({ id, name, label, color }));
   }
 }
 
@@ -7,6 +7,8 @@
  * 3. FP/FN regions are GEOREFERENCED polygons that move with the map
  * 4. Crosswalks must be clearly visible and aligned with street geometry
  * 5. Errors mode shows meaningful comparison between prediction and ground truth
+ * 6. When a Tile2NetDataLoader is attached, every mode draws the decoded per-pixel
+ *    masks, georeferenced by each tile's bounds (Mapbox road shapes are the fallback)
  */
 
 class ViewportSegmentationOverlay {
@@ -19,7 +21,7 @@ class ViewportSegmentationOverlay {
     this.ctx = null;
 
     // Display settings
-    // Modes: 'original', 'prediction', 'groundTruth', 'error', 'confidence'
+    // Modes: 'original', 'prediction', 'groundTruth', 'error', 'confidence', 'modelDiff'
     this.displayMode = 'prediction';
     this.opacity = 0.7;
     this.visible = true;
@@ -44,9 +46,17 @@ class ViewportSegmentationOverlay {
       max: 1
     };
 
-    // Simulated per-feature confidence data (in real implementation, from tile2net)
+    // Per-pixel confidence measure when class probabilities are loaded
+    // 'maxProb' (top softmax score), 'margin' (top1 - top2) or 'entropy' (1 - normalized entropy)
+    this.confidenceMetric = 'maxProb';
+
+    // Per-feature confidence sampled from the loaded confidence rasters
     this.featureConfidence = new Map();
 
+    // Per-feature quality matched from the network GeoJSON / NetworkAnalyzer
+    this.featureQuality = new Map();
+    this.qualitySource = null; // { analyzer, edges, grid }
+
     // DISTINCT class colors - completely separate, no mixing
     this.classColors = {
       road: { r: 76, g: 175, b: 80 },       // Green ONLY for roads
@@ -62,6 +72,11 @@ class ViewportSegmentationOverlay {
       crosswalk: { r: 233, g: 30, b: 99 }   // PINK/MAGENTA (instead of red)
     };
 
+    // applyClassSchema() restores these defaults, then adds or overrides one entry
+    // per class of the loader's class schema (schema display colors win)
+    this.defaultClassColors = { ...this.classColors };
+    this.defaultGtColors = { ...this.gtColors };
+
     // Error colors for FP/FN/TP
     this.errorColors = {
       truePositive: { r: 45, g: 212, b: 191 },   // Teal - correct predictions
@@ -69,6 +84,13 @@ class ViewportSegmentationOverlay {
       falseNegative: { r: 251, g: 191, b: 36 }   // Amber - in GT but not predicted
     };
 
+    // Model diff colors (second prediction set vs the same ground truth)
+    this.modelDiffColors = {
+      aOnly: { r: 59, g: 130, b: 246 },     // Blue - A right, B wrong
+      bOnly: { r: 249, g: 115, b: 22 },     // Orange - B right, A wrong
+      bothWrong: { r: 148, g: 163, b: 184 } // Slate - neither model right
+    };
+
     // Street widths in METERS
     this.roadWidthMeters = {
       'motorway': 10,
@@ -93,11 +115,22 @@ class ViewportSegmentationOverlay {
 
     // GEOREFERENCED ERROR REGIONS - stored as lat/lng polygons
     // These are FIXED geographic locations that move with the map
+    // Populated from computeErrors() output or errors.geojson via setErrorRegions()
     this.geoErrorRegions = [];
-    this.geoErrorRegionsInitialized = false; // Only initialize once!
+    this.unknownErrorTypes = {}; // errorType -> features skipped by buildGeoErrorRegions()
+    this.errorRegionData = null;   // Source GeoJSON FeatureCollection
+    this.isolatedRegion = null;    // Region currently isolated by click
+    this.isolationTimer = null;
+    this.isolationPreviousVisibility = null;
 
     // Statistics
     this.statistics = null;
+    this.lastModelDiff = null; // Viewport model comparison (compareModelStatistics)
+
+    // Tile2Net mask data (set via setDataLoader)
+    this.dataLoader = null;
+    this.maskCanvasCache = new Map(); // tileId -> rendered mask canvas
+    this.maskCacheKey = null;         // mode + filters the cache was built for
 
     // Network graph overlay data (for Idea B)
     this.networkData = null;
@@ -133,11 +166,9 @@ class ViewportSegmentationOverlay {
     this.enforceZoomLimits();
 
     if (this.map.isStyleLoaded()) {
-      this.initializeGeoErrorRegions();
       this.scheduleRender();
     } else {
       this.map.on('style.load', () => {
-        this.initializeGeoErrorRegions();
         this.scheduleRender();
       });
     }
@@ -215,19 +246,25 @@ class ViewportSegmentationOverlay {
         const clickedRegion = this.findErrorRegionAtPoint(e.lngLat);
         if (clickedRegion) {
           this.isolateErrorRegion(clickedRegion);
+        } else if (this.isolatedRegion) {
+          this.clearIsolation();
         }
       }
     });
   }
 
   /**
-   * Find error region at a clicked point
+   * Find the visible error region at a clicked point
+   * @param {Object} lngLat - Mapbox LngLat ({ lng, lat })
    */
   findErrorRegionAtPoint(lngLat) {
     if (!this.geoErrorRegions) return null;
 
+    const point = [lngLat.lng, lngLat.lat];
+
     for (const region of this.geoErrorRegions) {
-      if (this.pointInPolygon(lngLat, region.polygon)) {
+      if (!this.passesRegionFilters(region)) continue;
+      if (this.pointInPolygon(point, region.polygon)) {
         return region;
       }
     }
@@ -236,18 +273,19 @@ class ViewportSegmentationOverlay {
 
   /**
    * Isolate and highlight a specific error region
-   * Zooms to the region and shows only that error type
+   * Zooms to the region and shows only that region until the next click
+   * (or after 5 seconds)
    */
   isolateErrorRegion(region) {
     // Calculate bounds of the region
     let minLng = Infinity, maxLng = -Infinity;
     let minLat = Infinity, maxLat = -Infinity;
 
-    for (const point of region.polygon) {
-      minLng = Math.min(minLng, point.lng);
-      maxLng = Math.max(maxLng, point.lng);
-      minLat = Math.min(minLat, point.lat);
-      maxLat = Math.max(maxLat, point.lat);
+    for (const [lng, lat] of region.polygon) {
+      minLng = Math.min(minLng, lng);
+      maxLng = Math.max(maxLng, lng);
+      minLat = Math.min(minLat, lat);
+      maxLat = Math.max(maxLat, lat);
     }
 
     // Zoom to region with padding
@@ -256,11 +294,17 @@ class ViewportSegmentationOverlay {
       { padding: 100, duration: 500 }
     );
 
-    // Temporarily show only this error type
-    const errorType = region.type;
-    const previousVisibility = { ...this.errorTypeVisibility };
+    // Remember the filters from before the first isolation only
+    if (!this.isolatedRegion) {
+      this.isolationPreviousVisibility = { ...this.errorTypeVisibility };
+    }
+    if (this.isolationTimer) {
+      clearTimeout(this.isolationTimer);
+    }
 
-    // Hide all error types except the clicked one
+    // Show only this region and its error type
+    const errorType = region.type;
+    this.isolatedRegion = region;
     this.errorTypeVisibility = {
       truePositive: errorType === 'tp',
       falsePositive: errorType === 'fp',
@@ -286,18 +330,38 @@ class ViewportSegmentationOverlay {
     };
 
     if (window.app && window.app.showToast) {
+      const details = [
+        region.severity ? `${region.severity} severity` : null,
+        region.confidence !== null ? `${Math.round(region.confidence * 100)}% confidence` : null,
+        region.area !== null ? `${region.area.toFixed(1)} m²` : null
+      ].filter(Boolean).join(', ');
+      const description = region.description ? ` ${region.description}.` : '';
+
       window.app.showToast(
         'Region Isolated',
-        `Showing ${typeLabels[errorType]} region. Click elsewhere to reset.`,
+        `${typeLabels[errorType]}${details ? ` (${details})` : ''}.${description} Click elsewhere to reset.`,
         'info'
       );
     }
 
     // Reset after 5 seconds or on next click
-    setTimeout(() => {
-      this.errorTypeVisibility = previousVisibility;
-      this.scheduleRender();
-    }, 5000);
+    this.isolationTimer = setTimeout(() => this.clearIsolation(), 5000);
+  }
+
+  /**
+   * Restore filters after an error region was isolated
+   */
+  clearIsolation() {
+    if (this.isolationTimer) {
+      clearTimeout(this.isolationTimer);
+      this.isolationTimer = null;
+    }
+    if (this.isolationPreviousVisibility) {
+      this.errorTypeVisibility = this.isolationPreviousVisibility;
+      this.isolationPreviousVisibility = null;
+    }
+    this.isolatedRegion = null;
+    this.scheduleRender();
   }
 
   onMoveStart() {
@@ -336,89 +400,137 @@ class ViewportSegmentationOverlay {
   }
 
   /**
-   * Initialize GEOREFERENCED error regions - ONLY ONCE at startup
-   * These are FIXED geographic coordinates that MOVE WITH THE MAP when panning
+   * Set GEOREFERENCED error regions from a GeoJSON FeatureCollection
+   * Accepts computeErrors()-derived features or data/sample/errors.geojson.
+   * Polygon/MultiPolygon features become regions; other geometries are skipped.
    *
    * The regions represent areas where:
    * - FP (False Positive): Model predicted infrastructure that doesn't exist
    * - FN (False Negative): Model missed infrastructure that does exist
    * - TP (True Positive): Model correctly predicted (everywhere else)
+   * @param {Object} geojson - FeatureCollection of error regions
    */
-  initializeGeoErrorRegions() {
-    // Only initialize once! These are FIXED geographic locations
-    if (this.geoErrorRegionsInitialized) {
-      return;
+  setErrorRegions(geojson) {
+    this.errorRegionData = geojson;
+    this.geoErrorRegions = this.buildGeoErrorRegions(geojson);
+
+    // Keep an isolated region across reloads of the same data (e.g. pyramid refresh)
+    const isolatedId = this.isolatedRegion?.id;
+    const stillPresent = isolatedId && this.geoErrorRegions.find(r => r.id === isolatedId);
+    if (stillPresent) {
+      this.isolatedRegion = stillPresent;
+    } else if (this.isolatedRegion) {
+      this.clearIsolation();
     }
 
-    const center = this.map.getCenter();
-    const centerLng = center.lng;
-    const centerLat = center.lat;
-
-    // Create FIXED geographic regions around the initial center point
-    // These coordinates are absolute and will move with the map
-
-    // FP region: Northeast of center (simulating an area with false positive predictions)
-    // This could represent an area where the model incorrectly predicted roads/sidewalks
-    const fpOffset = 0.003; // ~300m offset
-    const fpRegion = {
-      type: 'fp',
-      label: 'False Positive Zone',
-      description: 'Model predicted infrastructure here, but none exists',
-      polygon: [
-        [centerLng + fpOffset * 0.5, centerLat + fpOffset * 0.5],
-        [centerLng + fpOffset * 2.0, centerLat + fpOffset * 0.5],
-        [centerLng + fpOffset * 2.0, centerLat + fpOffset * 1.8],
-        [centerLng + fpOffset * 0.5, centerLat + fpOffset * 1.8],
-        [centerLng + fpOffset * 0.5, centerLat + fpOffset * 0.5] // Close polygon
-      ]
-    };
+    console.log(`📍 Loaded ${this.geoErrorRegions.length} geo-referenced error regions`);
+    this.scheduleRender();
+  }
 
-    // FN region: Southwest of center (simulating an area with false negatives)
-    // This could represent an area where the model missed actual infrastructure
-    const fnRegion = {
-      type: 'fn',
-      label: 'False Negative Zone',
-      description: 'Actual infrastructure exists here, but model missed it',
-      polygon: [
-        [centerLng - fpOffset * 2.0, centerLat - fpOffset * 1.8],
-        [centerLng - fpOffset * 0.5, centerLat - fpOffset * 1.8],
-        [centerLng - fpOffset * 0.5, centerLat - fpOffset * 0.5],
-        [centerLng - fpOffset * 2.0, centerLat - fpOffset * 0.5],
-        [centerLng - fpOffset * 2.0, centerLat - fpOffset * 1.8] // Close polygon
-      ]
-    };
+  /**
+   * Convert error features into region objects used for drawing and hit testing
+   */
+  buildGeoErrorRegions(geojson) {
+    const regions = [];
+    if (!geojson || !Array.isArray(geojson.features)) return regions;
+
+    const typeLabels = { fp: 'False Positive', fn: 'False Negative', tp: 'True Positive' };
+    const unknownTypes = new Map(); // errorType -> skipped feature count
+
+    geojson.features.forEach((feature, index) => {
+      const geometry = feature.geometry;
+      if (!geometry) return;
+
+      let rings;
+      if (geometry.type === 'Polygon') {
+        rings = [geometry.coordinates[0]];
+      } else if (geometry.type === 'MultiPolygon') {
+        rings = geometry.coordinates.map(polygon => polygon[0]);
+      } else {
+        return;
+      }
 
-    // Additional FP region: A smaller spot (simulating a specific false positive)
-    const fpSpot = {
-      type: 'fp',
-      label: 'FP Spot',
-      polygon: [
-        [centerLng + fpOffset * 0.2, centerLat - fpOffset * 0.8],
-        [centerLng + fpOffset * 0.8, centerLat - fpOffset * 0.8],
-        [centerLng + fpOffset * 0.8, centerLat - fpOffset * 0.3],
-        [centerLng + fpOffset * 0.2, centerLat - fpOffset * 0.3],
-        [centerLng + fpOffset * 0.2, centerLat - fpOffset * 0.8]
-      ]
-    };
+      const props = feature.properties || {};
+      const type = this.normalizeErrorType(props.errorType);
+      if (!type) {
+        const key = String(props.errorType ?? '(none)');
+        unknownTypes.set(key, (unknownTypes.get(key) || 0) + 1);
+        return;
+      }
 
-    // Additional FN region: A smaller spot (simulating a specific missed prediction)
-    const fnSpot = {
-      type: 'fn',
-      label: 'FN Spot',
-      polygon: [
-        [centerLng - fpOffset * 0.8, centerLat + fpOffset * 0.3],
-        [centerLng - fpOffset * 0.2, centerLat + fpOffset * 0.3],
-        [centerLng - fpOffset * 0.2, centerLat + fpOffset * 0.9],
-        [centerLng - fpOffset * 0.8, centerLat + fpOffset * 0.9],
-        [centerLng - fpOffset * 0.8, centerLat + fpOffset * 0.3]
-      ]
-    };
+      rings.forEach(ring => {
+        if (!ring || ring.length < 3) return;
+
+        regions.push({
+          id: props.id ?? feature.id ?? `region_${index}`,
+          type,
+          errorType: props.errorType,
+          label: props.label || (String(props.errorType).toLowerCase() === 'confidence_mismatch' ? 'Confidence Mismatch' : typeLabels[type]),
+          description: props.description || '',
+          confidence: typeof props.confidence === 'number' ? props.confidence : null,
+          area: typeof props.area === 'number' ? props.area : null,
+          severity: props.severity || null,
+          properties: props,
+          polygon: ring
+        });
+      });
+    });
+
+    this.unknownErrorTypes = Object.fromEntries(unknownTypes);
+    if (unknownTypes.size > 0) {
+      const summary = [...unknownTypes].map(([type, count]) => `${type} (${count})`).join(', ');
+      console.warn(`⚠️ Skipped error features with unknown errorType: ${summary}`);
+      if (window.app && window.app.showToast) {
+        window.app.showToast('Error Regions', `Skipped features with unknown error type: ${summary}`, 'warning');
+      }
+    }
+
+    return regions;
+  }
+
+  /**
+   * Map an errorType property ('false_positive', 'fp', 'misclassification', ...)
+   * to the short region type used by the filters. A confidence mismatch is a
+   * confident prediction of the wrong class, so it counts as a false positive.
+   * Unknown types return null and are counted in unknownErrorTypes.
+   */
+  normalizeErrorType(errorType) {
+    switch (String(errorType || '').toLowerCase()) {
+      case 'fp':
+      case 'false_positive':
+      case 'falsepositive':
+      case 'misclassification':
+      case 'confidence_mismatch':
+      case 'confidencemismatch':
+        return 'fp';
+      case 'fn':
+      case 'false_negative':
+      case 'falsenegative':
+        return 'fn';
+      case 'tp':
+      case 'true_positive':
+      case 'truepositive':
+        return 'tp';
+      default:
+        return null;
+    }
+  }
 
-    this.geoErrorRegions = [fpRegion, fnRegion, fpSpot, fnSpot];
-    this.geoErrorRegionsInitialized = true;
+  /**
+   * Check a region against the error type, confidence and isolation filters
+   */
+  passesRegionFilters(region) {
+    if (this.isolatedRegion && region.id !== this.isolatedRegion.id) return false;
+    if (region.type === 'fp' && !this.errorTypeVisibility.falsePositive) return false;
+    if (region.type === 'fn' && !this.errorTypeVisibility.falseNegative) return false;
+    if (region.type === 'tp' && !this.errorTypeVisibility.truePositive) return false;
+
+    if (region.confidence !== null &&
+        (region.confidence < this.confidenceRange.min || region.confidence > this.confidenceRange.max)) {
+      return false;
+    }
 
-    console.log('📍 Initialized FIXED geo-referenced error regions at:',
-      `center: [${centerLng.toFixed(4)}, ${centerLat.toFixed(4)}]`);
+    return true;
   }
 
   /**
@@ -539,14 +651,9 @@ class ViewportSegmentationOverlay {
    * Get screen coordinates for a geometry
    */
   getScreenCoords(geometry) {
-    if (!geometry) return null;
-
-    if (geometry.type === 'LineString') {
-      return [this.projectToScreen(geometry.coordinates)];
-    } else if (geometry.type === 'MultiLineString') {
-      return geometry.coordinates.map(line => this.projectToScreen(line));
-    }
-    return null;
+    const lines = this.getLineParts(geometry);
+    if (lines.length === 0) return null;
+    return lines.map(line => this.projectToScreen(line));
   }
 
   /**
@@ -629,11 +736,7 @@ class ViewportSegmentationOverlay {
    * Get center coordinate of a feature's geometry
    */
   getFeatureCenterGeo(feature) {
-    if (!feature.geometry) return null;
-
-    const coords = feature.geometry.type === 'LineString'
-      ? feature.geometry.coordinates
-      : feature.geometry.coordinates[0];
+    const coords = this.getLineParts(feature.geometry)[0];
 
     if (!coords || coords.length === 0) return null;
     return coords[Math.floor(coords.length / 2)];
@@ -717,7 +820,7 @@ class ViewportSegmentationOverlay {
 
   /**
    * Main render function
-   * Handles all display modes: original, prediction, groundTruth, error, confidence
+   * Handles all display modes: original, prediction, groundTruth, error, confidence, modelDiff
    */
   renderOverlay() {
     if (!this.visible || !this.ctx || !this.map.isStyleLoaded()) return;
@@ -740,20 +843,25 @@ class ViewportSegmentationOverlay {
 
     const features = this.queryStreetFeatures();
 
-    // Assign simulated confidence values to features (in production, from tile2net)
+    // Sample per-feature confidence from the loaded confidence rasters
     this.assignFeatureConfidence(features);
 
-    switch (this.displayMode) {
-      case 'error':
-        this.renderErrorMode(ctx, features);
-        break;
-      case 'confidence':
-        this.renderConfidenceMode(ctx, features);
-        break;
-      case 'prediction':
-      case 'groundTruth':
-      default:
-        this.renderSegmentationMode(ctx, features);
+    if (this.hasMaskData()) {
+      // Real tile2net masks are loaded - draw them instead of road-derived shapes
+      this.renderMaskMode(ctx);
+    } else {
+      switch (this.displayMode) {
+        case 'error':
+          this.renderErrorMode(ctx, features);
+          break;
+        case 'confidence':
+          this.renderConfidenceMode(ctx, features);
+          break;
+        case 'prediction':
+        case 'groundTruth':
+        default:
+          this.renderSegmentationMode(ctx, features);
+      }
     }
 
     ctx.globalAlpha = 1.0;
@@ -767,6 +875,337 @@ class ViewportSegmentationOverlay {
     }
   }
 
+  // ============================================
+  // TILE2NET MASK RENDERING
+  // ============================================
+
+  /**
+   * Check whether decoded tile2net masks are available for rendering
+   * The loader's synthetic fallback masks don't count: they are not aligned to
+   * the streets, so the road-derived fallback is drawn instead.
+   */
+  hasMaskData() {
+    const loader = this.dataLoader;
+    if (!loader) return false;
+    // A pyramid counts even before its first tiles arrive, so the road-derived
+    // fallback never stands in for real masks
+    if (loader.isXyzPyramid()) return true;
+    if (loader.usingSyntheticData || loader.tiles.length === 0) return false;
+    return [...loader.segmentationMasks.values()].some(mask => !mask.synthetic);
+  }
+
+  /**
+   * Render the current display mode from the loaded per-pixel masks
+   */
+  renderMaskMode(ctx) {
+    switch (this.displayMode) {
+      case 'error':
+        this.drawMaskTiles(ctx, 'error');
+        this.renderGeoErrorRegions(ctx);
+        this.drawErrorLegend(ctx);
+        break;
+      case 'confidence':
+        this.drawMaskTiles(ctx, 'confidence');
+        this.drawModeLabel(ctx, 'CONFIDENCE MAP', { r: 100, g: 200, b: 255 });
+        this.drawConfidenceLegend(ctx);
+        break;
+      case 'groundTruth':
+        this.drawMaskTiles(ctx, 'groundTruth');
+        this.drawModeLabel(ctx, 'GROUND TRUTH', { r: 255, g: 152, b: 0 });
+        break;
+      case 'modelDiff':
+        this.drawMaskTiles(ctx, 'modelDiff');
+        this.drawModelDiffLegend(ctx);
+        break;
+      case 'prediction':
+      default:
+        this.drawMaskTiles(ctx, 'prediction');
+    }
+  }
+
+  /**
+   * Draw every tile mask that intersects the viewport
+   * Each mask image is mapped onto its tile bounds with an affine transform,
+   * so it stays georeferenced when the map is panned, zoomed or rotated.
+   * @param {CanvasRenderingContext2D} ctx - Target context (screen space)
+   * @param {string} mode - 'prediction', 'groundTruth', 'error', 'confidence' or 'modelDiff'
+   */
+  drawMaskTiles(ctx, mode) {
+    if (!this.hasMaskData()) return;
+
+    const viewBounds = this.map.getBounds();
+
+    for (const tile of this.dataLoader.getActiveTiles()) {
+      if (!tile.bounds || !this.tileIntersectsBounds(tile.bounds, viewBounds)) continue;
+
+      const image = this.getMaskCanvas(tile.id, mode);
+      if (!image) continue;
+
+      // Tile bounds are [[latMin, lngMin], [latMax, lngMax]]; pixel row 0 is north
+      const [[latMin, lngMin], [latMax, lngMax]] = tile.bounds;
+      const nw = this.map.project([lngMin, latMax]);
+      const ne = this.map.project([lngMax, latMax]);
+      const sw = this.map.project([lngMin, latMin]);
+
+      ctx.save();
+      ctx.imageSmoothingEnabled = false;
+      ctx.transform(
+        (ne.x - nw.x) / image.width, (ne.y - nw.y) / image.width,
+        (sw.x - nw.x) / image.height, (sw.y - nw.y) / image.height,
+        nw.x, nw.y
+      );
+      ctx.drawImage(image, 0, 0);
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Check if tile bounds ([[latMin, lngMin], [latMax, lngMax]]) overlap map bounds
+   */
+  tileIntersectsBounds(tileBounds, mapBounds) {
+    const [[latMin, lngMin], [latMax, lngMax]] = tileBounds;
+    return !(lngMax < mapBounds.getWest() || lngMin > mapBounds.getEast() ||
+             latMax < mapBounds.getSouth() || latMin > mapBounds.getNorth());
+  }
+
+  /**
+   * Get (or build) the colored mask canvas for a tile
+   * The cache is rebuilt whenever the mode or any filter changes.
+   */
+  getMaskCanvas(tileId, mode) {
+    const cacheKey = JSON.stringify([
+      mode,
+      this.classVisibility,
+      this.errorTypeVisibility,
+      this.confidenceRange,
+      this.confidenceMetric
+    ]);
+
+    if (cacheKey !== this.maskCacheKey) {
+      this.maskCanvasCache.clear();
+      this.maskCacheKey = cacheKey;
+    }
+
+    // Drop canvases of tiles the loader has evicted
+    if (this.maskCanvasCache.size > this.dataLoader.segmentationMasks.size) {
+      for (const id of this.maskCanvasCache.keys()) {
+        if (!this.dataLoader.segmentationMasks.has(id)) this.maskCanvasCache.delete(id);
+      }
+    }
+
+    if (!this.maskCanvasCache.has(tileId)) {
+      this.maskCanvasCache.set(tileId, this.buildMaskCanvas(tileId, mode));
+    }
+
+    return this.maskCanvasCache.get(tileId);
+  }
+
+  /**
+   * Colorize a tile's mask pixels into an offscreen canvas
+   */
+  buildMaskCanvas(tileId, mode) {
+    const prediction = this.dataLoader.segmentationMasks.get(tileId);
+    const groundTruth = this.dataLoader.groundTruthMasks.get(tileId);
+    const comparison = this.dataLoader.comparisonMasks.get(tileId);
+    const source = mode === 'groundTruth' ? groundTruth : prediction;
+
+    if (!source) return null;
+    if (mode === 'error' && (!prediction || !groundTruth)) return null;
+    if (mode === 'error' && (groundTruth.width !== prediction.width || groundTruth.height !== prediction.height)) {
+      console.warn(`⚠️ Prediction and ground truth sizes differ for ${tileId}, skipping error mask`);
+      return null;
+    }
+    if (mode === 'modelDiff' && (!groundTruth || !comparison)) return null;
+    if (mode === 'modelDiff' && (!this.dataLoader.sameSize(prediction, groundTruth) ||
+        !this.dataLoader.sameSize(comparison, groundTruth))) {
+      console.warn(`⚠️ Model mask sizes differ for ${tileId}, skipping model diff`);
+      return null;
+    }
+
+    const { width, height } = source;
+    const imageData = new ImageData(width, height);
+    const data = imageData.data;
+
+    for (let i = 0; i < width * height; i++) {
+      const pixel = this.getMaskPixelColor(mode, i, prediction, groundTruth, comparison);
+      if (!pixel || !pixel.color) continue;
+
+      data[i * 4] = pixel.color.r;
+      data[i * 4 + 1] = pixel.color.g;
+      data[i * 4 + 2] = pixel.color.b;
+      data[i * 4 + 3] = pixel.alpha;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Resolve the display color of a single mask pixel (null = transparent)
+   * Applies class visibility, error type and confidence filters.
+   * @param {Object} comparison - Second model's mask (modelDiff mode only)
+   */
+  getMaskPixelColor(mode, i, prediction, groundTruth, comparison) {
+    const loader = this.dataLoader;
+    const labels = loader.classLabels;
+    const isVisible = (classId) => classId !== 0 && !loader.isIgnoredLabel(classId) &&
+      this.classVisibility[labels[classId]] !== false;
+    const passesConfidence = () => {
+      const conf = this.getPixelConfidence(prediction, i);
+      if (conf === null) return true;
+      return conf >= this.confidenceRange.min && conf <= this.confidenceRange.max;
+    };
+
+    switch (mode) {
+      case 'groundTruth': {
+        const classId = groundTruth.pixels[i];
+        if (!isVisible(classId)) return null;
+        return { color: this.gtColors[labels[classId]], alpha: 220 };
+      }
+
+      case 'confidence': {
+        const classId = prediction.pixels[i];
+        if (!isVisible(classId) || !passesConfidence()) return null;
+        const conf = this.getPixelConfidence(prediction, i) ?? 0.5;
+        return { color: this.getConfidenceColor(conf), alpha: 230 };
+      }
+
+      case 'error': {
+        const pred = prediction.pixels[i];
+        const gt = groundTruth.pixels[i];
+        if (loader.isIgnoredLabel(gt) || loader.isIgnoredLabel(pred)) return null;
+
+        let errorType, classId;
+        if (pred === gt) {
+          if (pred === 0) return null; // True negative (background)
+          errorType = 'truePositive';
+          classId = pred;
+        } else if (pred === 0) {
+          errorType = 'falseNegative';
+          classId = gt;
+        } else {
+          // Includes misclassifications (predicted the wrong class)
+          errorType = 'falsePositive';
+          classId = pred;
+        }
+
+        if (!this.errorTypeVisibility[errorType]) return null;
+        if (!isVisible(classId) || !passesConfidence()) return null;
+        return { color: this.errorColors[errorType], alpha: errorType === 'truePositive' ? 150 : 230 };
+      }
+
+      case 'modelDiff': {
+        const gt = groundTruth.pixels[i];
+        const a = prediction.pixels[i];
+        const b = comparison.pixels[i];
+        if (loader.isIgnoredLabel(gt) || loader.isIgnoredLabel(a) || loader.isIgnoredLabel(b)) return null;
+
+        const aRight = a === gt;
+        const bRight = b === gt;
+        if (aRight && bRight) return null; // Models agree on the right answer
+
+        // Filter by the class at stake: the GT class, or the wrongly predicted one on background
+        const classId = gt !== 0 ? gt : (aRight ? b : a);
+        if (!isVisible(classId)) return null;
+
+        if (aRight) return { color: this.modelDiffColors.aOnly, alpha: 230 };
+        if (bRight) return { color: this.modelDiffColors.bOnly, alpha: 230 };
+        return { color: this.modelDiffColors.bothWrong, alpha: 120 };
+      }
+
+      case 'prediction':
+      default: {
+        const classId = prediction.pixels[i];
+        if (!isVisible(classId)) return null;
+        return { color: this.classColors[labels[classId]], alpha: 220 };
+      }
+    }
+  }
+
+  /**
+   * Confidence of a prediction pixel under the selected measure
+   * Falls back to the mask's stored confidences when no probabilities are loaded.
+   * @returns {number|null} Confidence in [0, 1], or null if unknown
+   */
+  getPixelConfidence(prediction, i) {
+    const maps = prediction?.probabilities;
+    if (maps) {
+      if (this.confidenceMetric === 'margin') return maps.margin[i];
+      if (this.confidenceMetric === 'entropy') return 1 - maps.entropy[i];
+      return maps.maxProb[i];
+    }
+    return prediction?.confidences ? prediction.confidences[i] : null;
+  }
+
+  /**
+   * Look up mask values under a screen point (used by the pixel inspector)
+   * @param {number} x - Screen x in map container pixels
+   * @param {number} y - Screen y in map container pixels
+   * @returns {Object|null} Prediction / ground truth / probability details for the pixel
+   */
+  getPixelInfo(x, y) {
+    if (!this.hasMaskData()) return null;
+
+    const lngLat = this.map.unproject([x, y]);
+    const loader = this.dataLoader;
+
+    for (const tile of this.dataLoader.getActiveTiles()) {
+      if (!tile.bounds) continue;
+      const [[latMin, lngMin], [latMax, lngMax]] = tile.bounds;
+      if (lngLat.lng < lngMin || lngLat.lng >= lngMax || lngLat.lat <= latMin || lngLat.lat > latMax) continue;
+
+      const prediction = this.dataLoader.segmentationMasks.get(tile.id);
+      if (!prediction) return null;
+      const groundTruth = this.dataLoader.groundTruthMasks.get(tile.id);
+
+      const pixelX = Math.floor((lngLat.lng - lngMin) / (lngMax - lngMin) * prediction.width);
+      const pixelY = Math.floor((latMax - lngLat.lat) / (latMax - latMin) * prediction.height);
+      const i = pixelY * prediction.width + pixelX;
+
+      const predClass = prediction.pixels[i];
+      const maps = prediction.probabilities;
+      const probabilities = this.dataLoader.getPixelProbabilities(tile.id, i);
+
+      const hasGT = groundTruth && groundTruth.width === prediction.width && groundTruth.height === prediction.height;
+      const gtClass = hasGT ? groundTruth.pixels[i] : null;
+      const gtIgnored = hasGT && loader.isIgnoredLabel(gtClass);
+
+      return {
+        lngLat: [lngLat.lng, lngLat.lat],
+        tileId: tile.id,
+        pixelX,
+        pixelY,
+        prediction: {
+          classId: predClass,
+          className: loader.getClassName(predClass),
+          confidence: this.getPixelConfidence(prediction, i),
+          confidenceMetric: maps ? this.confidenceMetric : null,
+          maxProb: maps ? maps.maxProb[i] : null,
+          margin: maps ? maps.margin[i] : null,
+          entropy: maps ? maps.entropy[i] : null,
+          probabilities: probabilities ?
+            probabilities.map((p, classId) => ({ classId, className: loader.getClassName(classId), probability: p })) :
+            null
+        },
+        groundTruth: hasGT ? { classId: gtClass, className: loader.getClassName(gtClass), ignored: gtIgnored } : null,
+        isCorrect: hasGT && !gtIgnored ? predClass === gtClass : null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Clear cached mask canvases (e.g. after masks are reloaded)
+   */
+  invalidateMaskCache() {
+    this.maskCanvasCache.clear();
+    this.maskCacheKey = null;
+  }
+
   /**
    * Set network data for graph overlay (Idea B)
    * @param {Object} networkData - GeoJSON FeatureCollection with LineString edges
@@ -818,6 +1257,10 @@ class ViewportSegmentationOverlay {
         if (p.edgeId) {
           this.problemEdgeSet.add(p.edgeId);
         }
+        if (p.sourceEdgeIds) {
+          // Network feature parts behind a noded piece or merged chain
+          p.sourceEdgeIds.forEach(id => this.problemEdgeSet.add(id));
+        }
       }
     }
 
@@ -844,10 +1287,8 @@ class ViewportSegmentationOverlay {
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
 
-    for (const feature of this.networkData.features) {
-      if (feature.geometry?.type !== 'LineString') continue;
-
-      const coords = feature.geometry.coordinates;
+    for (const part of LineGeometry.explode(this.networkData.features)) {
+      const { feature, coordinates: coords } = part;
       if (coords.length < 2) continue;
 
       // Check if any part of the line is visible in viewport
@@ -859,7 +1300,7 @@ class ViewportSegmentationOverlay {
       if (!inView) continue;
 
       // Get styling based on mode
-      const edgeId = feature.properties?.id;
+      const edgeId = part.id;
       const quality = feature.properties?.quality ?? 0.5;
       const isProblem = this.problemEdgeSet.has(edgeId);
 
@@ -1111,17 +1552,8 @@ class ViewportSegmentationOverlay {
 
     // First pass: collect all endpoints and snap them together
     for (const feature of features) {
-      const geom = feature.geometry;
-      if (!geom) continue;
-
-      let lineArrays = [];
-      if (geom.type === 'LineString') {
-        lineArrays = [geom.coordinates];
-      } else if (geom.type === 'MultiLineString') {
-        lineArrays = geom.coordinates;
-      } else {
-        continue;
-      }
+      const lineArrays = this.getLineParts(feature.geometry);
+      if (lineArrays.length === 0) continue;
 
       for (const lineCoords of lineArrays) {
         if (!lineCoords || lineCoords.length < 2) continue;
@@ -1179,30 +1611,28 @@ class ViewportSegmentationOverlay {
     ctx.lineJoin = 'round';
 
     for (const feature of features) {
-      const geom = feature.geometry;
-      if (!geom) continue;
-
-      let lineArrays = [];
-      if (geom.type === 'LineString') {
-        lineArrays = [geom.coordinates];
-      } else if (geom.type === 'MultiLineString') {
-        lineArrays = geom.coordinates;
-      } else {
-        continue;
-      }
+      const lineArrays = this.getLineParts(feature.geometry);
+      if (lineArrays.length === 0) continue;
 
-      // Generate a quality value for this feature (simulated or from properties)
-      const featureId = feature.id || `f_${Math.random().toString(36).substr(2, 9)}`;
-      const quality = feature.properties?.quality ?? this.getSimulatedQuality(featureId);
-      const isProblem = this.problemEdgeSet.has(featureId);
+      // Quality / centrality of the network edge this road feature corresponds to
+      const match = this.getFeatureQuality(feature);
+      const quality = match.quality;
+      const isProblem = match.edgeId !== null && this.problemEdgeSet.has(match.edgeId);
 
       let edgeColor, edgeWidth, edgeAlpha;
 
       switch (mode) {
         case 'centrality':
-          edgeColor = this.getCentralityColor(quality);
-          edgeWidth = 4;
-          edgeAlpha = 1.0;
+          if (match.centrality !== null || quality !== null) {
+            edgeColor = this.getCentralityColor(match.centrality ?? quality);
+            edgeWidth = 4;
+            edgeAlpha = 1.0;
+          } else {
+            // No network edge nearby - nothing to score
+            edgeColor = '#64748b';
+            edgeWidth = 2;
+            edgeAlpha = 0.4;
+          }
           break;
 
         case 'problems':
@@ -1219,9 +1649,15 @@ class ViewportSegmentationOverlay {
 
         case 'quality':
         default:
-          edgeColor = this.getQualityColor(quality);
-          edgeWidth = 4;
-          edgeAlpha = 1.0;
+          if (quality !== null) {
+            edgeColor = this.getQualityColor(quality);
+            edgeWidth = 4;
+            edgeAlpha = 1.0;
+          } else {
+            edgeColor = '#64748b';
+            edgeWidth = 2;
+            edgeAlpha = 0.4;
+          }
           break;
       }
 
@@ -1329,29 +1765,6 @@ class ViewportSegmentationOverlay {
     ctx.restore();
   }
 
-  /**
-   * Get simulated quality value for a feature (cached for consistency)
-   */
-  getSimulatedQuality(featureId) {
-    if (!this._qualityCache) {
-      this._qualityCache = new Map();
-    }
-    if (!this._qualityCache.has(featureId)) {
-      // Generate a random quality value with realistic distribution
-      const rand = Math.random();
-      let quality;
-      if (rand < 0.6) {
-        quality = 0.75 + Math.random() * 0.25; // High: 60% of segments
-      } else if (rand < 0.85) {
-        quality = 0.5 + Math.random() * 0.25;  // Medium: 25%
-      } else {
-        quality = 0.2 + Math.random() * 0.3;   // Low: 15%
-      }
-      this._qualityCache.set(featureId, quality);
-    }
-    return this._qualityCache.get(featureId);
-  }
-
   /**
    * ORIGINAL MODE: Shows only the base map with no overlays
    * Just displays a subtle label indicating the mode
@@ -1386,36 +1799,255 @@ class ViewportSegmentationOverlay {
     ctx.restore();
   }
 
+  // ============================================
+  // DATA-DRIVEN FEATURE ATTRIBUTES
+  // ============================================
+
+  /**
+   * Stable key for a rendered feature (vector tile id or first coordinate)
+   */
+  getFeatureKey(feature) {
+    return feature.id ?? `${feature.geometry?.coordinates?.[0]?.[0]}_${feature.geometry?.coordinates?.[0]?.[1]}`;
+  }
+
+  /**
+   * Line parts of a LineString / MultiLineString / GeometryCollection geometry
+   */
+  getLineParts(geometry) {
+    return LineGeometry.getLineParts(geometry);
+  }
+
   /**
-   * Assign simulated confidence values to features
-   * In production, these would come from tile2net segmentation output
+   * Sample per-feature confidence from the loaded confidence rasters
+   * Features without raster coverage fall back to a numeric `confidence`
+   * property, otherwise they stay unknown.
    */
   assignFeatureConfidence(features) {
     for (const feature of features) {
-      const id = feature.id || `${feature.geometry?.coordinates?.[0]?.[0]}_${feature.geometry?.coordinates?.[0]?.[1]}`;
+      const id = this.getFeatureKey(feature);
       if (!this.featureConfidence.has(id)) {
-        // Simulate confidence: most features have high confidence (0.7-1.0)
-        // Some features have medium (0.4-0.7) or low (<0.4) confidence
-        const rand = Math.random();
-        let confidence;
-        if (rand < 0.7) {
-          confidence = 0.75 + Math.random() * 0.25; // High: 0.75-1.0
-        } else if (rand < 0.9) {
-          confidence = 0.45 + Math.random() * 0.3;  // Medium: 0.45-0.75
-        } else {
-          confidence = 0.15 + Math.random() * 0.3;  // Low: 0.15-0.45
+        const sampled = this.sampleConfidenceAlongFeature(feature);
+        const fromProps = typeof feature.properties?.confidence === 'number' ? feature.properties.confidence : null;
+        this.featureConfidence.set(id, sampled ?? fromProps);
+      }
+    }
+  }
+
+  /**
+   * Mean raster confidence along a feature's lines (~2 m sample spacing)
+   * @returns {number|null} Mean confidence, or null if no sample hit a tile
+   */
+  sampleConfidenceAlongFeature(feature) {
+    if (!this.hasMaskData()) return null;
+
+    const stepMeters = 2;
+    const maxSamples = 200;
+    let sum = 0, count = 0;
+
+    for (const coords of this.getLineParts(feature.geometry)) {
+      for (let i = 0; i < coords.length - 1 && count < maxSamples; i++) {
+        const [lng1, lat1] = coords[i];
+        const [lng2, lat2] = coords[i + 1];
+        const lengthMeters = this.approxDistanceMeters(coords[i], coords[i + 1]);
+        const steps = Math.max(1, Math.ceil(lengthMeters / stepMeters));
+
+        for (let k = 0; k < steps && count < maxSamples; k++) {
+          const t = k / steps;
+          const conf = this.getRasterConfidenceAt(lng1 + (lng2 - lng1) * t, lat1 + (lat2 - lat1) * t);
+          if (conf !== null) {
+            sum += conf;
+            count++;
+          }
         }
-        this.featureConfidence.set(id, confidence);
       }
     }
+
+    return count > 0 ? sum / count : null;
+  }
+
+  /**
+   * Prediction confidence at a geographic point (null outside all tiles)
+   */
+  getRasterConfidenceAt(lng, lat) {
+    for (const tile of this.dataLoader.getActiveTiles()) {
+      if (!tile.bounds) continue;
+      const [[latMin, lngMin], [latMax, lngMax]] = tile.bounds;
+      if (lng < lngMin || lng >= lngMax || lat <= latMin || lat > latMax) continue;
+
+      const prediction = this.dataLoader.segmentationMasks.get(tile.id);
+      if (!prediction) return null;
+
+      const x = Math.floor((lng - lngMin) / (lngMax - lngMin) * prediction.width);
+      const y = Math.floor((latMax - lat) / (latMax - latMin) * prediction.height);
+      return this.getPixelConfidence(prediction, y * prediction.width + x);
+    }
+    return null;
+  }
+
+  /**
+   * Equirectangular distance in meters (accurate enough at street scale)
+   */
+  approxDistanceMeters(a, b) {
+    const metersPerDegLat = 110540;
+    const metersPerDegLng = 111320 * Math.cos((a[1] + b[1]) / 2 * Math.PI / 180);
+    const dx = (b[0] - a[0]) * metersPerDegLng;
+    const dy = (b[1] - a[1]) * metersPerDegLat;
+    return Math.sqrt(dx * dx + dy * dy);
   }
 
   /**
-   * Get confidence for a feature
+   * Get confidence for a feature (0.5 when unknown)
    */
   getFeatureConfidence(feature) {
-    const id = feature.id || `${feature.geometry?.coordinates?.[0]?.[0]}_${feature.geometry?.coordinates?.[0]?.[1]}`;
-    return this.featureConfidence.get(id) || 0.5;
+    return this.featureConfidence.get(this.getFeatureKey(feature)) ?? 0.5;
+  }
+
+  /**
+   * Provide the network used to score rendered road features
+   * Edge quality comes from the GeoJSON `quality` property or, failing that,
+   * from NetworkAnalyzer results; centrality from the analyzer.
+   * @param {Object} networkData - Network GeoJSON FeatureCollection
+   * @param {NetworkAnalyzer} analyzer - Analyzer that has run on networkData (optional)
+   */
+  setNetworkQualitySource(networkData, analyzer = null) {
+    const edges = [];
+
+    if (analyzer && analyzer.edges.length > 0) {
+      analyzer.edges.forEach(edge => {
+        edges.push({
+          id: edge.id,
+          coordinates: edge.coordinates,
+          quality: analyzer.getEdgeQuality(edge.id),
+          centrality: analyzer.getNormalizedEdgeCentrality(edge.id)
+        });
+      });
+    } else if (networkData?.features) {
+      LineGeometry.explode(networkData.features).forEach(part => {
+        const quality = part.feature.properties?.quality;
+        edges.push({
+          id: part.id || `edge_${part.featureIndex}_${part.partIndex}`,
+          coordinates: part.coordinates,
+          quality: typeof quality === 'number' ? quality : null,
+          centrality: null
+        });
+      });
+    }
+
+    this.qualitySource = { analyzer, edges, grid: this.buildSegmentGrid(edges) };
+    this.featureQuality.clear();
+    this.scheduleRender();
+  }
+
+  /**
+   * Bucket network edge segments into a lng/lat grid for nearest-edge lookup
+   */
+  buildSegmentGrid(edges) {
+    const cellSize = 0.0005; // ~50 m
+    const cells = new Map();
+
+    edges.forEach((edge, edgeIndex) => {
+      const coords = edge.coordinates;
+      for (let i = 0; i < coords.length - 1; i++) {
+        const [x1, y1] = coords[i];
+        const [x2, y2] = coords[i + 1];
+        for (let cx = Math.floor(Math.min(x1, x2) / cellSize); cx <= Math.floor(Math.max(x1, x2) / cellSize); cx++) {
+          for (let cy = Math.floor(Math.min(y1, y2) / cellSize); cy <= Math.floor(Math.max(y1, y2) / cellSize); cy++) {
+            const key = `${cx},${cy}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push({ edgeIndex, a: coords[i], b: coords[i + 1] });
+          }
+        }
+      }
+    });
+
+    return { cellSize, cells };
+  }
+
+  /**
+   * Nearest network edge to a point within a tolerance
+   * @returns {Object|null} Edge record or null if none within maxMeters
+   */
+  findNearestNetworkEdge(point, maxMeters = 15) {
+    const { edges, grid } = this.qualitySource;
+    const cx = Math.floor(point[0] / grid.cellSize);
+    const cy = Math.floor(point[1] / grid.cellSize);
+
+    let best = null, bestDist = maxMeters;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const segments = grid.cells.get(`${cx + dx},${cy + dy}`);
+        if (!segments) continue;
+        for (const seg of segments) {
+          const d = this.pointToSegmentMeters(point, seg.a, seg.b);
+          if (d < bestDist) {
+            bestDist = d;
+            best = edges[seg.edgeIndex];
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Distance from a point to a segment in meters (local planar approximation)
+   */
+  pointToSegmentMeters(p, a, b) {
+    const metersPerDegLat = 110540;
+    const metersPerDegLng = 111320 * Math.cos(p[1] * Math.PI / 180);
+    const ax = (a[0] - p[0]) * metersPerDegLng, ay = (a[1] - p[1]) * metersPerDegLat;
+    const bx = (b[0] - p[0]) * metersPerDegLng, by = (b[1] - p[1]) * metersPerDegLat;
+    const abx = bx - ax, aby = by - ay;
+    const lenSq = abx * abx + aby * aby;
+    const t = lenSq > 0 ? Math.max(0, Math.min(1, -(ax * abx + ay * aby) / lenSq)) : 0;
+    const x = ax + t * abx, y = ay + t * aby;
+    return Math.sqrt(x * x + y * y);
+  }
+
+  /**
+   * Quality, centrality and matched edge id for a rendered road feature
+   * Samples the feature's vertices and segment midpoints against the network;
+   * the most frequently matched edge supplies the id, values are averaged.
+   * @returns {{quality: number|null, centrality: number|null, edgeId: string|null}}
+   */
+  getFeatureQuality(feature) {
+    const key = this.getFeatureKey(feature);
+    if (this.featureQuality.has(key)) return this.featureQuality.get(key);
+
+    const fromProps = typeof feature.properties?.quality === 'number' ? feature.properties.quality : null;
+    const result = { quality: fromProps, centrality: null, edgeId: null };
+
+    if (this.qualitySource && this.qualitySource.edges.length > 0) {
+      const votes = new Map();
+      let qualitySum = 0, qualityCount = 0, centralitySum = 0, centralityCount = 0;
+
+      for (const coords of this.getLineParts(feature.geometry)) {
+        const samples = [];
+        coords.forEach((c, i) => {
+          samples.push(c);
+          if (i < coords.length - 1) {
+            samples.push([(c[0] + coords[i + 1][0]) / 2, (c[1] + coords[i + 1][1]) / 2]);
+          }
+        });
+
+        for (const point of samples) {
+          const edge = this.findNearestNetworkEdge(point);
+          if (!edge) continue;
+          votes.set(edge.id, (votes.get(edge.id) || 0) + 1);
+          if (edge.quality !== null) { qualitySum += edge.quality; qualityCount++; }
+          if (edge.centrality !== null) { centralitySum += edge.centrality; centralityCount++; }
+        }
+      }
+
+      if (votes.size > 0) {
+        result.edgeId = [...votes.entries()].sort((a, b) => b[1] - a[1])[0][0];
+        if (fromProps === null && qualityCount > 0) result.quality = qualitySum / qualityCount;
+        if (centralityCount > 0) result.centrality = centralitySum / centralityCount;
+      }
+    }
+
+    this.featureQuality.set(key, result);
+    return result;
   }
 
   /**
@@ -1568,11 +2200,8 @@ class ViewportSegmentationOverlay {
       return Math.atan2(toScreen.y - fromScreen.y, toScreen.x - fromScreen.x);
     };
 
-    for (const feature of features) {
+    for (const { feature, coordinates: coords } of LineGeometry.explode(features)) {
       if (!this.passesConfidenceFilter(feature)) continue;
-      if (feature.geometry?.type !== 'LineString') continue;
-
-      const coords = feature.geometry.coordinates;
       if (coords.length < 2) continue;
 
       // Helper to register endpoint with screen-space direction
@@ -1868,10 +2497,7 @@ class ViewportSegmentationOverlay {
     // Key by screen coordinates (rounded) for more accurate intersection detection
     const endpointMap = new Map();
 
-    for (const feature of features) {
-      if (feature.geometry?.type !== 'LineString') continue;
-
-      const coords = feature.geometry.coordinates;
+    for (const { coordinates: coords } of LineGeometry.explode(features)) {
       if (coords.length < 2) continue;
 
       // Helper to calculate SCREEN-SPACE direction between two geographic points
@@ -2023,51 +2649,56 @@ class ViewportSegmentationOverlay {
   }
 
   /**
-   * Render error mode - FP/FN/TP visualization with GEOREFERENCED regions
-   * Shows a meaningful comparison between prediction and ground truth
-   *
-   * Visual encoding:
-   * - TEAL (TP): Model correctly predicted infrastructure that exists
-   * - RED (FP): Model predicted infrastructure that doesn't exist (over-prediction)
-   * - AMBER (FN): Model missed infrastructure that does exist (under-prediction)
+   * Draw GEOREFERENCED error zone polygons and their labels
+   * Only regions passing the error type / confidence filters are drawn
    */
-  renderErrorMode(ctx, features) {
-    // FIRST: Draw GEOREFERENCED error zone polygons (these MOVE with the map)
-    // APPLY ERROR TYPE FILTERS - only draw regions whose type is visible
-    for (const region of this.geoErrorRegions) {
-      // Check if this error type is visible based on filters
-      if (region.type === 'fp' && !this.errorTypeVisibility.falsePositive) continue;
-      if (region.type === 'fn' && !this.errorTypeVisibility.falseNegative) continue;
+  renderGeoErrorRegions(ctx) {
+    const regionColor = (region) => region.type === 'fp'
+      ? this.errorColors.falsePositive
+      : region.type === 'fn' ? this.errorColors.falseNegative : this.errorColors.truePositive;
 
-      const fillColor = region.type === 'fp'
-        ? this.errorColors.falsePositive
-        : this.errorColors.falseNegative;
+    const visibleRegions = this.geoErrorRegions.filter(region => this.passesRegionFilters(region));
 
+    for (const region of visibleRegions) {
+      const fillColor = regionColor(region);
       // Draw zone polygon with thicker, more visible border
-      this.drawGeoPolygon(ctx, region.polygon, fillColor, fillColor, 0.2);
+      this.drawGeoPolygon(ctx, region.polygon, fillColor, fillColor, region === this.isolatedRegion ? 0.35 : 0.2);
     }
 
-    // Draw labels only for major zones (skip small spots to reduce clutter)
-    // Also apply error type filters
-    for (const region of this.geoErrorRegions) {
-      if (!region.label || region.label.includes('Spot')) continue; // Skip small spots
-      if (region.type === 'fp' && !this.errorTypeVisibility.falsePositive) continue;
-      if (region.type === 'fn' && !this.errorTypeVisibility.falseNegative) continue;
+    // Draw labels only for regions large enough on screen (reduces clutter)
+    for (const region of visibleRegions) {
+      if (!region.label) continue;
 
+      let minX = Infinity, maxX = -Infinity;
       let sumLng = 0, sumLat = 0;
       for (const coord of region.polygon) {
+        const p = this.map.project([coord[0], coord[1]]);
+        minX = Math.min(minX, p.x);
+        maxX = Math.max(maxX, p.x);
         sumLng += coord[0];
         sumLat += coord[1];
       }
+      if (maxX - minX < 120 && region !== this.isolatedRegion) continue;
+
       const centerLng = sumLng / region.polygon.length;
       const centerLat = sumLat / region.polygon.length;
 
-      const color = region.type === 'fp'
-        ? this.errorColors.falsePositive
-        : this.errorColors.falseNegative;
-
-      this.drawGeoLabel(ctx, [centerLng, centerLat], region.label, color);
+      this.drawGeoLabel(ctx, [centerLng, centerLat], region.label, regionColor(region));
     }
+  }
+
+  /**
+   * Render error mode - FP/FN/TP visualization with GEOREFERENCED regions
+   * Shows a meaningful comparison between prediction and ground truth
+   *
+   * Visual encoding:
+   * - TEAL (TP): Model correctly predicted infrastructure that exists
+   * - RED (FP): Model predicted infrastructure that doesn't exist (over-prediction)
+   * - AMBER (FN): Model missed infrastructure that does exist (under-prediction)
+   */
+  renderErrorMode(ctx, features) {
+    // FIRST: Draw GEOREFERENCED error zone polygons (these MOVE with the map)
+    this.renderGeoErrorRegions(ctx);
 
     // SECOND: Draw streets with error-based coloring and styling
     // APPLY ERROR TYPE FILTERS - skip types that are not visible
@@ -2256,6 +2887,53 @@ class ViewportSegmentationOverlay {
     ctx.restore();
   }
 
+  /**
+   * Draw an in-canvas legend for model diff mode
+   */
+  drawModelDiffLegend(ctx) {
+    const names = this.dataLoader?.comparison || { nameA: 'Model A', nameB: 'Model B' };
+    const items = [
+      { color: this.modelDiffColors.aOnly, text: `${names.nameA} right, ${names.nameB} wrong` },
+      { color: this.modelDiffColors.bOnly, text: `${names.nameB} right, ${names.nameA} wrong` },
+      { color: this.modelDiffColors.bothWrong, text: 'Both wrong' }
+    ];
+
+    const legendX = 20;
+    const legendY = 20;
+    const itemHeight = 24;
+    const boxSize = 16;
+
+    ctx.save();
+    ctx.globalAlpha = 0.95;
+    ctx.font = '11px sans-serif';
+    const width = Math.max(180, ...items.map(item => ctx.measureText(item.text).width + 44));
+    const height = itemHeight * (items.length + 1) + 20;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(legendX, legendY, width, height);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(legendX, legendY, width, height);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.fillStyle = 'white';
+    ctx.fillText('Model Diff', legendX + 10, legendY + 14);
+
+    ctx.font = '11px sans-serif';
+    let y = legendY + 38;
+    for (const { color, text } of items) {
+      ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+      ctx.fillRect(legendX + 10, y - boxSize/2, boxSize, boxSize);
+      ctx.fillStyle = 'white';
+      ctx.fillText(text, legendX + 32, y);
+      y += itemHeight;
+    }
+
+    ctx.restore();
+  }
+
   /**
    * Render crosswalks with error coloring - LARGE and VISIBLE
    * Properly aligned and rotated with map bearing
@@ -2271,10 +2949,7 @@ class ViewportSegmentationOverlay {
       return Math.atan2(toScreen.y - fromScreen.y, toScreen.x - fromScreen.x);
     };
 
-    for (const feature of features) {
-      if (feature.geometry?.type !== 'LineString') continue;
-
-      const coords = feature.geometry.coordinates;
+    for (const { coordinates: coords } of LineGeometry.explode(features)) {
       if (coords.length < 2) continue;
 
       // Helper to register endpoint with screen-space direction
@@ -2397,8 +3072,15 @@ class ViewportSegmentationOverlay {
 
   /**
    * Compute statistics for current viewport
+   * With tile2net masks loaded, metrics come from the prediction and ground
+   * truth pixels inside the map bounds; otherwise from Mapbox street features.
    */
   computeStatisticsForViewport() {
+    if (this.hasMaskData()) {
+      this.computeMaskStatisticsForViewport();
+      return;
+    }
+
     const features = this.queryStreetFeatures();
 
     let tp = 0, fp = 0, fn = 0;
@@ -2420,18 +3102,72 @@ class ViewportSegmentationOverlay {
     const recall = (tp + fn) > 0 ? tp / (tp + fn) : 0;
     const f1 = (precision + recall) > 0 ? 2 * precision * recall / (precision + recall) : 0;
 
+    // Feature-based fallback has no background samples, so no true negatives
     this.statistics = {
       total,
       truePositives: tp,
-      trueNegatives: Math.floor(total * 0.7),
+      trueNegatives: 0,
       falsePositives: fp,
       falseNegatives: fn,
       accuracy,
       precision,
       recall,
       f1Score: f1,
-      meanIoU: (precision + recall) / 2
+      meanIoU: total > 0 ? tp / total : 0
+    };
+  }
+
+  /**
+   * Sum a confusion matrix over the mask pixels clipped to the map bounds
+   * and derive accuracy, precision, recall, F1 and per-class IoU from it
+   */
+  computeMaskStatisticsForViewport() {
+    const loader = this.dataLoader;
+    const matrix = loader.createConfusionMatrix();
+
+    const b = this.map.getBounds();
+    const geoBounds = { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() };
+
+    let tilesInView = 0;
+    for (const tile of loader.getActiveTiles()) {
+      if (loader.accumulateConfusionInBounds(tile.id, geoBounds, matrix) > 0) {
+        tilesInView++;
+      }
+    }
+
+    const stats = loader.computeMatrixStatistics(matrix);
+
+    this.statistics = {
+      ...stats,
+      total: stats.totalPixels,
+      tilesInView
+    };
+
+    // Confusion matrix modal reads from here
+    this.lastErrorData = { confusionMatrix: matrix };
+
+    this.lastModelDiff = loader.hasModelComparison() ?
+      this.computeModelDiffForBounds(geoBounds) : null;
+  }
+
+  /**
+   * Score both models on the mask pixels inside a geographic window
+   * @param {Object} geoBounds - { west, south, east, north } in degrees
+   * @returns {Object} compareModelStatistics() result
+   */
+  computeModelDiffForBounds(geoBounds) {
+    const loader = this.dataLoader;
+    const diff = {
+      matrixA: loader.createConfusionMatrix(),
+      matrixB: loader.createConfusionMatrix(),
+      paired: loader.createPairedMatrix()
     };
+
+    for (const tile of loader.getActiveTiles()) {
+      loader.accumulateModelDiffInBounds(tile.id, geoBounds, diff);
+    }
+
+    return loader.compareModelStatistics(diff);
   }
 
   // ============================================
@@ -2440,15 +3176,47 @@ class ViewportSegmentationOverlay {
 
   /**
    * Set display mode
-   * @param {string} mode - 'original', 'prediction', 'groundTruth', 'error', 'confidence'
+   * @param {string} mode - 'original', 'prediction', 'groundTruth', 'error', 'confidence', 'modelDiff'
    */
   setDisplayMode(mode) {
-    if (['original', 'prediction', 'groundTruth', 'error', 'confidence'].includes(mode)) {
+    if (['original', 'prediction', 'groundTruth', 'error', 'confidence', 'modelDiff'].includes(mode)) {
       this.displayMode = mode;
       this.renderOverlay();
     }
   }
 
+  /**
+   * Attach a Tile2NetDataLoader whose decoded masks should be rendered
+   * @param {Tile2NetDataLoader} dataLoader - Loader with segmentation/ground truth masks
+   */
+  setDataLoader(dataLoader) {
+    this.dataLoader = dataLoader;
+    this.applyClassSchema();
+    this.invalidateMaskCache();
+    this.featureConfidence.clear();
+    this.scheduleRender();
+  }
+
+  /**
+   * Take mask class colors and visibility toggles from the loader's class schema
+   * Starts from the default palette; every schema class other than background
+   * then sets its color, so a schema that names road/sidewalk/crosswalk also
+   * recolors those. Colors no class matched (unknown) are never drawn.
+   */
+  applyClassSchema() {
+    this.classColors = { ...this.defaultClassColors };
+    this.gtColors = { ...this.defaultGtColors };
+    if (!this.dataLoader?.getClasses) return;
+
+    const toRgb = ([r, g, b]) => ({ r, g, b });
+    for (const cls of this.dataLoader.getClasses()) {
+      if (cls.id === 0) continue;
+      this.classColors[cls.name] = toRgb(cls.color);
+      this.gtColors[cls.name] = toRgb(cls.gtColor);
+      if (!(cls.name in this.classVisibility)) this.classVisibility[cls.name] = true;
+    }
+  }
+
   /**
    * Get current display mode
    */
@@ -2466,7 +3234,7 @@ class ViewportSegmentationOverlay {
 
   /**
    * Set visibility for a specific class
-   * @param {string} className - 'road', 'sidewalk', or 'crosswalk'
+   * @param {string} className - Class name from the class schema (e.g. 'road')
    * @param {boolean} visible
    */
   setClassVisibility(className, visible) {
@@ -2530,6 +3298,18 @@ class ViewportSegmentationOverlay {
     return { ...this.confidenceRange };
   }
 
+  /**
+   * Set the per-pixel confidence measure used when class probabilities are loaded
+   * @param {string} metric - 'maxProb', 'margin' or 'entropy'
+   */
+  setConfidenceMetric(metric) {
+    if (['maxProb', 'margin', 'entropy'].includes(metric)) {
+      this.confidenceMetric = metric;
+      this.featureConfidence.clear();
+      this.renderOverlay();
+    }
+  }
+
   /**
    * Set overall visibility
    */
@@ -2601,9 +3381,10 @@ class ViewportSegmentationOverlay {
   forceRegenerate(resetErrorRegions = false) {
     this.cacheValid = false;
     this.cachedFeatures = null;
+    this.invalidateMaskCache();
     if (resetErrorRegions) {
-      this.geoErrorRegionsInitialized = false;
-      this.initializeGeoErrorRegions();
+      this.geoErrorRegions = this.buildGeoErrorRegions(this.errorRegionData);
+      this.isolatedRegion = null;
     }
     this.renderOverlay();
     this.computeStatisticsForViewport();
@@ -2613,7 +3394,13 @@ class ViewportSegmentationOverlay {
    * Reset all filters to defaults
    */
   resetFilters() {
-    this.classVisibility = { road: true, sidewalk: true, crosswalk: true };
+    if (this.isolationTimer) clearTimeout(this.isolationTimer);
+    this.isolationTimer = null;
+    this.isolationPreviousVisibility = null;
+    this.isolatedRegion = null;
+    for (const className of Object.keys(this.classVisibility)) {
+      this.classVisibility[className] = true;
+    }
     this.errorTypeVisibility = { truePositive: true, falsePositive: true, falseNegative: true };
     this.confidenceRange = { min: 0, max: 1 };
     this.renderOverlay();